@@ -0,0 +1,271 @@
+// Regelgebaseerde indeling van transacties en abonnementen, gedeeld door de budgetcalculator en de abonnementenbespaarder.
+// Laden vóór het script van de tool; de engine staat daarna op window.NLrekentools.rules.
+(() => {
+  const FIELDS = ['any', 'description', 'counterparty', 'iban'];
+  const OPERATORS = ['contains', 'equals', 'regex'];
+  const SOURCES = ['default', 'user', 'learned'];
+  const DEFAULT_PRIORITY = 10;
+  const USER_PRIORITY = 50;
+  const LEARNED_PRIORITY = 100;
+  const MAX_RULES = 500;
+  const MAX_PATTERN_LENGTH = 500;
+  // Kortere geleerde namen matchen alleen als los woord, anders zou "go" ook "google one" indelen
+  const MIN_CONTAINS_LENGTH = 4;
+
+  let idCounter = 0;
+  const regexCache = new Map();
+
+  const createRuleId = () => {
+    idCounter += 1;
+    return `rule-${Date.now().toString(36)}-${idCounter}`;
+  };
+
+  const toAmount = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  };
+
+  const compactIban = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+  const normalizeRule = (rule, fallbackSource) => {
+    if (!rule || typeof rule !== 'object') return null;
+    const category = String(rule.category || '').trim();
+    if (!category) return null;
+    const priority = Number(rule.priority);
+    return {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : createRuleId(),
+      field: FIELDS.includes(rule.field) ? rule.field : 'any',
+      operator: OPERATORS.includes(rule.operator) ? rule.operator : 'contains',
+      pattern: String(rule.pattern || '').slice(0, MAX_PATTERN_LENGTH),
+      minAmount: toAmount(rule.minAmount),
+      maxAmount: toAmount(rule.maxAmount),
+      category,
+      kind: typeof rule.kind === 'string' ? rule.kind : '',
+      priority: Number.isFinite(priority) ? Math.round(priority) : DEFAULT_PRIORITY,
+      enabled: rule.enabled !== false,
+      source: SOURCES.includes(rule.source) ? rule.source : fallbackSource
+    };
+  };
+
+  // "any" doorzoekt naam tegenpartij, omschrijving en IBAN tegelijk
+  const fieldValue = (item, field) => {
+    if (field === 'any') {
+      return [item.counterparty, item.description, item.iban].filter(Boolean).join(' ');
+    }
+    return String(item[field] || '');
+  };
+
+  const compileRegex = (pattern) => {
+    if (!regexCache.has(pattern)) {
+      let regex = null;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        console.warn('Ongeldige reguliere expressie in indelingsregel', pattern);
+      }
+      regexCache.set(pattern, regex);
+    }
+    return regexCache.get(pattern);
+  };
+
+  // Zoektermen worden met komma's gescheiden; een spatie aan het eind betekent "los woord"
+  const splitTerms = (pattern) => pattern
+    .toLowerCase()
+    .split(',')
+    .map((term) => term.replace(/^\s+/, ''))
+    .filter((term) => term.trim());
+
+  const isWordChar = (char) => /[\p{L}\p{N}]/u.test(char || '');
+
+  // "spar " past op "spar utrecht" maar niet op "sparen" of "kaspar"
+  const containsWord = (haystack, word) => {
+    let index = haystack.indexOf(word);
+    while (index !== -1) {
+      if (!isWordChar(haystack[index - 1]) && !isWordChar(haystack[index + word.length])) return true;
+      index = haystack.indexOf(word, index + 1);
+    }
+    return false;
+  };
+
+  const matchesPattern = (rule, item) => {
+    const value = fieldValue(item, rule.field);
+    if (rule.operator === 'regex') {
+      const regex = compileRegex(rule.pattern);
+      return Boolean(regex && regex.test(value));
+    }
+    if (rule.operator === 'equals') {
+      if (rule.field === 'iban') return compactIban(value) === compactIban(rule.pattern);
+      return value.trim().toLowerCase() === rule.pattern.trim().toLowerCase();
+    }
+    const haystack = ` ${value.toLowerCase()} `;
+    return splitTerms(rule.pattern).some((term) => (term.endsWith(' ')
+      ? containsWord(haystack, term.trim())
+      : haystack.includes(term)));
+  };
+
+  const matchesAmount = (rule, item) => {
+    if (rule.minAmount === null && rule.maxAmount === null) return true;
+    const amount = Math.abs(Number(item.amount));
+    if (!Number.isFinite(amount)) return false;
+    if (rule.minAmount !== null && amount < rule.minAmount) return false;
+    if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+    return true;
+  };
+
+  /**
+   * Controleert één regel. Zonder zoekpatroon telt alleen het bedragbereik; een regel zonder
+   * patroon én bereik past nergens op, zodat een lege regel niet alles opslokt.
+   */
+  const matchesRule = (rule, item) => {
+    if (!rule.enabled) return false;
+    const hasPattern = rule.pattern.trim() !== '';
+    const hasRange = rule.minAmount !== null || rule.maxAmount !== null;
+    if (!hasPattern && !hasRange) return false;
+    if (hasPattern && !matchesPattern(rule, item)) return false;
+    return matchesAmount(rule, item);
+  };
+
+  // Winkelnummers, plaatsnamen na een nummer en betaalkenmerken vallen weg: "ALBERT HEIJN 1403 UTRECHT" -> "albert heijn"
+  const learnableText = (value) => String(value || '')
+    .toLowerCase()
+    .split(/\d/)[0]
+    .replace(/[^\p{L}\s&.+'-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const learnedMatch = (field, text) => ({
+    field,
+    operator: 'contains',
+    pattern: text.length < MIN_CONTAINS_LENGTH ? `${text} ` : text
+  });
+
+  const sortByPriority = (rules) => rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index)
+    .map(({ rule }) => rule);
+
+  /**
+   * Maakt een regelset die in localStorage onder `storageKey` wordt bewaard.
+   * Zonder opgeslagen regels gelden `defaults`; `reset()` zet die terug.
+   *
+   * Een item heeft de vorm `{ description, counterparty, iban, amount }`; alle velden zijn optioneel.
+   *
+   * @param {{ storageKey: string, defaults?: object[] }} options
+   */
+  const createEngine = ({ storageKey, defaults = [] }) => {
+    const defaultRules = () => defaults
+      .map((rule, index) => normalizeRule({ id: `default-${index + 1}`, ...rule, source: 'default' }, 'default'))
+      .filter(Boolean);
+
+    const load = () => {
+      try {
+        const stored = localStorage.getItem(storageKey);
+        if (!stored) return defaultRules();
+        const parsed = JSON.parse(stored);
+        if (!Array.isArray(parsed?.rules)) return defaultRules();
+        return parsed.rules.map((rule) => normalizeRule(rule, 'user')).filter(Boolean).slice(0, MAX_RULES);
+      } catch (error) {
+        console.warn('Indelingsregels konden niet worden geladen', error);
+        return defaultRules();
+      }
+    };
+
+    let rules = load();
+
+    const save = () => {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify({ version: 1, rules }));
+      } catch (error) {
+        console.warn('Indelingsregels konden niet worden opgeslagen', error);
+      }
+    };
+
+    const add = (rule) => {
+      const normalized = normalizeRule({ priority: USER_PRIORITY, ...rule, id: undefined }, 'user');
+      if (!normalized || rules.length >= MAX_RULES) return null;
+      rules.push(normalized);
+      save();
+      return { ...normalized };
+    };
+
+    const update = (id, changes) => {
+      const index = rules.findIndex((rule) => rule.id === id);
+      if (index === -1) return null;
+      const updated = normalizeRule({ ...rules[index], ...changes, id }, rules[index].source);
+      if (!updated) return null;
+      rules[index] = updated;
+      save();
+      return { ...updated };
+    };
+
+    return {
+      /** Alle regels, van hoogste naar laagste prioriteit. */
+      list() {
+        return sortByPriority(rules).map((rule) => ({ ...rule }));
+      },
+
+      /**
+       * Geeft `{ category, kind, rule }` van de eerste ingeschakelde regel die past, of null.
+       * Bij gelijke prioriteit wint de regel die eerder in de lijst staat.
+       */
+      categorize(item) {
+        const subject = item || {};
+        const rule = sortByPriority(rules).find((candidate) => matchesRule(candidate, subject));
+        return rule ? { category: rule.category, kind: rule.kind, rule: { ...rule } } : null;
+      },
+
+      add,
+      update,
+
+      remove(id) {
+        const before = rules.length;
+        rules = rules.filter((rule) => rule.id !== id);
+        if (rules.length !== before) save();
+      },
+
+      reset() {
+        rules = defaultRules();
+        try {
+          localStorage.removeItem(storageKey);
+        } catch (error) {
+          console.warn('Indelingsregels konden niet worden gewist', error);
+        }
+      },
+
+      /**
+       * Legt een correctie van de gebruiker vast als regel met hoge prioriteit.
+       * Er wordt geleerd op de naam van de tegenpartij, anders op het IBAN en anders op de omschrijving.
+       * Namen korter dan vier tekens worden alleen als los woord herkend.
+       * Bestaat dezelfde geleerde regel al, dan krijgt die de nieuwe categorie.
+       */
+      learn(item, { category, kind = '' }) {
+        const subject = item || {};
+        const counterparty = learnableText(subject.counterparty);
+        const iban = compactIban(subject.iban);
+        const description = learnableText(subject.description);
+        let match = null;
+        if (counterparty) {
+          match = learnedMatch('counterparty', counterparty);
+        } else if (iban) {
+          match = { field: 'iban', operator: 'equals', pattern: iban };
+        } else if (description) {
+          match = learnedMatch('description', description);
+        }
+        if (!match || !String(category || '').trim()) return null;
+
+        const existing = rules.find((rule) => rule.source === 'learned'
+          && rule.field === match.field
+          && rule.operator === match.operator
+          && rule.pattern === match.pattern);
+        if (existing) {
+          return update(existing.id, { category, kind, enabled: true });
+        }
+        return add({ ...match, category, kind, priority: LEARNED_PRIORITY, source: 'learned' });
+      }
+    };
+  };
+
+  window.NLrekentools = window.NLrekentools || {};
+  window.NLrekentools.rules = { createEngine, FIELDS, OPERATORS };
+})();
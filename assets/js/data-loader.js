@@ -0,0 +1,97 @@
+// Laadt geversioneerde rekentabellen (één JSON-bestand per jaar plus index.json) uit /assets/data.
+// De laatst geladen tabellen blijven in localStorage staan, zodat een tool ook zonder verbinding blijft rekenen.
+(() => {
+  const readCache = (storageKey) => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(storageKey) || 'null');
+      return parsed && typeof parsed === 'object' && parsed.tables && typeof parsed.tables === 'object'
+        ? parsed
+        : { years: [], tables: {} };
+    } catch (error) {
+      return { years: [], tables: {} };
+    }
+  };
+
+  const writeCache = (storageKey, cache) => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(cache));
+    } catch (error) {
+      console.warn('Rekentabellen konden niet worden bewaard', error);
+    }
+  };
+
+  const fetchJson = async (url) => {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`${url} kon niet worden geladen (${response.status})`);
+    return response.json();
+  };
+
+  // Huidig jaar als dat beschikbaar is, anders het nieuwste jaar dat niet in de toekomst ligt
+  const defaultYear = (years, today = new Date()) => years.find((year) => year <= today.getFullYear()) ?? years[years.length - 1];
+
+  /**
+   * Maakt een lader voor de tabellen in `path`.
+   * `validate(table, year)` gooit een fout als een bestand onbruikbaar is; zo'n bestand wordt ook niet bewaard.
+   *
+   * @param {{ path: string, storageKey: string, validate: (table: object, year: number) => object }} options
+   */
+  const createLoader = ({ path, storageKey, validate }) => {
+    const yearRequests = new Map();
+    let indexRequest = null;
+
+    const withFallback = (request, fallback) => request.catch((error) => {
+      if (fallback === undefined) throw error;
+      console.warn('Rekentabellen offline geladen uit de laatst bewaarde versie', error);
+      return fallback;
+    });
+
+    /** Beschikbare jaren, nieuwste eerst. */
+    const loadYears = () => {
+      if (!indexRequest) {
+        const cached = readCache(storageKey);
+        const request = fetchJson(`${path}index.json`).then((index) => {
+          const years = (Array.isArray(index?.years) ? index.years : []).filter(Number.isInteger).sort((a, b) => b - a);
+          if (years.length === 0) throw new Error(`${path}index.json bevat geen jaren`);
+          writeCache(storageKey, { ...readCache(storageKey), years });
+          return years;
+        });
+        indexRequest = withFallback(request, cached.years.length > 0 ? cached.years : undefined)
+          .catch((error) => {
+            indexRequest = null;
+            throw error;
+          });
+      }
+      return indexRequest;
+    };
+
+    /** Laadt en controleert de tabel van één jaar; een mislukte poging wordt niet onthouden. */
+    const loadYear = (year) => {
+      if (!yearRequests.has(year)) {
+        const cached = readCache(storageKey).tables[year];
+        let fallback;
+        try {
+          fallback = cached ? validate(cached, year) : undefined;
+        } catch (error) {
+          fallback = undefined;
+        }
+        const request = fetchJson(`${path}${year}.json`).then((table) => {
+          const valid = validate(table, year);
+          const cache = readCache(storageKey);
+          writeCache(storageKey, { ...cache, tables: { ...cache.tables, [year]: valid } });
+          return valid;
+        });
+        yearRequests.set(year, withFallback(request, fallback)
+          .catch((error) => {
+            yearRequests.delete(year);
+            throw error;
+          }));
+      }
+      return yearRequests.get(year);
+    };
+
+    return { loadYears, loadYear, defaultYear };
+  };
+
+  window.NLrekentools = window.NLrekentools || {};
+  window.NLrekentools.data = { createLoader, defaultYear };
+})();
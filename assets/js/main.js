@@ -335,6 +335,272 @@
     }
   };
 
+  const BACKUP_FORMAT = 'nlrekentools-backup';
+  const BACKUP_VERSION = 1;
+  const STORAGE_SCRIPT = '/assets/js/storage.js?v=2';
+
+  const countLabel = (list, singular, plural) => {
+    const count = Array.isArray(list) ? list.length : 0;
+    return `${count} ${count === 1 ? singular : plural}`;
+  };
+
+  // Een back-up bewaart de data van iedere tool in zijn eigen schemaversie; de tool migreert die bij het laden.
+  const BACKUP_TOOLS = [
+    {
+      id: 'budget',
+      key: 'budget_calc_v1',
+      label: 'Budget berekenen',
+      mergeable: true,
+      describe: (data) => (Array.isArray(data?.incomes)
+        ? `${countLabel(data.rows, 'uitgave', 'uitgaven')}, ${countLabel(data.incomes, 'inkomstenbron', 'inkomstenbronnen')}`
+        : countLabel(data?.rows, 'uitgave', 'uitgaven'))
+    },
+    {
+      id: 'savings',
+      key: 'bt-savings-calculator',
+      label: 'Spaardoel berekenen',
+      mergeable: false,
+      describe: (data) => (typeof data?.goalAmount === 'number'
+        ? `spaardoel van ${new Intl.NumberFormat('nl-NL').format(data.goalAmount)}`
+        : 'ingevulde gegevens')
+    },
+    {
+      id: 'subscriptions',
+      key: 'bt_subscription_saver_v1',
+      label: 'Abonnementskosten',
+      mergeable: true,
+      describe: (data) => countLabel(data?.rows || data?.items, 'abonnement', 'abonnementen')
+    }
+  ];
+
+  const loadStorageModule = () => {
+    if (window.NLrekentools?.storage) return Promise.resolve(window.NLrekentools.storage);
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = STORAGE_SCRIPT;
+      script.addEventListener('load', () => resolve(window.NLrekentools.storage), { once: true });
+      script.addEventListener('error', () => reject(new Error('De opslagmodule kon niet worden geladen.')), { once: true });
+      document.head.appendChild(script);
+    });
+  };
+
+  const checksum = async (tools) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(tools));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  };
+
+  // Iedere tool staat in de back-up als `{ schema, data }`, precies zoals storage.read() hem teruggeeft
+  const isBackupEntry = (entry) => Boolean(entry) && typeof entry === 'object'
+    && Number.isInteger(entry.schema) && entry.schema >= 0 && 'data' in entry;
+
+  const readBackupFile = async (file) => {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('Dit bestand is geen back-up van NLrekentools.');
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.tools || typeof backup.tools !== 'object') {
+      throw new Error('Dit bestand is geen back-up van NLrekentools.');
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+      throw new Error('Deze back-up is gemaakt met een nieuwere versie van de site. Ververs de pagina en probeer het opnieuw.');
+    }
+    if (backup.checksum !== await checksum(backup.tools)) {
+      throw new Error('De back-up is beschadigd of aangepast: de controlesom klopt niet.');
+    }
+    const incomplete = BACKUP_TOOLS.filter((tool) => tool.id in backup.tools && !isBackupEntry(backup.tools[tool.id]));
+    if (incomplete.length) {
+      throw new Error(`De back-up is onvolledig voor ${incomplete.map((tool) => tool.label).join(', ')}.`);
+    }
+    return backup;
+  };
+
+  const createBackupDialog = () => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'site-backup__dialog';
+    dialog.setAttribute('aria-labelledby', 'siteBackupTitle');
+    dialog.innerHTML = `
+      <form method="dialog" class="site-backup__form">
+        <h2 id="siteBackupTitle">Back-up terugzetten</h2>
+        <p class="site-backup__intro" data-backup-intro></p>
+        <div class="site-backup__tools" data-backup-tools></div>
+        <p class="site-backup__error" role="alert" data-backup-error hidden></p>
+        <div class="site-backup__actions">
+          <button type="submit" class="btn btn--secondary" value="cancel">Annuleren</button>
+          <button type="button" class="btn btn--primary" data-backup-apply>Terugzetten</button>
+        </div>
+      </form>`;
+    document.body.appendChild(dialog);
+    return dialog;
+  };
+
+  const openDialog = (dialog) => {
+    if (typeof dialog.showModal === 'function') {
+      dialog.showModal();
+    } else {
+      dialog.setAttribute('open', '');
+    }
+  };
+
+  const closeDialog = (dialog) => {
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.removeAttribute('open');
+    }
+  };
+
+  const describeStored = (storage, tool) => {
+    try {
+      const stored = storage.read(tool.key);
+      return stored ? tool.describe(stored.data) : 'niets opgeslagen';
+    } catch (error) {
+      return 'onleesbare gegevens';
+    }
+  };
+
+  const renderRestorePreview = (dialog, storage, backup) => {
+    const created = new Date(backup.createdAt);
+    dialog.querySelector('[data-backup-intro]').textContent = Number.isNaN(created.getTime())
+      ? 'Kies per tool wat je met de back-up wilt doen.'
+      : `Back-up van ${created.toLocaleString('nl-NL', { dateStyle: 'long', timeStyle: 'short' })}. Kies per tool wat je ermee wilt doen.`;
+    const list = dialog.querySelector('[data-backup-tools]');
+    list.innerHTML = '';
+    BACKUP_TOOLS.forEach((tool) => {
+      const entry = backup.tools[tool.id];
+      if (!entry) return;
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'site-backup__tool';
+      const legend = document.createElement('legend');
+      legend.textContent = tool.label;
+      const summary = document.createElement('p');
+      summary.textContent = `In deze browser: ${describeStored(storage, tool)}. In de back-up: ${tool.describe(entry.data)}.`;
+      fieldset.append(legend, summary);
+      const choices = [['skip', 'Overslaan'], ...(tool.mergeable ? [['merge', 'Samenvoegen']] : []), ['replace', 'Vervangen']];
+      choices.forEach(([value, text]) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = `backup-${tool.id}`;
+        input.value = value;
+        input.checked = value === 'replace';
+        label.append(input, ` ${text}`);
+        fieldset.appendChild(label);
+      });
+      list.appendChild(fieldset);
+    });
+    if (!list.children.length) {
+      list.textContent = 'Deze back-up bevat geen gegevens.';
+    }
+  };
+
+  const initDataBackup = () => {
+    const footer = document.querySelector('footer');
+    if (!footer) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'container site-backup';
+    panel.innerHTML = `
+      <p class="site-backup__text"><strong>Je gegevens</strong> Alles wat je invult blijft in deze browser. Neem het mee naar een andere browser met een back-up.</p>
+      <div class="site-backup__buttons">
+        <button type="button" class="btn btn--secondary" data-backup-download>Back-up downloaden</button>
+        <button type="button" class="btn btn--secondary" data-backup-restore>Back-up terugzetten</button>
+        <input type="file" accept="application/json,.json" hidden data-backup-file>
+      </div>
+      <p class="site-backup__status" role="status" aria-live="polite" data-backup-status></p>`;
+    footer.insertBefore(panel, footer.querySelector('.footer-bottom'));
+
+    const status = panel.querySelector('[data-backup-status]');
+    const fileInput = panel.querySelector('[data-backup-file]');
+    let dialog = null;
+    let pendingBackup = null;
+
+    panel.querySelector('[data-backup-download]').addEventListener('click', async () => {
+      let storage;
+      try {
+        storage = await loadStorageModule();
+      } catch (error) {
+        status.textContent = error.message;
+        return;
+      }
+      const tools = {};
+      const skipped = [];
+      BACKUP_TOOLS.forEach((tool) => {
+        try {
+          const stored = storage.read(tool.key);
+          if (stored) tools[tool.id] = stored;
+        } catch (error) {
+          skipped.push(tool.label);
+        }
+      });
+      if (!Object.keys(tools).length) {
+        status.textContent = 'Er zijn nog geen gegevens om te bewaren.';
+        return;
+      }
+      const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        checksum: await checksum(tools),
+        tools
+      };
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `nlrekentools-backup-${backup.createdAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      status.textContent = skipped.length
+        ? `Back-up gedownload. Niet meegenomen omdat de gegevens onleesbaar zijn: ${skipped.join(', ')}.`
+        : 'Back-up gedownload.';
+    });
+
+    panel.querySelector('[data-backup-restore]').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (!file) return;
+      status.textContent = '';
+      try {
+        const [storage, backup] = await Promise.all([loadStorageModule(), readBackupFile(file)]);
+        dialog = dialog || createBackupDialog();
+        pendingBackup = backup;
+        renderRestorePreview(dialog, storage, backup);
+        dialog.querySelector('[data-backup-error]').hidden = true;
+        openDialog(dialog);
+
+        if (dialog.dataset.bound) return;
+        dialog.dataset.bound = 'true';
+        dialog.querySelector('[data-backup-apply]').addEventListener('click', () => {
+          const error = dialog.querySelector('[data-backup-error]');
+          try {
+            let restored = 0;
+            BACKUP_TOOLS.forEach((tool) => {
+              const entry = pendingBackup.tools[tool.id];
+              const choice = dialog.querySelector(`input[name="backup-${tool.id}"]:checked`)?.value;
+              if (!entry || !choice || choice === 'skip') return;
+              window.NLrekentools.storage.restore(tool.key, entry, choice);
+              restored += 1;
+            });
+            closeDialog(dialog);
+            if (!restored) return;
+            status.textContent = 'Back-up teruggezet. De pagina wordt opnieuw geladen.';
+            window.location.reload();
+          } catch (restoreError) {
+            error.textContent = 'De back-up kon niet worden teruggezet. Is er genoeg opslagruimte in je browser?';
+            error.hidden = false;
+          }
+        });
+      } catch (error) {
+        status.textContent = error.message;
+      }
+    });
+  };
+
   const hydratePreloadedStyles = () => {
     const links = document.querySelectorAll('link[data-preload-style]');
     links.forEach((link) => {
@@ -348,11 +614,16 @@
     });
   };
 
+  // Het lezen en controleren van back-ups is ook los van de footerknoppen te gebruiken
+  window.NLrekentools = window.NLrekentools || {};
+  window.NLrekentools.backup = { BACKUP_FORMAT, BACKUP_VERSION, BACKUP_TOOLS, checksum, readBackupFile };
+
   const init = () => {
     fillCurrentYear();
     enhanceOptInForm();
     enhanceAffiliateButtons();
     initQuickCheck();
+    initDataBackup();
 
     initSiteNavigation();
     hydratePreloadedStyles();
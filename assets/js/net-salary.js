@@ -0,0 +1,110 @@
+// Bruto-netto voor werknemers in Nederland op jaarbasis, met de loonheffingstabellen uit /assets/data/nl-tax.
+// Een nieuw belastingjaar is alleen een nieuw JSON-bestand plus het jaartal in index.json.
+// Laden na /assets/js/data-loader.js.
+(() => {
+  const HOLIDAY_PAY_RATE = 0.08;
+
+  const roundCents = (value) => Math.round(value * 100) / 100;
+
+  const isRate = (value) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) < 1;
+  const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  // Een kapot of onvolledig databestand mag geen onzinbedragen opleveren
+  const validateTable = (table, year) => {
+    const valid = table
+      && table.year === year
+      && Array.isArray(table.brackets) && table.brackets.length > 0
+      && table.brackets.every((bracket, index) => isRate(bracket.rate)
+        && (bracket.upTo === null ? index === table.brackets.length - 1 : isAmount(bracket.upTo)))
+      && table.generalCredit
+      && isAmount(table.generalCredit.max) && isAmount(table.generalCredit.phaseOutFrom) && isRate(table.generalCredit.phaseOutRate)
+      && Array.isArray(table.labourCredit) && table.labourCredit.length > 0
+      && table.labourCredit.every((step) => isAmount(step.from) && isAmount(step.base) && isRate(step.rate));
+    if (!valid) throw new Error(`Belastinggegevens voor ${year} zijn onvolledig`);
+    return table;
+  };
+
+  const { loadYears, loadYear, defaultYear } = window.NLrekentools.data.createLoader({
+    path: '/assets/data/nl-tax/',
+    storageKey: 'bt_nl_tax_tables_v1',
+    validate: validateTable
+  });
+
+  const incomeTax = (taxable, brackets) => {
+    let tax = 0;
+    let lower = 0;
+    for (const { upTo, rate } of brackets) {
+      const upper = upTo === null ? Infinity : upTo;
+      if (taxable > lower) tax += (Math.min(taxable, upper) - lower) * rate;
+      lower = upper;
+    }
+    return tax;
+  };
+
+  const generalCredit = (taxable, { max, phaseOutFrom, phaseOutRate }) =>
+    Math.max(0, max - Math.max(0, taxable - phaseOutFrom) * phaseOutRate);
+
+  const labourCredit = (labourIncome, steps) => {
+    const step = [...steps].reverse().find(({ from }) => labourIncome >= from);
+    if (!step) return 0;
+    return Math.max(0, step.base + (labourIncome - step.from) * step.rate);
+  };
+
+  // Loonheffing over een jaarloon; heffingskortingen kunnen de heffing niet negatief maken
+  const wageTax = (taxable, table) => {
+    const tax = incomeTax(taxable, table.brackets);
+    const credits = generalCredit(taxable, table.generalCredit) + labourCredit(taxable, table.labourCredit);
+    return { tax, credits: Math.min(tax, credits), payable: Math.max(0, tax - credits) };
+  };
+
+  /**
+   * Rekent een bruto maandsalaris om naar netto. Vakantiegeld en een dertiende maand worden
+   * belast tegen het tarief dat ze bovenop het gewone salaris kosten, net als bij de tabel
+   * bijzondere beloningen.
+   *
+   * @param {{ grossMonthly: number, holidayPay?: boolean, thirteenthMonth?: boolean, pensionRate?: number }} input
+   *   `pensionRate` is de werknemersbijdrage pensioen in procenten van het brutoloon.
+   * @param {object} table resultaat van `loadYear()`
+   */
+  const calculate = ({ grossMonthly, holidayPay = true, thirteenthMonth = false, pensionRate = 0 }, table) => {
+    const monthly = Math.max(0, Number(grossMonthly) || 0);
+    const pensionShare = Math.min(Math.max(0, Number(pensionRate) || 0), 100) / 100;
+
+    const regularGross = monthly * 12;
+    const holidayGross = holidayPay ? regularGross * HOLIDAY_PAY_RATE : 0;
+    const thirteenthGross = thirteenthMonth ? monthly : 0;
+    const extraGross = holidayGross + thirteenthGross;
+    const totalGross = regularGross + extraGross;
+
+    const regular = wageTax(regularGross * (1 - pensionShare), table);
+    const total = wageTax(totalGross * (1 - pensionShare), table);
+
+    const regularNet = regularGross * (1 - pensionShare) - regular.payable;
+    const extraNet = extraGross * (1 - pensionShare) - (total.payable - regular.payable);
+    const extraShare = (gross) => (extraGross > 0 ? extraNet * (gross / extraGross) : 0);
+
+    return {
+      year: table.year,
+      gross: {
+        monthly: roundCents(monthly),
+        holidayPay: roundCents(holidayGross),
+        thirteenthMonth: roundCents(thirteenthGross),
+        yearly: roundCents(totalGross)
+      },
+      pension: roundCents(totalGross * pensionShare),
+      incomeTax: roundCents(total.tax),
+      credits: roundCents(total.credits),
+      wageTax: roundCents(total.payable),
+      net: {
+        monthly: roundCents(regularNet / 12),
+        holidayPay: roundCents(extraShare(holidayGross)),
+        thirteenthMonth: roundCents(extraShare(thirteenthGross)),
+        extraPerMonth: roundCents(extraNet / 12),
+        yearly: roundCents(regularNet + extraNet)
+      }
+    };
+  };
+
+  window.NLrekentools = window.NLrekentools || {};
+  window.NLrekentools.netSalary = { loadYears, loadYear, defaultYear, calculate, HOLIDAY_PAY_RATE };
+})();
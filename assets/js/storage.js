@@ -0,0 +1,174 @@
+// Gedeelde opslag voor de tools in localStorage. Iedere sleutel bewaart `{ schema, data }`; bij het laden
+// wordt oudere data stap voor stap gemigreerd en daarna gecontroleerd. Data die dat niet overleeft gaat
+// naar een quarantainekopie onder `<sleutel>__quarantine`, zodat niets ongemerkt verloren gaat.
+// Laden vóór het script van de tool; main.js laadt dit bestand zelf voor het terugzetten van een back-up.
+(() => {
+  const QUARANTINE_SUFFIX = '__quarantine';
+  const RESTORE_SUFFIX = '__restore';
+  const MAX_QUARANTINE = 3;
+
+  const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  // Oude data zonder omhulsel telt als versie 0
+  const unwrap = (parsed) => (isPlainObject(parsed) && Number.isInteger(parsed.schema) && 'data' in parsed
+    ? { version: parsed.schema, data: parsed.data }
+    : { version: 0, data: parsed });
+
+  const quarantineKey = (key) => `${key}${QUARANTINE_SUFFIX}`;
+  const restoreKey = (key) => `${key}${RESTORE_SUFFIX}`;
+
+  /**
+   * Leest een sleutel zonder te migreren, bijvoorbeeld voor een back-up.
+   * Geeft `{ schema, data }` of null als er niets staat; gooit een fout als de inhoud geen JSON is.
+   */
+  const read = (key) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return null;
+    const { version, data } = unwrap(JSON.parse(raw));
+    return { schema: version, data };
+  };
+
+  /**
+   * Zet data uit een back-up terug in zijn eigen schemaversie; de tool migreert hem bij het volgende laden.
+   * Met `mode` 'merge' blijft de huidige data staan en voegt de `merge()` van de tool de back-up er dan aan toe.
+   */
+  const restore = (key, { schema, data }, mode = 'replace') => {
+    const envelope = JSON.stringify({ schema, data });
+    if (mode === 'merge') {
+      localStorage.setItem(restoreKey(key), envelope);
+      return;
+    }
+    localStorage.removeItem(restoreKey(key));
+    localStorage.setItem(key, envelope);
+  };
+
+  const readQuarantine = (key) => {
+    try {
+      const entries = JSON.parse(localStorage.getItem(quarantineKey(key)) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  // Nieuwste kopie eerst; alleen de laatste paar blijven bewaard
+  const quarantine = (key, raw, error) => {
+    const entry = { savedAt: new Date().toISOString(), reason: error?.message || String(error), raw };
+    try {
+      localStorage.setItem(quarantineKey(key), JSON.stringify([entry, ...readQuarantine(key)].slice(0, MAX_QUARANTINE)));
+    } catch (storageError) {
+      console.warn(`Quarantainekopie van ${key} kon niet worden bewaard`, storageError);
+    }
+    console.error(`Opgeslagen gegevens in ${key} zijn onleesbaar en in quarantaine gezet`, error);
+  };
+
+  /**
+   * Maakt een opslag voor één sleutel.
+   * `migrations[i]` zet data van versie i om naar versie i + 1, dus `migrations.length` moet gelijk zijn aan
+   * `version`. `validate(data)` gooit een fout als de data na het migreren onbruikbaar is en geeft anders
+   * de (eventueel opgeschoonde) data terug. `merge(current, incoming)` voegt een teruggezette back-up samen met
+   * wat er al stond; beide zijn dan al gemigreerd naar `version`.
+   *
+   * @param {{ key: string, version: number, migrations?: Array<(data: any) => any>, validate?: (data: any) => any, merge?: (current: any, incoming: any) => any }} options
+   */
+  const createStore = ({ key, version, migrations = [], validate = (data) => data, merge = (current, incoming) => incoming }) => {
+    if (migrations.length !== version) {
+      throw new Error(`${key}: verwacht ${version} migraties, kreeg er ${migrations.length}`);
+    }
+
+    const upgrade = (data, fromVersion) => {
+      if (fromVersion > version) throw new Error(`Schemaversie ${fromVersion} is nieuwer dan deze tool (${version})`);
+      let migrated = data;
+      for (let step = fromVersion; step < version; step += 1) {
+        migrated = migrations[step](migrated);
+      }
+      return validate(migrated);
+    };
+
+    const save = (data) => {
+      try {
+        localStorage.setItem(key, JSON.stringify({ schema: version, data }));
+        return true;
+      } catch (error) {
+        console.warn(`${key} kon niet worden opgeslagen`, error);
+        return false;
+      }
+    };
+
+    const loadCurrent = () => {
+      let raw;
+      try {
+        raw = localStorage.getItem(key);
+      } catch (error) {
+        console.warn(`${key} kon niet worden gelezen`, error);
+        return { status: 'empty', data: null };
+      }
+      if (raw === null) return { status: 'empty', data: null };
+
+      try {
+        const { version: fromVersion, data } = unwrap(JSON.parse(raw));
+        const upgraded = upgrade(data, fromVersion);
+        if (fromVersion < version) save(upgraded);
+        return { status: fromVersion < version ? 'migrated' : 'ok', data: upgraded, fromVersion };
+      } catch (error) {
+        quarantine(key, raw, error);
+        return { status: 'quarantined', data: null, error };
+      }
+    };
+
+    // Een back-up die samengevoegd moet worden, wacht onder `<sleutel>__restore` tot de tool laadt
+    const applyPendingMerge = (current) => {
+      let raw;
+      try {
+        raw = localStorage.getItem(restoreKey(key));
+        if (raw === null) return null;
+        localStorage.removeItem(restoreKey(key));
+      } catch (error) {
+        return null;
+      }
+
+      try {
+        const { version: fromVersion, data } = unwrap(JSON.parse(raw));
+        const incoming = upgrade(data, fromVersion);
+        const merged = current.data ? validate(merge(current.data, incoming)) : incoming;
+        save(merged);
+        return { status: 'restored', data: merged, fromVersion };
+      } catch (error) {
+        quarantine(key, raw, error);
+        return null;
+      }
+    };
+
+    /**
+     * Leest, migreert en controleert de opgeslagen data.
+     * `status` is 'empty', 'ok', 'migrated' (en meteen in de nieuwe versie bewaard), 'restored' (samengevoegd
+     * met een back-up) of 'quarantined'.
+     */
+    const load = () => {
+      const current = loadCurrent();
+      return applyPendingMerge(current) || current;
+    };
+
+    const remove = () => {
+      try {
+        localStorage.removeItem(key);
+      } catch (error) {
+        console.warn(`${key} kon niet worden verwijderd`, error);
+      }
+    };
+
+    return {
+      key,
+      version,
+      load,
+      save,
+      remove,
+      upgrade,
+      quarantined: () => readQuarantine(key),
+      clearQuarantine: () => localStorage.removeItem(quarantineKey(key))
+    };
+  };
+
+  window.NLrekentools = window.NLrekentools || {};
+  window.NLrekentools.storage = { createStore, isPlainObject, read, restore };
+})();
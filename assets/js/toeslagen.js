@@ -0,0 +1,109 @@
+// Schatting van zorgtoeslag, huurtoeslag en kindgebonden budget met de tabellen uit /assets/data/toeslagen.
+// Een nieuw jaar is alleen een nieuw JSON-bestand plus het jaartal in index.json.
+// Laden na /assets/js/data-loader.js.
+(() => {
+  const roundCents = (value) => Math.round(value * 100) / 100;
+
+  const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const isRate = (value) => isAmount(value) && value < 1;
+  const isPair = (pair, check, keys = ['single', 'partner']) => Boolean(pair) && keys.every((key) => check(pair[key]));
+
+  // Een kapot of onvolledig databestand mag geen onzinbedragen opleveren
+  const validateTable = (table, year) => {
+    const zorg = table?.zorgtoeslag;
+    const huur = table?.huurtoeslag;
+    const kind = table?.kindgebondenBudget;
+    const valid = table
+      && table.year === year
+      && zorg && isAmount(zorg.standardPremium) && isAmount(zorg.thresholdIncome) && isRate(zorg.incomeRate)
+      && isPair(zorg.thresholdShare, isRate) && isPair(zorg.maxIncome, isAmount) && isPair(zorg.maxAssets, isAmount)
+      && huur && isAmount(huur.qualityLimit) && isRate(huur.cappedShare) && isAmount(huur.minimumBasicRent)
+      && isPair(huur.cappingLimit, isAmount, ['small', 'large'])
+      && isPair(huur.basicRentThreshold, isAmount) && isPair(huur.basicRentRate, isRate) && isPair(huur.maxAssets, isAmount)
+      && kind && isAmount(kind.perChild) && isAmount(kind.age12to15) && isAmount(kind.age16to17) && isAmount(kind.singleParent)
+      && isPair(kind.threshold, isAmount) && isRate(kind.phaseOutRate) && isPair(kind.maxAssets, isAmount);
+    if (!valid) throw new Error(`Toeslaggegevens voor ${year} zijn onvolledig`);
+    return table;
+  };
+
+  const { loadYears, loadYear, defaultYear } = window.NLrekentools.data.createLoader({
+    path: '/assets/data/toeslagen/',
+    storageKey: 'bt_toeslagen_tables_v1',
+    validate: validateTable
+  });
+
+  // Bedragen per jaar; het resultaat wordt per maand teruggegeven
+  const zorgtoeslag = ({ type, income, assets }, rules) => {
+    if (income > rules.maxIncome[type] || assets > rules.maxAssets[type]) return 0;
+    const premiums = rules.standardPremium * (type === 'partner' ? 2 : 1);
+    const normPremium = rules.thresholdShare[type] * rules.thresholdIncome
+      + rules.incomeRate * Math.max(0, income - rules.thresholdIncome);
+    return Math.max(0, premiums - normPremium);
+  };
+
+  /**
+   * Huurtoeslag per jaar: tot de kwaliteitskortingsgrens wordt alles boven de basishuur vergoed,
+   * daarboven tot de aftoppingsgrens alleen `cappedShare`.
+   */
+  const huurtoeslag = ({ type, income, assets, rent, householdSize }, rules) => {
+    if (rent <= 0 || assets > rules.maxAssets[type]) return 0;
+    const basicRent = rules.minimumBasicRent
+      + rules.basicRentRate[type] * Math.max(0, income - rules.basicRentThreshold[type]) / 12;
+    const cappedRent = Math.min(rent, rules.cappingLimit[householdSize > 2 ? 'large' : 'small']);
+    const full = Math.max(0, Math.min(cappedRent, rules.qualityLimit) - basicRent);
+    const partial = Math.max(0, cappedRent - Math.max(rules.qualityLimit, basicRent)) * rules.cappedShare;
+    return (full + partial) * 12;
+  };
+
+  const kindgebondenBudget = ({ type, income, assets, children }, rules) => {
+    const count = children.under12 + children.age12to15 + children.age16to17;
+    if (count === 0 || assets > rules.maxAssets[type]) return 0;
+    const maximum = count * rules.perChild
+      + children.age12to15 * rules.age12to15
+      + children.age16to17 * rules.age16to17
+      + (type === 'single' ? rules.singleParent : 0);
+    return Math.max(0, maximum - Math.max(0, income - rules.threshold[type]) * rules.phaseOutRate);
+  };
+
+  const toCount = (value) => Math.max(0, Math.floor(Number(value) || 0));
+  const toAmount = (value) => Math.max(0, Number(value) || 0);
+
+  /**
+   * Schat de toeslagen per maand.
+   *
+   * @param {{ partner?: boolean, income: number, rent?: number, assets?: number,
+   *   children?: { under12?: number, age12to15?: number, age16to17?: number } }} input
+   *   `income` is het gezamenlijke toetsingsinkomen per jaar, `rent` de huur inclusief
+   *   servicekosten per maand en `assets` het vermogen op 1 januari.
+   * @param {object} table resultaat van `loadYear()`
+   */
+  const estimate = ({ partner = false, income, rent = 0, assets = 0, children = {} }, table) => {
+    const household = {
+      type: partner ? 'partner' : 'single',
+      income: toAmount(income),
+      rent: toAmount(rent),
+      assets: toAmount(assets),
+      children: {
+        under12: toCount(children.under12),
+        age12to15: toCount(children.age12to15),
+        age16to17: toCount(children.age16to17)
+      }
+    };
+    household.householdSize = (partner ? 2 : 1)
+      + household.children.under12 + household.children.age12to15 + household.children.age16to17;
+
+    const perMonth = {
+      zorgtoeslag: roundCents(zorgtoeslag(household, table.zorgtoeslag) / 12),
+      huurtoeslag: roundCents(huurtoeslag(household, table.huurtoeslag) / 12),
+      kindgebondenBudget: roundCents(kindgebondenBudget(household, table.kindgebondenBudget) / 12)
+    };
+    return {
+      year: table.year,
+      ...perMonth,
+      total: roundCents(perMonth.zorgtoeslag + perMonth.huurtoeslag + perMonth.kindgebondenBudget)
+    };
+  };
+
+  window.NLrekentools = window.NLrekentools || {};
+  window.NLrekentools.toeslagen = { loadYears, loadYear, defaultYear, estimate };
+})();
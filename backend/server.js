@@ -1,90 +1,254 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const { createStorage } = require('./storage');
+const { validateBudget, MAX_BUDGET_BYTES } = require('./validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DB_PATH = path.join(__dirname, 'db.json');
 
+const BUDGET_META_FIELDS = ['id', 'revision', 'createdAt', 'updatedAt'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Budgetten van voor de multi-budget API hebben nog geen id of revisie
+function ensureBudgetIds(db) {
+  if (!Array.isArray(db.budgets)) {
+    db.budgets = [];
+  }
+  let highestId = 0;
+  db.budgets.forEach((budget) => {
+    if (Number.isInteger(budget.id) && budget.id > highestId) {
+      highestId = budget.id;
+    }
+  });
+  db.budgets.forEach((budget) => {
+    if (!Number.isInteger(budget.id)) {
+      highestId += 1;
+      budget.id = highestId;
+    }
+    if (!Number.isInteger(budget.revision) || budget.revision < 1) {
+      budget.revision = 1;
+    }
+  });
+  if (!Number.isInteger(db.nextBudgetId) || db.nextBudgetId <= highestId) {
+    db.nextBudgetId = highestId + 1;
+  }
+  return db;
+}
+
+function stripBudgetMeta(body) {
+  const fields = { ...body };
+  BUDGET_META_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+}
+
+// Stuurt een 422 met fouten per veld terug; geeft false als de payload ongeldig is
+function checkBudgetPayload(req, res, options) {
+  const errors = validateBudget(req.body, options);
+  if (errors.length > 0) {
+    res.status(422).json({ error: 'Invalid budget payload', errors });
+    return false;
+  }
+  return true;
+}
+
+function parseBudgetId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'Invalid budget id' });
+    return null;
+  }
+  return id;
+}
+
+function findBudgetIndex(db, id) {
+  return db.budgets.findIndex((budget) => budget.id === id);
+}
+
+// De revisie gaat als ETag mee, zodat clients met If-Match kunnen zien of de servercopie intussen is gewijzigd
+function sendBudget(res, status, budget) {
+  res.set('ETag', `"${budget.revision}"`).status(status).json(budget);
+}
+
+function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+  const revision = Number(header.replace(/^W\//, '').replace(/"/g, '').trim());
+  return Number.isInteger(revision) ? revision : NaN;
+}
+
+const db = createStorage(DB_PATH, {
+  defaults: { budgets: [], userCount: 0 },
+  normalize: ensureBudgetIds
+});
+
 // Serve static files from the parent directory
 app.use(express.static(path.join(__dirname, '..')));
-app.use(express.json());
+app.use(express.json({ limit: MAX_BUDGET_BYTES }));
 
 // API endpoint to increment user count
-app.post('/api/visit', (req, res) => {
-  fs.readFile(DB_PATH, 'utf8', (err, data) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).send('Error reading database');
-    }
-    const db = JSON.parse(data);
-    db.userCount++;
-    fs.writeFile(DB_PATH, JSON.stringify(db, null, 2), (err) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Error writing to database');
-      }
-      res.status(200).send({ userCount: db.userCount });
+app.post('/api/visit', async (req, res) => {
+  try {
+    const userCount = await db.update((data) => {
+      data.userCount = (Number(data.userCount) || 0) + 1;
+      return data.userCount;
     });
-  });
+    res.status(200).send({ userCount });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error writing to database');
+  }
 });
 
 // API endpoint to get user count
-app.get('/api/stats', (req, res) => {
-  fs.readFile(DB_PATH, 'utf8', (err, data) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).send('Error reading database');
-    }
-    const db = JSON.parse(data);
-    res.status(200).send({ userCount: db.userCount });
-  });
+app.get('/api/stats', async (req, res) => {
+  try {
+    const data = await db.read();
+    res.status(200).send({ userCount: data.userCount });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error reading database');
+  }
+});
+
+// API endpoint om alle budgetten op te halen
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const data = await db.read();
+    res.status(200).json(data.budgets);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error reading database');
+  }
+});
+
+// API endpoint om een nieuw budget aan te maken
+app.post('/api/budgets', async (req, res) => {
+  if (!isPlainObject(req.body)) {
+    return res.status(400).json({ error: 'Request body must be a JSON object' });
+  }
+  if (!checkBudgetPayload(req, res)) return;
+  try {
+    const budget = await db.update((data) => {
+      const now = new Date().toISOString();
+      const created = {
+        ...stripBudgetMeta(req.body),
+        id: data.nextBudgetId,
+        revision: 1,
+        createdAt: now,
+        updatedAt: now
+      };
+      data.budgets.push(created);
+      data.nextBudgetId += 1;
+      return created;
+    });
+    res.location(`/api/budgets/${budget.id}`);
+    sendBudget(res, 201, budget);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error writing to database');
+  }
 });
 
 // API endpoint om budgetgegevens op te halen
-app.get('/api/budgets/1', (req, res) => {
-  fs.readFile(DB_PATH, 'utf8', (err, data) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).send('Error reading database');
-    }
-    const db = JSON.parse(data);
-    const budget = db.budgets ? db.budgets[0] : null; // Uitgaande van budget op index 0 voor ID 1
-    if (budget) {
-      res.status(200).json(budget);
-    } else {
-      res.status(404).send('Budget not found');
+app.get('/api/budgets/:id', async (req, res) => {
+  const id = parseBudgetId(req, res);
+  if (id === null) return;
+  try {
+    const data = await db.read();
+    const index = findBudgetIndex(data, id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Budget not found' });
     }
-  });
+    sendBudget(res, 200, data.budgets[index]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error reading database');
+  }
 });
 
-// API endpoint om budgetgegevens bij te werken
-app.put('/api/budgets/1', (req, res) => {
-  const updatedBudget = req.body;
-  fs.readFile(DB_PATH, 'utf8', (err, data) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).send('Error reading database');
-    }
-    const db = JSON.parse(data);
-    if (!db.budgets) {
-      db.budgets = [];
+// PUT vervangt de volledige inhoud, PATCH voegt alleen de meegestuurde velden samen
+async function updateBudget(req, res, { merge }) {
+  const id = parseBudgetId(req, res);
+  if (id === null) return;
+  if (!isPlainObject(req.body)) {
+    return res.status(400).json({ error: 'Request body must be a JSON object' });
+  }
+  if (!checkBudgetPayload(req, res, { partial: merge })) return;
+  const expectedRevision = parseIfMatch(req);
+  try {
+    const result = await db.update((data) => {
+      const index = findBudgetIndex(data, id);
+      if (index === -1) return { status: 404 };
+      const existing = data.budgets[index];
+      if (expectedRevision !== null && expectedRevision !== existing.revision) {
+        return { status: 412, budget: existing };
+      }
+      const base = merge ? stripBudgetMeta(existing) : {};
+      const updated = {
+        ...base,
+        ...stripBudgetMeta(req.body),
+        id: existing.id,
+        revision: existing.revision + 1,
+        createdAt: existing.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      data.budgets[index] = updated;
+      return { status: 200, budget: updated };
+    });
+    if (result.status === 404) {
+      return res.status(404).json({ error: 'Budget not found' });
     }
-    // Uitgaande dat we altijd het eerste budget bijwerken/aanmaken voor ID 1
-    if (db.budgets.length === 0) {
-      db.budgets.push(updatedBudget);
-    } else {
-      db.budgets[0] = updatedBudget;
+    if (result.status === 412) {
+      return res
+        .set('ETag', `"${result.budget.revision}"`)
+        .status(412)
+        .json({ error: 'Budget was changed since it was last fetched', budget: result.budget });
     }
+    sendBudget(res, 200, result.budget);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error writing to database');
+  }
+}
 
-    fs.writeFile(DB_PATH, JSON.stringify(db, null, 2), (err) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Error writing to database');
-      }
-      res.status(200).json(updatedBudget);
+// API endpoint om budgetgegevens bij te werken
+app.put('/api/budgets/:id', (req, res) => updateBudget(req, res, { merge: false }));
+app.patch('/api/budgets/:id', (req, res) => updateBudget(req, res, { merge: true }));
+
+// API endpoint om een budget te verwijderen
+app.delete('/api/budgets/:id', async (req, res) => {
+  const id = parseBudgetId(req, res);
+  if (id === null) return;
+  try {
+    const removed = await db.update((data) => {
+      const index = findBudgetIndex(data, id);
+      if (index === -1) return false;
+      data.budgets.splice(index, 1);
+      return true;
     });
-  });
+    if (!removed) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error writing to database');
+  }
+});
+
+// Fouten van express.json() krijgen dezelfde JSON-vorm als de andere API-fouten in plaats van een HTML-pagina
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body must be at most ${err.limit} bytes` });
+  }
+  next(err);
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,132 @@
+// Opslaglaag voor db.json: in-memory cache, schrijfacties na elkaar en atomaire saves
+const fs = require('fs/promises');
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Maakt een opslag voor één JSON-bestand.
+ *
+ * - Alle wijzigingen lopen via één wachtrij, zodat gelijktijdige requests elkaar niet overschrijven.
+ * - Er wordt eerst naar een tijdelijk bestand geschreven en daarna hernoemd, zodat een crash
+ *   nooit een half geschreven db.json achterlaat.
+ * - Na iedere geslaagde save staat dezelfde inhoud in `<bestand>.bak`. Is het hoofdbestand
+ *   onleesbaar, dan wordt die snapshot geladen en blijft het kapotte bestand bewaard als
+ *   `<bestand>.corrupt-<tijdstip>`.
+ *
+ * Het bestand wordt één keer ingelezen; handmatige wijzigingen terwijl de server draait worden niet opgepikt.
+ *
+ * @param {string} filePath
+ * @param {{ defaults?: object, normalize?: (data: object) => object }} [options]
+ */
+function createStorage(filePath, { defaults = {}, normalize = (data) => data } = {}) {
+  const backupPath = `${filePath}.bak`;
+  let cache = null;
+  let serializedCache = null;
+  let queue = Promise.resolve();
+
+  async function readJson(path) {
+    const raw = await fs.readFile(path, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`${path} does not contain a JSON object`);
+    }
+    return parsed;
+  }
+
+  async function writeAtomic(path, contents) {
+    const tempPath = `${path}.tmp-${process.pid}`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(contents, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, path);
+  }
+
+  async function persist(data) {
+    const contents = JSON.stringify(data, null, 2);
+    await writeAtomic(filePath, contents);
+    cache = data;
+    serializedCache = contents;
+    try {
+      await writeAtomic(backupPath, contents);
+    } catch (err) {
+      console.error('Snapshot could not be written', err);
+    }
+  }
+
+  async function quarantine() {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    try {
+      await fs.rename(filePath, corruptPath);
+      console.error(`Unreadable database moved to ${corruptPath}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(err);
+    }
+  }
+
+  async function load() {
+    try {
+      const data = normalize(await readJson(filePath));
+      cache = data;
+      serializedCache = JSON.stringify(data, null, 2);
+      return;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Database could not be read, trying last good snapshot', err);
+        await quarantine();
+      }
+    }
+
+    let recovered;
+    try {
+      recovered = await readJson(backupPath);
+      console.error(`Database restored from ${backupPath}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Snapshot could not be read either', err);
+      recovered = clone(defaults);
+    }
+    await persist(normalize(recovered));
+  }
+
+  function enqueue(task) {
+    const run = queue.then(async () => {
+      if (cache === null) await load();
+      return task();
+    });
+    // Een mislukte taak mag de wachtrij niet blokkeren
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    /** Geeft een kopie van de huidige gegevens. */
+    read() {
+      return enqueue(() => clone(cache));
+    },
+
+    /**
+     * Past de gegevens aan via `mutator(draft)` en slaat ze daarna op.
+     * Gooit de mutator een fout, dan blijft alles ongewijzigd. Er wordt alleen geschreven als er iets veranderd is.
+     * @template T
+     * @param {(draft: object) => T} mutator
+     * @returns {Promise<T>}
+     */
+    update(mutator) {
+      return enqueue(async () => {
+        const draft = clone(cache);
+        const result = mutator(draft);
+        if (JSON.stringify(draft, null, 2) !== serializedCache) {
+          await persist(draft);
+        }
+        return result;
+      });
+    }
+  };
+}
+
+module.exports = { createStorage };
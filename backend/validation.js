@@ -0,0 +1,260 @@
+// Validatie van budgetpayloads, gelijk aan de vorm die saveState() in de budgetcalculator opslaat
+
+const CURRENCIES = ['€', '$', '£'];
+const ROW_KINDS = ['fixed', 'variable'];
+const MAX_ROWS = 500;
+const MAX_TEXT_LENGTH = 500;
+const MAX_NAME_LENGTH = 120;
+// Grens voor een heel budget als JSON; server.js gebruikt dezelfde grens voor express.json(), zodat een
+// budget dat hier goedgekeurd wordt nooit al bij het inlezen als te groot wordt geweigerd
+const MAX_BUDGET_BYTES = 2 * 1024 * 1024;
+
+// Velden die de server zelf beheert; meegestuurde waarden worden genegeerd
+const META_FIELDS = ['id', 'revision', 'createdAt', 'updatedAt'];
+// `income` en `extraIncome` komen uit budgetten van vóór de inkomstenlijst `incomes`
+const BUDGET_FIELDS = ['name', 'income', 'extraIncome', 'incomes', 'currency', 'rows', 'method', 'members', 'splitMode', 'activePeriod', 'periods'];
+const SPLIT_MODES = ['proportional', 'equal'];
+const MAX_MEMBERS = 20;
+const BUDGET_METHODS = ['', '50-30-20', 'envelope', 'zero-based'];
+const ROW_BUCKETS = ['', 'needs', 'wants', 'savings'];
+const PERIOD_FIELDS = ['income', 'extraIncome', 'incomes', 'rows'];
+const PERIOD_KEY = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_PERIODS = 120;
+const REQUIRED_FIELDS = ['currency', 'rows'];
+const INCOME_FIELDS = ['name', 'amount', 'frequency', 'dueMonth', 'owner', 'notes', 'noteHint'];
+const ROW_FIELDS = ['kind', 'category', 'amount', 'notes', 'noteHint'];
+// Later toegevoegde rijvelden; oudere budgetten hebben ze nog niet
+const OPTIONAL_ROW_FIELDS = ['id', 'target', 'bucket', 'frequency', 'dueMonth', 'owner', 'paidBy'];
+const ROW_FREQUENCIES = ['weekly', 'four-weekly', 'monthly', 'quarterly', 'yearly', 'once'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Bedragen komen als getal of als waarde van een <input type="number"> binnen; leeg is toegestaan
+function checkAmount(value, field, errors) {
+  if (value === '') return;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    errors.push({ field, message: 'Must be a number or an empty string' });
+  } else if (number < 0) {
+    errors.push({ field, message: 'Must not be negative' });
+  }
+}
+
+function checkText(value, field, errors, maxLength = MAX_TEXT_LENGTH) {
+  if (typeof value !== 'string') {
+    errors.push({ field, message: 'Must be a string' });
+  } else if (value.length > maxLength) {
+    errors.push({ field, message: `Must be at most ${maxLength} characters` });
+  }
+}
+
+function validateRow(row, prefix, errors) {
+  if (!isPlainObject(row)) {
+    errors.push({ field: prefix, message: 'Must be an object' });
+    return;
+  }
+  Object.keys(row).forEach((key) => {
+    if (!ROW_FIELDS.includes(key) && !OPTIONAL_ROW_FIELDS.includes(key)) {
+      errors.push({ field: `${prefix}.${key}`, message: 'Unknown field' });
+    }
+  });
+  ROW_FIELDS.forEach((key) => {
+    if (!(key in row)) {
+      errors.push({ field: `${prefix}.${key}`, message: 'Is required' });
+    }
+  });
+  if ('id' in row && (typeof row.id !== 'string' || row.id === '' || row.id.length > MAX_NAME_LENGTH)) {
+    errors.push({ field: `${prefix}.id`, message: `Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if ('kind' in row && !ROW_KINDS.includes(row.kind)) {
+    errors.push({ field: `${prefix}.kind`, message: `Must be one of: ${ROW_KINDS.join(', ')}` });
+  }
+  if ('category' in row) checkText(row.category, `${prefix}.category`, errors);
+  if ('amount' in row) checkAmount(row.amount, `${prefix}.amount`, errors);
+  if ('target' in row) checkAmount(row.target, `${prefix}.target`, errors);
+  checkFrequency(row, prefix, errors);
+  checkOwners(row, prefix, errors);
+  if ('bucket' in row && !ROW_BUCKETS.includes(row.bucket)) {
+    errors.push({ field: `${prefix}.bucket`, message: `Must be one of: ${ROW_BUCKETS.join(', ')}` });
+  }
+  if ('notes' in row) checkText(row.notes, `${prefix}.notes`, errors);
+  if ('noteHint' in row) checkText(row.noteHint, `${prefix}.noteHint`, errors);
+}
+
+function checkFrequency(row, prefix, errors) {
+  if ('frequency' in row && !ROW_FREQUENCIES.includes(row.frequency)) {
+    errors.push({ field: `${prefix}.frequency`, message: `Must be one of: ${ROW_FREQUENCIES.join(', ')}` });
+  }
+  if ('dueMonth' in row && row.dueMonth !== '' && (typeof row.dueMonth !== 'string' || !PERIOD_KEY.test(row.dueMonth))) {
+    errors.push({ field: `${prefix}.dueMonth`, message: 'Must be a month in YYYY-MM format or an empty string' });
+  }
+}
+
+// Verwijzingen naar een persoon in het huishouden; leeg betekent gedeeld
+function checkOwners(item, prefix, errors) {
+  ['owner', 'paidBy'].forEach((key) => {
+    if (key in item) checkText(item[key], `${prefix}.${key}`, errors, MAX_NAME_LENGTH);
+  });
+}
+
+function validateMembers(members, errors) {
+  if (!Array.isArray(members)) {
+    errors.push({ field: 'members', message: 'Must be an array' });
+    return;
+  }
+  if (members.length > MAX_MEMBERS) {
+    errors.push({ field: 'members', message: `Must contain at most ${MAX_MEMBERS} members` });
+    return;
+  }
+  members.forEach((member, index) => {
+    const prefix = `members[${index}]`;
+    if (!isPlainObject(member)) {
+      errors.push({ field: prefix, message: 'Must be an object' });
+      return;
+    }
+    Object.keys(member).forEach((key) => {
+      if (!['id', 'name'].includes(key)) errors.push({ field: `${prefix}.${key}`, message: 'Unknown field' });
+    });
+    if (typeof member.id !== 'string' || member.id === '' || member.id.length > MAX_NAME_LENGTH) {
+      errors.push({ field: `${prefix}.id`, message: `Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+    checkText(member.name, `${prefix}.name`, errors, MAX_NAME_LENGTH);
+  });
+}
+
+function validateIncome(income, prefix, errors) {
+  if (!isPlainObject(income)) {
+    errors.push({ field: prefix, message: 'Must be an object' });
+    return;
+  }
+  Object.keys(income).forEach((key) => {
+    if (!INCOME_FIELDS.includes(key)) {
+      errors.push({ field: `${prefix}.${key}`, message: 'Unknown field' });
+    }
+  });
+  ['name', 'amount'].forEach((key) => {
+    if (!(key in income)) {
+      errors.push({ field: `${prefix}.${key}`, message: 'Is required' });
+    }
+  });
+  if ('name' in income) checkText(income.name, `${prefix}.name`, errors);
+  if ('amount' in income) checkAmount(income.amount, `${prefix}.amount`, errors);
+  checkFrequency(income, prefix, errors);
+  checkOwners(income, prefix, errors);
+  if ('notes' in income) checkText(income.notes, `${prefix}.notes`, errors);
+  if ('noteHint' in income) checkText(income.noteHint, `${prefix}.noteHint`, errors);
+}
+
+function validateIncomes(incomes, prefix, errors) {
+  if (!Array.isArray(incomes)) {
+    errors.push({ field: prefix, message: 'Must be an array' });
+  } else if (incomes.length > MAX_ROWS) {
+    errors.push({ field: prefix, message: `Must contain at most ${MAX_ROWS} incomes` });
+  } else {
+    incomes.forEach((income, index) => validateIncome(income, `${prefix}[${index}]`, errors));
+  }
+}
+
+function validateRows(rows, prefix, errors) {
+  if (!Array.isArray(rows)) {
+    errors.push({ field: prefix, message: 'Must be an array' });
+  } else if (rows.length > MAX_ROWS) {
+    errors.push({ field: prefix, message: `Must contain at most ${MAX_ROWS} rows` });
+  } else {
+    rows.forEach((row, index) => validateRow(row, `${prefix}[${index}]`, errors));
+  }
+}
+
+// Andere budgetmaanden, per sleutel "JJJJ-MM"
+function validatePeriods(periods, errors) {
+  if (!isPlainObject(periods)) {
+    errors.push({ field: 'periods', message: 'Must be an object' });
+    return;
+  }
+  const keys = Object.keys(periods);
+  if (keys.length > MAX_PERIODS) {
+    errors.push({ field: 'periods', message: `Must contain at most ${MAX_PERIODS} months` });
+    return;
+  }
+  keys.forEach((key) => {
+    const prefix = `periods.${key}`;
+    const period = periods[key];
+    if (!PERIOD_KEY.test(key)) {
+      errors.push({ field: prefix, message: 'Key must be a month in YYYY-MM format' });
+      return;
+    }
+    if (!isPlainObject(period)) {
+      errors.push({ field: prefix, message: 'Must be an object' });
+      return;
+    }
+    Object.keys(period).forEach((field) => {
+      if (!PERIOD_FIELDS.includes(field)) {
+        errors.push({ field: `${prefix}.${field}`, message: 'Unknown field' });
+      }
+    });
+    if ('income' in period) checkAmount(period.income, `${prefix}.income`, errors);
+    if ('extraIncome' in period) checkAmount(period.extraIncome, `${prefix}.extraIncome`, errors);
+    if ('incomes' in period) validateIncomes(period.incomes, `${prefix}.incomes`, errors);
+    validateRows(period.rows, `${prefix}.rows`, errors);
+  });
+}
+
+/**
+ * Controleert een budgetpayload en geeft een lijst met fouten per veld terug.
+ * Met `partial` (PATCH) zijn ontbrekende velden toegestaan.
+ * @param {unknown} payload
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateBudget(payload, { partial = false } = {}) {
+  const errors = [];
+  if (!isPlainObject(payload)) {
+    errors.push({ field: '', message: 'Request body must be a JSON object' });
+    return errors;
+  }
+
+  Object.keys(payload).forEach((key) => {
+    if (!BUDGET_FIELDS.includes(key) && !META_FIELDS.includes(key)) {
+      errors.push({ field: key, message: 'Unknown field' });
+    }
+  });
+  if (!partial) {
+    REQUIRED_FIELDS.forEach((key) => {
+      if (!(key in payload)) {
+        errors.push({ field: key, message: 'Is required' });
+      }
+    });
+    if (!('incomes' in payload) && !('income' in payload)) {
+      errors.push({ field: 'incomes', message: 'Is required' });
+    }
+  }
+
+  if ('name' in payload) checkText(payload.name, 'name', errors, MAX_NAME_LENGTH);
+  if ('income' in payload) checkAmount(payload.income, 'income', errors);
+  if ('extraIncome' in payload) checkAmount(payload.extraIncome, 'extraIncome', errors);
+  if ('incomes' in payload) validateIncomes(payload.incomes, 'incomes', errors);
+  if ('currency' in payload && !CURRENCIES.includes(payload.currency)) {
+    errors.push({ field: 'currency', message: `Must be one of: ${CURRENCIES.join(', ')}` });
+  }
+  if ('rows' in payload) validateRows(payload.rows, 'rows', errors);
+  if ('method' in payload && !BUDGET_METHODS.includes(payload.method)) {
+    errors.push({ field: 'method', message: `Must be one of: ${BUDGET_METHODS.filter(Boolean).join(', ')} or an empty string` });
+  }
+  if ('members' in payload) validateMembers(payload.members, errors);
+  if ('splitMode' in payload && !SPLIT_MODES.includes(payload.splitMode)) {
+    errors.push({ field: 'splitMode', message: `Must be one of: ${SPLIT_MODES.join(', ')}` });
+  }
+  if ('activePeriod' in payload && (typeof payload.activePeriod !== 'string' || !PERIOD_KEY.test(payload.activePeriod))) {
+    errors.push({ field: 'activePeriod', message: 'Must be a month in YYYY-MM format' });
+  }
+  if ('periods' in payload) validatePeriods(payload.periods, errors);
+  if (Buffer.byteLength(JSON.stringify(payload)) > MAX_BUDGET_BYTES) {
+    errors.push({ field: '', message: `Must be at most ${MAX_BUDGET_BYTES} bytes as JSON` });
+  }
+
+  return errors;
+}
+
+module.exports = { validateBudget, MAX_BUDGET_BYTES };
@@ -1,6 +1,78 @@
 declare function require(name: string): any;
+declare const __dirname: string;
 const assert = require('assert');
-import { calculateSavingsScenario } from '../tools/savings-goal-calculator/script';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { validateBudget, MAX_BUDGET_BYTES } = require('../backend/validation');
+import {
+  allocateSavingsGoals,
+  calculateSavingsScenario,
+  computeMonthlyRate,
+  createSeededRandom,
+  estimateBox3Tax,
+  sanitiseStoredState,
+  simulateInvestment,
+} from '../tools/savings-goal-calculator/script';
+
+function budgetWithRows(count: number) {
+  const rows = Array.from({ length: count }, (_, index) => ({
+    kind: 'fixed',
+    category: `Post ${index + 1}`,
+    amount: 10,
+    notes: '',
+    noteHint: '',
+  }));
+  return { currency: '€', income: 2500, extraIncome: 0, rows };
+}
+
+const quietConsole = { log: () => {}, warn: () => {}, error: () => {} };
+
+function createMemoryStorage(initial: Record<string, string> = {}) {
+  const items = new Map<string, string>(Object.entries(initial));
+  return {
+    getItem: (key: string) => (items.has(key) ? items.get(key) : null),
+    setItem: (key: string, value: string) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key: string) => {
+      items.delete(key);
+    },
+  };
+}
+
+function loadBrowserModule(file: string, globals: Record<string, any> = {}) {
+  const window = globals.window || {};
+  const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+  vm.runInNewContext(source, { console: quietConsole, localStorage: createMemoryStorage(), ...globals, window });
+  return window.NLrekentools;
+}
+
+function loadCategorizer(localStorage = createMemoryStorage()) {
+  return loadBrowserModule('assets/js/categorizer.js', { localStorage }).rules;
+}
+
+function readBudgetDefaultRules() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'tools/budget-calculator/script.js'), 'utf8');
+  const literal = source.match(/const DEFAULT_CATEGORY_RULES = (\[[\s\S]*?\n\]);/);
+  return vm.runInNewContext(literal[1]);
+}
+
+function readDataTable(folder: string, year: number) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'assets/data', folder, `${year}.json`), 'utf8'));
+}
+
+function loadDataModule(file: string, name: string) {
+  const loaderOptions: any[] = [];
+  const window = {
+    NLrekentools: { data: { createLoader: (options: any) => { loaderOptions.push(options); return {}; } } },
+  };
+  return { module: loadBrowserModule(file, { window })[name], validateTable: loaderOptions[0].validate };
+}
+
+function fromContext(value: unknown) {
+  return JSON.parse(JSON.stringify(value));
+}
 
 type Mode = 'time' | 'monthly';
 
@@ -50,7 +122,7 @@ function runMonthlyScenario(
   });
 }
 
-(function main() {
+(async function main() {
   // Test 1
   const test1 = runTimeScenario(10_000, 0, 250, 0);
   assert(test1, 'Test 1 failed to produce a result');
@@ -87,5 +159,370 @@ function runMonthlyScenario(
     assert(test7.inflation.realEndingBalance < test7.projection[test7.projection.length - 1].endingBalance, 'Inflation-adjusted value should be lower');
   }
 
-  console.log('All savings calculator scenarios passed.');
+  // Test 8
+  assert.deepStrictEqual(validateBudget(budgetWithRows(500)), [], 'Test 8 500 rows should be accepted');
+  const test8 = validateBudget(budgetWithRows(501));
+  assert.deepStrictEqual(test8.map((error: any) => error.field), ['rows'], 'Test 8 more than 500 rows should be rejected');
+  const longText = { ...budgetWithRows(1), name: 'x'.repeat(121) };
+  assert.deepStrictEqual(validateBudget(longText).map((error: any) => error.field), ['name'], 'Test 8 names are limited to 120 characters');
+
+  // Test 9
+  const periods: Record<string, unknown> = {};
+  for (let month = 0; month < 121; month += 1) {
+    periods[`${2020 + Math.floor(month / 12)}-${String((month % 12) + 1).padStart(2, '0')}`] = { rows: [] };
+  }
+  const test9 = validateBudget({ ...budgetWithRows(1), periods });
+  assert.deepStrictEqual(test9.map((error: any) => error.field), ['periods'], 'Test 9 more than 120 months should be rejected');
+  delete periods['2030-01'];
+  assert.deepStrictEqual(validateBudget({ ...budgetWithRows(1), periods }), [], 'Test 9 120 months should be accepted');
+  const oversized = { ...budgetWithRows(500), periods: {} as Record<string, unknown> };
+  Object.keys(periods).forEach((key) => {
+    (oversized.periods as Record<string, unknown>)[key] = { rows: budgetWithRows(500).rows };
+  });
+  const test9Errors = validateBudget(oversized);
+  assert.strictEqual(test9Errors.length, 1, 'Test 9 only the size limit should fail');
+  assert(test9Errors[0].message.includes(String(MAX_BUDGET_BYTES)), 'Test 9 budgets larger than the request body limit should be rejected');
+
+  // Test 10
+  const defaultRules = loadCategorizer().createEngine({ storageKey: 'rules', defaults: readBudgetDefaultRules() });
+  const categoryOf = (description: string) => defaultRules.categorize({ description })?.category ?? null;
+  assert.strictEqual(categoryOf('Automatisch sparen naar Oranje Spaarrekening'), 'Noodbuffer', 'Test 10 "spar" should not match "sparen"');
+  assert.strictEqual(categoryOf('Dirk Jansen terugbetaling'), null, 'Test 10 a first name should not match a supermarket');
+  assert.strictEqual(categoryOf('PAYPAL *absolute'), null, 'Test 10 "bso" should not match inside a word');
+  assert.strictEqual(categoryOf('PayPal transaction fee'), null, 'Test 10 "action" should not match inside a word');
+  ['SPAR Utrecht', 'DIRK VDBROEK FIL 123', 'HEMA 1234 Amsterdam', 'Action 1712', 'Albert Heijn 1403'].forEach((description) => {
+    assert.strictEqual(categoryOf(description), 'Boodschappen & huishouden', `Test 10 ${description} should be groceries`);
+  });
+  assert.strictEqual(categoryOf('BSO De Boomhut'), 'Kinderopvang & school', 'Test 10 short terms should still match as a word');
+
+  // Test 11
+  const ruleStorage = createMemoryStorage();
+  const learningRules = loadCategorizer(ruleStorage).createEngine({ storageKey: 'rules', defaults: readBudgetDefaultRules() });
+  const test11 = learningRules.learn({ counterparty: 'Go 12 Utrecht' }, { category: 'Uit eten & vrije tijd', kind: 'variable' });
+  assert.strictEqual(test11.pattern, 'go ', 'Test 11 short names should be learned as a whole word');
+  assert.strictEqual(learningRules.categorize({ counterparty: 'GO 7 Amsterdam' }).category, 'Uit eten & vrije tijd', 'Test 11 a learned rule should win from the defaults');
+  assert.strictEqual(learningRules.categorize({ counterparty: 'Google One' }).category, 'Abonnementen & media', 'Test 11 a short learned name should not match inside a longer name');
+  learningRules.learn({ counterparty: 'GO 99 Utrecht' }, { category: 'Vervoer', kind: 'variable' });
+  assert.strictEqual(learningRules.list().filter((rule: any) => rule.source === 'learned').length, 1, 'Test 11 learning the same name again should update its rule');
+  const learnedShop = learningRules.learn({ counterparty: 'ALBERT HEIJN 1403 UTRECHT' }, { category: 'Boodschappen & huishouden' });
+  assert.strictEqual(learnedShop.pattern, 'albert heijn', 'Test 11 store numbers and places should not be learned');
+  const reloadedRules = loadCategorizer(ruleStorage).createEngine({ storageKey: 'rules', defaults: [] });
+  assert.strictEqual(reloadedRules.categorize({ counterparty: 'Go 3 Utrecht' }).category, 'Vervoer', 'Test 11 learned rules should be kept in localStorage');
+
+  // Test 12
+  const { module: netSalary, validateTable: validateTaxTable } = loadDataModule('assets/js/net-salary.js', 'netSalary');
+  const table2025 = validateTaxTable(readDataTable('nl-tax', 2025), 2025);
+  const test12 = netSalary.calculate({ grossMonthly: 3000, holidayPay: false }, table2025);
+  assert.strictEqual(test12.incomeTax, 12895.2, 'Test 12 income in the first bracket is taxed at the first rate');
+  assert.strictEqual(test12.credits, 8026.07, 'Test 12 general and labour credits should both apply');
+  assert.strictEqual(test12.wageTax, 4869.13, 'Test 12 credits should reduce the tax');
+  assert.strictEqual(test12.net.monthly, 2594.24, 'Test 12 unexpected net monthly salary');
+
+  // Test 13
+  const test13 = netSalary.calculate({ grossMonthly: 7000, holidayPay: false }, table2025);
+  assert.strictEqual(test13.incomeTax, 31708.48, 'Test 13 income should be split over all three brackets');
+  assert.strictEqual(test13.credits, 2934.52, 'Test 13 the general credit should be fully phased out');
+  assert.strictEqual(test13.wageTax, 28773.95, 'Test 13 unexpected wage tax');
+
+  // Test 14
+  const test14 = netSalary.calculate({ grossMonthly: 800, holidayPay: false }, table2025);
+  assert.strictEqual(test14.credits, test14.incomeTax, 'Test 14 credits should be capped at the tax');
+  assert.strictEqual(test14.wageTax, 0, 'Test 14 wage tax should not become negative');
+  assert.strictEqual(test14.net.yearly, 9600, 'Test 14 net should equal gross without wage tax');
+
+  // Test 15
+  const test15 = netSalary.calculate({ grossMonthly: 3000, holidayPay: true, pensionRate: 5 }, table2025);
+  assert.strictEqual(test15.gross.holidayPay, 2880, 'Test 15 holiday pay should be 8% of the yearly salary');
+  assert.strictEqual(test15.pension, 1944, 'Test 15 pension should be taken from all gross pay');
+  assert(test15.net.holidayPay > 0 && test15.net.holidayPay < 2880 * 0.95, 'Test 15 holiday pay should be taxed');
+
+  // Test 16
+  assert.throws(() => validateTaxTable({ ...table2025, brackets: [] }, 2025), 'Test 16 a tax table without brackets should be rejected');
+  assert.throws(() => validateTaxTable(table2025, 2024), 'Test 16 a tax table for another year should be rejected');
+
+  // Test 17
+  const { module: toeslagen, validateTable: validateAllowanceTable } = loadDataModule('assets/js/toeslagen.js', 'toeslagen');
+  const allowances2025 = validateAllowanceTable(readDataTable('toeslagen', 2025), 2025);
+  const noChildren = { under12: 0, age12to15: 0, age16to17: 0 };
+  const test17 = toeslagen.estimate({ partner: false, income: 24000, rent: 600, assets: 0, children: noChildren }, allowances2025);
+  assert.strictEqual(test17.zorgtoeslag, 131.52, 'Test 17 unexpected zorgtoeslag for a single person');
+  assert.strictEqual(test17.huurtoeslag, 191.88, 'Test 17 rent above the basic rent should be covered up to the quality limit');
+  assert.strictEqual(test17.kindgebondenBudget, 0, 'Test 17 there is no kindgebonden budget without children');
+  assert.strictEqual(test17.total, 323.4, 'Test 17 the total should add up all allowances');
+  const highRent = toeslagen.estimate({ partner: false, income: 24000, rent: 900, assets: 0, children: noChildren }, allowances2025);
+  assert.strictEqual(highRent.huurtoeslag, 245.8, 'Test 17 rent above the capping limit should not raise huurtoeslag');
+
+  // Test 18
+  const familyChildren = { under12: 1, age12to15: 1, age16to17: 0 };
+  const test18 = toeslagen.estimate({ partner: true, income: 45000, rent: 0, assets: 0, children: familyChildren }, allowances2025);
+  assert.strictEqual(test18.zorgtoeslag, 61.81, 'Test 18 unexpected zorgtoeslag for partners');
+  assert.strictEqual(test18.kindgebondenBudget, 444.13, 'Test 18 kindgebonden budget should be phased out above the threshold');
+  assert.strictEqual(test18.huurtoeslag, 0, 'Test 18 there is no huurtoeslag without rent');
+  const highIncome = toeslagen.estimate({ partner: false, income: 40000, rent: 0, assets: 0, children: noChildren }, allowances2025);
+  assert.strictEqual(highIncome.zorgtoeslag, 0, 'Test 18 there is no zorgtoeslag above the income limit');
+  const highAssets = toeslagen.estimate({ partner: false, income: 24000, rent: 600, assets: 40000, children: noChildren }, allowances2025);
+  assert.strictEqual(highAssets.huurtoeslag, 0, 'Test 18 there is no huurtoeslag above the asset limit');
+
+  // Test 19
+  const { kindgebondenBudget, ...withoutChildBudget } = allowances2025;
+  assert.throws(() => validateAllowanceTable(withoutChildBudget, 2025), 'Test 19 a table without kindgebonden budget should be rejected');
+  const percentageRate = { ...allowances2025, zorgtoeslag: { ...allowances2025.zorgtoeslag, incomeRate: 13.7 } };
+  assert.throws(() => validateAllowanceTable(percentageRate, 2025), 'Test 19 rates should be fractions');
+  assert.throws(() => validateAllowanceTable(allowances2025, 2024), 'Test 19 a table for another year should be rejected');
+
+  // Test 20
+  const test20 = sanitiseStoredState({ goalAmount: 5_000, apr: '3', currency: 'JPY', compounding: 'yearly', rememberInputs: true });
+  assert.deepStrictEqual(test20, { goalAmount: 5_000, compounding: 'yearly', rememberInputs: true }, 'Test 20 should drop invalid stored fields');
+  assert.throws(() => sanitiseStoredState([1, 2]), 'Test 20 should reject stored state that is not an object');
+
+  // Test 21
+  const legacyStorage = createMemoryStorage({ legacy: JSON.stringify({ items: [1, 2] }) });
+  const { storage } = loadBrowserModule('assets/js/storage.js', { localStorage: legacyStorage });
+  const legacyStore = storage.createStore({ key: 'legacy', version: 1, migrations: [(data: any) => ({ rows: data.items })] });
+  const test21 = legacyStore.load();
+  assert.strictEqual(test21.status, 'migrated', 'Test 21 data without a schema should be migrated from version 0');
+  assert.deepStrictEqual(fromContext(test21.data), { rows: [1, 2] }, 'Test 21 unexpected migrated data');
+  assert.deepStrictEqual(JSON.parse(legacyStorage.getItem('legacy')), { schema: 1, data: { rows: [1, 2] } }, 'Test 21 migrated data should be saved in the new version');
+  assert.strictEqual(legacyStore.load().status, 'ok', 'Test 21 saved data should not be migrated again');
+
+  // Test 22
+  const futureStorage = createMemoryStorage({ future: JSON.stringify({ schema: 2, data: { rows: [] } }) });
+  const futureStore = loadBrowserModule('assets/js/storage.js', { localStorage: futureStorage }).storage
+    .createStore({ key: 'future', version: 1, migrations: [(data: any) => data] });
+  const test22 = futureStore.load();
+  assert.strictEqual(test22.status, 'quarantined', 'Test 22 data from a newer version should be quarantined');
+  assert.strictEqual(test22.data, null, 'Test 22 quarantined data should not be used');
+  assert.strictEqual(futureStore.quarantined()[0].raw, futureStorage.getItem('future'), 'Test 22 the quarantine should keep the stored text');
+  for (let attempt = 0; attempt < 4; attempt += 1) futureStore.load();
+  assert.strictEqual(futureStore.quarantined().length, 3, 'Test 22 only the last three copies should be kept');
+
+  // Test 23
+  const mergeStorage = createMemoryStorage({ list: JSON.stringify({ schema: 1, data: { rows: ['a'] } }) });
+  const { storage: backupStorage } = loadBrowserModule('assets/js/storage.js', { localStorage: mergeStorage });
+  backupStorage.restore('list', { schema: 1, data: { rows: ['b'] } }, 'merge');
+  assert.deepStrictEqual(fromContext(backupStorage.read('list')), { schema: 1, data: { rows: ['a'] } }, 'Test 23 a merge should wait until the tool loads');
+  const listStore = backupStorage.createStore({
+    key: 'list',
+    version: 1,
+    migrations: [(data: any) => data],
+    merge: (current: any, incoming: any) => ({ rows: [...current.rows, ...incoming.rows] }),
+  });
+  const test23 = listStore.load();
+  assert.strictEqual(test23.status, 'restored', 'Test 23 a pending backup should be merged on load');
+  assert.deepStrictEqual(fromContext(test23.data), { rows: ['a', 'b'] }, 'Test 23 unexpected merged data');
+  assert.strictEqual(mergeStorage.getItem('list__restore'), null, 'Test 23 the pending backup should be removed');
+  assert.deepStrictEqual(fromContext(backupStorage.read('list')), { schema: 1, data: { rows: ['a', 'b'] } }, 'Test 23 the merged data should be saved');
+  assert.strictEqual(listStore.load().status, 'ok', 'Test 23 a backup should only be merged once');
+
+  // Test 24
+  const { backup } = loadBrowserModule('assets/js/main.js', {
+    document: { readyState: 'loading', addEventListener: () => {} },
+    crypto,
+    TextEncoder,
+  });
+  const backupFile = (contents: unknown) => ({ text: async () => JSON.stringify(contents) });
+  const backupTools = { budget: { schema: 2, data: { rows: [{}, {}], incomes: [{}] } } };
+  const validBackup = {
+    format: backup.BACKUP_FORMAT,
+    version: backup.BACKUP_VERSION,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    checksum: await backup.checksum(backupTools),
+    tools: backupTools,
+  };
+  const test24 = await backup.readBackupFile(backupFile(validBackup));
+  assert.deepStrictEqual(fromContext(test24.tools), backupTools, 'Test 24 a backup should survive the checksum round trip');
+  const budgetTool = backup.BACKUP_TOOLS.find((tool: any) => tool.id === 'budget');
+  assert.strictEqual(budgetTool.describe(test24.tools.budget.data), '2 uitgaven, 1 inkomstenbron', 'Test 24 unexpected backup summary');
+
+  // Test 25
+  const tampered = { ...validBackup, tools: { budget: { schema: 2, data: { rows: [] } } } };
+  await assert.rejects(backup.readBackupFile(backupFile(tampered)), /controlesom/, 'Test 25 a changed backup should be rejected');
+  const newer = { ...validBackup, version: backup.BACKUP_VERSION + 1 };
+  await assert.rejects(backup.readBackupFile(backupFile(newer)), /nieuwere versie/, 'Test 25 a backup from a newer version should be rejected');
+  const withoutSchema = { budget: { data: { rows: [] } } };
+  const incomplete = { ...validBackup, checksum: await backup.checksum(withoutSchema), tools: withoutSchema };
+  await assert.rejects(backup.readBackupFile(backupFile(incomplete)), /onvolledig/, 'Test 25 a tool without a schema should be rejected');
+  const withoutData = { savings: { schema: 1 } };
+  const empty = { ...validBackup, checksum: await backup.checksum(withoutData), tools: withoutData };
+  await assert.rejects(backup.readBackupFile(backupFile(empty)), /onvolledig/, 'Test 25 a tool without data should be rejected');
+
+  // Test 26
+  const goals = [
+    { id: 'fund', name: 'Emergency fund', targetAmount: 1_000, currentSavings: 0 },
+    { id: 'holiday', name: 'Holiday', targetAmount: 500, currentSavings: 0 },
+  ];
+  const test26 = allocateSavingsGoals({ goals, monthlyBudget: 250, strategy: 'sequential', apr: 0, compounding: 'monthly', startDate: new Date(2024, 0, 1) });
+  assert(test26, 'Test 26 failed to produce a result');
+  assert.deepStrictEqual(test26.goals.map((goal) => goal.months), [4, 6], 'Test 26 goals should finish one after the other');
+  assert.strictEqual(test26.milestones[0].releasedMonthly, 250, 'Test 26 first goal should free up the full budget');
+  assert.deepStrictEqual(test26.milestones[0].nextGoalIds, ['holiday'], 'Test 26 freed money should go to the next goal');
+
+  // Test 27
+  const test27 = allocateSavingsGoals({ goals, monthlyBudget: 300, strategy: 'proportional', apr: 0, compounding: 'monthly', startDate: new Date(2024, 0, 1) });
+  assert(test27, 'Test 27 failed to produce a result');
+  assert.deepStrictEqual(test27.goals.map((goal) => goal.months), [5, 5], 'Test 27 goals should finish together');
+  assert(Math.abs(test27.projection[0].contribution - 300) < 0.01, 'Test 27 should use the whole budget');
+
+  // Test 28
+  const schedule = { steps: [], indexation: 0, skipMonths: [], oneOffs: [] };
+  const test28 = calculateSavingsScenario({
+    mode: 'time',
+    goalAmount: 1_200,
+    currentSavings: 0,
+    monthlyContribution: 100,
+    apr: 0,
+    compounding: 'monthly',
+    startDate: new Date(2024, 0, 1),
+    schedule: { ...schedule, oneOffs: [{ id: 'bonus', month: '2024-04', amount: 600 }] },
+  });
+  assert(test28, 'Test 28 failed to produce a result');
+  assert.strictEqual(test28.months, 6, 'Test 28 one-off deposit should shorten the plan to 6 months');
+
+  // Test 29
+  const test29 = calculateSavingsScenario({
+    mode: 'monthly',
+    goalAmount: 1_200,
+    currentSavings: 0,
+    apr: 0,
+    compounding: 'monthly',
+    targetDate: futureDate(new Date(2024, 0, 1), 12),
+    startDate: new Date(2024, 0, 1),
+    schedule: { ...schedule, skipMonths: [12] },
+  });
+  assert(test29 && test29.requiredMonthlyContribution !== undefined, 'Test 29 failed to produce a result');
+  assert(Math.abs(test29.requiredMonthlyContribution - 1_200 / 11) < 0.01, 'Test 29 should spread the goal over 11 months');
+
+  // Test 30
+  const test30 = calculateSavingsScenario({
+    mode: 'monthly',
+    goalAmount: 2_520,
+    currentSavings: 0,
+    apr: 0,
+    compounding: 'monthly',
+    targetDate: futureDate(new Date(2024, 0, 1), 24),
+    startDate: new Date(2024, 0, 1),
+    schedule: { ...schedule, indexation: 10 },
+  });
+  assert(test30 && test30.requiredMonthlyContribution !== undefined, 'Test 30 failed to produce a result');
+  assert(Math.abs(test30.requiredMonthlyContribution - 100) < 0.01, 'Test 30 expected 100 rising to 110 in the second year');
+  assert(Math.abs(test30.projection[12].contribution - 110) < 0.01, 'Test 30 indexation should apply after 12 months');
+
+  // Test 31
+  const test31 = calculateSavingsScenario({
+    mode: 'time',
+    goalAmount: 200_000,
+    currentSavings: 150_000,
+    monthlyContribution: 1_000,
+    apr: 1,
+    compounding: 'monthly',
+    startDate: new Date(2024, 0, 1),
+    rates: { changes: [], tiers: [{ id: 'plus', threshold: 100_000, apr: 2 }] },
+  });
+  assert(test31, 'Test 31 failed to produce a result');
+  const tieredInterest = 100_000 * computeMonthlyRate(1, 'monthly') + 50_000 * computeMonthlyRate(2, 'monthly');
+  assert(Math.abs(test31.projection[0].interestEarned - tieredInterest) < 0.01, 'Test 31 each tier should earn its own rate');
+  assert(Math.abs(test31.projection[0].rate - 4 / 3) < 0.001, 'Test 31 effective rate should blend the tiers');
+
+  // Test 32
+  const promotion = { changes: [{ id: 'promo-end', month: '2024-07', apr: 1 }], tiers: [] };
+  const test32 = calculateSavingsScenario({
+    mode: 'monthly',
+    goalAmount: 20_000,
+    currentSavings: 1_000,
+    apr: 5,
+    compounding: 'monthly',
+    targetDate: futureDate(new Date(2024, 0, 1), 24),
+    startDate: new Date(2024, 0, 1),
+    rates: promotion,
+  });
+  assert(test32 && test32.requiredMonthlyContribution !== undefined, 'Test 32 failed to produce a result');
+  assert.deepStrictEqual([test32.projection[4].rate, test32.projection[5].rate], [5, 1], 'Test 32 rate should drop when the promotion ends');
+  const flatLow = runMonthlyScenario(20_000, 1_000, 24, 1);
+  assert(flatLow && test32.requiredMonthlyContribution < flatLow.requiredMonthlyContribution, 'Test 32 promotion should lower the monthly amount');
+  assert(test32.requiredMonthlyContribution > test5.requiredMonthlyContribution, 'Test 32 should need more than a flat 5%');
+
+  // Test 33
+  const box3Input = {
+    mode: 'time' as const,
+    goalAmount: 150_000,
+    currentSavings: 100_000,
+    monthlyContribution: 1_000,
+    apr: 2,
+    compounding: 'monthly' as const,
+    startDate: new Date(2024, 5, 1),
+  };
+  const untaxed = calculateSavingsScenario(box3Input);
+  const test33 = calculateSavingsScenario({ ...box3Input, box3: { fiscalPartner: false } });
+  assert(untaxed && test33 && test33.totalTax !== undefined, 'Test 33 failed to produce a result');
+  assert.strictEqual(untaxed.totalTax, undefined, 'Test 33 tax should only be reported when box 3 is on');
+  const january = test33.projection[6];
+  assert.strictEqual(january.date.getMonth(), 0, 'Test 33 row 7 should be January');
+  const expectedTax = (january.startingBalance - 57_684) * 0.0144 * 0.36;
+  assert(Math.abs(january.tax - expectedTax) < 0.01, 'Test 33 tax should use the 2025 parameters');
+  assert(test33.projection.every((row) => row.tax === 0 || row.date.getMonth() === 0), 'Test 33 tax is only due in January');
+  assert(test33.months > untaxed.months, 'Test 33 tax should delay the goal');
+
+  // Test 34
+  assert.strictEqual(estimateBox3Tax(100_000, 2025, { fiscalPartner: true }), 0, 'Test 34 partners share a double allowance');
+  assert.strictEqual(estimateBox3Tax(10_000, 2023, { fiscalPartner: false }), 0, 'Test 34 no tax below the allowance');
+  assert(Math.abs(estimateBox3Tax(100_000, 2031, { fiscalPartner: false }) - estimateBox3Tax(100_000, 2026, { fiscalPartner: false })) < 1e-9, 'Test 34 later years should reuse the latest figures');
+  const test34 = calculateSavingsScenario({
+    mode: 'monthly',
+    goalAmount: 150_000,
+    currentSavings: 100_000,
+    apr: 2,
+    compounding: 'monthly',
+    targetDate: futureDate(new Date(2024, 5, 1), 36),
+    startDate: new Date(2024, 5, 1),
+    box3: { fiscalPartner: false },
+  });
+  const untaxedMonthly = runMonthlyScenario(150_000, 100_000, 36, 2);
+  assert(test34 && test34.requiredMonthlyContribution !== undefined && untaxedMonthly, 'Test 34 failed to produce a result');
+  assert(test34.requiredMonthlyContribution > untaxedMonthly.requiredMonthlyContribution, 'Test 34 tax should raise the monthly amount');
+  assert(Math.abs(test34.projection[test34.projection.length - 1].endingBalance - 150_000) < 0.05, 'Test 34 should still reach the goal after tax');
+
+  // Test 35
+  const draws = (seed: number) => {
+    const random = createSeededRandom(seed);
+    return [random(), random(), random()];
+  };
+  assert.deepStrictEqual(draws(7), draws(7), 'Test 35 the same seed should repeat the sequence');
+  assert.notDeepStrictEqual(draws(7), draws(8), 'Test 35 another seed should give another sequence');
+  assert(draws(7).every((value) => value >= 0 && value < 1), 'Test 35 draws should be in [0, 1)');
+  const investInput = {
+    goalAmount: 50_000,
+    currentSavings: 10_000,
+    monthlyContribution: 300,
+    targetDate: futureDate(new Date(2024, 0, 1), 120),
+    expectedReturn: 6,
+    volatility: 15,
+    fundCosts: 0.2,
+    startDate: new Date(2024, 0, 1),
+    seed: 42,
+    simulations: 500,
+  };
+  const test35 = simulateInvestment(investInput);
+  const repeat = simulateInvestment(investInput);
+  assert(test35 && repeat, 'Test 35 failed to produce a result');
+  assert.strictEqual(test35.months, 120, 'Test 35 should simulate up to the target date');
+  assert.strictEqual(test35.probability, repeat.probability, 'Test 35 the same seed should give the same probability');
+  assert.deepStrictEqual(test35.projection.map((row) => row.endingBalance), repeat.projection.map((row) => row.endingBalance), 'Test 35 the same seed should give the same paths');
+  assert(test35.probability > 0 && test35.probability < 1, 'Test 35 the goal should be uncertain');
+  assert(test35.projection.every((row) => (row.p10 as number) <= row.endingBalance && row.endingBalance <= (row.p90 as number)), 'Test 35 percentiles should be ordered');
+  const last35 = test35.projection[test35.projection.length - 1];
+  assert((last35.p90 as number) - (last35.p10 as number) > 10_000, 'Test 35 volatility should spread the outcomes');
+
+  // Test 36
+  const test36 = simulateInvestment({ ...investInput, volatility: 0, simulations: 10 });
+  assert(test36, 'Test 36 failed to produce a result');
+  const monthlyGrowth = Math.pow(1.058, 1 / 12) - 1;
+  const pow36 = Math.pow(1 + monthlyGrowth, 120);
+  const expected36 = 10_000 * pow36 + 300 * ((pow36 - 1) / monthlyGrowth);
+  const last36 = test36.projection[test36.projection.length - 1];
+  assert(Math.abs(last36.endingBalance - expected36) < 0.01, 'Test 36 without volatility the expected return after costs applies');
+  assert.strictEqual(last36.p10, last36.p90, 'Test 36 without volatility every simulation should match');
+  assert.strictEqual(test36.probability, 1, 'Test 36 the goal should always be reached');
+  assert.strictEqual(simulateInvestment({ ...investInput, targetDate: null }), null, 'Test 36 a target date is required');
+
+  console.log('All calculator scenarios passed.');
 })();
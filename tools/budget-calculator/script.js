@@ -1,36 +1,54 @@
 // ===== NLrekentools maandbudgetcalculator =====
 
 const DEFAULT_ROWS = [
-  { kind: "fixed", category: "Wonen", amount: "", notes: "", noteHint: "Huur of hypotheek" },
-  { kind: "fixed", category: "Energie & internet", amount: "", notes: "", noteHint: "Energie, water en internet" },
-  { kind: "fixed", category: "Verzekeringen & zorg", amount: "", notes: "", noteHint: "Maandelijkse premies" },
-  { kind: "variable", category: "Boodschappen & huishouden", amount: "", notes: "", noteHint: "Supermarkt en drogist" },
-  { kind: "variable", category: "Vervoer", amount: "", notes: "", noteHint: "Brandstof of openbaar vervoer" }
+  { kind: "fixed", category: "Wonen", amount: "", target: "", notes: "", noteHint: "Huur of hypotheek" },
+  { kind: "fixed", category: "Energie & internet", amount: "", target: "", notes: "", noteHint: "Energie, water en internet" },
+  { kind: "fixed", category: "Verzekeringen & zorg", amount: "", target: "", notes: "", noteHint: "Maandelijkse premies" },
+  { kind: "variable", category: "Boodschappen & huishouden", amount: "", target: "", notes: "", noteHint: "Supermarkt en drogist" },
+  { kind: "variable", category: "Vervoer", amount: "", target: "", notes: "", noteHint: "Brandstof of openbaar vervoer" }
+];
+
+const DEFAULT_INCOMES = [
+  { name: "Netto salaris", amount: "", frequency: "monthly", dueMonth: "", notes: "", noteHint: "Salaris, uitkering of pensioen" },
+  { name: "Overige inkomsten", amount: "", frequency: "monthly", dueMonth: "", notes: "", noteHint: "Toeslagen, alimentatie of bijverdiensten" }
 ];
 
 const SAMPLE_DATA = {
-  income: 3600,
-  extraIncome: 250,
+  incomes: [
+    { name: "Salaris Sam", amount: 2350, frequency: "monthly", dueMonth: "", notes: "Netto, 36 uur", noteHint: "" },
+    { name: "Salaris Robin", amount: 1250, frequency: "monthly", dueMonth: "", notes: "Netto, 24 uur", noteHint: "" },
+    { name: "Bijbaan", amount: 250, frequency: "monthly", dueMonth: "", notes: "Zaterdagen in de winkel", noteHint: "" }
+  ],
   currency: "€",
   rows: [
-    { kind: "fixed", category: "Wonen", amount: 1350, notes: "Huur inclusief servicekosten", noteHint: "Huur of hypotheek" },
-    { kind: "fixed", category: "Energie & internet", amount: 180, notes: "Energie, water en glasvezel", noteHint: "Energie, water en internet" },
-    { kind: "fixed", category: "Verzekeringen & zorg", amount: 220, notes: "Zorg- en autoverzekering", noteHint: "Maandelijkse premies" },
-    { kind: "fixed", category: "Kinderopvang & school", amount: 250, notes: "Buitenschoolse opvang", noteHint: "Opvang en schoolkosten" },
-    { kind: "fixed", category: "Abonnementen & media", amount: 65, notes: "Streaming en nieuws", noteHint: "Terugkerende diensten" },
-    { kind: "variable", category: "Boodschappen & huishouden", amount: 420, notes: "Huishouden van drie personen", noteHint: "Supermarkt en drogist" },
-    { kind: "variable", category: "Vervoer", amount: 190, notes: "Treinabonnement en brandstof", noteHint: "Brandstof of openbaar vervoer" },
-    { kind: "variable", category: "Uit eten & vrije tijd", amount: 160, notes: "Uitjes in het weekend", noteHint: "Restaurants en hobby's" },
-    { kind: "variable", category: "Noodbuffer", amount: 200, notes: "Aparte spaarrekening", noteHint: "Financiële buffer" },
-    { kind: "variable", category: "Pensioen & beleggen", amount: 300, notes: "Automatische overboeking", noteHint: "Pensioen en beleggingen" }
+    { kind: "fixed", category: "Wonen", amount: 1350, target: "", notes: "Huur inclusief servicekosten", noteHint: "Huur of hypotheek" },
+    { kind: "fixed", category: "Energie & internet", amount: 180, target: "", notes: "Energie, water en glasvezel", noteHint: "Energie, water en internet" },
+    { kind: "fixed", category: "Verzekeringen & zorg", amount: 220, target: "", notes: "Zorg- en autoverzekering", noteHint: "Maandelijkse premies" },
+    { kind: "fixed", category: "Kinderopvang & school", amount: 250, target: "", notes: "Buitenschoolse opvang", noteHint: "Opvang en schoolkosten" },
+    { kind: "fixed", category: "Abonnementen & media", amount: 65, target: "", notes: "Streaming en nieuws", noteHint: "Terugkerende diensten" },
+    { kind: "variable", category: "Boodschappen & huishouden", amount: 420, target: 450, notes: "Huishouden van drie personen", noteHint: "Supermarkt en drogist" },
+    { kind: "variable", category: "Vervoer", amount: 190, target: 200, notes: "Treinabonnement en brandstof", noteHint: "Brandstof of openbaar vervoer" },
+    { kind: "variable", category: "Uit eten & vrije tijd", amount: 160, target: 125, notes: "Uitjes in het weekend", noteHint: "Restaurants en hobby's" },
+    { kind: "variable", category: "Vakantie", amount: 1800, target: "", frequency: "yearly", dueMonth: "", notes: "Zomervakantie met het gezin", noteHint: "Maandelijks opzij voor vakanties" },
+    { kind: "variable", category: "Noodbuffer", amount: 200, target: "", notes: "Aparte spaarrekening", noteHint: "Financiële buffer" },
+    { kind: "variable", category: "Pensioen & beleggen", amount: 300, target: "", notes: "Automatische overboeking", noteHint: "Pensioen en beleggingen" }
   ]
 };
 
 // DOM Elements
 const fixedRowsContainer = document.getElementById("fixedRows");
 const variableRowsContainer = document.getElementById("variableRows");
-const incomeInput = document.getElementById("income");
-const extraIncomeInput = document.getElementById("extraIncome");
+const incomeRowsContainer = document.getElementById("incomeRows");
+const addIncomeBtn = document.getElementById("addIncome");
+const totalIncomeEl = document.getElementById("totalIncome");
+const incomeBreakdownEl = document.getElementById("incomeBreakdown");
+const householdEl = document.getElementById("household");
+const householdMembersEl = document.getElementById("householdMembers");
+const addMemberBtn = document.getElementById("addMember");
+const householdSplitEl = document.getElementById("householdSplit");
+const householdSplitModeEl = document.getElementById("householdSplitMode");
+const householdTransfersEl = document.getElementById("householdTransfers");
+const householdTableBody = document.getElementById("householdTableBody");
 const currencySelect = document.getElementById("currency");
 const totalExpensesEl = document.getElementById("totalExpenses");
 const sumIncomeEl = document.getElementById("sumIncome");
@@ -40,6 +58,12 @@ const savingsRateEl = document.getElementById("savingsRate");
 const addFixedRowBtn = document.getElementById("addFixedRow");
 const addVariableRowBtn = document.getElementById("addVariableRow");
 const resetBtn = document.getElementById("reset");
+const undoBtn = document.getElementById("undo");
+const redoBtn = document.getElementById("redo");
+const rowMoveStatusEl = document.getElementById("rowMoveStatus");
+const undoToast = document.getElementById("undoToast");
+const undoToastText = document.getElementById("undoToastText");
+const undoToastAction = document.getElementById("undoToastAction");
 const loadSampleBtn = document.getElementById("loadSample");
 const exportBtn = document.getElementById("export");
 const printBtn = document.getElementById("print");
@@ -53,27 +77,253 @@ const finalResultTitleEl = document.getElementById("finalResultTitle");
 const finalResultTextEl = document.getElementById("finalResultText");
 const finalRemainingEl = document.getElementById("finalRemaining");
 const finalRemainingShareEl = document.getElementById("finalRemainingShare");
+const finalTargetsEl = document.getElementById("finalTargets");
+const finalTargetsListEl = document.getElementById("finalTargetsList");
 const stepButtons = Array.from(document.querySelectorAll("[data-budget-step]"));
 const stepPanels = Array.from(document.querySelectorAll("[data-step-panel]"));
 const stepNavigationButtons = Array.from(document.querySelectorAll("[data-go-step]"));
 const budgetActions = document.querySelector(".budget-actions");
+const syncToggleBtn = document.getElementById("syncToggle");
+const syncStatusEl = document.getElementById("syncStatus");
+const syncStatusTextEl = document.getElementById("syncStatusText");
+const privacyNoteTitleEl = document.getElementById("privacyNoteTitle");
+const privacyNoteTextEl = document.getElementById("privacyNoteText");
+const periodSelect = document.getElementById("periodSelect");
+const addPeriodBtn = document.getElementById("addPeriod");
+const removePeriodBtn = document.getElementById("removePeriod");
+const periodComparisonEmptyEl = document.getElementById("periodComparisonEmpty");
+const periodComparisonContentEl = document.getElementById("periodComparisonContent");
+const periodTableHead = document.getElementById("periodTableHead");
+const periodTableBody = document.getElementById("periodTableBody");
+const trendCanvas = document.getElementById("trendChart");
+const importCsvBtn = document.getElementById("importCsv");
+const importCsvFileInput = document.getElementById("importCsvFile");
+const importModal = document.getElementById("importModal");
+const importSummaryEl = document.getElementById("importSummary");
+const importMappingEl = document.getElementById("importMapping");
+const importHasHeaderInput = document.getElementById("importHasHeader");
+const importMapSelects = Array.from(document.querySelectorAll("[data-import-field]"));
+const importPreviewEl = document.getElementById("importPreview");
+const importConfirmBtn = document.getElementById("importConfirm");
+const importBankBtn = document.getElementById("importBank");
+const importBankFileInput = document.getElementById("importBankFile");
+const bankModal = document.getElementById("bankModal");
+const bankSummaryEl = document.getElementById("bankSummary");
+const bankMonthSelect = document.getElementById("bankMonth");
+const bankGroupsEl = document.getElementById("bankGroups");
+const bankConfirmBtn = document.getElementById("bankConfirm");
+const editRulesBtn = document.getElementById("editRules");
+const rulesModal = document.getElementById("rulesModal");
+const rulesListEl = document.getElementById("rulesList");
+const ruleCategoriesEl = document.getElementById("ruleCategories");
+const addRuleBtn = document.getElementById("addRule");
+const resetRulesBtn = document.getElementById("resetRules");
+const chooseMethodBtn = document.getElementById("chooseMethod");
+const methodModal = document.getElementById("methodModal");
+const methodOptionsEl = document.getElementById("methodOptions");
+const methodKeepRowsInput = document.getElementById("methodKeepRows");
+const methodConfirmBtn = document.getElementById("methodConfirm");
+const methodSummaryEl = document.getElementById("methodSummary");
+const methodSummaryLabelEl = document.getElementById("methodSummaryLabel");
+const methodSummaryValueEl = document.getElementById("methodSummaryValue");
+const finalTargetsTitleEl = document.getElementById("finalTargetsTitle");
+const reserveEmptyEl = document.getElementById("reserveEmpty");
+const reserveContentEl = document.getElementById("reserveContent");
+const reserveTableBody = document.getElementById("reserveTableBody");
+const openSalaryBtn = document.getElementById("openSalary");
+const salaryModal = document.getElementById("salaryModal");
+const salaryYearSelect = document.getElementById("salaryYear");
+const salaryGrossInput = document.getElementById("salaryGross");
+const salaryPensionInput = document.getElementById("salaryPension");
+const salaryHolidayPayInput = document.getElementById("salaryHolidayPay");
+const salaryThirteenthInput = document.getElementById("salaryThirteenth");
+const salaryStatusEl = document.getElementById("salaryStatus");
+const salaryResultEl = document.getElementById("salaryResult");
+const salaryApplyBtn = document.getElementById("salaryApply");
+const openAllowancesBtn = document.getElementById("openAllowances");
+const allowanceModal = document.getElementById("allowanceModal");
+const allowanceYearSelect = document.getElementById("allowanceYear");
+const allowancePartnerInput = document.getElementById("allowancePartner");
+const allowanceStatusEl = document.getElementById("allowanceStatus");
+const allowanceResultEl = document.getElementById("allowanceResult");
+const allowanceApplyBtn = document.getElementById("allowanceApply");
+const allowanceInputs = {
+  income: document.getElementById("allowanceIncome"),
+  rent: document.getElementById("allowanceRent"),
+  assets: document.getElementById("allowanceAssets"),
+  under12: document.getElementById("allowanceChildrenUnder12"),
+  age12to15: document.getElementById("allowanceChildren12to15"),
+  age16to17: document.getElementById("allowanceChildren16to17")
+};
 
 // State
 let chart;
+let trendChart;
 let rows = [];
+// Inkomstenbronnen met dezelfde frequenties als uitgaven
+let incomes = [];
+// Eerdere en latere maanden; de actieve maand staat in rows en incomes
+let periods = {};
+let activePeriod = periodKey(new Date());
+// Gekozen budgetmethode uit BUDGET_METHODS; leeg zonder methode
+let budgetMethod = "";
+// Personen in het huishouden; inkomsten en uitgaven verwijzen via `owner` naar hun id
+let members = [];
+let splitMode = "proportional";
+let idCounter = 0;
 const STORAGE_KEY = "budget_calc_v1";
+const RULES_KEY = "budget_calc_rules_v1";
+const HISTORY_KEY = "budget_calc_history_v1";
 
 // --- Persistence ---
+// Opslag via /assets/js/storage.js. Versie 0 is alles van vóór het schemanummer: één maandinkomen met
+// overige inkomsten, en uitgaven waarvan de soort soms ontbrak.
+
+const BUDGET_MIGRATIONS = [migrateLegacyBudget];
+const budgetStore = window.NLrekentools.storage.createStore({
+  key: STORAGE_KEY,
+  version: BUDGET_MIGRATIONS.length,
+  migrations: BUDGET_MIGRATIONS,
+  validate: validateStoredBudget,
+  merge: mergeStoredBudget
+});
+
+// 0 → 1: inkomsten als lijst, en iedere uitgave een soort. Zonder regel waren de eerste twee posten vaste lasten.
+function migrateLegacyBudget(state) {
+  if (!window.NLrekentools.storage.isPlainObject(state)) return state;
+  const withKinds = list => (Array.isArray(list)
+    ? list.map((row, index) => ({
+      ...row,
+      kind: row?.kind === "fixed" || row?.kind === "variable"
+        ? row.kind
+        : ruleKind(String(row?.category || "")) || (index < 2 ? "fixed" : "variable")
+    }))
+    : list);
+  const migratePart = ({ income, extraIncome, ...part }) => ({
+    ...part,
+    rows: withKinds(part.rows),
+    incomes: Array.isArray(part.incomes) ? part.incomes : legacyIncomes(income, extraIncome)
+  });
+
+  const migrated = migratePart(state);
+  if (window.NLrekentools.storage.isPlainObject(state.periods)) {
+    migrated.periods = Object.fromEntries(Object.entries(state.periods).map(([key, period]) => [
+      key,
+      window.NLrekentools.storage.isPlainObject(period) ? migratePart(period) : period
+    ]));
+  }
+  return migrated;
+}
+
+// Wat applyState() nodig heeft; losse velden worden daar verder opgeschoond
+function validateStoredBudget(state) {
+  const { isPlainObject } = window.NLrekentools.storage;
+  if (!isPlainObject(state)) throw new Error("Het budget is geen object");
+  if (!Array.isArray(state.rows)) throw new Error("Het budget heeft geen lijst met uitgaven");
+  if (!Array.isArray(state.incomes)) throw new Error("Het budget heeft geen lijst met inkomsten");
+  if ("periods" in state && !isPlainObject(state.periods)) throw new Error("De budgetmaanden zijn onleesbaar");
+  return state;
+}
+
+// Samenvoegen met een teruggezette back-up, zoals bij een CSV-import: posten met dezelfde soort en categorie en
+// inkomsten met dezelfde naam krijgen de bedragen uit de back-up, de rest komt erbij. Instellingen en eerdere
+// maanden blijven zoals ze waren.
+function mergeStoredBudget(current, incoming) {
+  const membersOf = state => (Array.isArray(state.members) ? state.members.map(normalizeMember).filter(Boolean) : []);
+  const members = membersOf(current);
+  const memberIds = new Map();
+  membersOf(incoming).forEach(member => {
+    const existing = members.find(item => item.name.trim().toLowerCase() === member.name.trim().toLowerCase());
+    if (existing) {
+      memberIds.set(member.id, existing.id);
+    } else {
+      const added = { ...member, id: members.some(item => item.id === member.id) ? createId("member") : member.id };
+      members.push(added);
+      memberIds.set(member.id, added.id);
+    }
+  });
+  const resolve = id => memberIds.get(id) || "";
+
+  const mergedRows = current.rows.map(normalizeRow);
+  incoming.rows.map(normalizeRow).forEach(imported => {
+    const existing = mergedRows.find(row => rowKey(row) === rowKey(imported));
+    if (existing) {
+      existing.amount = imported.amount;
+      existing.frequency = imported.frequency;
+      existing.dueMonth = imported.dueMonth;
+      if (imported.target !== "") existing.target = imported.target;
+      if (imported.notes) existing.notes = imported.notes;
+    } else {
+      mergedRows.push({
+        ...imported,
+        id: mergedRows.some(row => row.id === imported.id) ? createId("row") : imported.id,
+        owner: resolve(imported.owner),
+        paidBy: resolve(imported.paidBy)
+      });
+    }
+  });
+
+  const mergedIncomes = current.incomes.map(normalizeIncome);
+  incoming.incomes.map(normalizeIncome).forEach(imported => {
+    const existing = mergedIncomes.find(item => item.name.trim().toLowerCase() === imported.name.trim().toLowerCase());
+    if (existing) {
+      existing.amount = imported.amount;
+      existing.frequency = imported.frequency;
+      existing.dueMonth = imported.dueMonth;
+    } else {
+      mergedIncomes.push({ ...imported, owner: resolve(imported.owner) });
+    }
+  });
+
+  return { ...current, members, rows: mergedRows, incomes: mergedIncomes };
+}
 
-function saveState({ announce = true } = {}) {
-  const state = {
-    income: incomeInput.value,
-    extraIncome: extraIncomeInput.value,
+function buildState() {
+  return {
+    incomes,
     currency: currencySelect.value,
-    rows: rows
+    rows: rows,
+    method: budgetMethod,
+    members,
+    splitMode,
+    activePeriod,
+    periods
   };
+}
+
+function applyState(state) {
+  rows = Array.isArray(state.rows)
+    ? state.rows.map(normalizeRow)
+    : JSON.parse(JSON.stringify(DEFAULT_ROWS));
+  incomes = Array.isArray(state.incomes)
+    ? state.incomes.map(normalizeIncome)
+    : JSON.parse(JSON.stringify(DEFAULT_INCOMES));
+  currencySelect.value = state.currency || "€";
+  budgetMethod = BUDGET_METHODS[state.method] ? state.method : "";
+  members = Array.isArray(state.members) ? state.members.map(normalizeMember).filter(Boolean) : [];
+  splitMode = SPLIT_MODES[state.splitMode] ? state.splitMode : "proportional";
+  activePeriod = isPeriodKey(state.activePeriod) ? state.activePeriod : periodKey(new Date());
+  periods = {};
+  if (state.periods && typeof state.periods === "object") {
+    Object.entries(state.periods).forEach(([key, period]) => {
+      if (!isPeriodKey(key) || key === activePeriod || !period || typeof period !== "object") return;
+      periods[key] = {
+        incomes: Array.isArray(period.incomes) ? period.incomes.map(normalizeIncome) : [],
+        rows: Array.isArray(period.rows) ? period.rows.map(normalizeRow) : []
+      };
+    });
+  }
+}
 
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+function saveState({ announce = true, sync = true } = {}) {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const state = buildState();
+  const serialized = JSON.stringify(state);
+
+  budgetStore.save(state);
+  recordHistory(serialized);
+  if (sync) queueSync(state);
 
   const statusIndicator = document.getElementById("status-indicator");
   if (statusIndicator && announce) {
@@ -86,459 +336,3353 @@ function saveState({ announce = true } = {}) {
 }
 
 function loadState() {
-  const saved = localStorage.getItem(STORAGE_KEY);
-  if (saved) {
-    try {
-      const state = JSON.parse(saved);
-      rows = Array.isArray(state.rows)
-        ? state.rows.map(normalizeRow)
-        : JSON.parse(JSON.stringify(DEFAULT_ROWS));
-      incomeInput.value = state.income || "";
-      extraIncomeInput.value = state.extraIncome || "";
-      currencySelect.value = state.currency || "€";
-    } catch (e) {
-      console.error("Opgeslagen budget kon niet worden geladen", e);
-      resetToDefaults();
-    }
+  const stored = budgetStore.load();
+  if (stored.data) {
+    applyState(stored.data);
+    if (stored.status === "ok") loadHistory(JSON.stringify(stored.data));
   } else {
     resetToDefaults();
   }
+  // Onleesbare data staat in quarantaine; de gebruiker kan die kopie nog downloaden
+  if (stored.status === "quarantined") {
+    showToast("Je opgeslagen budget kon niet worden gelezen. Er is een kopie bewaard en je begint opnieuw.", "Kopie downloaden", downloadQuarantinedBudget);
+  }
+  pullSync();
 }
 
-function resetToDefaults() {
-  rows = JSON.parse(JSON.stringify(DEFAULT_ROWS));
-  incomeInput.value = "";
-  extraIncomeInput.value = "";
-  currencySelect.value = "€";
+// --- Undo history ---
+// Iedere opgeslagen versie van het budget is een stap. Snel achter elkaar typen telt als één stap;
+// knoppen als toevoegen en verwijderen beginnen met checkpoint() altijd een nieuwe. De stappen staan
+// naast het budget in localStorage en horen alleen bij de versie waarmee ze bewaard zijn.
+
+const HISTORY_LIMIT = 30;
+const HISTORY_COALESCE_MS = 1000;
+const TOAST_DURATION_MS = 8000;
+
+let undoStack = [];
+let redoStack = [];
+let historyCurrent = null;
+let lastHistoryAt = 0;
+let pendingCheckpoint = null;
+let restoringHistory = false;
+let toastTimer = null;
+
+// Korte vingerafdruk om te zien of de bewaarde stappen bij het opgeslagen budget horen
+function historyFingerprint(serialized) {
+  let hash = 5381;
+  for (let i = 0; i < serialized.length; i++) {
+    hash = ((hash << 5) + hash + serialized.charCodeAt(i)) | 0;
+  }
+  return `${serialized.length}:${hash >>> 0}`;
 }
 
-// --- Helpers ---
+function saveHistory() {
+  const payload = { fingerprint: historyFingerprint(historyCurrent || ""), undo: undoStack, redo: redoStack };
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(payload));
+  } catch (e) {
+    // Bij een volle opslag gaan eerst de oudste stappen weg; het budget zelf is al bewaard
+    undoStack = undoStack.slice(-5);
+    redoStack = [];
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({ ...payload, undo: undoStack, redo: redoStack }));
+    } catch (retryError) {
+      console.warn("Geschiedenis kon niet worden bewaard", retryError);
+    }
+  }
+}
 
-function fmt(v) {
-  const cur = currencySelect.value || "€";
-  const currencyCodes = { "€": "EUR", "$": "USD", "£": "GBP" };
-  return new Intl.NumberFormat("nl-NL", {
-    style: "currency",
-    currency: currencyCodes[cur] || "EUR",
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  }).format(Number(v) || 0);
+// De eerste saveState() na het laden legt de huidige versie vast, ook als normaliseren iets heeft veranderd
+function loadHistory(serialized) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || "null");
+    if (!saved || saved.fingerprint !== historyFingerprint(serialized)) return;
+    const valid = entry => entry && typeof entry.label === "string" && entry.state && typeof entry.state === "object";
+    undoStack = Array.isArray(saved.undo) ? saved.undo.filter(valid).slice(-HISTORY_LIMIT) : [];
+    redoStack = Array.isArray(saved.redo) ? saved.redo.filter(valid).slice(-HISTORY_LIMIT) : [];
+  } catch (e) {
+    console.warn("Geschiedenis kon niet worden geladen", e);
+  }
 }
 
-function sanitizeCsvField(value) {
-  const str = String(value ?? "");
-  const escaped = str.replace(/"/g, '""');
-  // Prevent CSV injection (formulae)
-  const needsFormulaEscape = /^[=+\-@]/.test(escaped);
-  const safe = needsFormulaEscape ? `'${escaped}` : escaped;
-  return `"${safe}"`;
+/** Maakt van de volgende wijziging een eigen stap; met `label` verschijnt er een melding om hem terug te draaien. */
+function checkpoint(label = "") {
+  pendingCheckpoint = { label };
 }
 
-function updateCurrencySymbols() {
-  const sym = currencySelect.value;
-  document.querySelectorAll('.js-currency-symbol').forEach(el => el.textContent = sym);
+function recordHistory(serialized) {
+  if (restoringHistory || historyCurrent === null) {
+    historyCurrent = serialized;
+    return;
+  }
+  if (serialized === historyCurrent) return;
+
+  const step = pendingCheckpoint;
+  pendingCheckpoint = null;
+  const now = Date.now();
+  if (step || undoStack.length === 0 || now - lastHistoryAt > HISTORY_COALESCE_MS) {
+    undoStack.push({ label: step ? step.label : "", state: JSON.parse(historyCurrent) });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  }
+  // Na een knop begint de volgende tekstwijziging weer een nieuwe stap
+  lastHistoryAt = step ? 0 : now;
+  redoStack = [];
+  historyCurrent = serialized;
+  saveHistory();
+  updateHistoryControls();
+  if (step && step.label) showToast(step.label, "Ongedaan maken", undo);
 }
 
-// --- UI Rendering ---
+function restoreSnapshot(state) {
+  restoringHistory = true;
+  try {
+    applyState(state);
+    renderHousehold();
+    renderIncomes();
+    renderRows();
+    renderPeriodControls();
+    draw();
+    saveState();
+  } finally {
+    restoringHistory = false;
+  }
+  lastHistoryAt = 0;
+  saveHistory();
+  updateHistoryControls();
+}
 
-function createRowElement(r, i) {
-  const tr = document.createElement("tr");
-  tr.className = "expense-row";
+function undo() {
+  flushPendingSave();
+  const step = undoStack.pop();
+  if (!step) return;
+  redoStack.push({ label: step.label, state: JSON.parse(historyCurrent) });
+  restoreSnapshot(step.state);
+  showToast(step.label ? `${step.label}: ongedaan gemaakt` : "Wijziging ongedaan gemaakt", "Opnieuw", redo);
+}
 
-  // Category Column
-  const tdCat = document.createElement("td");
-  const catInput = document.createElement("input");
-  catInput.type = "text";
-  catInput.className = "form-control";
-  catInput.value = r.category;
-  catInput.placeholder = "Naam categorie";
-  catInput.setAttribute("aria-label", `Categorie ${i + 1}`);
-  catInput.addEventListener("input", e => { rows[i].category = e.target.value; draw(); });
-  tdCat.appendChild(catInput);
-  tr.appendChild(tdCat);
+function redo() {
+  flushPendingSave();
+  const step = redoStack.pop();
+  if (!step) return;
+  undoStack.push({ label: step.label, state: JSON.parse(historyCurrent) });
+  restoreSnapshot(step.state);
+  showToast(step.label || "Wijziging opnieuw uitgevoerd", "Ongedaan maken", undo);
+}
 
-  // Amount Column
-  const tdAmount = document.createElement("td");
-  const amountGroup = document.createElement("div");
-  amountGroup.className = "input-group";
+function updateHistoryControls() {
+  if (undoBtn) undoBtn.disabled = undoStack.length === 0;
+  if (redoBtn) redoBtn.disabled = redoStack.length === 0;
+}
 
-  const prefix = document.createElement("span");
-  prefix.className = "input-group-text js-currency-symbol";
-  prefix.textContent = currencySelect.value;
+function showToast(text, actionLabel, action) {
+  if (!undoToast) return;
+  undoToastText.textContent = text;
+  undoToastAction.textContent = actionLabel;
+  undoToastAction.onclick = () => {
+    hideToast();
+    action();
+  };
+  undoToast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, TOAST_DURATION_MS);
+}
 
-  const amountInput = document.createElement("input");
-  amountInput.type = "number";
-  amountInput.className = "form-control text-end";
-  amountInput.value = r.amount === "" ? "" : r.amount;
-  amountInput.min = "0";
-  amountInput.step = "any";
-  amountInput.placeholder = "0.00";
-  amountInput.setAttribute("aria-label", `Bedrag voor ${r.category || `uitgave ${i + 1}`}`);
+function hideToast() {
+  if (!undoToast) return;
+  clearTimeout(toastTimer);
+  undoToast.hidden = true;
+}
 
-  amountInput.addEventListener("input", e => {
-    let value = e.target.value;
-    if (parseFloat(value) < 0) value = "0";
-    rows[i].amount = value === "" ? "" : parseFloat(value);
-    draw();
-  });
+// Ctrl+Z in een tekstveld blijft de gewone ongedaan-maken van de browser
+function handleHistoryKeydown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || activeModal) return;
+  const key = event.key.toLowerCase();
+  if (key !== "z" && key !== "y") return;
+  const target = event.target;
+  if (target instanceof HTMLTextAreaElement || (target instanceof HTMLInputElement && !["radio", "checkbox", "button"].includes(target.type))) return;
+  event.preventDefault();
+  if (key === "y" || event.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+}
 
-  amountGroup.appendChild(prefix);
-  amountGroup.appendChild(amountInput);
-  tdAmount.appendChild(amountGroup);
-  tr.appendChild(tdAmount);
+// --- Server sync (opt-in) ---
+// Het budget blijft altijd eerst in localStorage staan. Met synchronisatie aan gaat de laatste
+// versie daarnaast naar /api/budgets/:id. Wijzigingen zonder verbinding blijven in de wachtrij
+// (alleen de nieuwste versie telt) tot de server weer bereikbaar is. De revisie van de laatste
+// pull gaat mee als If-Match, zodat een wijziging op een ander apparaat als conflict terugkomt.
+
+const SYNC_KEY = "budget_calc_sync_v1";
+const SYNC_ENDPOINT = "/api/budgets";
+const SYNC_DELAY = 1500;
+
+let syncState = loadSyncState();
+let syncTimer = null;
+let syncInFlight = false;
+
+function loadSyncState() {
+  const fallback = { enabled: false, budgetId: null, revision: null, pending: null, rejected: false };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SYNC_KEY) || "null");
+    if (!saved || typeof saved !== "object") return fallback;
+    return {
+      enabled: saved.enabled === true && Number.isInteger(saved.budgetId),
+      budgetId: Number.isInteger(saved.budgetId) ? saved.budgetId : null,
+      revision: Number.isInteger(saved.revision) ? saved.revision : null,
+      pending: saved.pending && typeof saved.pending === "object" ? saved.pending : null,
+      rejected: saved.rejected === true
+    };
+  } catch (e) {
+    console.error("Synchronisatie-instellingen konden niet worden geladen", e);
+    return fallback;
+  }
+}
 
-  // Notes Column
-  const tdNotes = document.createElement("td");
-  const notesDetails = document.createElement("details");
-  notesDetails.className = "row-notes";
-  notesDetails.open = Boolean(r.notes);
-  const notesSummary = document.createElement("summary");
-  notesSummary.textContent = r.notes ? "Notitie bekijken" : "Notitie toevoegen";
-  const notesInput = document.createElement("input");
-  notesInput.type = "text";
-  notesInput.className = "form-control text-muted";
-  notesInput.value = r.notes;
-  notesInput.placeholder = r.noteHint || "Optionele notitie";
-  notesInput.setAttribute("aria-label", `Notitie voor ${r.category || `uitgave ${i + 1}`}`);
-  notesInput.style.fontSize = "0.9em";
-  notesInput.addEventListener("input", e => {
-    rows[i].notes = e.target.value;
-    notesSummary.textContent = e.target.value ? "Notitie bekijken" : "Notitie toevoegen";
-    draw();
-  });
-  notesDetails.appendChild(notesSummary);
-  notesDetails.appendChild(notesInput);
-  tdNotes.appendChild(notesDetails);
-  tr.appendChild(tdNotes);
+function saveSyncState() {
+  localStorage.setItem(SYNC_KEY, JSON.stringify(syncState));
+}
 
-  // Actions Column
-  const tdAction = document.createElement("td");
-  tdAction.className = "text-end";
-  const removeBtn = document.createElement("button");
-  removeBtn.className = "btn-remove mx-auto";
-  removeBtn.type = "button";
-  removeBtn.innerHTML = "&times;";
-  removeBtn.title = "Uitgave verwijderen";
-  removeBtn.setAttribute("aria-label", `${r.category || `Uitgave ${i + 1}`} verwijderen`);
-  removeBtn.addEventListener("click", () => {
-    rows.splice(i, 1);
-    renderRows();
-    draw();
+function setSyncStatus(status, text) {
+  if (syncStatusEl) syncStatusEl.dataset.sync = status;
+  if (syncStatusTextEl) syncStatusTextEl.textContent = text;
+}
+
+function updateSyncControls() {
+  if (syncToggleBtn) {
+    syncToggleBtn.textContent = syncState.enabled ? "Synchronisatie uitzetten" : "Synchroniseren met server";
+    syncToggleBtn.setAttribute("aria-pressed", String(syncState.enabled));
+  }
+  if (privacyNoteTitleEl && privacyNoteTextEl) {
+    privacyNoteTitleEl.textContent = syncState.enabled ? "Synchronisatie staat aan" : "Privé op je apparaat";
+    privacyNoteTextEl.textContent = syncState.enabled
+      ? `Je budget wordt ook op onze server bewaard onder code ${syncState.budgetId}. Gebruik die code op je andere apparaat.`
+      : "Je bedragen worden niet naar een server verstuurd.";
+  }
+  if (!syncState.enabled) {
+    setSyncStatus("off", "Lokaal opgeslagen");
+  } else if (syncState.pending && syncState.rejected) {
+    setSyncStatus("error", "Niet verstuurd: de server weigert dit budget");
+  } else if (syncState.pending) {
+    setSyncStatus(navigator.onLine ? "pending" : "offline", navigator.onLine ? "Wordt gesynchroniseerd" : "Offline, wordt later verstuurd");
+  } else {
+    setSyncStatus("synced", "Gesynchroniseerd");
+  }
+}
+
+async function syncRequest(path, options = {}) {
+  const response = await fetch(`${SYNC_ENDPOINT}${path}`, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) }
   });
-  tdAction.appendChild(removeBtn);
-  tr.appendChild(tdAction);
+  const body = response.status === 204 ? null : await response.json().catch(() => null);
+  return { status: response.status, body };
+}
 
-  return tr;
+// Te groot (413) of ongeldig (422): opnieuw proberen met dezelfde gegevens heeft geen zin
+function isRejectedBySync(status) {
+  return status === 413 || status === 422;
 }
 
-function renderRows() {
-  fixedRowsContainer.innerHTML = "";
-  variableRowsContainer.innerHTML = "";
+function queueSync(state) {
+  if (!syncState.enabled) return;
+  syncState.pending = JSON.parse(JSON.stringify(state));
+  syncState.rejected = false;
+  saveSyncState();
+  updateSyncControls();
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(flushSync, SYNC_DELAY);
+}
 
-  const renderGroup = (kind, container) => {
-    const groupRows = rows
-      .map((row, index) => ({ row, index }))
-      .filter(item => item.row.kind === kind);
+function applyServerBudget(budget) {
+  // De server bewaart geen schemaversie; migratie 0 → 1 laat een budget in de huidige vorm ongemoeid
+  applyState(budgetStore.upgrade(budget, 0));
+  syncState.revision = budget.revision;
+  syncState.pending = null;
+  saveSyncState();
+  renderHousehold();
+  renderIncomes();
+  renderRows();
+  renderPeriodControls();
+  drawSummary();
+  drawViews();
+  saveState({ announce: false, sync: false });
+  updateSyncControls();
+}
 
-    if (groupRows.length === 0) {
-    const emptyRow = document.createElement("tr");
-    emptyRow.innerHTML = `
-        <td colspan="4" class="text-center py-5">
-            <div class="text-muted">Nog geen ${kind === "fixed" ? "vaste lasten" : "variabele uitgaven"} toegevoegd.</div>
-        </td>
-      `;
-      container.appendChild(emptyRow);
+function resolveConflict(serverBudget) {
+  const useServer = confirm(
+    "Dit budget is op een ander apparaat gewijzigd sinds de laatste synchronisatie.\n\n" +
+    "OK: de versie van de server gebruiken (je wijzigingen hier vervallen).\n" +
+    "Annuleren: jouw versie bewaren en de server overschrijven."
+  );
+  if (useServer) {
+    applyServerBudget(serverBudget);
+    return;
+  }
+  syncState.revision = serverBudget.revision;
+  saveSyncState();
+  flushSync();
+}
+
+async function flushSync() {
+  clearTimeout(syncTimer);
+  // Een geweigerde versie blijft liggen tot er een nieuwere wijziging is
+  if (!syncState.enabled || !syncState.pending || syncState.rejected || syncInFlight) return;
+  if (!navigator.onLine) {
+    updateSyncControls();
+    return;
+  }
+
+  syncInFlight = true;
+  const snapshot = syncState.pending;
+  let conflict = null;
+  let rejectedStatus = null;
+  try {
+    const headers = Number.isInteger(syncState.revision) ? { "If-Match": `"${syncState.revision}"` } : {};
+    const { status, body } = await syncRequest(`/${syncState.budgetId}`, {
+      method: "PUT",
+      headers,
+      body: JSON.stringify(snapshot)
+    });
+
+    if (status === 200) {
+      syncState.revision = body.revision;
+      // Tijdens het versturen kan er alweer een nieuwere versie in de wachtrij zijn gezet
+      if (syncState.pending === snapshot) syncState.pending = null;
+      saveSyncState();
+    } else if (status === 412 && body?.budget) {
+      conflict = body.budget;
+    } else if (isRejectedBySync(status)) {
+      rejectedStatus = status;
+    } else if (status === 404) {
+      // Budget is op de server verwijderd: opnieuw aanmaken
+      const created = await syncRequest("", { method: "POST", body: JSON.stringify(snapshot) });
+      if (isRejectedBySync(created.status)) {
+        rejectedStatus = created.status;
+      } else if (created.status !== 201) {
+        throw new Error(`Server antwoordde met ${created.status}`);
+      } else {
+        syncState.budgetId = created.body.id;
+        syncState.revision = created.body.revision;
+        if (syncState.pending === snapshot) syncState.pending = null;
+        saveSyncState();
+      }
+    } else {
+      throw new Error(`Server antwoordde met ${status}`);
+    }
+    if (rejectedStatus !== null) {
+      // Dezelfde versie opnieuw sturen geeft hetzelfde antwoord; pas een volgende wijziging wordt weer verstuurd
+      console.error("De server weigerde het budget", rejectedStatus);
+      if (syncState.pending === snapshot) {
+        syncState.rejected = true;
+        saveSyncState();
+      }
+    }
+    updateSyncControls();
+  } catch (e) {
+    console.error("Budget kon niet worden gesynchroniseerd", e);
+    setSyncStatus("offline", "Niet verstuurd, nieuwe poging volgt");
+    syncTimer = setTimeout(flushSync, SYNC_DELAY * 20);
+  } finally {
+    syncInFlight = false;
+  }
+
+  if (conflict) {
+    resolveConflict(conflict);
+    return;
+  }
+  if (syncState.pending && syncState.pending !== snapshot) flushSync();
+}
+
+async function pullSync() {
+  if (!syncState.enabled || syncInFlight) return;
+  updateSyncControls();
+  try {
+    const { status, body } = await syncRequest(`/${syncState.budgetId}`);
+    if (status === 404) {
+      flushSync();
       return;
     }
+    if (status !== 200) throw new Error(`Server antwoordde met ${status}`);
 
-    groupRows.forEach(({ row, index }) => {
-      const rowEl = createRowElement(row, index);
-      container.appendChild(rowEl);
-    });
-  };
+    if (body.revision === syncState.revision) {
+      flushSync();
+    } else if (syncState.pending) {
+      resolveConflict(body);
+    } else {
+      applyServerBudget(body);
+    }
+  } catch (e) {
+    console.error("Budget kon niet van de server worden opgehaald", e);
+    setSyncStatus("offline", syncState.pending ? "Offline, wordt later verstuurd" : "Offline, lokale versie");
+  }
+}
 
-  renderGroup("fixed", fixedRowsContainer);
-  renderGroup("variable", variableRowsContainer);
+async function enableSync() {
+  const code = prompt(
+    "Vul de synchronisatiecode van je andere apparaat in om hetzelfde budget te gebruiken.\n" +
+    "Laat het veld leeg om dit budget als nieuw budget op de server te bewaren."
+  );
+  if (code === null) return;
+
+  try {
+    if (code.trim() !== "") {
+      const budgetId = Number(code.trim());
+      const { status, body } = Number.isInteger(budgetId) && budgetId > 0
+        ? await syncRequest(`/${budgetId}`)
+        : { status: 404, body: null };
+      if (status !== 200) {
+        alert("Er is geen budget met deze code gevonden.");
+        return;
+      }
+      if (!confirm("Het budget van de server vervangt de gegevens op dit apparaat. Doorgaan?")) return;
+      syncState = { enabled: true, budgetId: body.id, revision: body.revision, pending: null };
+      applyServerBudget(body);
+      return;
+    }
 
-  // Update currency symbols in new rows
-  updateCurrencySymbols();
+    const { status, body } = await syncRequest("", { method: "POST", body: JSON.stringify(buildState()) });
+    if (status !== 201) throw new Error(`Server antwoordde met ${status}`);
+    syncState = { enabled: true, budgetId: body.id, revision: body.revision, pending: null };
+    saveSyncState();
+    updateSyncControls();
+  } catch (e) {
+    console.error("Synchronisatie kon niet worden ingeschakeld", e);
+    alert("De server is nu niet bereikbaar. Probeer het later opnieuw.");
+  }
 }
 
-function totalExpenses() {
-  return rows.reduce((s, r) => s + (Number(r.amount) || 0), 0);
+function disableSync() {
+  if (!confirm("Synchronisatie uitzetten? Je budget blijft op dit apparaat bewaard.")) return;
+  clearTimeout(syncTimer);
+  syncState = { enabled: false, budgetId: null, revision: null, pending: null };
+  saveSyncState();
+  updateSyncControls();
 }
 
-function totalIncome() {
-  return Number(incomeInput.value || 0) + Number(extraIncomeInput.value || 0);
+function downloadQuarantinedBudget() {
+  const [latest] = budgetStore.quarantined();
+  if (!latest) return;
+  downloadFile(`nlrekentools-budget-onleesbaar-${latest.savedAt.slice(0, 10)}.json`, latest.raw, "application/json");
 }
 
-function updateProgressBar(income, expenses) {
-  if (!expenseBar) return;
+function resetToDefaults() {
+  rows = JSON.parse(JSON.stringify(DEFAULT_ROWS));
+  incomes = JSON.parse(JSON.stringify(DEFAULT_INCOMES));
+  currencySelect.value = "€";
+  budgetMethod = "";
+  members = [];
+  splitMode = "proportional";
+  periods = {};
+  activePeriod = periodKey(new Date());
+}
 
-  let percent = 0;
-  if (income > 0) {
-    percent = (expenses / income) * 100;
-  } else if (expenses > 0) {
-    percent = 100; // All expenses, no income = 100% bar
-  }
+// --- Budget months ---
 
-  expenseBar.style.width = Math.min(percent, 100) + "%";
-  if (progressContainer) {
-    progressContainer.setAttribute("aria-valuenow", String(Math.round(Math.min(percent, 100))));
-    progressContainer.setAttribute(
-      "aria-valuetext",
-      income > 0 ? `${Math.round(percent)}% van het inkomen uitgegeven` : "Nog geen inkomen ingevuld"
-    );
-  }
+function periodKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
 
-  // Change color based on health
-  if (expenses > income) {
-    expenseBar.style.background = "var(--color-expense)";
-  } else if (percent > 80) {
-    expenseBar.style.background = "#fbbf24"; // warning yellow/orange
-  } else {
-    expenseBar.style.background = ""; // reset to default gradient
-  }
+function isPeriodKey(value) {
+  return typeof value === "string" && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
 }
 
-function drawSummary() {
-  const income = totalIncome();
-  const expenses = totalExpenses();
-  const savings = income - expenses;
-  const usedRate = income > 0 ? ((expenses / income) * 100) : 0;
+function nextPeriodKey(key) {
+  const [year, month] = key.split("-").map(Number);
+  return periodKey(new Date(year, month, 1));
+}
 
-  const rateText = income > 0
-    ? `${usedRate.toFixed(0)}% gebruikt`
-    : "Nog geen inkomen";
+function formatPeriod(key) {
+  const [year, month] = key.split("-").map(Number);
+  return new Intl.DateTimeFormat("nl-NL", { month: "long", year: "numeric" }).format(new Date(year, month - 1, 1));
+}
 
-  // Update DOM
-  totalExpensesEl.textContent = fmt(expenses);
-  sumIncomeEl.textContent = fmt(income);
-  sumExpensesEl.textContent = fmt(expenses);
-  sumSavingsEl.textContent = fmt(savings);
-  finalRemainingEl.textContent = fmt(savings);
+function activePeriodSnapshot() {
+  return {
+    incomes: JSON.parse(JSON.stringify(incomes)),
+    rows: JSON.parse(JSON.stringify(rows))
+  };
+}
 
-  // Savings Rate / Status Logic
-  if (savingsRateEl) {
-    savingsRateEl.textContent = rateText;
-    if (income <= 0) {
-      savingsRateEl.classList.add("text-muted");
-      savingsRateEl.classList.remove("text-expense", "text-success");
-    } else if (savings < 0) {
-      savingsRateEl.classList.add("text-expense");
-      savingsRateEl.classList.remove("text-success", "text-muted");
-    } else {
-      savingsRateEl.classList.remove("text-expense", "text-muted");
-      savingsRateEl.classList.add("text-success");
-    }
-  }
+// Alle maanden, inclusief de maand die nu bewerkt wordt, op volgorde van oud naar nieuw
+function allPeriods() {
+  const all = { ...periods, [activePeriod]: activePeriodSnapshot() };
+  return Object.keys(all).sort().map(key => ({ key, ...all[key] }));
+}
 
-  // Update Overview Colors
-  if (savings >= 0) {
-    sumSavingsEl.className = "overview-value text-saving";
+function periodTotals(period) {
+  const income = period.incomes.reduce((s, item) => s + monthlyAmount(item, period.key), 0);
+  const expenses = period.rows.reduce((s, r) => s + monthlyAmount(r, period.key), 0);
+  return { income, expenses, remaining: income - expenses };
+}
+
+function activatePeriod(key) {
+  const target = periods[key];
+  delete periods[key];
+  activePeriod = key;
+  rows = target.rows.map(normalizeRow);
+  incomes = target.incomes.map(normalizeIncome);
+  renderIncomes();
+  renderRows();
+  renderPeriodControls();
+  draw();
+}
+
+function switchPeriod(key) {
+  if (key === activePeriod || !periods[key]) return;
+  periods[activePeriod] = activePeriodSnapshot();
+  activatePeriod(key);
+}
+
+// Een nieuwe maand begint als kopie van de laatste maand, zodat alleen de verschillen nog aangepast hoeven te worden
+function startNextPeriod() {
+  const latest = allPeriods().pop();
+  const key = nextPeriodKey(latest.key);
+  periods[key] = {
+    incomes: JSON.parse(JSON.stringify(latest.incomes)),
+    rows: JSON.parse(JSON.stringify(latest.rows))
+  };
+  switchPeriod(key);
+  setActiveStep("income");
+}
+
+function removeActivePeriod() {
+  const otherKeys = Object.keys(periods).sort();
+  if (otherKeys.length === 0) return;
+  if (!confirm(`Weet je zeker dat je ${formatPeriod(activePeriod)} wilt verwijderen?`)) return;
+  activatePeriod(otherKeys.filter(key => key < activePeriod).pop() || otherKeys[0]);
+}
+
+function renderPeriodControls() {
+  if (!periodSelect) return;
+  periodSelect.innerHTML = "";
+  allPeriods().forEach(({ key }) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = formatPeriod(key);
+    option.selected = key === activePeriod;
+    periodSelect.appendChild(option);
+  });
+  if (removePeriodBtn) removePeriodBtn.disabled = Object.keys(periods).length === 0;
+}
+
+// --- Frequencies ---
+// Iedere post heeft een frequentie; alle totalen rekenen met het maandbedrag uit monthlyAmount().
+
+const ROW_FREQUENCIES = {
+  weekly: { label: "Per week", perMonth: 52 / 12 },
+  "four-weekly": { label: "Per 4 weken", perMonth: 13 / 12 },
+  monthly: { label: "Per maand", perMonth: 1 },
+  quarterly: { label: "Per kwartaal", perMonth: 1 / 3, interval: 3 },
+  yearly: { label: "Per jaar", perMonth: 1 / 12, interval: 12 },
+  once: { label: "Eenmalig", perMonth: null }
+};
+
+function rowFrequency(row) {
+  return ROW_FREQUENCIES[row.frequency] ? row.frequency : "monthly";
+}
+
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split("-").map(Number);
+  const [toYear, toMonth] = to.split("-").map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+function addMonths(key, count) {
+  const [year, month] = key.split("-").map(Number);
+  return periodKey(new Date(year, month - 1 + count, 1));
+}
+
+// Een eenmalige uitgave wordt verdeeld over de maanden tot en met de maand waarin hij valt
+function monthlyAmount(row, month = activePeriod) {
+  const amount = Number(row.amount) || 0;
+  const frequency = rowFrequency(row);
+  if (frequency !== "once") return amount * ROW_FREQUENCIES[frequency].perMonth;
+  if (!isPeriodKey(row.dueMonth)) return amount;
+  const monthsLeft = monthsBetween(month, row.dueMonth);
+  return monthsLeft < 0 ? 0 : amount / (monthsLeft + 1);
+}
+
+// Eerstvolgende betaalmaand vanaf `month`, of null als die niet bekend of al voorbij is
+function nextDueMonth(row, month = activePeriod) {
+  if (!isPeriodKey(row.dueMonth)) return null;
+  const interval = ROW_FREQUENCIES[rowFrequency(row)].interval;
+  if (!interval) return monthsBetween(month, row.dueMonth) >= 0 ? row.dueMonth : null;
+  const behind = monthsBetween(row.dueMonth, month);
+  return behind <= 0 ? row.dueMonth : addMonths(row.dueMonth, Math.ceil(behind / interval) * interval);
+}
+
+function isIrregular(row) {
+  return ["quarterly", "yearly", "once"].includes(rowFrequency(row));
+}
+
+// --- Household ---
+// Inkomsten en uitgaven horen bij een persoon of zijn gedeeld. Gedeelde uitgaven worden betaald door
+// een persoon of van de gezamenlijke rekening; householdSplit() rekent uit wie wat aan wie overmaakt.
+
+const SPLIT_MODES = {
+  proportional: "Gedeelde kosten naar verhouding van ieders inkomen.",
+  equal: "Gedeelde kosten gelijk verdeeld."
+};
+const JOINT_ACCOUNT = "de gezamenlijke rekening";
+
+function normalizeMember(member) {
+  if (!member || typeof member !== "object" || typeof member.id !== "string" || !member.id) return null;
+  return { id: member.id, name: String(member.name || "") };
+}
+
+// Met minder dan twee personen valt er niets te verdelen
+function householdActive() {
+  return members.length >= 2;
+}
+
+function memberName(id) {
+  const index = members.findIndex(member => member.id === id);
+  if (index === -1) return "";
+  return members[index].name.trim() || `Persoon ${index + 1}`;
+}
+
+function isMember(id) {
+  return members.some(member => member.id === id);
+}
+
+/**
+ * Verdeelt de gedeelde uitgaven en geeft per persoon het overzicht plus de overboekingen
+ * `{ from, to, amount }` die alles rechtzetten. `from`/`to` is een id of "" voor de gezamenlijke rekening.
+ */
+function householdSplit() {
+  const incomeOf = id => incomes.filter(item => item.owner === id).reduce((s, item) => s + monthlyAmount(item), 0);
+  const sharedRows = rows.filter(row => !isMember(row.owner));
+  const sharedTotal = sharedRows.reduce((s, row) => s + monthlyAmount(row), 0);
+  const assignedIncome = members.reduce((s, member) => s + incomeOf(member.id), 0);
+  const proportional = splitMode === "proportional" && assignedIncome > 0;
+
+  const people = members.map(member => {
+    const income = incomeOf(member.id);
+    const share = proportional ? income / assignedIncome : 1 / members.length;
+    const sharedCosts = sharedTotal * share;
+    const personal = rows.filter(row => row.owner === member.id).reduce((s, row) => s + monthlyAmount(row), 0);
+    const paid = sharedRows.filter(row => row.paidBy === member.id).reduce((s, row) => s + monthlyAmount(row), 0);
+    return { id: member.id, name: memberName(member.id), income, share, sharedCosts, personal, paid, remaining: income - sharedCosts - personal };
+  });
+
+  // Wie meer gedeelde kosten betaalt dan zijn aandeel krijgt geld terug; de gezamenlijke rekening krijgt alles wat zij betaalt
+  const jointPaid = sharedRows.filter(row => !isMember(row.paidBy)).reduce((s, row) => s + monthlyAmount(row), 0);
+  const balances = [
+    ...people.map(person => ({ id: person.id, balance: person.paid - person.sharedCosts })),
+    { id: "", balance: jointPaid }
+  ];
+  const debtors = balances.filter(item => item.balance < -0.005).sort((a, b) => a.balance - b.balance);
+  const creditors = balances.filter(item => item.balance > 0.005).sort((a, b) => b.balance - a.balance);
+  const transfers = [];
+  debtors.forEach(debtor => {
+    creditors.forEach(creditor => {
+      const amount = Math.min(-debtor.balance, creditor.balance);
+      if (amount <= 0.005) return;
+      transfers.push({ from: debtor.id, to: creditor.id, amount: Math.round(amount * 100) / 100 });
+      debtor.balance += amount;
+      creditor.balance -= amount;
+    });
+  });
+
+  return { people, sharedTotal, transfers };
+}
+
+function describeTransfer({ from, to, amount }) {
+  return `${from ? memberName(from) : "Van de gezamenlijke rekening"} maakt ${fmt(amount)} per maand over aan ${to ? memberName(to) : JOINT_ACCOUNT}`;
+}
+
+function drawHouseholdSplit() {
+  if (!householdSplitEl) return;
+  householdSplitEl.hidden = !householdActive();
+  householdTransfersEl.innerHTML = "";
+  householdTableBody.innerHTML = "";
+  if (!householdActive()) return;
+
+  const { people, transfers } = householdSplit();
+  householdSplitModeEl.textContent = SPLIT_MODES[splitMode];
+  if (transfers.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "Niemand hoeft iets over te maken.";
+    householdTransfersEl.appendChild(li);
+  }
+  transfers.forEach(transfer => {
+    const li = document.createElement("li");
+    li.textContent = describeTransfer(transfer);
+    householdTransfersEl.appendChild(li);
+  });
+
+  people.forEach(person => {
+    const tr = document.createElement("tr");
+    [person.name, fmt(person.income), `${Math.round(person.share * 100)}%`, fmt(person.sharedCosts), fmt(person.personal), fmt(person.remaining)]
+      .forEach(value => {
+        const td = document.createElement("td");
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+    householdTableBody.appendChild(tr);
+  });
+}
+
+function renderHousehold() {
+  if (!householdMembersEl) return;
+  householdMembersEl.innerHTML = "";
+  members.forEach((member, index) => {
+    const li = document.createElement("li");
+    li.className = "household__member";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "form-control";
+    input.value = member.name;
+    input.placeholder = `Persoon ${index + 1}`;
+    input.setAttribute("aria-label", `Naam van persoon ${index + 1}`);
+    input.addEventListener("input", e => {
+      member.name = e.target.value;
+      draw();
+    });
+    // Keuzelijsten met namen pas bijwerken als het typen klaar is
+    input.addEventListener("change", () => {
+      renderIncomes();
+      renderRows();
+    });
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "btn-remove";
+    removeBtn.type = "button";
+    removeBtn.innerHTML = "&times;";
+    removeBtn.title = "Persoon verwijderen";
+    removeBtn.setAttribute("aria-label", `${memberName(member.id)} verwijderen`);
+    removeBtn.addEventListener("click", () => removeMember(member.id));
+    li.append(input, removeBtn);
+    householdMembersEl.appendChild(li);
+  });
+  document.querySelectorAll('input[name="splitMode"]').forEach(input => {
+    input.checked = input.value === splitMode;
+  });
+  if (householdEl && members.length > 0) householdEl.open = true;
+}
+
+function addMember(name = "") {
+  checkpoint();
+  members.push({ id: createId("member"), name });
+  renderHousehold();
+  renderIncomes();
+  renderRows();
+  draw();
+  const inputs = householdMembersEl.querySelectorAll("input");
+  if (inputs.length) inputs[inputs.length - 1].focus();
+}
+
+// Alles van een verwijderde persoon wordt gedeeld, ook in andere maanden
+function removeMember(id) {
+  checkpoint("Persoon verwijderd");
+  members = members.filter(member => member.id !== id);
+  const release = item => {
+    if (item.owner === id) item.owner = "";
+    if (item.paidBy === id) item.paidBy = "";
+  };
+  [...incomes, ...rows].forEach(release);
+  Object.values(periods).forEach(period => [...period.incomes, ...period.rows].forEach(release));
+  renderHousehold();
+  renderIncomes();
+  renderRows();
+  draw();
+}
+
+function createOwnerSelect(value, label, emptyLabel, onChange) {
+  const select = document.createElement("select");
+  select.className = "form-select";
+  select.setAttribute("aria-label", label);
+  [["", emptyLabel], ...members.map(member => [member.id, memberName(member.id)])].forEach(([id, name]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = isMember(value) ? value : "";
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+// Persoon bij een uitgave: eigen uitgave of gedeeld, en bij gedeeld wie betaalt
+function createRowOwnerControls(row, label) {
+  const wrap = document.createElement("div");
+  wrap.className = "row-owner";
+  const paidBySelect = createOwnerSelect(row.paidBy, `Betaald door, ${label}`, "Betaald van gezamenlijke rekening", value => {
+    row.paidBy = value;
+    draw();
+  });
+  const ownerSelect = createOwnerSelect(row.owner, `Van wie is ${label}`, "Gedeeld", value => {
+    row.owner = value;
+    paidBySelect.hidden = value !== "";
+    draw();
+  });
+  ownerSelect.dataset.field = "owner";
+  paidBySelect.dataset.field = "paidBy";
+  paidBySelect.hidden = isMember(row.owner);
+  [...paidBySelect.options].forEach(option => {
+    if (option.value) option.textContent = `Betaald door ${option.textContent}`;
+  });
+  wrap.append(ownerSelect, paidBySelect);
+  return wrap;
+}
+
+function createIncomeOwnerControls(income, label) {
+  const wrap = document.createElement("div");
+  wrap.className = "row-owner";
+  wrap.appendChild(createOwnerSelect(income.owner, `Van wie is ${label}`, "Gezamenlijk", value => {
+    income.owner = value;
+    draw();
+  }));
+  return wrap;
+}
+
+// --- Helpers ---
+
+// Vaste id's voor uitgaven en personen; uniek binnen dit apparaat
+function createId(prefix) {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+}
+
+const currencyFormatters = {};
+
+function fmt(v) {
+  const cur = currencySelect.value || "€";
+  const currencyCodes = { "€": "EUR", "$": "USD", "£": "GBP" };
+  const code = currencyCodes[cur] || "EUR";
+  // Een formatter maken is duur; bij grote budgetten wordt fmt() honderden keren per keer tekenen aangeroepen
+  if (!currencyFormatters[code]) {
+    currencyFormatters[code] = new Intl.NumberFormat("nl-NL", {
+      style: "currency",
+      currency: code,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  }
+  return currencyFormatters[code].format(Number(v) || 0);
+}
+
+function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Zet een invoerveld gelijk aan de opgeslagen waarde, maar laat het veld waarin iemand typt met rust
+function setFieldValue(input, value) {
+  if (input === document.activeElement) return;
+  const next = value === undefined || value === null ? "" : String(value);
+  const changed = input.type === "number"
+    ? (input.value === "") !== (next === "") || Number(input.value) !== Number(next)
+    : input.value !== next;
+  if (changed) input.value = next;
+}
+
+function sanitizeCsvField(value) {
+  const str = String(value ?? "");
+  const escaped = str.replace(/"/g, '""');
+  // Prevent CSV injection (formulae)
+  const needsFormulaEscape = /^[=+\-@]/.test(escaped);
+  const safe = needsFormulaEscape ? `'${escaped}` : escaped;
+  return `"${safe}"`;
+}
+
+function updateCurrencySymbols() {
+  const sym = currencySelect.value;
+  document.querySelectorAll('.js-currency-symbol').forEach(el => el.textContent = sym);
+}
+
+// --- UI Rendering ---
+
+function createAmountGroup(item, label) {
+  const amountGroup = document.createElement("div");
+  amountGroup.className = "input-group";
+
+  const prefix = document.createElement("span");
+  prefix.className = "input-group-text js-currency-symbol";
+  prefix.textContent = currencySelect.value;
+
+  const amountInput = document.createElement("input");
+  amountInput.type = "number";
+  amountInput.className = "form-control text-end";
+  amountInput.value = item.amount === "" ? "" : item.amount;
+  amountInput.min = "0";
+  amountInput.step = "any";
+  amountInput.placeholder = "0.00";
+  amountInput.setAttribute("aria-label", `Bedrag voor ${label}`);
+  amountInput.dataset.field = "amount";
+
+  amountGroup.appendChild(prefix);
+  amountGroup.appendChild(amountInput);
+  return { element: amountGroup, input: amountInput };
+}
+
+// Frequentie met betaalmaand en het omgerekende maandbedrag; `update` ververst de omrekening
+function createFrequencyControls(item, label, onChange) {
+  const frequencyWrap = document.createElement("div");
+  frequencyWrap.className = "row-frequency";
+  const frequencySelect = document.createElement("select");
+  frequencySelect.className = "form-select";
+  frequencySelect.setAttribute("aria-label", `Frequentie voor ${label}`);
+  Object.entries(ROW_FREQUENCIES).forEach(([frequency, { label: frequencyLabel }]) => {
+    const option = document.createElement("option");
+    option.value = frequency;
+    option.textContent = frequencyLabel;
+    frequencySelect.appendChild(option);
+  });
+  frequencySelect.value = rowFrequency(item);
+  frequencySelect.dataset.field = "frequency";
+  const dueInput = document.createElement("input");
+  dueInput.type = "month";
+  dueInput.className = "form-control";
+  dueInput.value = item.dueMonth || "";
+  dueInput.dataset.field = "dueMonth";
+  const monthlyInfo = document.createElement("span");
+  monthlyInfo.className = "row-frequency__monthly";
+
+  const update = () => {
+    const frequency = rowFrequency(item);
+    if (frequencySelect.value !== frequency) frequencySelect.value = frequency;
+    dueInput.hidden = !ROW_FREQUENCIES[frequency].interval && frequency !== "once";
+    dueInput.setAttribute("aria-label", frequency === "once" ? `Maand van ${label}` : `Volgende betaling van ${label}`);
+    monthlyInfo.textContent = frequency === "monthly" ? "" : `≈ ${fmt(monthlyAmount(item))} per maand`;
+  };
+
+  frequencySelect.addEventListener("change", () => {
+    item.frequency = frequencySelect.value;
+    update();
+    onChange();
+  });
+
+  dueInput.addEventListener("change", () => {
+    item.dueMonth = isPeriodKey(dueInput.value) ? dueInput.value : "";
+    update();
+    onChange();
+  });
+
+  frequencyWrap.appendChild(frequencySelect);
+  frequencyWrap.appendChild(dueInput);
+  frequencyWrap.appendChild(monthlyInfo);
+  update();
+
+  const setLabel = newLabel => {
+    label = newLabel;
+    frequencySelect.setAttribute("aria-label", `Frequentie voor ${label}`);
+    update();
+  };
+  return { element: frequencyWrap, update, setLabel };
+}
+
+function createNotesCell(item, label) {
+  const tdNotes = document.createElement("td");
+  const notesDetails = document.createElement("details");
+  notesDetails.className = "row-notes";
+  notesDetails.open = Boolean(item.notes);
+  const notesSummary = document.createElement("summary");
+  notesSummary.textContent = item.notes ? "Notitie bekijken" : "Notitie toevoegen";
+  const notesInput = document.createElement("input");
+  notesInput.type = "text";
+  notesInput.className = "form-control text-muted";
+  notesInput.value = item.notes;
+  notesInput.placeholder = item.noteHint || "Optionele notitie";
+  notesInput.setAttribute("aria-label", `Notitie voor ${label}`);
+  notesInput.style.fontSize = "0.9em";
+  notesInput.dataset.field = "notes";
+  notesInput.addEventListener("input", e => {
+    item.notes = e.target.value;
+    notesSummary.textContent = e.target.value ? "Notitie bekijken" : "Notitie toevoegen";
+    draw();
+  });
+  notesDetails.appendChild(notesSummary);
+  notesDetails.appendChild(notesInput);
+  tdNotes.appendChild(notesDetails);
+  return tdNotes;
+}
+
+function createIncomeElement(income, i) {
+  const tr = document.createElement("tr");
+  tr.className = "expense-row income-row";
+  const label = income.name || `inkomen ${i + 1}`;
+
+  const tdName = document.createElement("td");
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "form-control";
+  nameInput.value = income.name;
+  nameInput.placeholder = "Naam inkomstenbron";
+  nameInput.setAttribute("aria-label", `Inkomstenbron ${i + 1}`);
+  nameInput.addEventListener("input", e => { income.name = e.target.value; draw(); });
+  tdName.appendChild(nameInput);
+  if (householdActive()) tdName.appendChild(createIncomeOwnerControls(income, label));
+  tr.appendChild(tdName);
+
+  const tdAmount = document.createElement("td");
+  const amount = createAmountGroup(income, label);
+  const frequency = createFrequencyControls(income, label, draw);
+  amount.input.addEventListener("input", e => {
+    const value = parseFloat(e.target.value);
+    income.amount = Number.isFinite(value) ? Math.max(0, value) : "";
+    frequency.update();
+    draw();
+  });
+  tdAmount.appendChild(amount.element);
+  tdAmount.appendChild(frequency.element);
+  tr.appendChild(tdAmount);
+
+  tr.appendChild(createNotesCell(income, label));
+
+  const tdAction = document.createElement("td");
+  tdAction.className = "text-end";
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "btn-remove mx-auto";
+  removeBtn.type = "button";
+  removeBtn.innerHTML = "&times;";
+  removeBtn.title = "Inkomen verwijderen";
+  removeBtn.setAttribute("aria-label", `${income.name || `Inkomen ${i + 1}`} verwijderen`);
+  removeBtn.addEventListener("click", () => {
+    checkpoint("Inkomen verwijderd");
+    incomes.splice(i, 1);
+    renderIncomes();
+    draw();
+  });
+  tdAction.appendChild(removeBtn);
+  tr.appendChild(tdAction);
+
+  return tr;
+}
+
+function renderIncomes() {
+  incomeRowsContainer.innerHTML = "";
+  if (incomes.length === 0) {
+    const emptyRow = document.createElement("tr");
+    emptyRow.innerHTML = `
+        <td colspan="4" class="text-center py-5">
+            <div class="text-muted">Nog geen inkomsten toegevoegd.</div>
+        </td>
+      `;
+    incomeRowsContainer.appendChild(emptyRow);
+  } else {
+    incomes.forEach((income, index) => incomeRowsContainer.appendChild(createIncomeElement(income, index)));
+  }
+  updateCurrencySymbols();
+}
+
+function addIncome() {
+  checkpoint();
+  incomes.push({ name: "", amount: "", frequency: "monthly", dueMonth: "", notes: "", noteHint: "" });
+  renderIncomes();
+  const lastRow = incomeRowsContainer.querySelector(".income-row:last-child");
+  if (lastRow) {
+    const input = lastRow.querySelector("input");
+    if (input) input.focus();
+    lastRow.classList.add("row-enter");
+  }
+  draw();
+}
+
+/**
+ * Bouwt de tabelrij voor uitgave `r`. Alle handlers werken met het object zelf, niet met een index,
+ * zodat de rij na verwijderen of verslepen van andere rijen kan blijven staan. `sync()` zet de velden
+ * gelijk met het object als dat van buitenaf is aangepast, bijvoorbeeld door een import.
+ */
+function createRowElement(r, i) {
+  const tr = document.createElement("tr");
+  tr.className = "expense-row";
+  tr.dataset.rowId = r.id;
+
+  // Category Column
+  const tdCat = document.createElement("td");
+  const catInput = document.createElement("input");
+  catInput.type = "text";
+  catInput.className = "form-control";
+  catInput.value = r.category;
+  catInput.placeholder = "Naam categorie";
+  catInput.dataset.field = "category";
+  catInput.addEventListener("input", e => {
+    r.category = e.target.value;
+    updateLabels();
+    draw();
+  });
+  tdCat.appendChild(catInput);
+  const label = r.category || `uitgave ${i + 1}`;
+  if (householdActive()) tdCat.appendChild(createRowOwnerControls(r, label));
+  tr.appendChild(tdCat);
+
+  // Amount Column
+  const tdAmount = document.createElement("td");
+  const amount = createAmountGroup(r, label);
+
+  // Doelbedrag onder het werkelijke bedrag, met direct zichtbaar of de post erboven zit
+  const targetWrap = document.createElement("div");
+  targetWrap.className = "row-target";
+  const targetLabel = document.createElement("label");
+  targetLabel.className = "row-target__label";
+  const targetInput = document.createElement("input");
+  targetInput.type = "number";
+  targetInput.className = "form-control text-end";
+  targetInput.value = r.target === "" ? "" : r.target;
+  targetInput.min = "0";
+  targetInput.step = "any";
+  targetInput.placeholder = "Geen";
+  targetInput.dataset.field = "target";
+  const targetStatus = document.createElement("span");
+  targetStatus.className = "row-target__status";
+
+  const updateTargetStatus = () => {
+    const target = rowTarget(r);
+    const amount = monthlyAmount(r);
+    const over = target !== null && amount > target;
+    tr.classList.toggle("expense-row--over", over);
+    const envelope = budgetMethod === "envelope";
+    if (target === null) {
+      targetStatus.textContent = "";
+    } else if (over) {
+      targetStatus.textContent = `${fmt(amount - target)} boven ${envelope ? "envelop" : "doel"}`;
+    } else {
+      targetStatus.textContent = envelope ? `Nog ${fmt(target - amount)} in envelop` : `Nog ${fmt(target - amount)} binnen doel`;
+    }
+  };
+
+  const frequency = createFrequencyControls(r, label, () => {
+    updateTargetStatus();
+    draw();
+  });
+
+  amount.input.addEventListener("input", e => {
+    let value = e.target.value;
+    if (parseFloat(value) < 0) value = "0";
+    r.amount = value === "" ? "" : parseFloat(value);
+    frequency.update();
+    updateTargetStatus();
+    draw();
+  });
+
+  targetInput.addEventListener("input", e => {
+    const value = parseFloat(e.target.value);
+    r.target = Number.isFinite(value) ? Math.max(0, value) : "";
+    updateTargetStatus();
+    draw();
+  });
+
+  tdAmount.appendChild(amount.element);
+  tdAmount.appendChild(frequency.element);
+  targetLabel.append(BUDGET_METHODS[budgetMethod]?.targetLabel || "Doel", targetInput);
+  targetWrap.appendChild(targetLabel);
+  let bucketSelect = null;
+  if (budgetMethod === "50-30-20") {
+    bucketSelect = document.createElement("select");
+    bucketSelect.className = "form-select row-target__bucket";
+    Object.entries(BUDGET_BUCKETS).forEach(([bucket, label]) => {
+      const option = document.createElement("option");
+      option.value = bucket;
+      option.textContent = label;
+      bucketSelect.appendChild(option);
+    });
+    bucketSelect.value = rowBucket(r);
+    bucketSelect.addEventListener("change", () => {
+      r.bucket = bucketSelect.value;
+      draw();
+    });
+    targetWrap.appendChild(bucketSelect);
+  }
+  targetWrap.appendChild(targetStatus);
+  tdAmount.appendChild(targetWrap);
+  updateTargetStatus();
+  tr.appendChild(tdAmount);
+
+  // Notes Column
+  tr.appendChild(createNotesCell(r, label));
+
+  // Actions Column
+  const tdAction = document.createElement("td");
+  tdAction.className = "text-end";
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "btn-remove mx-auto";
+  removeBtn.type = "button";
+  removeBtn.innerHTML = "&times;";
+  removeBtn.title = "Uitgave verwijderen";
+  removeBtn.addEventListener("click", () => {
+    checkpoint("Uitgave verwijderd");
+    const neighbour = tr.nextElementSibling || tr.previousElementSibling;
+    const kind = r.kind;
+    rows.splice(rows.indexOf(r), 1);
+    renderRows();
+    // Focus naar de buurrij, anders naar de knop om een uitgave toe te voegen
+    const nextFocus = neighbour?.isConnected && neighbour.querySelector(".btn-remove");
+    if (nextFocus) {
+      nextFocus.focus();
+    } else {
+      ROW_GROUPS[kind].addButton()?.focus();
+    }
+    draw();
+  });
+  const actions = document.createElement("div");
+  actions.className = "row-actions";
+  const handle = createRowHandle(r, tr, label);
+  actions.append(handle, removeBtn);
+  tdAction.appendChild(actions);
+  tr.appendChild(tdAction);
+
+  // Labels volgen de naam en de plek van de rij, ook als de rij na hernoemen of verplaatsen wordt hergebruikt
+  let position = i;
+  function updateLabels() {
+    const current = r.category || `uitgave ${position + 1}`;
+    catInput.setAttribute("aria-label", `Categorie ${position + 1}`);
+    amount.input.setAttribute("aria-label", `Bedrag voor ${current}`);
+    frequency.setLabel(current);
+    targetInput.setAttribute("aria-label", `Doel voor ${current}`);
+    if (bucketSelect) bucketSelect.setAttribute("aria-label", `Deel van 50/30/20 voor ${current}`);
+    tr.querySelector('[data-field="notes"]').setAttribute("aria-label", `Notitie voor ${current}`);
+    tr.querySelector('[data-field="owner"]')?.setAttribute("aria-label", `Van wie is ${current}`);
+    tr.querySelector('[data-field="paidBy"]')?.setAttribute("aria-label", `Betaald door, ${current}`);
+    removeBtn.setAttribute("aria-label", `${r.category || `Uitgave ${position + 1}`} verwijderen`);
+    handle.setAttribute("aria-label", `${current} verplaatsen`);
+  }
+  updateLabels();
+
+  const sync = index => {
+    tr.querySelectorAll("[data-field]").forEach(input => setFieldValue(input, r[input.dataset.field]));
+    position = index;
+    updateLabels();
+    frequency.update();
+    updateTargetStatus();
+  };
+
+  return { element: tr, sync };
+}
+
+// Tabelrijen per uitgave-id. Een rij wordt hergebruikt zolang het object hetzelfde is; na ongedaan maken
+// of wisselen van maand zijn de objecten nieuw en worden de rijen opnieuw gebouwd.
+const rowViews = new Map();
+let rowViewKey = "";
+
+function emptyGroupRow(kind) {
+  const emptyRow = document.createElement("tr");
+  emptyRow.innerHTML = `
+      <td colspan="4" class="text-center py-5">
+          <div class="text-muted">Nog geen ${ROW_GROUPS[kind].label} toegevoegd.</div>
+      </td>
+    `;
+  return emptyRow;
+}
+
+// Zet de kinderen van `container` in de volgorde van `elements` en verplaatst daarbij zo min mogelijk:
+// een verplaatst element verliest in de browser zijn focus
+function reconcileChildren(container, elements) {
+  const wanted = new Set(elements);
+  Array.from(container.children).forEach(child => {
+    if (!wanted.has(child)) child.remove();
+  });
+  let cursor = container.firstElementChild;
+  elements.forEach(element => {
+    if (element === cursor) {
+      cursor = cursor.nextElementSibling;
+    } else {
+      container.insertBefore(element, cursor);
+    }
+  });
+}
+
+function renderRows() {
+  // Welke velden een rij heeft hangt af van de methode en het huishouden; verandert dat, dan alles opnieuw
+  const viewKey = JSON.stringify([budgetMethod, householdActive() ? members.map(member => [member.id, memberName(member.id)]) : []]);
+  if (viewKey !== rowViewKey) {
+    rowViews.clear();
+    rowViewKey = viewKey;
+  }
+
+  const ids = new Set();
+  rows.forEach(row => {
+    if (!row.id || ids.has(row.id)) row.id = createId("row");
+    ids.add(row.id);
+  });
+  rowViews.forEach((view, id) => {
+    if (!ids.has(id)) rowViews.delete(id);
+  });
+
+  Object.entries(ROW_GROUPS).forEach(([kind, group]) => {
+    const elements = [];
+    rows.forEach((row, index) => {
+      if (row.kind !== kind) return;
+      let view = rowViews.get(row.id);
+      if (view && view.row === row) {
+        view.sync(index);
+      } else {
+        view = { row, ...createRowElement(row, index) };
+        rowViews.set(row.id, view);
+      }
+      elements.push(view.element);
+    });
+    if (elements.length === 0) elements.push(emptyGroupRow(kind));
+    reconcileChildren(group.container(), elements);
+  });
+
+  // Update currency symbols in new rows
+  updateCurrencySymbols();
+}
+
+// --- Row order ---
+// De volgorde van `rows` is ook de volgorde in de tabellen, de CSV en de legenda: eerst de vaste lasten,
+// dan de variabele uitgaven. Slepen kan met de muis en met de pijltjestoetsen op de greep.
+
+const ROW_GROUPS = {
+  fixed: { container: () => fixedRowsContainer, addButton: () => addFixedRowBtn, label: "vaste lasten" },
+  variable: { container: () => variableRowsContainer, addButton: () => addVariableRowBtn, label: "variabele uitgaven" }
+};
+
+let draggedRow = null;
+
+/** Zet de uitgave op `from` op plek `position` binnen de groep `kind`; geeft de nieuwe index terug. */
+function moveRow(from, kind, position) {
+  checkpoint();
+  const [row] = rows.splice(from, 1);
+  row.kind = kind;
+  const group = rows.filter(item => item.kind === kind);
+  group.splice(Math.max(0, Math.min(position, group.length)), 0, row);
+  rows = Object.keys(ROW_GROUPS).flatMap(key => (key === kind ? group : rows.filter(item => item.kind === key)));
+  renderRows();
+  draw();
+
+  const index = rows.indexOf(row);
+  const groupSize = rows.filter(item => item.kind === kind).length;
+  rowMoveStatusEl.textContent = `${row.category || "Uitgave"} staat nu bij de ${ROW_GROUPS[kind].label}, plek ${group.indexOf(row) + 1} van ${groupSize}.`;
+  return index;
+}
+
+// Met pijl omhoog en omlaag een plek opschuiven; voorbij de rand gaat de uitgave naar de andere groep
+function moveRowByKey(row, direction) {
+  const group = rows.filter(item => item.kind === row.kind);
+  let kind = row.kind;
+  let position = group.indexOf(row) + direction;
+  if (position < 0) {
+    if (kind === "fixed") return;
+    kind = "fixed";
+    position = rows.filter(item => item.kind === "fixed").length;
+  } else if (position >= group.length) {
+    if (kind === "variable") return;
+    kind = "variable";
+    position = 0;
+  }
+  moveRow(rows.indexOf(row), kind, position);
+  const handle = rowViews.get(row.id)?.element.querySelector(".row-handle");
+  if (handle && document.activeElement !== handle) handle.focus();
+}
+
+function createRowHandle(r, tr, label) {
+  const handle = document.createElement("button");
+  handle.className = "row-handle";
+  handle.type = "button";
+  handle.draggable = true;
+  handle.textContent = "⋮⋮";
+  handle.title = "Slepen of met de pijltjestoetsen verplaatsen";
+  handle.setAttribute("aria-label", `${label} verplaatsen`);
+  handle.setAttribute("aria-keyshortcuts", "ArrowUp ArrowDown");
+  handle.addEventListener("keydown", event => {
+    if (event.key !== "ArrowUp" && event.key !== "ArrowDown") return;
+    event.preventDefault();
+    moveRowByKey(r, event.key === "ArrowUp" ? -1 : 1);
+  });
+  handle.addEventListener("dragstart", event => {
+    draggedRow = r;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", r.category);
+    if (event.dataTransfer.setDragImage) event.dataTransfer.setDragImage(tr, 24, 24);
+    tr.classList.add("is-dragging");
+  });
+  handle.addEventListener("dragend", () => {
+    draggedRow = null;
+    tr.classList.remove("is-dragging");
+    clearDropMarkers();
+  });
+  return handle;
+}
+
+function clearDropMarkers() {
+  document.querySelectorAll(".drop-before, .drop-after, .is-drop-target").forEach(el => {
+    el.classList.remove("drop-before", "drop-after", "is-drop-target");
+  });
+}
+
+// Plek binnen de groep onder de muis, zonder de uitgave die versleept wordt mee te tellen
+function dropPosition(container, clientY) {
+  const others = Array.from(container.querySelectorAll(".expense-row"))
+    .filter(el => el.dataset.rowId !== draggedRow.id);
+  const position = others.filter(el => {
+    const box = el.getBoundingClientRect();
+    return clientY > box.top + box.height / 2;
+  }).length;
+  return { position, others };
+}
+
+function enableRowDrop(kind) {
+  const container = ROW_GROUPS[kind].container();
+  if (!container) return;
+  container.addEventListener("dragover", event => {
+    if (!draggedRow) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    const { position, others } = dropPosition(container, event.clientY);
+    clearDropMarkers();
+    container.classList.add("is-drop-target");
+    if (others[position]) {
+      others[position].classList.add("drop-before");
+    } else if (others.length > 0) {
+      others[others.length - 1].classList.add("drop-after");
+    }
+  });
+  container.addEventListener("dragleave", event => {
+    if (!container.contains(event.relatedTarget)) clearDropMarkers();
+  });
+  container.addEventListener("drop", event => {
+    if (!draggedRow) return;
+    event.preventDefault();
+    const from = rows.indexOf(draggedRow);
+    const { position } = dropPosition(container, event.clientY);
+    draggedRow = null;
+    clearDropMarkers();
+    if (from !== -1) moveRow(from, kind, position);
+  });
+}
+
+function totalExpenses() {
+  return rows.reduce((s, r) => s + monthlyAmount(r), 0);
+}
+
+// Leeg doel betekent "geen doel"; 0 is een geldig doel
+function rowTarget(row) {
+  if (row.target === "" || row.target === null || row.target === undefined) return null;
+  const target = Number(row.target);
+  return Number.isFinite(target) ? target : null;
+}
+
+// Posten met een doel, met de overschrijdingen bovenaan
+function targetOverview() {
+  return rows
+    .map(row => ({ category: row.category.trim() || "Naamloze uitgave", amount: monthlyAmount(row), target: rowTarget(row) }))
+    .filter(item => item.target !== null)
+    .map(item => ({ ...item, excess: item.amount - item.target }))
+    .sort((a, b) => b.excess - a.excess);
+}
+
+// "Boodschappen (€ 20,00 te veel), Vervoer (€ 5,00 te veel) en nog 2 andere"
+function describeOverTargets(overTargets, limit = 3) {
+  const named = overTargets.slice(0, limit).map(item => `${item.category} (${fmt(item.excess)} te veel)`);
+  const rest = overTargets.length - named.length;
+  if (rest > 0) named.push(`nog ${rest} andere`);
+  return named.length > 1 ? `${named.slice(0, -1).join(", ")} en ${named[named.length - 1]}` : named[0];
+}
+
+function totalIncome() {
+  return incomes.reduce((s, item) => s + monthlyAmount(item), 0);
+}
+
+function normalizeIncome(income) {
+  return {
+    name: String(income?.name || ""),
+    amount: income?.amount ?? "",
+    frequency: ROW_FREQUENCIES[income?.frequency] ? income.frequency : "monthly",
+    dueMonth: isPeriodKey(income?.dueMonth) ? income.dueMonth : "",
+    owner: typeof income?.owner === "string" ? income.owner : "",
+    notes: String(income?.notes || ""),
+    noteHint: String(income?.noteHint || "")
+  };
+}
+
+// Budgetten van vóór de inkomstenlijst hadden alleen een maandinkomen en overige inkomsten
+function legacyIncomes(income = "", extraIncome = "") {
+  const [primary, extra] = JSON.parse(JSON.stringify(DEFAULT_INCOMES));
+  primary.amount = income ?? "";
+  extra.amount = extraIncome ?? "";
+  return [primary, extra];
+}
+
+// Werkt de inkomstenbron met deze naam bij of voegt hem toe
+function upsertIncome(name, fields) {
+  const existing = incomes.find(item => item.name.trim().toLowerCase() === name.toLowerCase());
+  if (existing) {
+    Object.assign(existing, fields);
+  } else {
+    incomes.push(normalizeIncome({ name, ...fields }));
+  }
+}
+
+function drawIncomeBreakdown() {
+  if (!incomeBreakdownEl) return;
+  const streams = incomes.filter(item => monthlyAmount(item) > 0);
+  incomeBreakdownEl.innerHTML = "";
+  incomeBreakdownEl.hidden = streams.length < 2;
+  streams.forEach(item => {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = item.name.trim() || "Naamloos inkomen";
+    const value = document.createElement("span");
+    value.textContent = fmt(monthlyAmount(item));
+    li.append(name, value);
+    incomeBreakdownEl.appendChild(li);
+  });
+}
+
+function updateProgressBar(income, expenses) {
+  if (!expenseBar) return;
+
+  let percent = 0;
+  if (income > 0) {
+    percent = (expenses / income) * 100;
+  } else if (expenses > 0) {
+    percent = 100; // All expenses, no income = 100% bar
+  }
+
+  expenseBar.style.width = Math.min(percent, 100) + "%";
+  if (progressContainer) {
+    progressContainer.setAttribute("aria-valuenow", String(Math.round(Math.min(percent, 100))));
+    progressContainer.setAttribute(
+      "aria-valuetext",
+      income > 0 ? `${Math.round(percent)}% van het inkomen uitgegeven` : "Nog geen inkomen ingevuld"
+    );
+  }
+
+  // Change color based on health
+  if (expenses > income) {
+    expenseBar.style.background = "var(--color-expense)";
+  } else if (percent > 80) {
+    expenseBar.style.background = "#fbbf24"; // warning yellow/orange
+  } else {
+    expenseBar.style.background = ""; // reset to default gradient
+  }
+}
+
+function drawSummary() {
+  const income = totalIncome();
+  const expenses = totalExpenses();
+  const savings = income - expenses;
+  const usedRate = income > 0 ? ((expenses / income) * 100) : 0;
+  const targets = targetOverview();
+  const overTargets = targets.filter(item => item.excess > 0.005);
+  const advice = methodAdvice(income, expenses, targets, overTargets);
+  drawMethodSummary(advice);
+
+  const rateText = income > 0
+    ? `${usedRate.toFixed(0)}% gebruikt`
+    : "Nog geen inkomen";
+
+  // Update DOM
+  totalExpensesEl.textContent = fmt(expenses);
+  if (totalIncomeEl) totalIncomeEl.textContent = fmt(income);
+  sumIncomeEl.textContent = fmt(income);
+  drawIncomeBreakdown();
+  sumExpensesEl.textContent = fmt(expenses);
+  sumSavingsEl.textContent = fmt(savings);
+  finalRemainingEl.textContent = fmt(savings);
+
+  // Savings Rate / Status Logic
+  if (savingsRateEl) {
+    savingsRateEl.textContent = rateText;
+    if (income <= 0) {
+      savingsRateEl.classList.add("text-muted");
+      savingsRateEl.classList.remove("text-expense", "text-success");
+    } else if (savings < 0) {
+      savingsRateEl.classList.add("text-expense");
+      savingsRateEl.classList.remove("text-success", "text-muted");
+    } else {
+      savingsRateEl.classList.remove("text-expense", "text-muted");
+      savingsRateEl.classList.add("text-success");
+    }
+  }
+
+  // Update Overview Colors
+  if (savings >= 0) {
+    sumSavingsEl.className = "overview-value text-saving";
+  } else {
+    sumSavingsEl.className = "overview-value text-expense";
+  }
+
+  if (budgetMessageEl) {
+    let message = "Vul je inkomen en uitgaven in om te zien hoeveel ruimte je overhoudt.";
+    let tone = "neutral";
+
+    if (income > 0 && expenses === 0) {
+      message = "Je inkomen staat erin. Voeg je vaste en variabele uitgaven toe voor een realistisch overzicht.";
+    } else if (income > 0 && savings < 0) {
+      message = overTargets.length
+        ? `Je uitgaven zijn ${fmt(Math.abs(savings))} hoger dan je inkomen. Boven je doel: ${describeOverTargets(overTargets)}.`
+        : `Je uitgaven zijn ${fmt(Math.abs(savings))} hoger dan je inkomen. Bekijk welke posten je kunt aanpassen.`;
+      tone = "danger";
+    } else if (overTargets.length && expenses > 0) {
+      message = `Boven je doel: ${describeOverTargets(overTargets)}.`;
+      if (income > 0) message += ` Je houdt nog ${fmt(savings)} over.`;
+      tone = "warning";
+    } else if (income > 0 && usedRate >= 90) {
+      message = `Je houdt ${fmt(savings)} over. Dat geeft weinig ruimte voor onverwachte kosten.`;
+      tone = "warning";
+    } else if (income > 0 && expenses > 0) {
+      message = `Je houdt deze maand ${fmt(savings)} over. Dat is ${(100 - usedRate).toFixed(0)}% van je inkomen.`;
+    } else if (income === 0 && expenses > 0) {
+      message = "Vul je maandinkomen in om te zien of deze uitgaven binnen je budget passen.";
+      tone = "warning";
+    }
+
+    if (advice) {
+      message = advice.message;
+      tone = advice.tone;
+    }
+
+    budgetMessageEl.textContent = message;
+    budgetMessageEl.dataset.tone = tone;
+  }
+
+  if (finalResultEl) {
+    let finalTitle = "Vul je budget verder in";
+    let finalText = "Zodra je inkomen en uitgaven bekend zijn, zie je hier wat er deze maand overblijft.";
+    let finalShare = "Nog geen compleet budget";
+    let finalTone = "neutral";
+
+    if (income > 0 && expenses === 0) {
+      finalTitle = "Je inkomen staat klaar";
+      finalText = "Voeg je vaste en variabele uitgaven toe om je maandresultaat compleet te maken.";
+      finalShare = "Nog geen uitgaven ingevuld";
+    } else if (income > 0 && savings < 0) {
+      finalTitle = "Je budget komt deze maand tekort";
+      finalText = `Je uitgaven zijn ${fmt(Math.abs(savings))} hoger dan je totale inkomen. Bekijk vooral de grootste categorieën hieronder.`;
+      finalShare = `${Math.abs(100 - usedRate).toFixed(0)}% boven je inkomen`;
+      finalTone = "danger";
+    } else if (income > 0 && expenses > 0 && usedRate >= 90) {
+      finalTitle = "Je budget heeft weinig vrije ruimte";
+      finalText = `Je houdt ${fmt(savings)} over. Een kleine onverwachte uitgave kan daardoor direct merkbaar zijn.`;
+      finalShare = `${Math.max(0, 100 - usedRate).toFixed(0)}% van je inkomen over`;
+      finalTone = "warning";
+    } else if (income > 0 && expenses > 0) {
+      finalTitle = "Je houdt deze maand ruimte over";
+      finalText = `Na alle ingevulde uitgaven blijft ${fmt(savings)} beschikbaar voor sparen, een buffer of andere keuzes.`;
+      finalShare = `${Math.max(0, 100 - usedRate).toFixed(0)}% van je inkomen over`;
+      finalTone = "positive";
+    } else if (income === 0 && expenses > 0) {
+      finalTitle = "Je uitgaven zijn al ingevuld";
+      finalText = "Voeg je maandinkomen toe om te berekenen of deze uitgaven binnen je budget passen.";
+      finalShare = "Inkomen ontbreekt";
+      finalTone = "warning";
+    }
+
+    if (advice) {
+      finalTitle = advice.title;
+      finalText = advice.text;
+      finalTone = advice.tone;
+    } else if (overTargets.length && expenses > 0) {
+      finalText += ` ${overTargets.length === 1 ? "Eén categorie zit" : `${overTargets.length} categorieën zitten`} boven het doel: ${describeOverTargets(overTargets)}.`;
+      if (finalTone === "positive") finalTone = "warning";
+    }
+
+    finalResultTitleEl.textContent = finalTitle;
+    finalResultTextEl.textContent = finalText;
+    finalRemainingShareEl.textContent = finalShare;
+    finalResultEl.dataset.tone = finalTone;
+    drawTargetOverview(advice?.overview || targets, advice?.overviewTitle || "Doel per categorie");
+  }
+
+  updateProgressBar(income, expenses);
+}
+
+function drawTargetOverview(targets, title) {
+  if (!finalTargetsEl) return;
+  finalTargetsEl.hidden = targets.length === 0;
+  finalTargetsTitleEl.textContent = title;
+  finalTargetsListEl.innerHTML = "";
+  targets.forEach(item => {
+    const li = document.createElement("li");
+    li.className = "final-targets__item";
+    if (item.excess > 0.005) li.classList.add("final-targets__item--over");
+    const name = document.createElement("span");
+    name.textContent = item.category;
+    const values = document.createElement("span");
+    values.textContent = `${fmt(item.amount)} van ${fmt(item.target)}`;
+    li.appendChild(name);
+    li.appendChild(values);
+    finalTargetsListEl.appendChild(li);
+  });
+}
+
+function normalizeRow(row) {
+  const category = String(row?.category || "");
+  const inferredKind = ruleKind(category) || "variable";
+
+  return {
+    id: typeof row?.id === "string" && row.id ? row.id : createId("row"),
+    kind: row?.kind === "fixed" || row?.kind === "variable" ? row.kind : inferredKind,
+    category,
+    amount: row?.amount ?? "",
+    target: row?.target ?? "",
+    frequency: ROW_FREQUENCIES[row?.frequency] ? row.frequency : "monthly",
+    dueMonth: isPeriodKey(row?.dueMonth) ? row.dueMonth : "",
+    owner: typeof row?.owner === "string" ? row.owner : "",
+    paidBy: typeof row?.paidBy === "string" ? row.paidBy : "",
+    bucket: BUDGET_BUCKETS[row?.bucket] ? row.bucket : "",
+    notes: String(row?.notes || ""),
+    noteHint: String(row?.noteHint || "")
+  };
+}
+
+function randomColor(i) {
+  const palette = [
+    "#12344d", "#1c5978", "#397894", "#5c92aa",
+    "#80aabd", "#a8c3cf", "#d0dfe6", "#d5a83f",
+    "#b77a3b", "#7b6b91", "#6d7f52", "#955d67"
+  ];
+  return palette[i % palette.length];
+}
+
+function drawChart() {
+  const data = rows.filter(r => monthlyAmount(r) > 0 || rowTarget(r) > 0);
+  const total = data.reduce((s, r) => s + monthlyAmount(r), 0);
+  const hasTargets = data.some(r => rowTarget(r) !== null);
+  legend.innerHTML = "";
+
+  const chartContainer = document.getElementById("chart-container");
+  const chartEmptyState = document.getElementById("chart-empty-state");
+
+  if (total <= 0) {
+    chartContainer.style.display = "none";
+    chartEmptyState.style.display = "block";
+  } else {
+    chartContainer.style.display = "block";
+    chartEmptyState.style.display = "none";
+  }
+
+  if (!chart) return; // safety
+
+  // Buitenste ring: werkelijke bedragen; binnenste ring: doelen
+  chart.data.labels = data.map(r => r.category);
+  chart.data.datasets[0].data = data.map(r => monthlyAmount(r));
+  chart.data.datasets[0].backgroundColor = data.map((_, i) => randomColor(i));
+  chart.data.datasets[1].data = data.map(r => rowTarget(r) ?? 0);
+  chart.data.datasets[1].backgroundColor = data.map((_, i) => `${randomColor(i)}80`);
+  chart.data.datasets[1].hidden = !hasTargets;
+  chart.update();
+
+  // Custom Legend
+  data.forEach((r, i) => {
+    const item = document.createElement("div");
+    item.className = "legend-item";
+
+    const dot = document.createElement("span");
+    dot.className = "legend-dot";
+    dot.style.backgroundColor = randomColor(i);
+
+    const target = rowTarget(r);
+    const text = document.createElement("span");
+    text.textContent = target === null
+      ? `${r.category}: ${fmt(monthlyAmount(r))}`
+      : `${r.category}: ${fmt(monthlyAmount(r))} van ${fmt(target)}`;
+    if (target !== null && monthlyAmount(r) > target) item.classList.add("legend-item--over");
+
+    item.appendChild(dot);
+    item.appendChild(text);
+    legend.appendChild(item);
+  });
+}
+
+const COMPARISON_MONTHS = 6;
+
+function formatDelta(delta) {
+  if (Math.abs(delta) < 0.005) return "—";
+  return `${delta > 0 ? "+" : "−"}${fmt(Math.abs(delta))}`;
+}
+
+function drawComparison() {
+  if (!periodComparisonContentEl) return;
+  const history = allPeriods().slice(-COMPARISON_MONTHS);
+  const hasHistory = history.length > 1;
+  periodComparisonContentEl.hidden = !hasHistory;
+  if (periodComparisonEmptyEl) periodComparisonEmptyEl.hidden = hasHistory;
+  if (!hasHistory) return;
+
+  // Categorieën worden op naam gekoppeld; een hernoemde post verschijnt dus als aparte regel
+  const categories = [];
+  const amountsByMonth = history.map(period => {
+    const amounts = new Map();
+    period.rows.forEach(r => {
+      const name = r.category.trim() || "Zonder naam";
+      const id = name.toLowerCase();
+      if (!categories.some(c => c.id === id)) categories.push({ id, name });
+      amounts.set(id, (amounts.get(id) || 0) + monthlyAmount(r, period.key));
+    });
+    return amounts;
+  });
+
+  const headRow = document.createElement("tr");
+  ["Categorie", ...history.map(p => formatPeriod(p.key)), "Verschil"].forEach(label => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  periodTableHead.innerHTML = "";
+  periodTableHead.appendChild(headRow);
+
+  const appendRow = (label, values, { total = false, higherIsBetter = false } = {}) => {
+    const tr = document.createElement("tr");
+    if (total) tr.className = "period-table__total";
+    const labelTd = document.createElement("td");
+    labelTd.textContent = label;
+    tr.appendChild(labelTd);
+    values.forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = fmt(value);
+      tr.appendChild(td);
+    });
+    const delta = values[values.length - 1] - values[values.length - 2];
+    const deltaTd = document.createElement("td");
+    deltaTd.textContent = formatDelta(delta);
+    if (Math.abs(delta) >= 0.005) {
+      const isWorse = higherIsBetter ? delta < 0 : delta > 0;
+      deltaTd.className = isWorse ? "period-delta--up" : "period-delta--down";
+    }
+    tr.appendChild(deltaTd);
+    periodTableBody.appendChild(tr);
+  };
+
+  periodTableBody.innerHTML = "";
+  categories.forEach(({ id, name }) => {
+    appendRow(name, amountsByMonth.map(amounts => amounts.get(id) || 0));
+  });
+  const totals = history.map(periodTotals);
+  appendRow("Totale uitgaven", totals.map(t => t.expenses), { total: true });
+  appendRow("Totaal inkomen", totals.map(t => t.income), { total: true, higherIsBetter: true });
+  appendRow("Resterend", totals.map(t => t.remaining), { total: true, higherIsBetter: true });
+
+  if (!trendChart) return;
+  trendChart.data.labels = history.map(p => formatPeriod(p.key));
+  trendChart.data.datasets[0].data = totals.map(t => t.remaining);
+  trendChart.update();
+}
+
+// --- Render scheduling ---
+// Bij iedere toetsaanslag worden alleen de totalen direct bijgewerkt. De grafiek, tabellen in het
+// overzicht en het opslaan wachten tot er even niet getypt wordt.
+
+const VIEW_DELAY_MS = 150;
+const SAVE_DELAY_MS = 400;
+let viewTimer = null;
+let saveTimer = null;
+
+function draw() {
+  drawSummary();
+  scheduleViews();
+  scheduleSave();
+}
+
+function drawViews() {
+  clearTimeout(viewTimer);
+  viewTimer = null;
+  drawHouseholdSplit();
+  drawChart();
+  drawReserve();
+  drawComparison();
+}
+
+function scheduleViews() {
+  clearTimeout(viewTimer);
+  viewTimer = setTimeout(drawViews, VIEW_DELAY_MS);
+}
+
+// Een stap met checkpoint() wordt direct bewaard, zodat de melding om hem terug te draaien meteen verschijnt
+function scheduleSave() {
+  if (pendingCheckpoint) {
+    saveState();
+    return;
+  }
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveState, SAVE_DELAY_MS);
+}
+
+function flushPendingSave() {
+  if (saveTimer !== null) saveState();
+}
+
+// Hoeveel er per maand opzij moet voor uitgaven per kwartaal, per jaar of eenmalig
+function drawReserve() {
+  if (!reserveTableBody) return;
+  const irregular = rows.filter(row => isIrregular(row) && (Number(row.amount) || 0) > 0);
+  reserveContentEl.hidden = irregular.length === 0;
+  reserveEmptyEl.hidden = irregular.length > 0;
+  reserveTableBody.innerHTML = "";
+  if (irregular.length === 0) return;
+
+  let totalReserve = 0;
+  let totalNeeded = 0;
+  irregular.forEach(row => {
+    const frequency = rowFrequency(row);
+    const due = nextDueMonth(row);
+    const reserve = monthlyAmount(row);
+    // Wie nu pas begint, moet de hele betaling sparen in de maanden tot en met de betaalmaand
+    const needed = due ? (Number(row.amount) || 0) / (monthsBetween(activePeriod, due) + 1) : reserve;
+    totalReserve += reserve;
+    totalNeeded += needed;
+
+    const tr = document.createElement("tr");
+    [
+      row.category.trim() || "Naamloze uitgave",
+      `${fmt(Number(row.amount) || 0)} ${ROW_FREQUENCIES[frequency].label.toLowerCase()}`,
+      due ? formatPeriod(due) : (frequency === "once" && isPeriodKey(row.dueMonth) ? "Voorbij" : "Onbekend"),
+      fmt(reserve),
+      fmt(needed)
+    ].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    reserveTableBody.appendChild(tr);
+  });
+
+  const totalRow = document.createElement("tr");
+  totalRow.className = "period-table__total";
+  ["Totaal", "", "", fmt(totalReserve), fmt(totalNeeded)].forEach(value => {
+    const td = document.createElement("td");
+    td.textContent = value;
+    totalRow.appendChild(td);
+  });
+  reserveTableBody.appendChild(totalRow);
+}
+
+// Achteraan de eigen groep, zodat de volgorde in de CSV en de legenda gelijk blijft aan de tabellen
+function insertRowInGroup(newRow) {
+  const lastOfKind = rows.map(row => row.kind).lastIndexOf(newRow.kind);
+  rows.splice(lastOfKind === -1 ? (newRow.kind === "fixed" ? 0 : rows.length) : lastOfKind + 1, 0, newRow);
+}
+
+function addRow(kind, category = "", amount = "", notes = "") {
+  checkpoint();
+  insertRowInGroup({ kind, category, amount, target: "", frequency: "monthly", dueMonth: "", notes, noteHint: "" });
+  renderRows();
+
+  // Focus the new category input
+  const targetContainer = kind === "fixed" ? fixedRowsContainer : variableRowsContainer;
+  const lastRow = targetContainer.querySelector(".expense-row:last-child");
+  if (lastRow) {
+    const input = lastRow.querySelector("input");
+    if (input) input.focus();
+    lastRow.classList.add("row-enter");
+  }
+
+  draw();
+}
+
+function setActiveStep(step, { moveFocus = true } = {}) {
+  const validSteps = ["income", "expenses", "summary"];
+  if (!validSteps.includes(step)) return;
+
+  stepButtons.forEach(button => {
+    const isActive = button.dataset.budgetStep === step;
+    button.classList.toggle("is-active", isActive);
+    if (isActive) button.setAttribute("aria-current", "step");
+    else button.removeAttribute("aria-current");
+  });
+
+  stepPanels.forEach(panel => {
+    panel.hidden = panel.dataset.stepPanel !== step;
+  });
+
+  document.body.dataset.activeBudgetStep = step;
+
+  if (step === "summary") {
+    requestAnimationFrame(() => {
+      if (chart) chart.resize();
+      if (trendChart) trendChart.resize();
+      drawChart();
+      drawComparison();
+    });
+  }
+
+  if (moveFocus) {
+    const activePanel = document.querySelector(`[data-step-panel="${step}"]`);
+    const heading = activePanel?.querySelector("h2");
+    if (heading) {
+      heading.setAttribute("tabindex", "-1");
+      heading.focus({ preventScroll: true });
+    }
+    const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    document.querySelector(".budget-flow-bar")?.scrollIntoView({
+      behavior: prefersReducedMotion ? "auto" : "smooth",
+      block: "start"
+    });
+  }
+}
+
+// --- Modals ---
+
+let activeModal = null;
+let modalTrigger = null;
+
+function modalFocusable(modal) {
+  return Array.from(modal.querySelectorAll("button, input, select, textarea, [href]"))
+    .filter(el => !el.disabled && !el.closest("[hidden]"));
+}
+
+function openModal(modal) {
+  if (!modal) return;
+  if (activeModal) closeModal();
+  modalTrigger = document.activeElement;
+  activeModal = modal;
+  modal.setAttribute("open", "");
+  const [first] = modalFocusable(modal);
+  if (first) first.focus();
+}
+
+function closeModal() {
+  if (!activeModal) return;
+  activeModal.removeAttribute("open");
+  activeModal = null;
+  if (modalTrigger && typeof modalTrigger.focus === "function") modalTrigger.focus();
+  modalTrigger = null;
+}
+
+function handleModalKeydown(event) {
+  if (event.key === "Escape") {
+    event.preventDefault();
+    closeModal();
+    return;
+  }
+  if (event.key !== "Tab" || !activeModal) return;
+  const focusable = modalFocusable(activeModal);
+  if (!focusable.length) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// --- Category rules ---
+// Eén regelset bepaalt de categorie van bankafschrijvingen en of een nieuwe post vast of variabel is.
+// De standaardregels volgen de categorieën uit DEFAULT_ROWS en SAMPLE_DATA; de gebruiker kan ze aanpassen.
+
+const DEFAULT_CATEGORY_RULES = [
+  { category: "Wonen", kind: "fixed", pattern: "wonen, huur, hypotheek, woonstichting, woningcorporatie, vve , servicekosten" },
+  { category: "Energie & internet", kind: "fixed", pattern: "energie, internet, vattenfall, eneco, essent, greenchoice, budget energie, vandebron, waternet, vitens, evides, brabant water, dunea, ziggo, kpn, odido, t-mobile, vodafone, delta fiber" },
+  { category: "Verzekeringen & zorg", kind: "fixed", pattern: "verzekering, zorg, zilveren kruis, menzis, vgz, dsw, ohra, centraal beheer, interpolis, fbto, nationale-nederlanden, nationale nederlanden, apotheek, tandarts, fysiotherap" },
+  { category: "Kinderopvang & school", kind: "fixed", pattern: "kinderopvang, kinderdagverblijf, bso , partou, kinderrijk, school, ouderbijdrage" },
+  { category: "Abonnementen & media", kind: "fixed", pattern: "abonnement, netflix, spotify, disney, videoland, hbo, youtube, apple.com, google, nrc, volkskrant, telegraaf, npo" },
+  { category: "Boodschappen & huishouden", kind: "variable", pattern: "albert heijn, ah to go, jumbo, lidl, aldi, plus , dirk van den broek, dirk vdbroek, coop , spar , ekoplaza, picnic, kruidvat, etos , action , hema , blokker" },
+  { category: "Vervoer", kind: "variable", pattern: "ns groep, ns reizigers, ov-chipkaart, ovpay, shell, esso, tinq, tango, texaco, gvb, ret , htm, arriva, connexxion, qbuzz, q-park, parkeren, anwb" },
+  { category: "Uit eten & vrije tijd", kind: "variable", pattern: "thuisbezorgd, uber eats, deliveroo, restaurant, cafe, bioscoop, pathe, vue, museum" },
+  { category: "Noodbuffer", kind: "variable", pattern: "spaarrekening, oranje spaarrekening, sparen" },
+  { category: "Pensioen & beleggen", kind: "variable", pattern: "degiro, meesman, brand new day, bux, pensioen" }
+];
+
+const ruleEngine = window.NLrekentools.rules.createEngine({ storageKey: RULES_KEY, defaults: DEFAULT_CATEGORY_RULES });
+
+const RULE_FIELD_LABELS = { any: "Alles", description: "Omschrijving", counterparty: "Tegenpartij", iban: "IBAN" };
+const RULE_OPERATOR_LABELS = { contains: "bevat", equals: "is gelijk aan", regex: "reguliere expressie" };
+const RULE_SOURCE_LABELS = { default: "Standaard", user: "Eigen regel", learned: "Geleerd" };
+
+// Soort volgens de eerste regel die op de categorienaam past; leeg als geen regel past
+function ruleKind(category) {
+  const match = ruleEngine.categorize({ description: category });
+  return match && (match.kind === "fixed" || match.kind === "variable") ? match.kind : "";
+}
+
+function knownCategories() {
+  const categories = [
+    ...DEFAULT_ROWS.map(row => row.category),
+    ...SAMPLE_DATA.rows.map(row => row.category),
+    ...rows.map(row => row.category.trim()),
+    ...ruleEngine.list().map(rule => rule.category),
+    BANK_FALLBACK_CATEGORY.category
+  ];
+  return [...new Set(categories.filter(Boolean))].sort((a, b) => a.localeCompare(b, "nl"));
+}
+
+function ruleSelect(options, value, label, onChange) {
+  const select = document.createElement("select");
+  select.className = "form-select";
+  select.setAttribute("aria-label", label);
+  Object.entries(options).forEach(([optionValue, optionLabel]) => {
+    const option = document.createElement("option");
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+function ruleInput(type, value, label, onChange) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.className = "form-control";
+  input.value = value ?? "";
+  input.setAttribute("aria-label", label);
+  if (type === "number") {
+    input.min = "0";
+    input.step = "any";
+  }
+  input.addEventListener("change", () => onChange(input.value));
+  return input;
+}
+
+function ruleField(labelText, control) {
+  const label = document.createElement("label");
+  label.className = "rule-item__field";
+  label.append(labelText, control);
+  return label;
+}
+
+function renderRulesEditor() {
+  rulesListEl.innerHTML = "";
+  ruleCategoriesEl.innerHTML = "";
+  knownCategories().forEach(category => {
+    const option = document.createElement("option");
+    option.value = category;
+    ruleCategoriesEl.appendChild(option);
+  });
+
+  ruleEngine.list().forEach((rule, index) => {
+    const name = `Regel ${index + 1}`;
+    const item = document.createElement("li");
+    item.className = "rule-item";
+    item.dataset.source = rule.source;
+    if (!rule.enabled) item.classList.add("rule-item--disabled");
+    const update = changes => {
+      ruleEngine.update(rule.id, changes);
+      renderRulesEditor();
+    };
+
+    const header = document.createElement("div");
+    header.className = "rule-item__header";
+    const enabled = document.createElement("label");
+    enabled.className = "rule-item__toggle";
+    const enabledInput = document.createElement("input");
+    enabledInput.type = "checkbox";
+    enabledInput.checked = rule.enabled;
+    enabledInput.addEventListener("change", () => update({ enabled: enabledInput.checked }));
+    enabled.append(enabledInput, ` ${name}`);
+    const source = document.createElement("span");
+    source.className = "rule-item__source";
+    source.textContent = RULE_SOURCE_LABELS[rule.source];
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "button button--quiet rule-item__remove";
+    remove.textContent = "Verwijderen";
+    remove.setAttribute("aria-label", `${name} verwijderen`);
+    remove.addEventListener("click", () => {
+      ruleEngine.remove(rule.id);
+      renderRulesEditor();
+      const [first] = modalFocusable(rulesModal);
+      if (first) first.focus();
+    });
+    header.append(enabled, source, remove);
+
+    const categoryInput = ruleInput("text", rule.category, `${name}: categorie`, value => {
+      if (value.trim()) update({ category: value });
+      else categoryInput.value = rule.category;
+    });
+    categoryInput.setAttribute("list", "ruleCategories");
+
+    const fields = document.createElement("div");
+    fields.className = "rule-item__fields";
+    fields.append(
+      ruleField("Zoek in", ruleSelect(RULE_FIELD_LABELS, rule.field, `${name}: zoek in`, value => update({ field: value }))),
+      ruleField("Voorwaarde", ruleSelect(RULE_OPERATOR_LABELS, rule.operator, `${name}: voorwaarde`, value => update({ operator: value }))),
+      ruleField("Patroon", ruleInput("text", rule.pattern, `${name}: patroon`, value => update({ pattern: value }))),
+      ruleField("Bedrag vanaf", ruleInput("number", rule.minAmount, `${name}: bedrag vanaf`, value => update({ minAmount: value }))),
+      ruleField("Bedrag tot en met", ruleInput("number", rule.maxAmount, `${name}: bedrag tot en met`, value => update({ maxAmount: value }))),
+      ruleField("Categorie", categoryInput),
+      ruleField("Soort", ruleSelect({ "": "Niet wijzigen", fixed: "Vaste last", variable: "Variabele uitgave" }, rule.kind, `${name}: soort`, value => update({ kind: value }))),
+      ruleField("Prioriteit", ruleInput("number", rule.priority, `${name}: prioriteit`, value => update({ priority: value })))
+    );
+
+    item.append(header, fields);
+    rulesListEl.appendChild(item);
+  });
+}
+
+function addCategoryRule() {
+  ruleEngine.add({ field: "any", operator: "contains", pattern: "", category: BANK_FALLBACK_CATEGORY.category, kind: "variable" });
+  renderRulesEditor();
+  const patternInputs = rulesListEl.querySelectorAll('input[aria-label$=": patroon"]');
+  const added = Array.from(patternInputs).find(input => input.value === "");
+  if (added) added.focus();
+}
+
+function resetCategoryRules() {
+  if (!confirm("Alle eigen en geleerde regels wissen en de standaardregels terugzetten?")) return;
+  ruleEngine.reset();
+  renderRulesEditor();
+}
+
+// --- Budget methods ---
+// Sjablonen die uitgaven en doelen vullen volgens een budgetmethode. Een aandeel (share) is een deel
+// van totalIncome() en wordt bij het toepassen omgezet in een doelbedrag.
+
+const BUDGET_BUCKETS = { needs: "Noodzakelijk", wants: "Wensen", savings: "Sparen & aflossen" };
+const BUCKET_SHARES = { needs: 0.5, wants: 0.3, savings: 0.2 };
+
+const BUDGET_METHODS = {
+  "50-30-20": {
+    label: "50/30/20",
+    description: "50% van je inkomen voor noodzakelijke kosten, 30% voor wensen en 20% voor sparen en extra aflossen.",
+    targetLabel: "Doel",
+    rows: [
+      { kind: "fixed", category: "Wonen", bucket: "needs", share: 0.25, noteHint: "Huur of hypotheek" },
+      { kind: "fixed", category: "Energie & internet", bucket: "needs", share: 0.06, noteHint: "Energie, water en internet" },
+      { kind: "fixed", category: "Verzekeringen & zorg", bucket: "needs", share: 0.07, noteHint: "Maandelijkse premies" },
+      { kind: "variable", category: "Boodschappen & huishouden", bucket: "needs", share: 0.09, noteHint: "Supermarkt en drogist" },
+      { kind: "variable", category: "Vervoer", bucket: "needs", share: 0.03, noteHint: "Brandstof of openbaar vervoer" },
+      { kind: "fixed", category: "Abonnementen & media", bucket: "wants", share: 0.03, noteHint: "Terugkerende diensten" },
+      { kind: "variable", category: "Uit eten & vrije tijd", bucket: "wants", share: 0.1, noteHint: "Restaurants en hobby's" },
+      { kind: "variable", category: "Kleding & verzorging", bucket: "wants", share: 0.07, noteHint: "Kleding, kapper en verzorging" },
+      { kind: "variable", category: "Vakantie", bucket: "wants", share: 0.1, noteHint: "Maandelijks opzij voor vakanties" },
+      { kind: "variable", category: "Noodbuffer", bucket: "savings", share: 0.1, noteHint: "Financiële buffer" },
+      { kind: "variable", category: "Pensioen & beleggen", bucket: "savings", share: 0.05, noteHint: "Pensioen en beleggingen" },
+      { kind: "variable", category: "Extra aflossen", bucket: "savings", share: 0.05, noteHint: "Schulden of hypotheek" }
+    ]
+  },
+  envelope: {
+    label: "Enveloppen",
+    description: "Je verdeelt je inkomen vooraf over enveloppen en geeft per envelop niet meer uit dan erin zit.",
+    targetLabel: "In envelop",
+    rows: [
+      { kind: "fixed", category: "Wonen", share: 0.3, noteHint: "Huur of hypotheek" },
+      { kind: "fixed", category: "Energie & internet", share: 0.06, noteHint: "Energie, water en internet" },
+      { kind: "fixed", category: "Verzekeringen & zorg", share: 0.07, noteHint: "Maandelijkse premies" },
+      { kind: "variable", category: "Boodschappen & huishouden", share: 0.12, noteHint: "Supermarkt en drogist" },
+      { kind: "variable", category: "Vervoer", share: 0.05, noteHint: "Brandstof of openbaar vervoer" },
+      { kind: "variable", category: "Uit eten & vrije tijd", share: 0.05, noteHint: "Restaurants en hobby's" },
+      { kind: "variable", category: "Kleding & verzorging", share: 0.04, noteHint: "Kleding, kapper en verzorging" },
+      { kind: "variable", category: "Cadeaus", share: 0.03, noteHint: "Verjaardagen en feestdagen" },
+      { kind: "variable", category: "Onvoorzien", share: 0.03, noteHint: "Kleine onverwachte uitgaven" },
+      { kind: "variable", category: "Noodbuffer", share: 0.15, noteHint: "Financiële buffer" },
+      { kind: "variable", category: "Pensioen & beleggen", share: 0.1, noteHint: "Pensioen en beleggingen" }
+    ]
+  },
+  "zero-based": {
+    label: "Zero-based",
+    description: "Iedere euro van je inkomen krijgt een bestemming, ook sparen, tot er niets meer toe te wijzen is.",
+    targetLabel: "Toegewezen",
+    rows: [
+      { kind: "fixed", category: "Wonen", noteHint: "Huur of hypotheek" },
+      { kind: "fixed", category: "Energie & internet", noteHint: "Energie, water en internet" },
+      { kind: "fixed", category: "Verzekeringen & zorg", noteHint: "Maandelijkse premies" },
+      { kind: "fixed", category: "Abonnementen & media", noteHint: "Terugkerende diensten" },
+      { kind: "variable", category: "Boodschappen & huishouden", noteHint: "Supermarkt en drogist" },
+      { kind: "variable", category: "Vervoer", noteHint: "Brandstof of openbaar vervoer" },
+      { kind: "variable", category: "Uit eten & vrije tijd", noteHint: "Restaurants en hobby's" },
+      { kind: "variable", category: "Noodbuffer", noteHint: "Financiële buffer" },
+      { kind: "variable", category: "Pensioen & beleggen", noteHint: "Pensioen en beleggingen" }
+    ]
+  }
+};
+
+// Zonder gekozen deel valt een vaste last onder noodzakelijk en een variabele uitgave onder wensen
+function rowBucket(row) {
+  if (BUDGET_BUCKETS[row.bucket]) return row.bucket;
+  return row.kind === "fixed" ? "needs" : "wants";
+}
+
+function methodRows(method) {
+  const income = totalIncome();
+  return BUDGET_METHODS[method].rows.map(template => ({
+    kind: template.kind,
+    category: template.category,
+    amount: "",
+    target: template.share && income > 0 ? Math.round(template.share * income * 100) / 100 : "",
+    frequency: "monthly",
+    dueMonth: "",
+    bucket: template.bucket || "",
+    notes: "",
+    noteHint: template.noteHint
+  }));
+}
+
+function percentOf(value, income) {
+  return `${Math.round((value / income) * 100)}%`;
+}
+
+// Advies voor drawSummary() volgens de gekozen methode; null zonder methode of inkomen
+function methodAdvice(income, expenses, targets, overTargets) {
+  if (!budgetMethod || income <= 0) return null;
+
+  if (budgetMethod === "50-30-20") {
+    const buckets = Object.keys(BUDGET_BUCKETS).map(bucket => ({
+      bucket,
+      category: `${BUDGET_BUCKETS[bucket]} (${BUCKET_SHARES[bucket] * 100}%)`,
+      amount: rows.filter(row => rowBucket(row) === bucket).reduce((s, row) => s + monthlyAmount(row), 0),
+      target: income * BUCKET_SHARES[bucket]
+    })).map(item => ({ ...item, excess: item.amount - item.target }));
+    const [needs, wants, savings] = buckets;
+    const tooHigh = [needs, wants].filter(item => item.excess > 0.005);
+    const savingsShort = savings.target - savings.amount;
+    const split = `${percentOf(needs.amount, income)} noodzakelijk, ${percentOf(wants.amount, income)} wensen en ${percentOf(savings.amount, income)} sparen`;
+    const advice = { overview: buckets, overviewTitle: "Verdeling 50/30/20" };
+
+    if (expenses === 0) {
+      return {
+        ...advice,
+        message: `Volgens 50/30/20 is ${fmt(needs.target)} voor noodzakelijke kosten, ${fmt(wants.target)} voor wensen en ${fmt(savings.target)} om te sparen.`,
+        tone: "neutral",
+        title: "Verdeel je inkomen volgens 50/30/20",
+        text: "Vul per categorie in wat je uitgeeft; het overzicht hieronder laat zien hoe dat zich verhoudt tot 50%, 30% en 20% van je inkomen."
+      };
+    }
+    if (tooHigh.length) {
+      const list = tooHigh.map(item => `${BUDGET_BUCKETS[item.bucket].toLowerCase()} (${fmt(item.excess)} te veel)`).join(" en ");
+      return {
+        ...advice,
+        message: `Volgens 50/30/20 geef je te veel uit aan ${list}.${savingsShort > 0.005 ? ` Voor sparen ontbreekt nog ${fmt(savingsShort)}.` : ""}`,
+        tone: income - expenses < 0 ? "danger" : "warning",
+        title: "Je budget wijkt af van 50/30/20",
+        text: `Je verdeling is nu ${split}. Verschuif geld van ${list} naar sparen om weer op 50/30/20 uit te komen.`
+      };
+    }
+    if (savingsShort > 0.005) {
+      return {
+        ...advice,
+        message: `Je blijft binnen 50% en 30%, maar zet ${fmt(savings.amount)} opzij. 20% van je inkomen is ${fmt(savings.target)}.`,
+        tone: "warning",
+        title: "Nog niet genoeg opzij voor 50/30/20",
+        text: `Je verdeling is nu ${split}. Verhoog sparen of aflossen met ${fmt(savingsShort)} per maand.`
+      };
+    }
+    return {
+      ...advice,
+      message: `Je budget volgt 50/30/20: ${split}.`,
+      tone: "positive",
+      title: "Je budget volgt 50/30/20",
+      text: `Je verdeling is ${split}. Wat overblijft, ${fmt(income - expenses)}, kan extra naar sparen.`
+    };
+  }
+
+  if (budgetMethod === "zero-based") {
+    const assigned = targets.reduce((s, item) => s + item.target, 0);
+    const unassigned = income - assigned;
+    if (unassigned > 0.005) {
+      return {
+        message: `Nog ${fmt(unassigned)} zonder bestemming. Bij zero-based budgetteren wijs je iedere euro toe, ook aan sparen.`,
+        tone: "warning",
+        title: "Nog niet iedere euro heeft een bestemming",
+        text: `Je hebt ${fmt(assigned)} van je inkomen toegewezen. Verdeel de resterende ${fmt(unassigned)} over je categorieën tot er ${fmt(0)} over is.`
+      };
+    }
+    if (unassigned < -0.005) {
+      return {
+        message: `Je hebt ${fmt(Math.abs(unassigned))} meer toegewezen dan je inkomen. Verlaag een of meer toegewezen bedragen.`,
+        tone: "danger",
+        title: "Je hebt meer toegewezen dan je verdient",
+        text: `Je wijst ${fmt(assigned)} toe terwijl je inkomen ${fmt(income)} is.`
+      };
+    }
+    return {
+      message: overTargets.length
+        ? `Iedere euro heeft een bestemming, maar boven het toegewezen bedrag: ${describeOverTargets(overTargets)}.`
+        : "Iedere euro heeft een bestemming.",
+      tone: overTargets.length ? "warning" : "positive",
+      title: "Iedere euro heeft een bestemming",
+      text: overTargets.length
+        ? `Haal geld weg bij een andere categorie om ${describeOverTargets(overTargets)} te dekken.`
+        : `Je volledige inkomen van ${fmt(income)} is toegewezen. Houd je uitgaven binnen de toegewezen bedragen.`
+    };
+  }
+
+  // Enveloppen: het doel is wat er in de envelop zit, het bedrag wat eruit is uitgegeven
+  const funded = targets.reduce((s, item) => s + item.target, 0);
+  const left = targets.reduce((s, item) => s + Math.max(0, -item.excess), 0);
+  const unfunded = income - funded;
+  const empty = targets.filter(item => item.target > 0 && Math.abs(item.excess) <= 0.005).map(item => item.category);
+  if (funded - income > 0.005) {
+    return {
+      message: `Je enveloppen bevatten ${fmt(funded - income)} meer dan je inkomen. Haal geld uit een of meer enveloppen.`,
+      tone: "danger",
+      title: "Je enveloppen zijn voller dan je inkomen",
+      text: `Er zit ${fmt(funded)} in je enveloppen terwijl je inkomen ${fmt(income)} is.`
+    };
+  }
+  if (overTargets.length) {
+    return {
+      message: `Overschreden enveloppen: ${describeOverTargets(overTargets)}. Vul ze aan vanuit een andere envelop.`,
+      tone: "warning",
+      title: "Niet iedere envelop is toereikend",
+      text: `Je gaf meer uit dan er in ${describeOverTargets(overTargets)} zat. In je andere enveloppen zit nog ${fmt(left)}.`
+    };
+  }
+  const emptyText = empty.length ? ` Leeg: ${empty.join(", ")}.` : "";
+  return {
+    message: `Nog ${fmt(left)} over in je enveloppen.${unfunded > 0.005 ? ` ${fmt(unfunded)} van je inkomen zit nog in geen envelop.` : ""}${emptyText}`,
+    tone: funded > 0 ? "positive" : "neutral",
+    title: funded > 0 ? "Je enveloppen zijn gevuld" : "Vul je enveloppen",
+    text: funded > 0
+      ? `Er zit ${fmt(funded)} in je enveloppen en er is ${fmt(left)} nog niet uitgegeven.`
+      : "Geef iedere envelop een bedrag om bij te houden hoeveel je er nog uit kunt uitgeven."
+  };
+}
+
+function drawMethodSummary(advice) {
+  if (!methodSummaryEl) return;
+  const method = BUDGET_METHODS[budgetMethod];
+  methodSummaryEl.hidden = !method;
+  if (chooseMethodBtn) chooseMethodBtn.textContent = method ? `Budgetmethode: ${method.label}` : "Budgetmethode kiezen";
+  if (!method) return;
+  methodSummaryLabelEl.textContent = method.label;
+
+  const income = totalIncome();
+  const assigned = targetOverview().reduce((s, item) => s + item.target, 0);
+  let value = "Vul je inkomen in";
+  if (income > 0 && budgetMethod === "zero-based") {
+    value = income - assigned < -0.005 ? `${fmt(assigned - income)} te veel toegewezen` : `${fmt(income - assigned)} toe te wijzen`;
+  }
+  if (income > 0 && budgetMethod === "envelope") value = `${fmt(income - assigned)} niet in envelop`;
+  if (income > 0 && budgetMethod === "50-30-20" && advice) {
+    const savings = advice.overview[2];
+    value = `${percentOf(savings.amount, income)} gespaard`;
+  }
+  methodSummaryValueEl.textContent = value;
+  methodSummaryValueEl.classList.toggle("text-expense", Boolean(advice && advice.tone === "danger"));
+}
+
+function renderMethodOptions() {
+  methodOptionsEl.querySelectorAll(".method-option").forEach(option => option.remove());
+  const options = [["", { label: "Geen methode", description: "Vrij invullen, met optionele doelen per categorie." }], ...Object.entries(BUDGET_METHODS)];
+  options.forEach(([key, method]) => {
+    const label = document.createElement("label");
+    label.className = "method-option";
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "budgetMethod";
+    input.value = key;
+    input.checked = key === budgetMethod;
+    const title = document.createElement("strong");
+    title.textContent = method.label;
+    const description = document.createElement("span");
+    description.textContent = method.description;
+    label.append(input, title, description);
+    methodOptionsEl.appendChild(label);
+  });
+}
+
+function applyBudgetMethod() {
+  const method = methodOptionsEl.querySelector('input[name="budgetMethod"]:checked')?.value ?? "";
+  const chosen = BUDGET_METHODS[method] ? method : "";
+  // Zonder "behouden" gaan alle huidige uitgaven weg; net als bij alles wissen eerst vragen
+  const replaceRows = chosen && !methodKeepRowsInput.checked;
+  if (replaceRows && rows.length > 0 && !confirm("Je huidige uitgaven worden vervangen door de categorieën van deze methode. Doorgaan?")) return;
+  checkpoint("Budgetmethode toegepast");
+  budgetMethod = chosen;
+  if (replaceRows) rows = methodRows(budgetMethod);
+
+  closeModal();
+  renderRows();
+  draw();
+  setActiveStep(budgetMethod && totalIncome() <= 0 ? "income" : "expenses");
+}
+
+// --- Net salary and allowances ---
+// Rekenmodules en tabellen staan in /assets/js (net-salary.js, toeslagen.js) en /assets/data
+
+const netSalary = window.NLrekentools?.netSalary ?? null;
+const toeslagen = window.NLrekentools?.toeslagen ?? null;
+let salaryTable = null;
+let salaryResult = null;
+let allowanceTable = null;
+let allowanceResult = null;
+
+// Vult de jaarkeuze één keer; geeft false als de jaren niet geladen konden worden
+async function fillYearSelect(select, module, statusEl) {
+  if (select.options.length > 0) return true;
+  statusEl.textContent = "Rekengegevens laden…";
+  try {
+    const years = await module.loadYears();
+    years.forEach(year => {
+      const option = document.createElement("option");
+      option.value = String(year);
+      option.textContent = String(year);
+      select.appendChild(option);
+    });
+    select.value = String(module.defaultYear(years));
+    return true;
+  } catch (error) {
+    console.warn("Rekenjaren konden niet worden geladen", error);
+    statusEl.textContent = "De rekengegevens konden niet worden geladen. Probeer het later opnieuw.";
+    return false;
+  }
+}
+
+async function loadSalaryYear(year) {
+  salaryTable = null;
+  salaryStatusEl.textContent = "Belastinggegevens laden…";
+  updateSalaryResult();
+  try {
+    const table = await netSalary.loadYear(year);
+    // Tijdens het laden kan er al een ander jaar gekozen zijn
+    if (Number(salaryYearSelect.value) !== year) return;
+    salaryTable = table;
+    salaryStatusEl.textContent = table.description || "";
+  } catch (error) {
+    console.warn("Belastinggegevens konden niet worden geladen", error);
+    salaryStatusEl.textContent = `De belastinggegevens voor ${year} konden niet worden geladen. Probeer het later opnieuw.`;
+  }
+  updateSalaryResult();
+}
+
+async function openSalaryModal() {
+  openModal(salaryModal);
+  if (!await fillYearSelect(salaryYearSelect, netSalary, salaryStatusEl)) return;
+  if (!salaryTable) await loadSalaryYear(Number(salaryYearSelect.value));
+}
+
+function updateSalaryResult() {
+  const gross = parseFloat(salaryGrossInput.value);
+  salaryResult = salaryTable && gross > 0
+    ? netSalary.calculate({
+      grossMonthly: gross,
+      holidayPay: salaryHolidayPayInput.checked,
+      thirteenthMonth: salaryThirteenthInput.checked,
+      pensionRate: parseFloat(salaryPensionInput.value) || 0
+    }, salaryTable)
+    : null;
+
+  salaryResultEl.hidden = !salaryResult;
+  salaryApplyBtn.disabled = !salaryResult;
+  if (!salaryResult) return;
+
+  const { net } = salaryResult;
+  document.getElementById("salaryNetMonthly").textContent = fmt(net.monthly);
+  document.getElementById("salaryNetHolidayPay").textContent = fmt(net.holidayPay);
+  document.getElementById("salaryNetThirteenth").textContent = fmt(net.thirteenthMonth);
+  document.getElementById("salaryNetExtra").textContent = fmt(net.extraPerMonth);
+  document.getElementById("salaryWageTax").textContent = fmt(salaryResult.wageTax);
+  document.getElementById("salaryPensionTotal").textContent = fmt(salaryResult.pension);
+}
+
+// Eerstvolgende budgetmaand met dit maandnummer, vanaf de actieve maand
+function nextMonthNumbered(month) {
+  const [year, current] = activePeriod.split("-").map(Number);
+  return `${current <= month ? year : year + 1}-${String(month).padStart(2, "0")}`;
+}
+
+// Vakantiegeld komt meestal in mei, een dertiende maand in december
+function applySalary() {
+  if (!salaryResult) return;
+  const { net } = salaryResult;
+  checkpoint("Netto salaris overgenomen");
+  upsertIncome("Netto salaris", { amount: net.monthly, frequency: "monthly", dueMonth: "" });
+  if (net.holidayPay > 0) upsertIncome("Vakantiegeld", { amount: net.holidayPay, frequency: "yearly", dueMonth: nextMonthNumbered(5) });
+  if (net.thirteenthMonth > 0) upsertIncome("Dertiende maand", { amount: net.thirteenthMonth, frequency: "yearly", dueMonth: nextMonthNumbered(12) });
+  closeModal();
+  renderIncomes();
+  draw();
+}
+
+async function loadAllowanceYear(year) {
+  allowanceTable = null;
+  allowanceStatusEl.textContent = "Toeslaggegevens laden…";
+  updateAllowanceResult();
+  try {
+    const table = await toeslagen.loadYear(year);
+    if (Number(allowanceYearSelect.value) !== year) return;
+    allowanceTable = table;
+    allowanceStatusEl.textContent = table.description || "";
+  } catch (error) {
+    console.warn("Toeslaggegevens konden niet worden geladen", error);
+    allowanceStatusEl.textContent = `De toeslaggegevens voor ${year} konden niet worden geladen. Probeer het later opnieuw.`;
+  }
+  updateAllowanceResult();
+}
+
+async function openAllowanceModal() {
+  // Een eerder berekend brutoloon is een goed startpunt voor het toetsingsinkomen
+  if (!allowanceInputs.income.value && salaryResult) {
+    allowanceInputs.income.value = Math.round((salaryResult.gross.yearly - salaryResult.pension) * 100) / 100;
+  }
+  openModal(allowanceModal);
+  if (!await fillYearSelect(allowanceYearSelect, toeslagen, allowanceStatusEl)) return;
+  if (!allowanceTable) await loadAllowanceYear(Number(allowanceYearSelect.value));
+}
+
+function updateAllowanceResult() {
+  const value = key => parseFloat(allowanceInputs[key].value) || 0;
+  allowanceResult = allowanceTable && allowanceInputs.income.value !== ""
+    ? toeslagen.estimate({
+      partner: allowancePartnerInput.checked,
+      income: value("income"),
+      rent: value("rent"),
+      assets: value("assets"),
+      children: { under12: value("under12"), age12to15: value("age12to15"), age16to17: value("age16to17") }
+    }, allowanceTable)
+    : null;
+
+  allowanceResultEl.hidden = !allowanceResult;
+  allowanceApplyBtn.disabled = !allowanceResult || allowanceResult.total <= 0;
+  if (!allowanceResult) return;
+
+  document.getElementById("allowanceZorg").textContent = fmt(allowanceResult.zorgtoeslag);
+  document.getElementById("allowanceHuur").textContent = fmt(allowanceResult.huurtoeslag);
+  document.getElementById("allowanceKind").textContent = fmt(allowanceResult.kindgebondenBudget);
+  document.getElementById("allowanceTotal").textContent = fmt(allowanceResult.total);
+}
+
+const ALLOWANCE_LABELS = { zorgtoeslag: "Zorgtoeslag", huurtoeslag: "Huurtoeslag", kindgebondenBudget: "Kindgebonden budget" };
+
+function applyAllowances() {
+  if (!allowanceResult || allowanceResult.total <= 0) return;
+  checkpoint("Toeslagen overgenomen");
+  Object.entries(ALLOWANCE_LABELS).forEach(([key, name]) => {
+    if (allowanceResult[key] > 0) upsertIncome(name, { amount: allowanceResult[key], frequency: "monthly", dueMonth: "" });
+  });
+  closeModal();
+  renderIncomes();
+  draw();
+}
+
+// --- CSV import ---
+// Leest de eigen export (nlrekentools-maandbudget.csv) terug en accepteert daarnaast
+// willekeurige CSV-bestanden via een kolomkoppeling.
+
+const CSV_KIND_LABELS = { fixed: "Vaste last", variable: "Variabele uitgave" };
+const CSV_FREQUENCY_KEYWORDS = [
+  ["four-weekly", ["4 weken", "vier weken", "4-wekelijks", "vierwekelijks", "4 weeks", "four-weekly"]],
+  ["weekly", ["week", "wekelijks", "weekly"]],
+  ["quarterly", ["kwartaal", "quarter"]],
+  ["yearly", ["jaar", "jaarlijks", "year", "annual"]],
+  ["once", ["eenmalig", "once", "one-off"]],
+  ["monthly", ["maand", "month"]]
+];
+// Inkomsten staan in de export als regels met deze soort; de losse labels komen uit oudere exports
+const CSV_INCOME_KIND = "Inkomen";
+const CSV_INCOME_LABELS = { income: "Netto maandinkomen", extraIncome: "Overige inkomsten" };
+const IMPORT_COLUMN_GUESSES = {
+  category: ["categorie", "category", "omschrijving", "naam", "name", "description", "post"],
+  amount: ["bedrag", "amount", "prijs", "kosten", "price"],
+  kind: ["soort", "type", "kind"],
+  notes: ["notitie", "notities", "opmerking", "notes", "note"],
+  target: ["doel", "target", "gepland", "planned", "limiet"],
+  frequency: ["frequentie", "frequency", "interval", "termijn"]
+};
+
+let importState = null;
+
+function detectCsvDelimiter(line) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char in counts) counts[char] += 1;
+  }
+  return Object.keys(counts).reduce((best, key) => (counts[key] > counts[best] ? key : best), ",");
+}
+
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const delimiter = detectCsvDelimiter(source.split(/\r?\n/, 1)[0]);
+  const table = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      table.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    table.push(row);
+  }
+  return table.map(cells => cells.map(unescapeCsvField));
+}
+
+// Draait de formule-escape van sanitizeCsvField terug
+function unescapeCsvField(value) {
+  return value.replace(/^'(?=[=+\-@])/, "");
+}
+
+// Accepteert 1234.56, 1.234,56, € 12,50 en -12,50; geeft een getal met teken of "" terug
+function parseSignedAmount(value) {
+  let cleaned = String(value ?? "").replace(/[^0-9,.\-]/g, "");
+  if (cleaned === "" || cleaned === "-") return "";
+  const lastComma = cleaned.lastIndexOf(",");
+  const lastDot = cleaned.lastIndexOf(".");
+  if (lastComma > -1 && lastDot > -1) {
+    cleaned = lastComma > lastDot
+      ? cleaned.replace(/\./g, "").replace(",", ".")
+      : cleaned.replace(/,/g, "");
+  } else if (lastComma > -1) {
+    cleaned = cleaned.replace(/\./g, "").replace(",", ".");
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(cleaned)) {
+    cleaned = cleaned.replace(/\./g, "");
+  }
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : "";
+}
+
+// Uitgaven worden altijd positief opgeslagen
+function parseAmount(value) {
+  const number = parseSignedAmount(value);
+  return number === "" ? "" : Math.abs(number);
+}
+
+function parseKind(value, category) {
+  const text = String(value || "").toLowerCase();
+  if (text.includes("vast") || text.includes("fixed")) return "fixed";
+  if (text.includes("variab")) return "variable";
+  return ruleKind(category) || "variable";
+}
+
+function parseFrequency(value) {
+  const text = String(value || "").trim().toLowerCase();
+  const match = CSV_FREQUENCY_KEYWORDS.find(([, keywords]) => keywords.some(keyword => text.includes(keyword)));
+  return match ? match[0] : "monthly";
+}
+
+function isOwnExport(header) {
+  const [kind, category, amount, notes] = (header || []).map(cell => cell.trim());
+  return kind === "Soort" && category === "Categorie" && /^Bedrag \(.+\)$/.test(amount || "") && notes === "Notitie";
+}
+
+function guessImportColumn(header, field) {
+  const names = header.map(cell => cell.trim().toLowerCase());
+  return names.findIndex(name => IMPORT_COLUMN_GUESSES[field].some(guess => name.includes(guess)));
+}
+
+function readOwnExport(table) {
+  // `owner` en `paidBy` bevatten hier nog namen; applyCsvImport() zet ze om naar personen
+  const result = { rows: [], incomes: [], members: [], currency: null };
+  const legacy = { income: null, extraIncome: null };
+  const currencyMatch = table[0][2].match(/^Bedrag \((.+)\)$/);
+  if (currencyMatch && ["€", "$", "£"].includes(currencyMatch[1])) result.currency = currencyMatch[1];
+
+  let inSummary = false;
+  table.slice(1).forEach(cells => {
+    if (cells.every(cell => cell.trim() === "")) {
+      inSummary = true;
+      return;
+    }
+    if (inSummary) {
+      const [label, value] = cells;
+      if (label === CSV_INCOME_LABELS.income) legacy.income = parseAmount(value);
+      if (label === CSV_INCOME_LABELS.extraIncome) legacy.extraIncome = parseAmount(value);
+      return;
+    }
+    const [kindLabel, category = "", amount = "", notes = "", target = "", frequency = "", dueMonth = "", owner = "", paidBy = ""] = cells;
+    const person = name => {
+      const trimmed = name.trim();
+      if (trimmed && !result.members.includes(trimmed)) result.members.push(trimmed);
+      return trimmed;
+    };
+    if (kindLabel === CSV_INCOME_KIND) {
+      result.incomes.push({
+        ...normalizeIncome({
+          name: category,
+          amount: parseAmount(amount),
+          frequency: parseFrequency(frequency),
+          dueMonth: dueMonth.trim(),
+          notes
+        }),
+        owner: person(owner)
+      });
+      return;
+    }
+    result.rows.push({
+      kind: kindLabel === CSV_KIND_LABELS.fixed ? "fixed" : kindLabel === CSV_KIND_LABELS.variable ? "variable" : parseKind(kindLabel, category),
+      category,
+      amount: parseAmount(amount),
+      target: parseAmount(target),
+      frequency: parseFrequency(frequency),
+      dueMonth: isPeriodKey(dueMonth.trim()) ? dueMonth.trim() : "",
+      owner: person(owner),
+      paidBy: person(paidBy),
+      notes,
+      noteHint: ""
+    });
+  });
+  if (result.incomes.length === 0 && (legacy.income !== null || legacy.extraIncome !== null)) {
+    result.incomes = legacyIncomes(legacy.income ?? "", legacy.extraIncome ?? "");
+  }
+  return result;
+}
+
+function readMappedCsv(table, mapping, hasHeader) {
+  const cell = (cells, index) => (index >= 0 ? String(cells[index] ?? "").trim() : "");
+  return table.slice(hasHeader ? 1 : 0).reduce((list, cells) => {
+    const category = cell(cells, mapping.category);
+    const amount = parseAmount(cell(cells, mapping.amount));
+    if (!category && amount === "") return list;
+    list.push({
+      kind: parseKind(cell(cells, mapping.kind), category),
+      category,
+      amount,
+      target: parseAmount(cell(cells, mapping.target)),
+      frequency: parseFrequency(cell(cells, mapping.frequency)),
+      dueMonth: "",
+      notes: cell(cells, mapping.notes),
+      noteHint: ""
+    });
+    return list;
+  }, []);
+}
+
+function currentImportRows() {
+  if (!importState) return [];
+  if (importState.ownExport) return importState.ownExport.rows;
+  return readMappedCsv(importState.table, importState.mapping, importHasHeaderInput.checked);
+}
+
+function renderImportMapping() {
+  const header = importState.table[0] || [];
+  const useHeader = importHasHeaderInput.checked;
+  importMapSelects.forEach(select => {
+    const field = select.dataset.importField;
+    select.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "-1";
+    none.textContent = "Niet gebruiken";
+    select.appendChild(none);
+    header.forEach((name, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = useHeader && name.trim() ? name.trim() : `Kolom ${index + 1}`;
+      select.appendChild(option);
+    });
+    select.value = String(importState.mapping[field]);
+  });
+}
+
+function renderImportPreview() {
+  const importRows = currentImportRows();
+  importPreviewEl.innerHTML = "";
+  importRows.forEach(row => {
+    const tr = document.createElement("tr");
+    const amount = row.amount === "" ? "—" : fmt(row.amount);
+    const frequency = row.frequency === "monthly" ? "" : ` ${ROW_FREQUENCIES[row.frequency].label.toLowerCase()}`;
+    [CSV_KIND_LABELS[row.kind], row.category || "Zonder naam", `${amount}${frequency}`, row.notes].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    importPreviewEl.appendChild(tr);
+  });
+
+  let summary = `${importRows.length} ${importRows.length === 1 ? "uitgave" : "uitgaven"} gevonden in ${importState.fileName}.`;
+  if (importState.ownExport) {
+    const { incomes: importedIncomes } = importState.ownExport;
+    summary += " Dit bestand is een export van deze calculator.";
+    if (importedIncomes.length > 0) {
+      const importedTotal = importedIncomes.reduce((s, item) => s + monthlyAmount(item), 0);
+      summary += ` Bij vervangen worden ook je inkomsten (${fmt(importedTotal)} per maand) overgenomen.`;
+    }
+  } else if (importState.mapping.category < 0 || importState.mapping.amount < 0) {
+    summary += " Kies in ieder geval de kolommen voor categorie en bedrag.";
+  }
+  importSummaryEl.textContent = summary;
+  importConfirmBtn.disabled = importRows.length === 0;
+}
+
+function startCsvImport(file) {
+  file.text().then(text => {
+    const parsed = parseCsv(text);
+    const table = parsed.filter(cells => cells.length > 1 || cells[0].trim() !== "");
+    if (table.length === 0) {
+      alert("Dit bestand bevat geen gegevens.");
+      return;
+    }
+    const header = table[0];
+    // De eigen export heeft een lege regel tussen de uitgaven en het inkomensoverzicht; die is hier nog nodig
+    const ownExport = isOwnExport(header) ? readOwnExport(parsed.slice(parsed.indexOf(header))) : null;
+    importState = {
+      fileName: file.name,
+      table,
+      ownExport,
+      mapping: {
+        category: guessImportColumn(header, "category"),
+        amount: guessImportColumn(header, "amount"),
+        kind: guessImportColumn(header, "kind"),
+        notes: guessImportColumn(header, "notes"),
+        target: guessImportColumn(header, "target"),
+        frequency: guessImportColumn(header, "frequency")
+      }
+    };
+    importHasHeaderInput.checked = true;
+    importMappingEl.hidden = Boolean(ownExport);
+    if (!ownExport) renderImportMapping();
+    renderImportPreview();
+    openModal(importModal);
+  }).catch(e => {
+    console.error("CSV kon niet worden gelezen", e);
+    alert("Dit bestand kon niet worden gelezen.");
+  });
+}
+
+// Personen uit een eigen export koppelen op naam; onbekende namen worden nieuwe personen
+function importMembers(names) {
+  const ids = new Map();
+  names.forEach(name => {
+    const existing = members.find(member => member.name.trim().toLowerCase() === name.toLowerCase());
+    if (existing) {
+      ids.set(name, existing.id);
+    } else {
+      const member = { id: createId("member"), name };
+      members.push(member);
+      ids.set(name, member.id);
+    }
+  });
+  return ids;
+}
+
+function rowKey(row) {
+  return `${row.kind}:${row.category.trim().toLowerCase()}`;
+}
+
+function applyCsvImport() {
+  const importRows = currentImportRows();
+  if (importRows.length === 0) return;
+  const mode = importModal.querySelector('input[name="importMode"]:checked')?.value || "merge";
+  checkpoint("CSV geïmporteerd");
+
+  if (mode === "replace") {
+    const ownExport = importState.ownExport;
+    const memberIds = ownExport ? importMembers(ownExport.members) : new Map();
+    const resolve = name => memberIds.get(name) || "";
+    rows = [];
+    importRows.forEach(row => insertRowInGroup({
+      ...normalizeRow(row),
+      owner: resolve(row.owner),
+      paidBy: resolve(row.paidBy)
+    }));
+    if (ownExport) {
+      if (ownExport.incomes.length > 0) incomes = ownExport.incomes.map(item => ({ ...normalizeIncome(item), owner: resolve(item.owner) }));
+      if (ownExport.currency) currencySelect.value = ownExport.currency;
+    }
   } else {
-    sumSavingsEl.className = "overview-value text-expense";
+    importRows.forEach(imported => {
+      const existing = rows.find(row => rowKey(row) === rowKey(imported));
+      if (existing) {
+        existing.amount = imported.amount;
+        existing.frequency = imported.frequency;
+        existing.dueMonth = imported.dueMonth;
+        if (imported.target !== "") existing.target = imported.target;
+        if (imported.notes) existing.notes = imported.notes;
+      } else {
+        insertRowInGroup({ ...normalizeRow(imported), owner: "", paidBy: "" });
+      }
+    });
   }
 
-  if (budgetMessageEl) {
-    let message = "Vul je inkomen en uitgaven in om te zien hoeveel ruimte je overhoudt.";
-    let tone = "neutral";
+  importState = null;
+  closeModal();
+  renderHousehold();
+  renderIncomes();
+  renderRows();
+  draw();
+  setActiveStep("expenses");
+}
 
-    if (income > 0 && expenses === 0) {
-      message = "Je inkomen staat erin. Voeg je vaste en variabele uitgaven toe voor een realistisch overzicht.";
-    } else if (income > 0 && savings < 0) {
-      message = `Je uitgaven zijn ${fmt(Math.abs(savings))} hoger dan je inkomen. Bekijk welke posten je kunt aanpassen.`;
-      tone = "danger";
-    } else if (income > 0 && usedRate >= 90) {
-      message = `Je houdt ${fmt(savings)} over. Dat geeft weinig ruimte voor onverwachte kosten.`;
-      tone = "warning";
-    } else if (income > 0 && expenses > 0) {
-      message = `Je houdt deze maand ${fmt(savings)} over. Dat is ${(100 - usedRate).toFixed(0)}% van je inkomen.`;
-    } else if (income === 0 && expenses > 0) {
-      message = "Vul je maandinkomen in om te zien of deze uitgaven binnen je budget passen.";
-      tone = "warning";
-    }
+// --- Bank statement import ---
+// Leest CAMT.053, MT940 en de CSV-exports van ING, Rabobank en ABN AMRO volledig in de browser.
+// Afschrijvingen van één maand worden per budgetcategorie opgeteld en eerst ter controle getoond.
 
-    budgetMessageEl.textContent = message;
-    budgetMessageEl.dataset.tone = tone;
-  }
+const BANK_FALLBACK_CATEGORY = { kind: "variable", category: "Overige uitgaven", noteHint: "Niet automatisch ingedeeld" };
 
-  if (finalResultEl) {
-    let finalTitle = "Vul je budget verder in";
-    let finalText = "Zodra je inkomen en uitgaven bekend zijn, zie je hier wat er deze maand overblijft.";
-    let finalShare = "Nog geen compleet budget";
-    let finalTone = "neutral";
+let bankState = null;
 
-    if (income > 0 && expenses === 0) {
-      finalTitle = "Je inkomen staat klaar";
-      finalText = "Voeg je vaste en variabele uitgaven toe om je maandresultaat compleet te maken.";
-      finalShare = "Nog geen uitgaven ingevuld";
-    } else if (income > 0 && savings < 0) {
-      finalTitle = "Je budget komt deze maand tekort";
-      finalText = `Je uitgaven zijn ${fmt(Math.abs(savings))} hoger dan je totale inkomen. Bekijk vooral de grootste categorieën hieronder.`;
-      finalShare = `${Math.abs(100 - usedRate).toFixed(0)}% boven je inkomen`;
-      finalTone = "danger";
-    } else if (income > 0 && expenses > 0 && usedRate >= 90) {
-      finalTitle = "Je budget heeft weinig vrije ruimte";
-      finalText = `Je houdt ${fmt(savings)} over. Een kleine onverwachte uitgave kan daardoor direct merkbaar zijn.`;
-      finalShare = `${Math.max(0, 100 - usedRate).toFixed(0)}% van je inkomen over`;
-      finalTone = "warning";
-    } else if (income > 0 && expenses > 0) {
-      finalTitle = "Je houdt deze maand ruimte over";
-      finalText = `Na alle ingevulde uitgaven blijft ${fmt(savings)} beschikbaar voor sparen, een buffer of andere keuzes.`;
-      finalShare = `${Math.max(0, 100 - usedRate).toFixed(0)}% van je inkomen over`;
-      finalTone = "positive";
-    } else if (income === 0 && expenses > 0) {
-      finalTitle = "Je uitgaven zijn al ingevuld";
-      finalText = "Voeg je maandinkomen toe om te berekenen of deze uitgaven binnen je budget passen.";
-      finalShare = "Inkomen ontbreekt";
-      finalTone = "warning";
+function bankCategoryTemplates() {
+  const templates = new Map();
+  [...DEFAULT_ROWS, ...SAMPLE_DATA.rows].forEach(row => {
+    if (!templates.has(row.category)) {
+      templates.set(row.category, { kind: row.kind, category: row.category, noteHint: row.noteHint });
     }
+  });
+  return templates;
+}
 
-    finalResultTitleEl.textContent = finalTitle;
-    finalResultTextEl.textContent = finalText;
-    finalRemainingShareEl.textContent = finalShare;
-    finalResultEl.dataset.tone = finalTone;
-  }
+// Categorie met soort en hint: eerst het sjabloon, dan een bestaande post, dan de soort uit de regels
+function bankTemplateFor(category, kind, templates) {
+  const template = templates.get(category);
+  const existing = rows.find(row => row.category.trim().toLowerCase() === category.toLowerCase());
+  const resolvedKind = kind === "fixed" || kind === "variable"
+    ? kind
+    : (template?.kind || existing?.kind || ruleKind(category) || "variable");
+  return { kind: resolvedKind, category, noteHint: template?.noteHint || existing?.noteHint || "" };
+}
 
-  updateProgressBar(income, expenses);
+function categorizeTransaction(transaction, templates) {
+  if (transaction.override) return bankTemplateFor(transaction.override, "", templates);
+  const match = ruleEngine.categorize(transaction);
+  if (!match) return BANK_FALLBACK_CATEGORY;
+  return bankTemplateFor(match.category, match.kind, templates);
 }
 
-function normalizeRow(row, index) {
-  const fixedCategories = [
-    "wonen", "energie", "internet", "verzekering", "zorg",
-    "kinderopvang", "school", "abonnement"
-  ];
-  const category = String(row?.category || "");
-  const inferredKind = fixedCategories.some(term => category.toLowerCase().includes(term))
-    ? "fixed"
-    : (index < 2 ? "fixed" : "variable");
+function toIsoDate(value) {
+  const text = String(value || "").trim();
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = text.match(/^(\d{2})[-/.](\d{2})[-/.](\d{4})$/);
+  if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+  return "";
+}
+
+// Gestructureerde SEPA-omschrijvingen (MT940 :86: en ABN AMRO) zoals /TRTP/.../NAME/.../REMI/...
+function parseSepaDescription(text) {
+  const clean = text.replace(/\s*\n\s*/g, "");
+  const field = name => {
+    const match = clean.match(new RegExp(`/${name}/(.*?)(?=/(?:TRTP|IBAN|BIC|NAME|REMI|EREF|MARF|CSID|CNTP|USTD|ORDP|BENM|ADDR|SVCL|RTRN|ISDT)/|$)`));
+    return match ? match[1].trim() : "";
+  };
+  if (/\/(TRTP|NAME|CNTP|REMI)\//.test(clean)) {
+    const cntp = clean.match(/\/CNTP\/([^/]*)\/([^/]*)\/([^/]*)\//);
+    return {
+      description: field("REMI").replace(/^USTD\/\//, "").replace(/\/+$/, ""),
+      counterparty: field("NAME") || (cntp ? cntp[3] : ""),
+      iban: field("IBAN") || (cntp ? cntp[1] : "")
+    };
+  }
 
+  // ABN AMRO zet SEPA-gegevens als "Naam: ...  Omschrijving: ...  IBAN: ..." in de omschrijving
+  const labelled = label => {
+    const match = text.match(new RegExp(`${label}:\\s*(.+?)(?:\\s{2,}|$)`));
+    return match ? match[1].trim() : "";
+  };
   return {
-    kind: row?.kind === "fixed" || row?.kind === "variable" ? row.kind : inferredKind,
-    category,
-    amount: row?.amount ?? "",
-    notes: String(row?.notes || ""),
-    noteHint: String(row?.noteHint || "")
+    description: labelled("Omschrijving") || text.replace(/\s+/g, " ").trim(),
+    counterparty: labelled("Naam"),
+    iban: labelled("IBAN")
   };
 }
 
-function randomColor(i) {
-  const palette = [
-    "#12344d", "#1c5978", "#397894", "#5c92aa",
-    "#80aabd", "#a8c3cf", "#d0dfe6", "#d5a83f",
-    "#b77a3b", "#7b6b91", "#6d7f52", "#955d67"
-  ];
-  return palette[i % palette.length];
+function parseCamt053(source) {
+  const xml = new DOMParser().parseFromString(source, "application/xml");
+  if (xml.getElementsByTagName("parsererror").length) throw new Error("Ongeldig CAMT.053-bestand");
+
+  const child = (el, name) => el && Array.from(el.children).find(node => node.localName === name);
+  const path = (el, names) => names.reduce((node, name) => child(node, name), el);
+  const text = (el, names) => (path(el, names)?.textContent || "").trim();
+
+  return Array.from(xml.getElementsByTagNameNS("*", "Ntry")).map(entry => {
+    const amount = Number(text(entry, ["Amt"]));
+    const isDebit = text(entry, ["CdtDbtInd"]) === "DBIT";
+    const details = path(entry, ["NtryDtls", "TxDtls"]);
+    const party = isDebit ? "Cdtr" : "Dbtr";
+    const remittance = details
+      ? Array.from(details.getElementsByTagNameNS("*", "Ustrd")).map(node => node.textContent.trim()).join(" ")
+      : "";
+    return {
+      date: toIsoDate(text(entry, ["BookgDt", "Dt"]) || text(entry, ["BookgDt", "DtTm"]) || text(entry, ["ValDt", "Dt"])),
+      amount: isDebit ? -amount : amount,
+      description: remittance || text(entry, ["AddtlNtryInf"]),
+      counterparty: text(details, ["RltdPties", party, "Nm"]) || text(details, ["RltdPties", party, "Pty", "Nm"]),
+      iban: text(details, ["RltdPties", `${party}Acct`, "Id", "IBAN"])
+    };
+  });
 }
 
-function drawChart() {
-  const data = rows.filter(r => Number(r.amount) > 0);
-  const total = data.reduce((s, r) => s + Number(r.amount), 0);
-  legend.innerHTML = "";
+function parseMt940(text) {
+  const transactions = [];
+  let current = null;
+  let field = null;
+  text.split(/\r?\n/).forEach(line => {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) {
+      field = tag[1];
+      if (field === "61") {
+        const statement = tag[2].match(/^(\d{2})(\d{2})(\d{2})(?:\d{4})?(R?[CD])[A-Z]?(\d+,\d*)/);
+        if (!statement) {
+          current = null;
+          return;
+        }
+        const [, yy, mm, dd, mark, rawAmount] = statement;
+        const amount = Number(rawAmount.replace(",", "."));
+        const isDebit = mark === "D" || mark === "RC";
+        current = { date: `20${yy}-${mm}-${dd}`, amount: isDebit ? -amount : amount, info: "" };
+        transactions.push(current);
+      } else if (field === "86" && current) {
+        current.info = tag[2];
+      }
+    } else if (field === "86" && current && !line.startsWith("-")) {
+      current.info += `\n${line}`;
+    }
+  });
+  return transactions.map(({ date, amount, info }) => ({ date, amount, ...parseSepaDescription(info) }));
+}
 
-  const chartContainer = document.getElementById("chart-container");
-  const chartEmptyState = document.getElementById("chart-empty-state");
+function parseBankCsv(text) {
+  const table = parseCsv(text).filter(cells => cells.some(cell => cell.trim() !== ""));
+  if (table.length === 0) return null;
+  const header = table[0].map(cell => cell.trim().toLowerCase());
+  const column = name => header.indexOf(name);
+
+  // ING: Datum;Naam / Omschrijving;Rekening;Tegenrekening;Code;Af Bij;Bedrag (EUR);Mutatiesoort;Mededelingen
+  if (column("af bij") > -1 && column("naam / omschrijving") > -1) {
+    const amountColumn = header.findIndex(name => name.startsWith("bedrag"));
+    return {
+      format: "ING (CSV)",
+      transactions: table.slice(1).map(cells => ({
+        date: toIsoDate(cells[column("datum")]),
+        amount: parseAmount(cells[amountColumn]) * (cells[column("af bij")].trim().toLowerCase() === "af" ? -1 : 1),
+        description: cells[column("mededelingen")] || "",
+        counterparty: cells[column("naam / omschrijving")] || "",
+        iban: cells[column("tegenrekening")] || ""
+      }))
+    };
+  }
 
-  if (total <= 0) {
-    chartContainer.style.display = "none";
-    chartEmptyState.style.display = "block";
-  } else {
-    chartContainer.style.display = "block";
-    chartEmptyState.style.display = "none";
+  // Rabobank: IBAN/BBAN,Munt,BIC,Volgnr,Datum,Rentedatum,Bedrag,...,Naam tegenpartij,...,Omschrijving-1..3
+  if (column("naam tegenpartij") > -1 && column("bedrag") > -1) {
+    const descriptionColumns = header
+      .map((name, index) => (name.startsWith("omschrijving") ? index : -1))
+      .filter(index => index > -1);
+    return {
+      format: "Rabobank (CSV)",
+      transactions: table.slice(1).map(cells => ({
+        date: toIsoDate(cells[column("datum")]),
+        amount: Number(parseSignedAmount(cells[column("bedrag")])) || 0,
+        description: descriptionColumns.map(index => cells[index] || "").join(" ").trim(),
+        counterparty: cells[column("naam tegenpartij")] || "",
+        iban: cells[column("tegenrekening iban/bban")] || ""
+      }))
+    };
   }
 
-  if (!chart) return; // safety
+  // ABN AMRO: tab-gescheiden zonder kopregel; rekening, munt, datum, beginsaldo, eindsaldo, rentedatum, bedrag, omschrijving
+  if (table[0].length >= 8 && /^\d{8}$/.test(table[0][2].trim())) {
+    return {
+      format: "ABN AMRO (TXT)",
+      transactions: table.map(cells => ({
+        date: toIsoDate(cells[2]),
+        amount: Number(parseSignedAmount(cells[6])) || 0,
+        ...parseSepaDescription(cells.slice(7).join(" "))
+      }))
+    };
+  }
+  return null;
+}
 
-  chart.data.labels = data.map(r => r.category);
-  chart.data.datasets[0].data = data.map(r => r.amount);
-  chart.data.datasets[0].backgroundColor = data.map((_, i) => randomColor(i));
-  chart.update();
+function parseBankStatement(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  if (/^\s*<\?xml|<Document[\s>]/.test(source) && source.includes("BkToCstmrStmt")) {
+    return { format: "CAMT.053", transactions: parseCamt053(source) };
+  }
+  if (/^:20:/m.test(source) && /^:61:/m.test(source)) {
+    return { format: "MT940", transactions: parseMt940(source) };
+  }
+  return parseBankCsv(source);
+}
 
-  // Custom Legend
-  data.forEach((r, i) => {
-    const item = document.createElement("div");
-    item.className = "legend-item";
+// Groepeert de afschrijvingen van één maand per budgetcategorie
+function groupBankDebits(transactions, month) {
+  const templates = bankCategoryTemplates();
+  const groups = new Map();
+  transactions
+    .filter(t => t.amount < 0 && t.date.startsWith(month))
+    .forEach(transaction => {
+      const template = categorizeTransaction(transaction, templates);
+      if (!groups.has(template.category)) {
+        const include = !bankState.excluded.has(template.category);
+        groups.set(template.category, { ...template, total: 0, transactions: [], include });
+      }
+      const group = groups.get(template.category);
+      group.total = Math.round((group.total + Math.abs(transaction.amount)) * 100) / 100;
+      group.transactions.push(transaction);
+    });
+  return Array.from(groups.values()).sort((a, b) => b.total - a.total);
+}
 
-    const dot = document.createElement("span");
-    dot.className = "legend-dot";
-    dot.style.backgroundColor = randomColor(i);
+function renderBankGroups() {
+  bankState.groups = groupBankDebits(bankState.transactions, bankMonthSelect.value);
+  bankGroupsEl.innerHTML = "";
+  const categories = knownCategories();
 
-    const text = document.createElement("span");
-    text.textContent = `${r.category}: ${fmt(r.amount)}`;
+  if (bankState.groups.length === 0) {
+    const emptyRow = document.createElement("tr");
+    emptyRow.innerHTML = `<td colspan="4" class="text-center py-5"><div class="text-muted">Geen afschrijvingen in deze maand.</div></td>`;
+    bankGroupsEl.appendChild(emptyRow);
+  }
 
-    item.appendChild(dot);
-    item.appendChild(text);
-    legend.appendChild(item);
+  bankState.groups.forEach(group => {
+    const tr = document.createElement("tr");
+
+    const tdInclude = document.createElement("td");
+    const include = document.createElement("input");
+    include.type = "checkbox";
+    include.checked = group.include;
+    include.setAttribute("aria-label", `${group.category} overnemen`);
+    include.addEventListener("change", () => {
+      group.include = include.checked;
+      if (include.checked) bankState.excluded.delete(group.category);
+      else bankState.excluded.add(group.category);
+    });
+    tdInclude.appendChild(include);
+    tr.appendChild(tdInclude);
+
+    const tdCategory = document.createElement("td");
+    tdCategory.textContent = group.category;
+    tr.appendChild(tdCategory);
+
+    const tdDetails = document.createElement("td");
+    const details = document.createElement("details");
+    details.className = "bank-group__details";
+    const summary = document.createElement("summary");
+    summary.textContent = `${group.transactions.length} ${group.transactions.length === 1 ? "afschrijving" : "afschrijvingen"}`;
+    const list = document.createElement("ul");
+    group.transactions.forEach(t => list.appendChild(renderBankTransaction(t, group, categories)));
+    details.open = bankState.openCategories.has(group.category);
+    details.addEventListener("toggle", () => {
+      if (!bankState) return;
+      if (details.open) bankState.openCategories.add(group.category);
+      else bankState.openCategories.delete(group.category);
+    });
+    details.appendChild(summary);
+    details.appendChild(list);
+    tdDetails.appendChild(details);
+    tr.appendChild(tdDetails);
+
+    const tdTotal = document.createElement("td");
+    const total = document.createElement("input");
+    total.type = "number";
+    total.className = "form-control text-end";
+    total.min = "0";
+    total.step = "any";
+    total.value = group.total;
+    total.setAttribute("aria-label", `Totaal voor ${group.category}`);
+    total.addEventListener("input", () => { group.total = parseAmount(total.value) || 0; });
+    tdTotal.appendChild(total);
+    tr.appendChild(tdTotal);
+
+    bankGroupsEl.appendChild(tr);
   });
-}
 
-function draw() {
-  drawSummary();
-  drawChart();
-  saveState();
+  const debitCount = bankState.groups.reduce((s, g) => s + g.transactions.length, 0);
+  bankSummaryEl.textContent = `${bankState.format}: ${bankState.transactions.length} transacties gevonden, waarvan ${debitCount} afschrijvingen in ${formatPeriod(bankMonthSelect.value)}.`;
+  bankConfirmBtn.disabled = bankState.groups.length === 0;
 }
 
-function addRow(kind, category = "", amount = "", notes = "") {
-  const newRow = { kind, category, amount, notes, noteHint: "" };
-  rows.push(newRow);
-  renderRows();
-
-  // Focus the new category input
-  const targetContainer = kind === "fixed" ? fixedRowsContainer : variableRowsContainer;
-  const lastRow = targetContainer.querySelector(".expense-row:last-child");
-  if (lastRow) {
-    const input = lastRow.querySelector("input");
-    if (input) input.focus();
-    lastRow.classList.add("row-enter");
+// Eén afschrijving met een keuzelijst om de categorie te corrigeren en die correctie als regel te onthouden
+function renderBankTransaction(transaction, group, categories) {
+  const label = transaction.counterparty || transaction.description || "Onbekend";
+  const item = document.createElement("li");
+  item.className = "bank-transaction";
+
+  const text = document.createElement("span");
+  text.textContent = `${transaction.date} · ${label} · ${fmt(Math.abs(transaction.amount))}`;
+  item.appendChild(text);
+
+  const select = document.createElement("select");
+  select.className = "form-select";
+  select.setAttribute("aria-label", `Categorie voor ${label} op ${transaction.date}`);
+  categories.forEach(category => {
+    const option = document.createElement("option");
+    option.value = category;
+    option.textContent = category;
+    select.appendChild(option);
+  });
+  select.value = group.category;
+  select.addEventListener("change", () => {
+    transaction.override = select.value;
+    transaction.learned = false;
+    bankState.openCategories.add(select.value);
+    renderBankGroups();
+  });
+  item.appendChild(select);
+
+  if (transaction.override) {
+    const learn = document.createElement("button");
+    learn.type = "button";
+    learn.className = "bank-transaction__learn";
+    learn.disabled = Boolean(transaction.learned);
+    learn.textContent = transaction.learned ? "Onthouden" : "Altijd zo indelen";
+    learn.addEventListener("click", () => {
+      if (!ruleEngine.learn(transaction, { category: group.category, kind: group.kind })) return;
+      transaction.learned = true;
+      renderBankGroups();
+    });
+    item.appendChild(learn);
   }
 
-  draw();
+  return item;
 }
 
-function setActiveStep(step, { moveFocus = true } = {}) {
-  const validSteps = ["income", "expenses", "summary"];
-  if (!validSteps.includes(step)) return;
+function startBankImport(file) {
+  file.text().then(text => {
+    const statement = parseBankStatement(text);
+    const transactions = (statement?.transactions || []).filter(t => t.date && Number.isFinite(t.amount));
+    if (!statement || transactions.length === 0) {
+      alert("Dit bestand wordt niet herkend. Gebruik een CAMT.053-, MT940- of CSV-export van ING, Rabobank of ABN AMRO.");
+      return;
+    }
 
-  stepButtons.forEach(button => {
-    const isActive = button.dataset.budgetStep === step;
-    button.classList.toggle("is-active", isActive);
-    if (isActive) button.setAttribute("aria-current", "step");
-    else button.removeAttribute("aria-current");
+    const months = [...new Set(transactions.map(t => t.date.slice(0, 7)))].sort();
+    bankState = { format: statement.format, transactions, groups: [], excluded: new Set(), openCategories: new Set() };
+    bankMonthSelect.innerHTML = "";
+    months.forEach(month => {
+      const option = document.createElement("option");
+      option.value = month;
+      option.textContent = formatPeriod(month);
+      bankMonthSelect.appendChild(option);
+    });
+    bankMonthSelect.value = months.includes(activePeriod) ? activePeriod : months[months.length - 1];
+    renderBankGroups();
+    openModal(bankModal);
+  }).catch(e => {
+    console.error("Bankafschrift kon niet worden gelezen", e);
+    alert("Dit bestand kon niet worden gelezen.");
   });
+}
 
-  stepPanels.forEach(panel => {
-    panel.hidden = panel.dataset.stepPanel !== step;
+function applyBankImport() {
+  const selected = bankState.groups.filter(group => group.include && group.total > 0);
+  checkpoint("Bankafschrift geïmporteerd");
+  selected.forEach(group => {
+    const existing = rows.find(row => row.category.trim().toLowerCase() === group.category.toLowerCase());
+    if (existing) {
+      // Het maandtotaal van de bank vervangt ook een afwijkende frequentie
+      existing.amount = group.total;
+      existing.frequency = "monthly";
+      existing.dueMonth = "";
+    } else {
+      insertRowInGroup({ kind: group.kind, category: group.category, amount: group.total, target: "", frequency: "monthly", dueMonth: "", notes: "", noteHint: group.noteHint });
+    }
   });
 
-  document.body.dataset.activeBudgetStep = step;
-
-  if (step === "summary") {
-    requestAnimationFrame(() => {
-      if (chart) chart.resize();
-      drawChart();
-    });
-  }
-
-  if (moveFocus) {
-    const activePanel = document.querySelector(`[data-step-panel="${step}"]`);
-    const heading = activePanel?.querySelector("h2");
-    if (heading) {
-      heading.setAttribute("tabindex", "-1");
-      heading.focus({ preventScroll: true });
-    }
-    const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
-    document.querySelector(".budget-flow-bar")?.scrollIntoView({
-      behavior: prefersReducedMotion ? "auto" : "smooth",
-      block: "start"
-    });
-  }
+  bankState = null;
+  closeModal();
+  renderRows();
+  draw();
+  setActiveStep("expenses");
 }
 
 // --- Event Listeners ---
 
 if (addFixedRowBtn) addFixedRowBtn.addEventListener("click", () => addRow("fixed"));
 if (addVariableRowBtn) addVariableRowBtn.addEventListener("click", () => addRow("variable"));
+Object.keys(ROW_GROUPS).forEach(enableRowDrop);
 
 stepButtons.forEach(button => {
   button.addEventListener("click", () => setActiveStep(button.dataset.budgetStep));
@@ -549,24 +3693,30 @@ stepNavigationButtons.forEach(button => {
 });
 
 if (resetBtn) {
+  // Blijft bevestigen: de geschiedenis om het terug te draaien overleeft niet elke herlaadbeurt
   resetBtn.addEventListener("click", () => {
-    if (confirm("Weet je zeker dat je alle budgetgegevens wilt wissen?")) {
-      resetToDefaults();
-      renderRows(); // full re-render
-      // Re-init chart not strictly needed if we just update data, but good for safety
-      initChart();
-      draw();
-      setActiveStep("income");
-    }
+    if (!confirm("Weet je zeker dat je alle budgetgegevens wilt wissen?")) return;
+    checkpoint("Alles gewist");
+    resetToDefaults();
+    renderHousehold();
+    renderIncomes();
+    renderRows(); // full re-render
+    renderPeriodControls();
+    // Re-init chart not strictly needed if we just update data, but good for safety
+    initChart();
+    draw();
+    setActiveStep("income");
   });
 }
 
 if (loadSampleBtn) {
   loadSampleBtn.addEventListener("click", () => {
-    rows = JSON.parse(JSON.stringify(SAMPLE_DATA.rows));
-    incomeInput.value = SAMPLE_DATA.income;
-    extraIncomeInput.value = SAMPLE_DATA.extraIncome;
+    checkpoint("Voorbeeld ingevuld");
+    rows = SAMPLE_DATA.rows.map(normalizeRow);
+    budgetMethod = "";
+    incomes = SAMPLE_DATA.incomes.map(normalizeIncome);
     currencySelect.value = SAMPLE_DATA.currency;
+    renderIncomes();
     renderRows();
     draw();
     setActiveStep("income");
@@ -576,35 +3726,49 @@ if (loadSampleBtn) {
 if (exportBtn) {
   exportBtn.addEventListener("click", () => {
     const cur = currencySelect.value;
-    const primaryIncome = Number(incomeInput.value || 0);
-    const extraIncome = Number(extraIncomeInput.value || 0);
-    const income = primaryIncome + extraIncome;
-    const header = ["Soort", "Categorie", "Bedrag (" + cur + ")", "Notitie"].map(sanitizeCsvField);
+    const income = totalIncome();
+    const header = ["Soort", "Categorie", "Bedrag (" + cur + ")", "Notitie", "Doel (" + cur + ")", "Frequentie", "Maand", "Persoon", "Betaald door"].map(sanitizeCsvField);
     const lines = [header.join(",")];
+    incomes.forEach(item => {
+      lines.push([
+        sanitizeCsvField(CSV_INCOME_KIND),
+        sanitizeCsvField(item.name),
+        sanitizeCsvField(item.amount),
+        sanitizeCsvField(item.notes),
+        sanitizeCsvField(""),
+        sanitizeCsvField(ROW_FREQUENCIES[rowFrequency(item)].label),
+        sanitizeCsvField(item.dueMonth || ""),
+        sanitizeCsvField(memberName(item.owner)),
+        sanitizeCsvField("")
+      ].join(","));
+    });
     rows.forEach(r => {
       lines.push([
-        sanitizeCsvField(r.kind === "fixed" ? "Vaste last" : "Variabele uitgave"),
+        sanitizeCsvField(CSV_KIND_LABELS[r.kind]),
         sanitizeCsvField(r.category),
         sanitizeCsvField(r.amount),
-        sanitizeCsvField(r.notes)
+        sanitizeCsvField(r.notes),
+        sanitizeCsvField(r.target),
+        sanitizeCsvField(ROW_FREQUENCIES[rowFrequency(r)].label),
+        sanitizeCsvField(r.dueMonth || ""),
+        sanitizeCsvField(memberName(r.owner)),
+        sanitizeCsvField(isMember(r.owner) ? "" : memberName(r.paidBy))
       ].join(","));
     });
     lines.push("");
-    lines.push([sanitizeCsvField("Netto maandinkomen"), sanitizeCsvField(primaryIncome)].join(","));
-    lines.push([sanitizeCsvField("Overige inkomsten"), sanitizeCsvField(extraIncome)].join(","));
-    lines.push([sanitizeCsvField("Totaal inkomen"), sanitizeCsvField(income)].join(","));
-    lines.push([sanitizeCsvField("Totale uitgaven"), sanitizeCsvField(totalExpenses())].join(","));
+    incomes.filter(item => monthlyAmount(item) > 0).forEach(item => {
+      lines.push([sanitizeCsvField(`Inkomen per maand: ${item.name || "Naamloos inkomen"}`), sanitizeCsvField(monthlyAmount(item))].join(","));
+    });
+    lines.push([sanitizeCsvField("Totaal inkomen per maand"), sanitizeCsvField(income)].join(","));
+    lines.push([sanitizeCsvField("Totale uitgaven per maand"), sanitizeCsvField(totalExpenses())].join(","));
     lines.push([sanitizeCsvField("Resterend"), sanitizeCsvField(income - totalExpenses())].join(","));
+    if (householdActive()) {
+      householdSplit().transfers.forEach(transfer => {
+        lines.push([sanitizeCsvField(`Overboeking: ${describeTransfer(transfer)}`), sanitizeCsvField(transfer.amount)].join(","));
+      });
+    }
 
-    const blob = new Blob([lines.join("\n")], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "nlrekentools-maandbudget.csv";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    downloadFile("nlrekentools-maandbudget.csv", lines.join("\n"), "text/csv");
   });
 }
 
@@ -612,18 +3776,131 @@ if (printBtn) {
   printBtn.addEventListener("click", () => window.print());
 }
 
-incomeInput.addEventListener("input", (e) => {
-  if (e.target.value < 0) e.target.value = 0;
-  draw();
+document.querySelectorAll(".budget-modal").forEach(modal => {
+  modal.addEventListener("keydown", handleModalKeydown);
+  modal.querySelectorAll("[data-close-modal]").forEach(button => {
+    button.addEventListener("click", closeModal);
+  });
 });
 
-extraIncomeInput.addEventListener("input", (e) => {
-  if (e.target.value < 0) e.target.value = 0;
-  draw();
+if (importCsvBtn && importCsvFileInput) {
+  importCsvBtn.addEventListener("click", () => importCsvFileInput.click());
+  importCsvFileInput.addEventListener("change", () => {
+    const [file] = importCsvFileInput.files;
+    if (file) startCsvImport(file);
+    importCsvFileInput.value = "";
+  });
+}
+
+importMapSelects.forEach(select => {
+  select.addEventListener("change", () => {
+    importState.mapping[select.dataset.importField] = Number(select.value);
+    renderImportPreview();
+  });
+});
+
+if (importHasHeaderInput) {
+  importHasHeaderInput.addEventListener("change", () => {
+    renderImportMapping();
+    renderImportPreview();
+  });
+}
+
+if (importConfirmBtn) importConfirmBtn.addEventListener("click", applyCsvImport);
+
+if (importBankBtn && importBankFileInput) {
+  importBankBtn.addEventListener("click", () => importBankFileInput.click());
+  importBankFileInput.addEventListener("change", () => {
+    const [file] = importBankFileInput.files;
+    if (file) startBankImport(file);
+    importBankFileInput.value = "";
+  });
+}
+
+if (bankMonthSelect) bankMonthSelect.addEventListener("change", renderBankGroups);
+if (bankConfirmBtn) bankConfirmBtn.addEventListener("click", applyBankImport);
+
+if (editRulesBtn) {
+  editRulesBtn.addEventListener("click", () => {
+    renderRulesEditor();
+    openModal(rulesModal);
+  });
+}
+
+if (chooseMethodBtn) {
+  chooseMethodBtn.addEventListener("click", () => {
+    renderMethodOptions();
+    methodKeepRowsInput.checked = false;
+    openModal(methodModal);
+  });
+}
+
+if (methodConfirmBtn) methodConfirmBtn.addEventListener("click", applyBudgetMethod);
+
+// Zonder rekenmodule blijft de knop verborgen
+if (openSalaryBtn && netSalary) {
+  openSalaryBtn.hidden = false;
+  openSalaryBtn.addEventListener("click", openSalaryModal);
+  salaryYearSelect.addEventListener("change", () => loadSalaryYear(Number(salaryYearSelect.value)));
+  [salaryGrossInput, salaryPensionInput].forEach(input => input.addEventListener("input", updateSalaryResult));
+  [salaryHolidayPayInput, salaryThirteenthInput].forEach(input => input.addEventListener("change", updateSalaryResult));
+  salaryApplyBtn.addEventListener("click", applySalary);
+}
+
+if (openAllowancesBtn && toeslagen) {
+  openAllowancesBtn.hidden = false;
+  openAllowancesBtn.addEventListener("click", openAllowanceModal);
+  allowanceYearSelect.addEventListener("change", () => loadAllowanceYear(Number(allowanceYearSelect.value)));
+  Object.values(allowanceInputs).forEach(input => input.addEventListener("input", updateAllowanceResult));
+  allowancePartnerInput.addEventListener("change", updateAllowanceResult);
+  allowanceApplyBtn.addEventListener("click", applyAllowances);
+}
+
+if (addRuleBtn) addRuleBtn.addEventListener("click", addCategoryRule);
+if (resetRulesBtn) resetRulesBtn.addEventListener("click", resetCategoryRules);
+
+if (periodSelect) {
+  periodSelect.addEventListener("change", () => switchPeriod(periodSelect.value));
+}
+
+if (addPeriodBtn) addPeriodBtn.addEventListener("click", startNextPeriod);
+if (removePeriodBtn) removePeriodBtn.addEventListener("click", removeActivePeriod);
+
+if (syncToggleBtn) {
+  syncToggleBtn.addEventListener("click", () => {
+    if (syncState.enabled) disableSync();
+    else enableSync();
+  });
+}
+
+window.addEventListener("online", flushSync);
+window.addEventListener("offline", updateSyncControls);
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") pullSync();
+});
+
+if (addIncomeBtn) addIncomeBtn.addEventListener("click", addIncome);
+if (undoBtn) undoBtn.addEventListener("click", undo);
+if (redoBtn) redoBtn.addEventListener("click", redo);
+document.addEventListener("keydown", handleHistoryKeydown);
+// Niet-bewaarde wijzigingen alsnog opslaan als de pagina verdwijnt
+window.addEventListener("pagehide", flushPendingSave);
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushPendingSave();
+});
+if (addMemberBtn) addMemberBtn.addEventListener("click", () => addMember());
+
+document.querySelectorAll('input[name="splitMode"]').forEach(input => {
+  input.addEventListener("change", () => {
+    if (!input.checked) return;
+    splitMode = input.value;
+    draw();
+  });
 });
 
 currencySelect.addEventListener("change", () => {
   updateCurrencySymbols();
+  renderIncomes();
   renderRows();
   draw();
 });
@@ -649,9 +3926,16 @@ function initChart() {
     data: {
       labels: [],
       datasets: [{
+        label: 'Werkelijk',
         data: [],
         backgroundColor: [],
         borderWidth: 0
+      }, {
+        label: 'Doel',
+        data: [],
+        backgroundColor: [],
+        borderWidth: 0,
+        hidden: true
       }]
     },
     options: {
@@ -663,7 +3947,7 @@ function initChart() {
           callbacks: {
             label: function (context) {
               let label = context.label || '';
-              if (label) label += ': ';
+              if (label) label = `${context.dataset.label} ${label}: `;
               if (context.parsed !== null) label += fmt(context.parsed);
               return label;
             }
@@ -673,13 +3957,54 @@ function initChart() {
       cutout: '65%' // Thinner doughnut
     }
   });
+  initTrendChart();
+}
+
+function initTrendChart() {
+  if (trendChart) trendChart.destroy();
+  if (!trendCanvas) return;
+  trendChart = new Chart(trendCanvas.getContext("2d"), {
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: [{
+        label: 'Resterend',
+        data: [],
+        borderColor: "#1c5978",
+        backgroundColor: "rgba(28, 89, 120, 0.12)",
+        fill: true,
+        tension: 0.25
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: context => `Resterend: ${fmt(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        y: { ticks: { callback: value => fmt(value) } }
+      }
+    }
+  });
 }
 
 // Start
+updateSyncControls();
 loadState();
+renderHousehold();
+renderIncomes();
 renderRows();
+renderPeriodControls();
 setActiveStep("income", { moveFocus: false });
 initChart();
 drawSummary();
-drawChart();
-saveState({ announce: false });
+drawViews();
+// Niet synchroniseren: de pull van loadState() zou dit anders als lokale wijziging zien
+saveState({ announce: false, sync: false });
+updateHistoryControls();
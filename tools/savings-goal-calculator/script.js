@@ -3,8 +3,11 @@
  * All calculations happen on the client.
  */
 const STORAGE_KEY = 'bt-savings-calculator';
+const STATE_SCHEMA_VERSION = 1;
 const MAX_MONTHS = 600; // 50 years
 const PREVIEW_ROW_COUNT = 6;
+const INVESTMENT_SIMULATIONS = 1000;
+const INVESTMENT_SEED = 2024;
 const DEFAULT_STATE = {
     mode: 'time',
     goalAmount: null,
@@ -17,7 +20,77 @@ const DEFAULT_STATE = {
     currency: 'EUR',
     locale: 'nl-NL',
     rememberInputs: false,
+    goals: [
+        { id: 'goal-1', name: 'Noodbuffer', targetAmount: null, currentSavings: 0 },
+        { id: 'goal-2', name: 'Vakantie', targetAmount: null, currentSavings: 0 },
+        { id: 'goal-3', name: 'Auto', targetAmount: null, currentSavings: 0 },
+    ],
+    allocation: 'sequential',
+    schedule: { steps: [], indexation: 0, skipMonths: [], oneOffs: [] },
+    rates: { changes: [], tiers: [] },
+    box3: false,
+    fiscalPartner: false,
+    expectedReturn: 6,
+    volatility: 15,
+    fundCosts: 0.2,
 };
+const ALLOCATION_STRATEGIES = ['sequential', 'proportional'];
+// Form fields that only apply to some modes.
+const FIELD_MODES = {
+    goalAmount: ['time', 'monthly', 'invest'],
+    currentSavings: ['time', 'monthly', 'invest'],
+    monthlyContribution: ['time', 'goals', 'invest'],
+    targetDate: ['monthly', 'invest'],
+    apr: ['time', 'monthly', 'goals'],
+    compounding: ['time', 'monthly', 'goals'],
+    investment: ['invest'],
+    goals: ['goals'],
+    allocation: ['goals'],
+    schedule: ['time', 'monthly'],
+    rates: ['time', 'monthly'],
+    box3: ['time', 'monthly'],
+};
+// Box 3 parameters by tax year. Later years reuse the most recent entry; the 2025 and 2026 deemed returns
+// are the provisional figures published before the year started.
+const BOX3_PARAMETERS = {
+    2023: { exemption: 57000, deemedReturn: 0.92, rate: 32 },
+    2024: { exemption: 57000, deemedReturn: 1.44, rate: 36 },
+    2025: { exemption: 57684, deemedReturn: 1.44, rate: 36 },
+    2026: { exemption: 59357, deemedReturn: 1.28, rate: 36 },
+};
+// Editable lists of dated or tiered amounts in the contribution schedule and the rate plan.
+const ENTRY_LISTS = {
+    steps: {
+        idPrefix: 'step',
+        blank: { month: '', amount: 0 },
+        fields: [['month', 'Vanaf', 'month'], ['amount', 'Wijziging per maand', 'number']],
+        removeLabel: 'Deze wijziging verwijderen',
+    },
+    oneOffs: {
+        idPrefix: 'oneoff',
+        blank: { month: '', amount: 0 },
+        fields: [['month', 'Maand', 'month'], ['amount', 'Bedrag', 'number']],
+        removeLabel: 'Deze storting of opname verwijderen',
+    },
+    changes: {
+        idPrefix: 'rate',
+        blank: { month: '', apr: 0 },
+        fields: [['month', 'Vanaf', 'month'], ['apr', 'Rente per jaar (%)', 'number']],
+        removeLabel: 'Deze rentewijziging verwijderen',
+    },
+    tiers: {
+        idPrefix: 'tier',
+        blank: { threshold: 0, apr: 0 },
+        fields: [['threshold', 'Boven een saldo van', 'number'], ['apr', 'Rente per jaar (%)', 'number']],
+        removeLabel: 'Deze staffel verwijderen',
+    },
+};
+const isEntryList = (value) => typeof value === 'string' && value in ENTRY_LISTS;
+let idCounter = 0;
+function createId(prefix) {
+    idCounter += 1;
+    return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+}
 const LOCALES = [
     'nl-NL',
     'en-US',
@@ -30,6 +103,122 @@ const CURRENCIES = ['EUR', 'USD', 'GBP'];
 function clampNumber(value, min, max) {
     return Math.min(Math.max(value, min), max);
 }
+// migrations[i] upgrades stored state from schema i to i + 1.
+const STATE_MIGRATIONS = [
+    // 0 -> 1: same shape, version 1 only introduced the schema envelope
+    (stored) => stored,
+];
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isOptionalNumber = (value) => value === null || isFiniteNumber(value);
+/**
+ * Keeps only the stored fields that still have a valid type, so an outdated or hand-edited value falls back
+ * to its default instead of breaking the form. Throws when the stored value is not a state object at all.
+ */
+export function sanitiseStoredState(stored) {
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+        throw new Error('Stored calculator state is not an object');
+    }
+    const source = stored;
+    const clean = {};
+    if (source.mode === 'time' || source.mode === 'monthly' || source.mode === 'goals' || source.mode === 'invest') {
+        clean.mode = source.mode;
+    }
+    if (isOptionalNumber(source.goalAmount))
+        clean.goalAmount = source.goalAmount;
+    if (isFiniteNumber(source.currentSavings))
+        clean.currentSavings = source.currentSavings;
+    if (isOptionalNumber(source.monthlyContribution))
+        clean.monthlyContribution = source.monthlyContribution;
+    if (typeof source.targetDate === 'string')
+        clean.targetDate = source.targetDate;
+    if (isFiniteNumber(source.apr))
+        clean.apr = source.apr;
+    if (source.compounding === 'monthly' || source.compounding === 'quarterly' || source.compounding === 'yearly') {
+        clean.compounding = source.compounding;
+    }
+    if (isOptionalNumber(source.inflationRate))
+        clean.inflationRate = source.inflationRate;
+    if (CURRENCIES.includes(source.currency))
+        clean.currency = source.currency;
+    if (typeof source.locale === 'string' && LOCALES.includes(source.locale))
+        clean.locale = source.locale;
+    if (typeof source.rememberInputs === 'boolean')
+        clean.rememberInputs = source.rememberInputs;
+    if (typeof source.box3 === 'boolean')
+        clean.box3 = source.box3;
+    if (typeof source.fiscalPartner === 'boolean')
+        clean.fiscalPartner = source.fiscalPartner;
+    if (isFiniteNumber(source.expectedReturn))
+        clean.expectedReturn = source.expectedReturn;
+    if (isFiniteNumber(source.volatility))
+        clean.volatility = source.volatility;
+    if (isFiniteNumber(source.fundCosts))
+        clean.fundCosts = source.fundCosts;
+    if (Array.isArray(source.goals)) {
+        clean.goals = records(source.goals)
+            .map((goal) => ({
+            id: storedId(goal, 'goal'),
+            name: typeof goal.name === 'string' ? goal.name : '',
+            targetAmount: isFiniteNumber(goal.targetAmount) ? goal.targetAmount : null,
+            currentSavings: isFiniteNumber(goal.currentSavings) ? goal.currentSavings : 0,
+        }));
+    }
+    if (ALLOCATION_STRATEGIES.includes(source.allocation)) {
+        clean.allocation = source.allocation;
+    }
+    if (isRecord(source.schedule)) {
+        clean.schedule = sanitiseSchedule(source.schedule);
+    }
+    if (isRecord(source.rates)) {
+        clean.rates = sanitiseRates(source.rates);
+    }
+    return clean;
+}
+const isRecord = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const records = (value) => (Array.isArray(value) ? value.filter(isRecord) : []);
+const storedId = (entry, prefix) => (typeof entry.id === 'string' && entry.id ? entry.id : createId(prefix));
+function sanitiseSchedule(source) {
+    const entries = (value, prefix) => records(value)
+        .map((entry) => ({
+        id: storedId(entry, prefix),
+        month: typeof entry.month === 'string' ? entry.month : '',
+        amount: isFiniteNumber(entry.amount) ? entry.amount : 0,
+    }));
+    const skipMonths = Array.isArray(source.skipMonths) ? source.skipMonths : [];
+    return {
+        steps: entries(source.steps, 'step'),
+        indexation: isFiniteNumber(source.indexation) ? source.indexation : 0,
+        skipMonths: skipMonths.filter((month) => Number.isInteger(month) && month >= 1 && month <= 12),
+        oneOffs: entries(source.oneOffs, 'oneoff'),
+    };
+}
+function sanitiseRates(source) {
+    const apr = (entry) => (isFiniteNumber(entry.apr) ? entry.apr : 0);
+    return {
+        changes: records(source.changes).map((entry) => ({
+            id: storedId(entry, 'rate'),
+            month: typeof entry.month === 'string' ? entry.month : '',
+            apr: apr(entry),
+        })),
+        tiers: records(source.tiers).map((entry) => ({
+            id: storedId(entry, 'tier'),
+            threshold: isFiniteNumber(entry.threshold) ? entry.threshold : 0,
+            apr: apr(entry),
+        })),
+    };
+}
+// Persistence goes through the shared /assets/js/storage.js module; without it inputs are simply not remembered.
+function createStateStore() {
+    const storage = typeof window !== 'undefined' ? window.NLrekentools?.storage : undefined;
+    if (!storage)
+        return null;
+    return storage.createStore({
+        key: STORAGE_KEY,
+        version: STATE_SCHEMA_VERSION,
+        migrations: STATE_MIGRATIONS,
+        validate: sanitiseStoredState,
+    });
+}
 function safeParseNumber(value) {
     if (value === '') {
         return null;
@@ -50,6 +239,9 @@ function addMonths(date, count) {
     copy.setDate(Math.min(day, lastDay));
     return copy;
 }
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
 function monthsBetween(start, end) {
     const startMonth = new Date(start.getFullYear(), start.getMonth(), 1);
     const endMonth = new Date(end.getFullYear(), end.getMonth(), 1);
@@ -74,6 +266,50 @@ export function computeMonthlyInflation(ratePercent) {
     }
     return Math.pow(1 + decimal, 1 / 12) - 1;
 }
+/**
+ * Interest for one month from the base rate in effect on `date` and the balance tiers. Every part of the
+ * balance earns the rate of its own tier, like a marginal tax bracket.
+ */
+export function createInterestModel(apr, compounding, plan) {
+    const changes = (plan?.changes ?? [])
+        .filter((change) => change.month)
+        .sort((a, b) => a.month.localeCompare(b.month));
+    const tiers = (plan?.tiers ?? [])
+        .filter((tier) => tier.threshold > 0)
+        .sort((a, b) => a.threshold - b.threshold);
+    const isFlat = changes.length === 0 && tiers.length === 0;
+    return {
+        flatMonthlyRate: isFlat ? computeMonthlyRate(apr, compounding) : null,
+        forMonth(balance, date) {
+            const key = monthKey(date);
+            const baseApr = changes.filter((change) => change.month <= key).reduce((_, change) => change.apr, apr);
+            const bands = [{ from: 0, apr: baseApr }, ...tiers.map((tier) => ({ from: tier.threshold, apr: tier.apr }))];
+            let interest = 0;
+            let weightedApr = 0;
+            bands.forEach((band, index) => {
+                const upTo = index + 1 < bands.length ? bands[index + 1].from : Infinity;
+                const portion = Math.max(0, Math.min(balance, upTo) - band.from);
+                interest += portion * computeMonthlyRate(band.apr, compounding);
+                weightedApr += portion * band.apr;
+            });
+            return { interest, rate: balance > 0 ? weightedApr / balance : baseApr };
+        },
+    };
+}
+function box3ParametersFor(year) {
+    const years = Object.keys(BOX3_PARAMETERS).map(Number).sort((a, b) => a - b);
+    const known = years.filter((entry) => entry <= year);
+    return BOX3_PARAMETERS[known.length ? known[known.length - 1] : years[0]];
+}
+/**
+ * Box 3 tax for one year on savings only: the deemed return on everything above the tax-free allowance,
+ * taxed at that year's rate. `balance` is the balance on 1 January of `year`.
+ */
+export function estimateBox3Tax(balance, year, options) {
+    const { exemption, deemedReturn, rate } = box3ParametersFor(year);
+    const allowance = exemption * (options.fiscalPartner ? 2 : 1);
+    return Math.max(0, balance - allowance) * (deemedReturn / 100) * (rate / 100);
+}
 function escapePdfText(value) {
     return value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
 }
@@ -115,22 +351,38 @@ function buildPdf(summaryLines) {
     body += `${xrefOffset}\n%%EOF`;
     return new Blob([body], { type: 'application/pdf' });
 }
-function buildCsv(summaryLines, projection, locale) {
+function buildCsv(summaryLines, projection, locale, includeTax = false) {
     const dateFormatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short' });
     const rows = [];
     summaryLines.forEach((line) => {
         rows.push([line]);
     });
     rows.push([]);
-    rows.push(['Maand', 'Datum', 'Beginsaldo', 'Inleg', 'Rente', 'Eindsaldo']);
+    const includeBands = projection.some((row) => row.p10 !== undefined);
+    rows.push([
+        'Maand',
+        'Datum',
+        'Beginsaldo',
+        'Inleg',
+        'Rentepercentage',
+        'Rente',
+        ...(includeTax ? ['Box 3-belasting'] : []),
+        ...(includeBands ? ['10e percentiel'] : []),
+        'Eindsaldo',
+        ...(includeBands ? ['90e percentiel'] : []),
+    ]);
     projection.forEach((row) => {
         rows.push([
             (row.monthIndex + 1).toString(),
             dateFormatter.format(row.date),
             row.startingBalance.toFixed(2),
             row.contribution.toFixed(2),
+            row.rate.toFixed(2),
             row.interestEarned.toFixed(2),
+            ...(includeTax ? [row.tax.toFixed(2)] : []),
+            ...(includeBands ? [(row.p10 ?? row.endingBalance).toFixed(2)] : []),
             row.endingBalance.toFixed(2),
+            ...(includeBands ? [(row.p90 ?? row.endingBalance).toFixed(2)] : []),
         ]);
     });
     const csvContent = '\ufeff' + rows.map((cols) => cols.map((c) => `"${c.replace(/"/g, '""')}"`).join(',')).join('\n');
@@ -139,6 +391,9 @@ function buildCsv(summaryLines, projection, locale) {
 function formatCurrency(value, locale, currency) {
     return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
 }
+function formatPercent(share, locale) {
+    return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(share);
+}
 function describeDuration(months, locale) {
     const years = Math.floor(months / 12);
     const remainingMonths = months % 12;
@@ -154,18 +409,27 @@ function describeDuration(months, locale) {
     }
     return parts.join(' ');
 }
-function summariseProjection(projection, totalContributions, totalInterest, locale, currency, finishDate, requiredMonthlyContribution, mode = 'time', inflation) {
+function summariseProjection(projection, totalContributions, totalInterest, locale, currency, finishDate, requiredMonthlyContribution, mode = 'time', inflation, totalTax) {
     const summaryLines = [];
-    summaryLines.push(`Berekening: ${mode === 'time' ? 'Tijd tot spaardoel' : 'Benodigde maandelijkse inleg'}`);
+    const modeLabels = {
+        time: 'Tijd tot spaardoel',
+        monthly: 'Benodigde maandelijkse inleg',
+        goals: 'Meerdere spaardoelen',
+        invest: 'Beleggen (Monte Carlo-simulatie)',
+    };
+    summaryLines.push(`Berekening: ${modeLabels[mode]}`);
     if (finishDate) {
         const dateFormatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric' });
-        summaryLines.push(`Verwachte einddatum: ${dateFormatter.format(finishDate)}`);
+        summaryLines.push(`${mode === 'invest' ? 'Einddatum' : 'Verwachte einddatum'}: ${dateFormatter.format(finishDate)}`);
     }
     if (requiredMonthlyContribution !== undefined) {
         summaryLines.push(`Benodigde maandelijkse inleg: ${formatCurrency(requiredMonthlyContribution, locale, currency)}`);
     }
     summaryLines.push(`Totale inleg: ${formatCurrency(totalContributions, locale, currency)}`);
-    summaryLines.push(`Totale rente: ${formatCurrency(totalInterest, locale, currency)}`);
+    summaryLines.push(`${mode === 'invest' ? 'Mediaan rendement' : 'Totale rente'}: ${formatCurrency(totalInterest, locale, currency)}`);
+    if (totalTax !== undefined) {
+        summaryLines.push(`Geschatte box 3-belasting: ${formatCurrency(totalTax, locale, currency)}`);
+    }
     if (inflation) {
         summaryLines.push(`Eindbedrag in geld van nu: ${formatCurrency(inflation.realEndingBalance, locale, currency)}`);
         summaryLines.push(`Inleg in geld van nu: ${formatCurrency(inflation.realContributions, locale, currency)}`);
@@ -195,35 +459,67 @@ function resolveInflation(goalAmount, endingBalance, inflationMonthlyRate, month
 function accumulate(projection) {
     let totalContributions = 0;
     let totalInterest = 0;
+    let totalTax = 0;
     projection.forEach((row) => {
         totalContributions += row.contribution;
         totalInterest += row.interestEarned;
+        totalTax += row.tax;
     });
     return {
         totalContributions,
         totalInterest,
+        totalTax,
     };
 }
-function generateProjection(months, startingBalance, monthlyContribution, monthlyRate, goal, startDate, allowOverGoal = false) {
+function hasSchedule(schedule) {
+    return Boolean(schedule && (schedule.steps.length || schedule.indexation || schedule.skipMonths.length || schedule.oneOffs.length));
+}
+/**
+ * Contribution for one projection month: the monthly amount after steps, indexation and skipped months,
+ * plus any one-off deposits or withdrawals in that month. `date` is the date of the projection row.
+ */
+export function scheduledContribution(monthlyContribution, schedule, monthIndex, date) {
+    if (!schedule) {
+        return monthlyContribution;
+    }
+    const key = monthKey(date);
+    const stepped = schedule.steps
+        .filter((step) => step.month && step.month <= key)
+        .reduce((sum, step) => sum + step.amount, monthlyContribution);
+    const regular = schedule.skipMonths.includes(date.getMonth() + 1)
+        ? 0
+        : Math.max(0, stepped) * Math.pow(1 + schedule.indexation / 100, Math.floor(monthIndex / 12));
+    return schedule.oneOffs
+        .filter((entry) => entry.month === key)
+        .reduce((sum, entry) => sum + entry.amount, regular);
+}
+function generateProjection(months, startingBalance, monthlyContribution, plan, goal, startDate, allowOverGoal = false) {
     const rows = [];
     let balance = startingBalance;
     for (let month = 0; month < months; month++) {
         const date = addMonths(startDate, month + 1);
-        const interest = balance * monthlyRate;
-        let contribution = monthlyContribution;
+        const { interest, rate } = plan.interest.forMonth(balance, date);
+        // The balance going into the January row stands in for the 1 January balance.
+        const tax = plan.box3 && date.getMonth() === 0
+            ? Math.min(estimateBox3Tax(balance, date.getFullYear(), plan.box3), balance + interest)
+            : 0;
+        // A withdrawal can empty the balance but not take it below zero.
+        let contribution = Math.max(scheduledContribution(monthlyContribution, plan.schedule, month, date), tax - (balance + interest));
         if (!allowOverGoal && goal > 0) {
-            const projected = balance + interest + contribution;
+            const projected = balance + interest + contribution - tax;
             if (projected > goal) {
-                contribution = Math.max(0, goal - (balance + interest));
+                contribution = Math.max(0, goal - (balance + interest - tax));
             }
         }
-        const endingBalance = balance + interest + contribution;
+        const endingBalance = balance + interest + contribution - tax;
         rows.push({
             monthIndex: month,
             date,
             startingBalance: balance,
             contribution,
+            rate,
             interestEarned: interest,
+            tax,
             endingBalance,
         });
         balance = endingBalance;
@@ -233,10 +529,17 @@ function generateProjection(months, startingBalance, monthlyContribution, monthl
     }
     return rows;
 }
-function solveMonths(goal, current, monthlyContribution, monthlyRate) {
+function solveMonths(goal, current, monthlyContribution, plan, startDate = new Date()) {
     if (goal <= current) {
         return 0;
     }
+    // No closed form once contributions, rates or tax vary: run the projection until the goal is reached.
+    if (hasSchedule(plan.schedule) || plan.box3 || plan.interest.flatMonthlyRate === null) {
+        const rows = generateProjection(MAX_MONTHS, current, monthlyContribution, plan, goal, startDate);
+        const last = rows[rows.length - 1];
+        return last && last.endingBalance >= goal - 0.005 ? rows.length : null;
+    }
+    const monthlyRate = plan.interest.flatMonthlyRate;
     if (monthlyRate === 0) {
         if (monthlyContribution <= 0) {
             return null;
@@ -268,13 +571,17 @@ function solveMonths(goal, current, monthlyContribution, monthlyRate) {
     }
     return Math.ceil(months);
 }
-function solveContribution(goal, current, months, monthlyRate) {
+function solveContribution(goal, current, months, plan, startDate = new Date()) {
     if (months <= 0) {
         return null;
     }
     if (goal <= current) {
         return 0;
     }
+    if (hasSchedule(plan.schedule) || plan.box3 || plan.interest.flatMonthlyRate === null) {
+        return solveContributionNumerically(goal, current, months, plan, startDate);
+    }
+    const monthlyRate = plan.interest.flatMonthlyRate;
     if (monthlyRate === 0) {
         return Math.max(0, (goal - current) / months);
     }
@@ -290,6 +597,38 @@ function solveContribution(goal, current, months, monthlyRate) {
     }
     return result;
 }
+/**
+ * Bisection on the starting contribution. The final balance only grows with a higher contribution, so this
+ * finds the smallest amount (to within a tenth of a cent) that still reaches the goal.
+ */
+function solveContributionNumerically(goal, current, months, plan, startDate) {
+    const finalBalance = (contribution) => {
+        const rows = generateProjection(months, current, contribution, plan, goal, startDate, true);
+        return rows[rows.length - 1]?.endingBalance ?? current;
+    };
+    if (finalBalance(0) >= goal) {
+        return 0;
+    }
+    let low = 0;
+    let high = Math.max(1, (goal - current) / months);
+    while (finalBalance(high) < goal) {
+        high *= 2;
+        // No contribution is ever paid in, for example when every month is skipped.
+        if (high > Number.MAX_SAFE_INTEGER) {
+            return null;
+        }
+    }
+    while (high - low > 0.001) {
+        const middle = (low + high) / 2;
+        if (finalBalance(middle) >= goal) {
+            high = middle;
+        }
+        else {
+            low = middle;
+        }
+    }
+    return high;
+}
 function parseTargetDate(value) {
     if (!value)
         return null;
@@ -306,7 +645,11 @@ export function calculateSavingsScenario(input) {
     const today = (_a = input.startDate) !== null && _a !== void 0 ? _a : new Date();
     const goal = input.goalAmount;
     const current = input.currentSavings;
-    const monthlyRate = computeMonthlyRate(input.apr, input.compounding);
+    const plan = {
+        interest: createInterestModel(input.apr, input.compounding, input.rates),
+        schedule: input.schedule,
+        box3: input.box3,
+    };
     const inflationMonthlyRate = computeMonthlyInflation((_b = input.inflationRate) !== null && _b !== void 0 ? _b : null);
     if (goal <= current) {
         const inflation = resolveInflation(goal, current, inflationMonthlyRate, 0, 0, 0);
@@ -333,14 +676,14 @@ export function calculateSavingsScenario(input) {
     }
     if (input.mode === 'time') {
         const monthlyContribution = (_c = input.monthlyContribution) !== null && _c !== void 0 ? _c : 0;
-        if (monthlyRate === 0 && monthlyContribution <= 0) {
+        if (plan.interest.flatMonthlyRate === 0 && monthlyContribution <= 0 && !hasSchedule(input.schedule)) {
             return null;
         }
-        const monthsNeeded = solveMonths(goal, current, monthlyContribution, monthlyRate);
+        const monthsNeeded = solveMonths(goal, current, monthlyContribution, plan, today);
         if (monthsNeeded === null || monthsNeeded > MAX_MONTHS) {
             return null;
         }
-        const projection = generateProjection(monthsNeeded, current, monthlyContribution, monthlyRate, goal, today);
+        const projection = generateProjection(monthsNeeded, current, monthlyContribution, plan, goal, today);
         const finishDate = addMonths(today, monthsNeeded);
         const totals = accumulate(projection);
         const inflation = resolveInflation(goal, (_e = (_d = projection[projection.length - 1]) === null || _d === void 0 ? void 0 : _d.endingBalance) !== null && _e !== void 0 ? _e : current, inflationMonthlyRate, monthsNeeded, totals.totalContributions, totals.totalInterest);
@@ -350,6 +693,7 @@ export function calculateSavingsScenario(input) {
             finishDate,
             totalContributions: totals.totalContributions,
             totalInterest: totals.totalInterest,
+            totalTax: input.box3 ? totals.totalTax : undefined,
             projection,
             inflation,
         };
@@ -362,11 +706,11 @@ export function calculateSavingsScenario(input) {
     if (monthsUntilTarget <= 0 || monthsUntilTarget > MAX_MONTHS) {
         return null;
     }
-    const monthlyContribution = solveContribution(goal, current, monthsUntilTarget, monthlyRate);
+    const monthlyContribution = solveContribution(goal, current, monthsUntilTarget, plan, today);
     if (monthlyContribution === null) {
         return null;
     }
-    const projection = generateProjection(monthsUntilTarget, current, monthlyContribution, monthlyRate, goal, today, true);
+    const projection = generateProjection(monthsUntilTarget, current, monthlyContribution, plan, goal, today, true);
     const totals = accumulate(projection);
     const inflation = resolveInflation(goal, (_g = (_f = projection[projection.length - 1]) === null || _f === void 0 ? void 0 : _f.endingBalance) !== null && _g !== void 0 ? _g : current, inflationMonthlyRate, monthsUntilTarget, totals.totalContributions, totals.totalInterest);
     return {
@@ -375,21 +719,235 @@ export function calculateSavingsScenario(input) {
         requiredMonthlyContribution: monthlyContribution,
         totalContributions: totals.totalContributions,
         totalInterest: totals.totalInterest,
+        totalTax: input.box3 ? totals.totalTax : undefined,
         projection,
         finishDate: targetDate,
         inflation,
     };
 }
+/**
+ * Splits one month's budget over what each goal still needs. 'sequential' fills the goals in priority order;
+ * 'proportional' gives every goal a share in proportion to what it still needs, so they finish close together.
+ */
+function splitBudget(budget, needs, strategy) {
+    if (strategy === 'sequential') {
+        let remaining = budget;
+        return needs.map((need) => {
+            const share = Math.min(need, remaining);
+            remaining -= share;
+            return share;
+        });
+    }
+    const totalNeed = needs.reduce((sum, need) => sum + need, 0);
+    if (totalNeed <= budget) {
+        return needs.slice();
+    }
+    return needs.map((need) => (budget * need) / totalNeed);
+}
+/**
+ * Projects several goals that share one monthly budget. Every goal keeps its own balance and earns interest
+ * until it is reached; a reached goal is set aside and its share of the budget moves on to the open goals.
+ * The combined projection sums all goals per month.
+ */
+export function allocateSavingsGoals(input) {
+    const today = input.startDate ?? new Date();
+    const monthlyRate = computeMonthlyRate(input.apr, input.compounding);
+    const inflationMonthlyRate = computeMonthlyInflation(input.inflationRate ?? null);
+    const goals = input.goals.filter((goal) => (goal.targetAmount ?? 0) > 0);
+    if (goals.length === 0) {
+        return null;
+    }
+    const targets = goals.map((goal) => goal.targetAmount);
+    const balances = goals.map((goal) => Math.max(0, goal.currentSavings));
+    const outcomes = goals.map((goal, index) => {
+        const reached = balances[index] >= targets[index];
+        return {
+            id: goal.id,
+            name: goal.name,
+            targetAmount: targets[index],
+            months: reached ? 0 : null,
+            finishDate: reached ? today : null,
+            totalContributions: 0,
+            totalInterest: 0,
+        };
+    });
+    const isOpen = (index) => outcomes[index].months === null;
+    const projection = [];
+    const milestones = [];
+    let previousShares = goals.map(() => 0);
+    for (let month = 0; month < MAX_MONTHS && outcomes.some((_, index) => isOpen(index)); month++) {
+        const startingBalance = balances.reduce((sum, balance) => sum + balance, 0);
+        const interest = balances.map((balance, index) => (isOpen(index) ? balance * monthlyRate : 0));
+        const needs = balances.map((balance, index) => (isOpen(index) ? Math.max(0, targets[index] - balance - interest[index]) : 0));
+        const shares = splitBudget(Math.max(0, input.monthlyBudget), needs, input.strategy);
+        let contribution = 0;
+        let interestEarned = 0;
+        goals.forEach((_, index) => {
+            if (!isOpen(index))
+                return;
+            balances[index] += interest[index] + shares[index];
+            outcomes[index].totalInterest += interest[index];
+            outcomes[index].totalContributions += shares[index];
+            contribution += shares[index];
+            interestEarned += interest[index];
+        });
+        projection.push({
+            monthIndex: month,
+            date: addMonths(today, month + 1),
+            startingBalance,
+            contribution,
+            rate: input.apr,
+            interestEarned,
+            tax: 0,
+            endingBalance: startingBalance + contribution + interestEarned,
+        });
+        const finished = goals
+            .map((_, index) => index)
+            .filter((index) => isOpen(index) && balances[index] >= targets[index] - 0.005);
+        finished.forEach((index) => {
+            outcomes[index].months = month + 1;
+            outcomes[index].finishDate = addMonths(today, month + 1);
+        });
+        const open = goals.map((_, index) => index).filter(isOpen);
+        finished.forEach((index) => {
+            milestones.push({
+                monthIndex: month,
+                goalId: goals[index].id,
+                // The final month is usually a top-up, so report the regular share from the month before.
+                releasedMonthly: Math.max(previousShares[index], shares[index]),
+                nextGoalIds: (input.strategy === 'sequential' ? open.slice(0, 1) : open).map((openIndex) => goals[openIndex].id),
+            });
+        });
+        previousShares = shares;
+        if (contribution === 0 && interestEarned === 0) {
+            break;
+        }
+    }
+    const allReached = outcomes.every((outcome) => outcome.months !== null);
+    const months = allReached ? Math.max(...outcomes.map((outcome) => outcome.months)) : projection.length;
+    const totals = accumulate(projection);
+    const endingBalance = projection[projection.length - 1]?.endingBalance ?? balances.reduce((sum, balance) => sum + balance, 0);
+    const totalTarget = targets.reduce((sum, target) => sum + target, 0);
+    return {
+        mode: 'goals',
+        months,
+        finishDate: allReached ? addMonths(today, months) : undefined,
+        totalContributions: totals.totalContributions,
+        totalInterest: totals.totalInterest,
+        projection,
+        inflation: resolveInflation(totalTarget, endingBalance, inflationMonthlyRate, months, totals.totalContributions, totals.totalInterest),
+        goals: outcomes,
+        milestones,
+    };
+}
+/**
+ * Mulberry32: a small seeded generator of numbers in [0, 1). The same seed always gives the same sequence,
+ * which keeps simulations reproducible.
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+// Standard normal draw (Box-Muller); 1 - random() keeps the logarithm away from zero.
+function normalDraw(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+function percentile(sorted, share) {
+    return sorted[Math.round(share * (sorted.length - 1))];
+}
+/**
+ * Monte Carlo projection for invested savings up to the target date. Each month draws a lognormal return whose
+ * average matches the expected return after fund costs, with the yearly volatility spread over twelve months.
+ * The projection follows the median per month, with the 10th and 90th percentiles alongside.
+ */
+export function simulateInvestment(input) {
+    const today = input.startDate ?? new Date();
+    if (!input.targetDate) {
+        return null;
+    }
+    const months = monthsBetween(today, input.targetDate);
+    if (months <= 0 || months > MAX_MONTHS) {
+        return null;
+    }
+    const simulations = Math.max(1, Math.round(input.simulations ?? INVESTMENT_SIMULATIONS));
+    const seed = input.seed ?? INVESTMENT_SEED;
+    const random = createSeededRandom(seed);
+    const netReturn = Math.max(-0.99, (input.expectedReturn - input.fundCosts) / 100);
+    const sigma = Math.max(0, input.volatility) / 100 / Math.sqrt(12);
+    const drift = Math.log(1 + netReturn) / 12 - (sigma * sigma) / 2;
+    const current = Math.max(0, input.currentSavings);
+    const contribution = Math.max(0, input.monthlyContribution);
+    // balances[month][run]; runs are drawn one after the other so the seed fixes every path.
+    const balances = Array.from({ length: months }, () => new Float64Array(simulations));
+    for (let run = 0; run < simulations; run++) {
+        let balance = current;
+        for (let month = 0; month < months; month++) {
+            balance = balance * Math.exp(drift + sigma * normalDraw(random)) + contribution;
+            balances[month][run] = balance;
+        }
+    }
+    const projection = [];
+    let startingBalance = current;
+    balances.forEach((runs, month) => {
+        const sorted = runs.slice().sort();
+        const median = percentile(sorted, 0.5);
+        projection.push({
+            monthIndex: month,
+            date: addMonths(today, month + 1),
+            startingBalance,
+            contribution,
+            rate: netReturn * 100,
+            interestEarned: median - startingBalance - contribution,
+            tax: 0,
+            endingBalance: median,
+            p10: percentile(sorted, 0.1),
+            p90: percentile(sorted, 0.9),
+        });
+        startingBalance = median;
+    });
+    const reached = balances[months - 1].filter((balance) => balance >= input.goalAmount).length;
+    const totals = accumulate(projection);
+    const inflationMonthlyRate = computeMonthlyInflation(input.inflationRate ?? null);
+    return {
+        mode: 'invest',
+        months,
+        finishDate: input.targetDate,
+        totalContributions: totals.totalContributions,
+        totalInterest: totals.totalInterest,
+        projection,
+        inflation: resolveInflation(input.goalAmount, startingBalance, inflationMonthlyRate, months, totals.totalContributions, totals.totalInterest),
+        probability: reached / simulations,
+        simulations,
+        seed,
+    };
+}
+function isGoalsResult(summary) {
+    return summary?.mode === 'goals';
+}
+function isInvestmentResult(summary) {
+    return summary?.mode === 'invest';
+}
 class SavingsCalculatorUI {
     constructor(container, props) {
         this.resultSummary = null;
         this.showAllRows = false;
+        this.store = createStateStore();
+        this.storedStatus = 'empty';
         this.container = container;
         this.props = props;
         this.state = this.loadState(props);
         this.buildUI();
         this.populateFields();
         this.calculate();
+        if (this.storedStatus === 'quarantined') {
+            this.showMessage('Je opgeslagen invoer kon niet worden gelezen en is apart gezet. De calculator begint met standaardwaarden.');
+        }
     }
     loadState(props) {
         const base = { ...DEFAULT_STATE };
@@ -402,34 +960,19 @@ class SavingsCalculatorUI {
         if (props.defaultLocale) {
             base.locale = props.defaultLocale;
         }
-        try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored) {
-                const parsed = JSON.parse(stored);
-                Object.assign(base, parsed);
-            }
-        }
-        catch (error) {
-            // Ignore storage errors
+        const stored = this.store?.load();
+        this.storedStatus = stored?.status ?? 'empty';
+        if (stored?.data) {
+            Object.assign(base, stored.data);
         }
         return base;
     }
     persistState() {
         if (!this.state.rememberInputs) {
-            try {
-                localStorage.removeItem(STORAGE_KEY);
-            }
-            catch (error) {
-                // ignore
-            }
+            this.store?.remove();
             return;
         }
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
-        }
-        catch (error) {
-            // ignore persistence errors
-        }
+        this.store?.save(this.state);
     }
     buildUI() {
         this.root = document.createElement('section');
@@ -439,11 +982,13 @@ class SavingsCalculatorUI {
         <div class="bt-savings-header__intro">
           <div>
             <h2>Spaardoel berekenen</h2>
-            <p class="bt-demo__lede">Kies of je wilt weten wanneer je jouw doel bereikt of hoeveel je maandelijks moet sparen voor een einddatum.</p>
+            <p class="bt-demo__lede">Kies of je wilt weten wanneer je jouw doel bereikt, hoeveel je maandelijks moet sparen voor een einddatum, hoe één maandbedrag over meerdere doelen verdeeld wordt, of welke uitkomsten mogelijk zijn als je belegt.</p>
           </div>
           <div class="bt-mode-toggle" role="group" aria-label="Soort berekening">
             <button type="button" data-mode="time" aria-pressed="false">Wanneer bereik ik mijn doel?</button>
             <button type="button" data-mode="monthly" aria-pressed="false">Hoeveel moet ik sparen?</button>
+            <button type="button" data-mode="goals" aria-pressed="false">Meerdere doelen</button>
+            <button type="button" data-mode="invest" aria-pressed="false">Beleggen</button>
           </div>
         </div>
       </header>
@@ -455,29 +1000,61 @@ class SavingsCalculatorUI {
             </div>
           </div>
           <form class="bt-grid" novalidate>
-            <div class="bt-field">
+            <div class="bt-field bt-goals" data-field="goals">
+              <span class="bt-goals__label" id="bt-goals-label">Je spaardoelen, belangrijkste eerst</span>
+              <ol class="bt-goal-list" aria-labelledby="bt-goals-label"></ol>
+              <button type="button" class="bt-button" data-goal-action="add">Doel toevoegen</button>
+            </div>
+            <div class="bt-field" data-field="allocation">
+              <label for="allocation">Verdeel de maandelijkse inleg</label>
+              <select id="allocation" name="allocation" class="bt-input">
+                <option value="sequential">Eén doel tegelijk, op volgorde</option>
+                <option value="proportional">Over alle doelen, naar wat nog nodig is</option>
+              </select>
+            </div>
+            <div class="bt-field" data-field="goalAmount">
               <label for="goalAmount">Doelbedrag</label>
               <input id="goalAmount" name="goalAmount" type="number" inputmode="decimal" min="0" step="0.01" class="bt-input" placeholder="10000" />
             </div>
-            <div class="bt-field">
+            <div class="bt-field" data-field="currentSavings">
               <label for="currentSavings">Huidig spaargeld</label>
               <input id="currentSavings" name="currentSavings" type="number" inputmode="decimal" min="0" step="0.01" class="bt-input" placeholder="0" />
             </div>
             <div class="bt-field" data-field="monthlyContribution">
               <label for="monthlyContribution">Maandelijkse inleg</label>
               <input id="monthlyContribution" name="monthlyContribution" type="number" inputmode="decimal" min="0" step="0.01" class="bt-input" placeholder="250" />
-              <small>Nodig om te berekenen wanneer je het doel bereikt.</small>
+              <small>Nodig om te berekenen wanneer je je doel of doelen bereikt, en om te beleggen.</small>
             </div>
             <div class="bt-field" data-field="targetDate">
               <label for="targetDate">Gewenste einddatum</label>
               <input id="targetDate" name="targetDate" type="month" class="bt-input" />
-              <small>Nodig om de maandelijkse inleg te berekenen.</small>
+              <small>Nodig om de maandelijkse inleg te berekenen, en om te beleggen.</small>
             </div>
-            <div class="bt-field">
+            <div class="bt-field bt-schedule" data-field="schedule">
+              <span class="bt-goals__label">Inlegschema (optioneel)</span>
+              <label for="indexation">Jaarlijkse verhoging van de inleg (%)</label>
+              <input id="indexation" name="indexation" type="number" inputmode="decimal" min="0" max="20" step="0.1" class="bt-input" placeholder="0" />
+              <div class="bt-schedule__group" role="group" aria-labelledby="bt-skip-label">
+                <span id="bt-skip-label">Deze maanden overslaan</span>
+                <div class="bt-schedule__months"></div>
+              </div>
+              <div class="bt-schedule__group">
+                <span id="bt-steps-label">Wijzigingen in de maandelijkse inleg</span>
+                <ol class="bt-schedule-list" data-entry-list="steps" aria-labelledby="bt-steps-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="steps">Wijziging toevoegen</button>
+              </div>
+              <div class="bt-schedule__group">
+                <span id="bt-oneoffs-label">Eenmalige stortingen en opnames</span>
+                <ol class="bt-schedule-list" data-entry-list="oneOffs" aria-labelledby="bt-oneoffs-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="oneOffs">Storting of opname toevoegen</button>
+              </div>
+              <small>Een wijziging geldt vanaf die maand, bovenop je maandelijkse inleg. Vul opnames en een lagere inleg in als negatief bedrag.</small>
+            </div>
+            <div class="bt-field" data-field="apr">
               <label for="apr">Jaarlijkse rente (%)</label>
               <input id="apr" name="apr" type="number" inputmode="decimal" min="0" max="50" step="0.01" class="bt-input" placeholder="3" />
             </div>
-            <div class="bt-field">
+            <div class="bt-field" data-field="compounding">
               <label for="compounding">Renteberekening</label>
               <select id="compounding" name="compounding" class="bt-input">
                 <option value="monthly">Maandelijks</option>
@@ -485,10 +1062,46 @@ class SavingsCalculatorUI {
                 <option value="yearly">Jaarlijks</option>
               </select>
             </div>
+            <div class="bt-field bt-schedule" data-field="investment">
+              <span class="bt-goals__label">Uitgangspunten voor beleggen</span>
+              <label for="expectedReturn">Verwacht rendement per jaar (%)</label>
+              <input id="expectedReturn" name="expectedReturn" type="number" inputmode="decimal" min="-50" max="50" step="0.1" class="bt-input" placeholder="6" />
+              <label for="volatility">Beweeglijkheid per jaar (%)</label>
+              <input id="volatility" name="volatility" type="number" inputmode="decimal" min="0" max="100" step="0.1" class="bt-input" placeholder="15" />
+              <label for="fundCosts">Fondskosten per jaar (%)</label>
+              <input id="fundCosts" name="fundCosts" type="number" inputmode="decimal" min="0" max="10" step="0.01" class="bt-input" placeholder="0.2" />
+              <small>Simuleert 1.000 mogelijke beurzen met willekeurige schommelingen rond het verwachte rendement, na kosten. Een breed aandelenfonds schommelde historisch zo'n 15% per jaar; beleggen past het best bij doelen die meer dan vijf jaar weg zijn.</small>
+            </div>
+            <div class="bt-field bt-schedule" data-field="rates">
+              <span class="bt-goals__label">Rentewijzigingen en staffels (optioneel)</span>
+              <div class="bt-schedule__group">
+                <span id="bt-changes-label">Rentewijzigingen, bijvoorbeeld als een actierente afloopt</span>
+                <ol class="bt-schedule-list" data-entry-list="changes" aria-labelledby="bt-changes-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="changes">Rentewijziging toevoegen</button>
+              </div>
+              <div class="bt-schedule__group">
+                <span id="bt-tiers-label">Een andere rente boven een bepaald saldo</span>
+                <ol class="bt-schedule-list" data-entry-list="tiers" aria-labelledby="bt-tiers-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="tiers">Staffel toevoegen</button>
+              </div>
+              <small>De jaarlijkse rente geldt voor het saldo onder de eerste staffel, tot een rentewijziging hem vervangt. Elke staffel krijgt zijn eigen rente over het deel van het saldo daarboven.</small>
+            </div>
             <div class="bt-field">
               <label for="inflation">Inflatie (optioneel, %)</label>
               <input id="inflation" name="inflation" type="number" inputmode="decimal" min="0" max="20" step="0.01" class="bt-input" placeholder="2" />
             </div>
+            <div class="bt-field bt-schedule" data-field="box3">
+              <span class="bt-goals__label">Box 3-belasting (optioneel)</span>
+              <div class="bt-remember">
+                <input type="checkbox" id="box3" name="box3" />
+                <label for="box3">Trek elke januari de geschatte box 3-belasting af</label>
+              </div>
+              <div class="bt-remember">
+                <input type="checkbox" id="fiscalPartner" name="fiscalPartner" />
+                <label for="fiscalPartner">Ik heb een fiscale partner (dubbel heffingsvrij vermogen)</label>
+              </div>
+              <small>Gebruikt per jaar het heffingsvrij vermogen, het forfaitaire rendement op spaargeld en het tarief over het saldo op 1 januari; jaren zonder gepubliceerde cijfers gebruiken de laatste. Alleen het spaargeld in deze calculator telt mee.</small>
+            </div>
             <div class="bt-field">
               <label for="currency">Valuta</label>
               <select id="currency" name="currency" class="bt-input"></select>
@@ -538,8 +1151,12 @@ class SavingsCalculatorUI {
                 <th scope="col">Datum</th>
                 <th scope="col">Beginsaldo</th>
                 <th scope="col">Inleg</th>
-                <th scope="col">Rente</th>
-                <th scope="col">Eindsaldo</th>
+                <th scope="col">Rentepercentage</th>
+                <th scope="col" data-column="interest">Rente</th>
+                <th scope="col" data-column="tax" hidden>Box 3-belasting</th>
+                <th scope="col" data-column="p10" hidden>10e percentiel</th>
+                <th scope="col" data-column="ending">Eindsaldo</th>
+                <th scope="col" data-column="p90" hidden>90e percentiel</th>
               </tr>
             </thead>
             <tbody id="bt-table-body"></tbody>
@@ -570,6 +1187,7 @@ class SavingsCalculatorUI {
         this.rememberToggle = this.root.querySelector('#rememberInputs');
         this.mobileSummaryRegion = this.root.querySelector('#bt-mobile-summary');
         this.mobileSummaryCard = this.mobileSummaryRegion.querySelector('.bt-mobile-summary__card');
+        this.goalList = this.root.querySelector('.bt-goal-list');
         const modeButtons = Array.from(this.root.querySelectorAll('.bt-mode-toggle button'));
         modeButtons.forEach((btn) => {
             btn.addEventListener('click', () => {
@@ -597,7 +1215,20 @@ class SavingsCalculatorUI {
             option.textContent = locale;
             localeSelect === null || localeSelect === void 0 ? void 0 : localeSelect.appendChild(option);
         });
+        this.root.querySelector('[data-field="goals"]')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-goal-action]');
+            if (button) {
+                this.handleGoalAction(button.dataset.goalAction ?? '', button.closest('[data-goal-id]')?.dataset.goalId);
+            }
+        });
         const form = this.root.querySelector('form');
+        form?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-entry-action]');
+            const list = button?.closest('[data-entry-list]')?.dataset.entryList;
+            if (button && isEntryList(list)) {
+                this.handleEntryAction(list, button.dataset.entryAction ?? '', button.closest('[data-entry-id]')?.dataset.entryId);
+            }
+        });
         form === null || form === void 0 ? void 0 : form.addEventListener('input', (event) => this.handleInput(event));
         form === null || form === void 0 ? void 0 : form.addEventListener('change', (event) => this.handleInput(event));
         form === null || form === void 0 ? void 0 : form.addEventListener('submit', (event) => {
@@ -633,6 +1264,13 @@ class SavingsCalculatorUI {
         const compoundingField = this.root.querySelector('#compounding');
         const currencyField = this.root.querySelector('#currency');
         const localeField = this.root.querySelector('#locale');
+        const allocationField = this.root.querySelector('#allocation');
+        const indexationField = this.root.querySelector('#indexation');
+        const box3Field = this.root.querySelector('#box3');
+        const expectedReturnField = this.root.querySelector('#expectedReturn');
+        const volatilityField = this.root.querySelector('#volatility');
+        const fundCostsField = this.root.querySelector('#fundCosts');
+        const partnerField = this.root.querySelector('#fiscalPartner');
         if (goalField && this.state.goalAmount !== null)
             goalField.value = String(this.state.goalAmount);
         if (currentField)
@@ -651,9 +1289,201 @@ class SavingsCalculatorUI {
             currencyField.value = this.state.currency;
         if (localeField)
             localeField.value = this.state.locale;
+        if (allocationField)
+            allocationField.value = this.state.allocation;
+        if (box3Field)
+            box3Field.checked = this.state.box3;
+        if (expectedReturnField)
+            expectedReturnField.value = String(this.state.expectedReturn);
+        if (volatilityField)
+            volatilityField.value = String(this.state.volatility);
+        if (fundCostsField)
+            fundCostsField.value = String(this.state.fundCosts);
+        if (partnerField)
+            partnerField.checked = this.state.fiscalPartner;
+        if (indexationField)
+            indexationField.value = this.state.schedule.indexation ? String(this.state.schedule.indexation) : '';
         this.rememberToggle.checked = this.state.rememberInputs;
+        this.renderGoals();
+        this.renderSkipMonths();
+        Object.keys(ENTRY_LISTS).forEach((list) => this.renderEntryList(list));
         this.toggleFieldVisibility();
     }
+    renderSkipMonths() {
+        const monthName = new Intl.DateTimeFormat(this.state.locale, { month: 'short' });
+        const months = this.root.querySelector('.bt-schedule__months');
+        months.replaceChildren(...Array.from({ length: 12 }, (_, index) => {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'bt-schedule__month';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.dataset.skipMonth = String(index + 1);
+            input.checked = this.state.schedule.skipMonths.includes(index + 1);
+            wrapper.append(input, monthName.format(new Date(2000, index, 1)));
+            return wrapper;
+        }));
+    }
+    getEntries(list) {
+        return list === 'steps' || list === 'oneOffs' ? this.state.schedule[list] : this.state.rates[list];
+    }
+    setEntries(list, entries) {
+        if (list === 'steps' || list === 'oneOffs') {
+            this.state.schedule = { ...this.state.schedule, [list]: entries };
+        }
+        else {
+            this.state.rates = { ...this.state.rates, [list]: entries };
+        }
+        this.persistState();
+        this.calculate();
+    }
+    renderEntryList(list) {
+        const { fields, removeLabel } = ENTRY_LISTS[list];
+        const items = this.getEntries(list).map((entry) => {
+            const item = document.createElement('li');
+            item.className = 'bt-schedule-entry';
+            item.dataset.entryId = entry.id;
+            fields.forEach(([field, text, type]) => {
+                const wrapper = document.createElement('label');
+                wrapper.className = 'bt-goal__field';
+                const caption = document.createElement('span');
+                caption.textContent = text;
+                const input = document.createElement('input');
+                input.className = 'bt-input';
+                input.type = type;
+                input.dataset.entryField = field;
+                if (type === 'number') {
+                    input.inputMode = 'decimal';
+                    input.step = '0.01';
+                    input.value = entry[field] ? String(entry[field]) : '';
+                }
+                else {
+                    input.value = String(entry[field] ?? '');
+                }
+                wrapper.append(caption, input);
+                item.appendChild(wrapper);
+            });
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'bt-button';
+            remove.dataset.entryAction = 'remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', removeLabel);
+            item.appendChild(remove);
+            return item;
+        });
+        this.root.querySelector(`ol[data-entry-list="${list}"]`)?.replaceChildren(...items);
+    }
+    handleEntryAction(list, action, entryId) {
+        const entries = this.getEntries(list);
+        if (action === 'add') {
+            const entry = { id: createId(ENTRY_LISTS[list].idPrefix), ...ENTRY_LISTS[list].blank };
+            this.setEntries(list, [...entries, entry]);
+            this.renderEntryList(list);
+            this.root.querySelector(`[data-entry-id="${entry.id}"] input`)?.focus();
+        }
+        else if (action === 'remove') {
+            this.setEntries(list, entries.filter((entry) => entry.id !== entryId));
+            this.renderEntryList(list);
+            this.root.querySelector(`button[data-entry-list="${list}"]`)?.focus();
+        }
+    }
+    updateSchedule(changes) {
+        this.state.schedule = { ...this.state.schedule, ...changes };
+        this.persistState();
+        this.calculate();
+    }
+    renderGoals() {
+        const fragment = document.createDocumentFragment();
+        this.state.goals.forEach((goal, index) => {
+            const item = document.createElement('li');
+            item.className = 'bt-goal';
+            item.dataset.goalId = goal.id;
+            const label = goal.name.trim() || `Doel ${index + 1}`;
+            const fields = document.createElement('div');
+            fields.className = 'bt-goal__fields';
+            const addField = (text, field, value, numeric) => {
+                const wrapper = document.createElement('label');
+                wrapper.className = 'bt-goal__field';
+                const caption = document.createElement('span');
+                caption.textContent = text;
+                const input = document.createElement('input');
+                input.className = 'bt-input';
+                input.dataset.goalField = field;
+                input.value = value;
+                if (numeric) {
+                    input.type = 'number';
+                    input.inputMode = 'decimal';
+                    input.min = '0';
+                    input.step = '0.01';
+                }
+                else {
+                    input.type = 'text';
+                }
+                wrapper.append(caption, input);
+                fields.appendChild(wrapper);
+            };
+            addField('Naam', 'name', goal.name, false);
+            addField('Doelbedrag', 'targetAmount', goal.targetAmount === null ? '' : String(goal.targetAmount), true);
+            addField('Al gespaard', 'currentSavings', goal.currentSavings ? String(goal.currentSavings) : '', true);
+            const actions = document.createElement('div');
+            actions.className = 'bt-goal__actions';
+            const addAction = (action, text, disabled) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'bt-button';
+                button.dataset.goalAction = action;
+                button.textContent = text;
+                button.disabled = disabled;
+                actions.appendChild(button);
+            };
+            addAction('up', '↑', index === 0);
+            addAction('down', '↓', index === this.state.goals.length - 1);
+            addAction('remove', 'Verwijderen', this.state.goals.length === 1);
+            item.append(fields, actions);
+            this.labelGoalActions(item, label);
+            fragment.appendChild(item);
+        });
+        this.goalList.replaceChildren(fragment);
+    }
+    labelGoalActions(item, label) {
+        const labels = {
+            up: `${label} omhoog`,
+            down: `${label} omlaag`,
+            remove: `${label} verwijderen`,
+        };
+        item.querySelectorAll('[data-goal-action]').forEach((button) => {
+            button.setAttribute('aria-label', labels[button.dataset.goalAction ?? ''] ?? '');
+        });
+    }
+    handleGoalAction(action, goalId) {
+        const goals = this.state.goals.slice();
+        const index = goals.findIndex((goal) => goal.id === goalId);
+        if (action === 'add') {
+            goals.push({ id: createId('goal'), name: '', targetAmount: null, currentSavings: 0 });
+        }
+        else if (index === -1) {
+            return;
+        }
+        else if (action === 'remove') {
+            goals.splice(index, 1);
+        }
+        else if (action === 'up' || action === 'down') {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= goals.length)
+                return;
+            [goals[index], goals[target]] = [goals[target], goals[index]];
+        }
+        this.state.goals = goals;
+        this.renderGoals();
+        const focusId = action === 'add' ? goals[goals.length - 1].id : action === 'remove' ? null : goalId;
+        if (focusId) {
+            const selector = action === 'add' ? '[data-goal-field="name"]' : `[data-goal-action="${action}"]`;
+            const focusTarget = this.goalList.querySelector(`[data-goal-id="${focusId}"] ${selector}:not(:disabled)`);
+            (focusTarget ?? this.goalList.querySelector(`[data-goal-id="${focusId}"] [data-goal-field="name"]`))?.focus();
+        }
+        this.persistState();
+        this.calculate();
+    }
     updateModeToggle() {
         const modeButtons = Array.from(this.root.querySelectorAll('.bt-mode-toggle button'));
         modeButtons.forEach((btn) => {
@@ -663,14 +1493,12 @@ class SavingsCalculatorUI {
         this.toggleFieldVisibility();
     }
     toggleFieldVisibility() {
-        const monthlyField = this.root.querySelector('[data-field="monthlyContribution"]');
-        const targetField = this.root.querySelector('[data-field="targetDate"]');
-        if (monthlyField) {
-            monthlyField.style.display = this.state.mode === 'time' ? 'flex' : 'none';
-        }
-        if (targetField) {
-            targetField.style.display = this.state.mode === 'monthly' ? 'flex' : 'none';
-        }
+        Object.entries(FIELD_MODES).forEach(([field, modes]) => {
+            const element = this.root.querySelector(`[data-field="${field}"]`);
+            if (element) {
+                element.style.display = modes.includes(this.state.mode) ? 'flex' : 'none';
+            }
+        });
     }
     handleInput(event) {
         var _a, _b, _c, _d;
@@ -678,6 +1506,41 @@ class SavingsCalculatorUI {
         if (!target)
             return;
         const { name, value } = target;
+        const goalField = target.dataset.goalField;
+        if (goalField) {
+            const item = target.closest('[data-goal-id]');
+            const goalId = item?.dataset.goalId;
+            const parsed = goalField === 'name' ? value : clampNumber(safeParseNumber(value) ?? 0, 0, Number.MAX_SAFE_INTEGER);
+            const fieldValue = goalField === 'targetAmount' && value === '' ? null : parsed;
+            this.state.goals = this.state.goals.map((goal) => (goal.id === goalId ? { ...goal, [goalField]: fieldValue } : goal));
+            if (item && goalField === 'name') {
+                this.labelGoalActions(item, value.trim() || `Doel ${this.state.goals.findIndex((goal) => goal.id === goalId) + 1}`);
+            }
+            this.persistState();
+            this.calculate();
+            return;
+        }
+        const entryField = target.dataset.entryField;
+        const list = target.closest('[data-entry-list]')?.dataset.entryList;
+        if (entryField && isEntryList(list)) {
+            const entryId = target.closest('[data-entry-id]')?.dataset.entryId;
+            // Schedule amounts may be negative; rates and tier thresholds may not.
+            const min = entryField === 'amount' ? -Number.MAX_SAFE_INTEGER : 0;
+            const max = entryField === 'apr' ? 50 : Number.MAX_SAFE_INTEGER;
+            const fieldValue = entryField === 'month' ? value : clampNumber(safeParseNumber(value) ?? 0, min, max);
+            this.setEntries(list, this.getEntries(list).map((entry) => (entry.id === entryId ? { ...entry, [entryField]: fieldValue } : entry)));
+            return;
+        }
+        if (target.dataset.skipMonth) {
+            const month = Number(target.dataset.skipMonth);
+            const skipMonths = this.state.schedule.skipMonths.filter((skipped) => skipped !== month);
+            if (target.checked) {
+                skipMonths.push(month);
+                skipMonths.sort((a, b) => a - b);
+            }
+            this.updateSchedule({ skipMonths });
+            return;
+        }
         switch (name) {
             case 'goalAmount':
                 this.state.goalAmount = clampNumber((_a = safeParseNumber(value)) !== null && _a !== void 0 ? _a : 0, 0, Number.MAX_SAFE_INTEGER);
@@ -708,6 +1571,28 @@ class SavingsCalculatorUI {
                 break;
             case 'locale':
                 this.state.locale = value || 'nl-NL';
+                this.renderSkipMonths();
+                break;
+            case 'box3':
+                this.state.box3 = target.checked;
+                break;
+            case 'fiscalPartner':
+                this.state.fiscalPartner = target.checked;
+                break;
+            case 'expectedReturn':
+                this.state.expectedReturn = clampNumber(safeParseNumber(value) ?? 0, -50, 50);
+                break;
+            case 'volatility':
+                this.state.volatility = clampNumber(safeParseNumber(value) ?? 0, 0, 100);
+                break;
+            case 'fundCosts':
+                this.state.fundCosts = clampNumber(safeParseNumber(value) ?? 0, 0, 10);
+                break;
+            case 'indexation':
+                this.state.schedule = { ...this.state.schedule, indexation: clampNumber(safeParseNumber(value) ?? 0, 0, 20) };
+                break;
+            case 'allocation':
+                this.state.allocation = value || 'sequential';
                 break;
             default:
                 break;
@@ -794,7 +1679,7 @@ class SavingsCalculatorUI {
         if (!this.resultSummary)
             return;
         const lines = this.buildSummaryLines(true);
-        const blob = buildCsv(lines, this.resultSummary.projection, this.state.locale);
+        const blob = buildCsv(lines, this.resultSummary.projection, this.state.locale, this.resultSummary.totalTax !== undefined);
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
@@ -857,15 +1742,24 @@ class SavingsCalculatorUI {
         const contributions = formatCurrency(totalContributions, locale, currency);
         const interest = formatCurrency(totalInterest, locale, currency);
         const monthlyText = requiredMonthlyContribution !== undefined ? formatCurrency(requiredMonthlyContribution, locale, currency) : null;
-        const highlightLabel = monthlyText ? 'Benodigde maandelijkse inleg' : 'Geschatte looptijd';
-        const highlightValue = monthlyText !== null && monthlyText !== void 0 ? monthlyText : durationText;
+        const investment = isInvestmentResult(this.resultSummary) ? this.resultSummary : null;
+        const chanceText = investment ? formatPercent(investment.probability, locale) : null;
+        const highlightLabel = chanceText ? 'Kans om je doel te halen' : monthlyText ? 'Benodigde maandelijkse inleg' : 'Geschatte looptijd';
+        const highlightValue = chanceText ?? monthlyText ?? durationText;
+        const metaText = investment ? `Einddatum: ${finishText}` : `Verwachte einddatum: ${finishText}`;
         const metrics = [];
         if (monthlyText) {
             metrics.push({ label: 'Benodigde maandelijkse inleg', value: monthlyText });
         }
-        metrics.push({ label: 'Geschatte looptijd', value: durationText });
+        if (investment) {
+            const median = investment.projection[investment.projection.length - 1]?.endingBalance ?? 0;
+            metrics.push({ label: 'Mediaan op de einddatum', value: formatCurrency(median, locale, currency) });
+        }
+        else {
+            metrics.push({ label: 'Geschatte looptijd', value: durationText });
+        }
         metrics.push({ label: 'Totale inleg', value: contributions });
-        metrics.push({ label: 'Totale rente', value: interest });
+        metrics.push({ label: investment ? 'Mediaan rendement' : 'Totale rente', value: interest });
         this.mobileSummaryRegion.dataset.hasResults = 'true';
         const metricsHtml = metrics.map((metric) => `
         <div class="bt-mobile-summary__metric">
@@ -876,7 +1770,7 @@ class SavingsCalculatorUI {
         this.mobileSummaryCard.innerHTML = `
       <p class="bt-mobile-summary__eyebrow">${highlightLabel}</p>
       <p class="bt-mobile-summary__value">${highlightValue}</p>
-      <p class="bt-mobile-summary__meta">Verwachte einddatum: ${finishText}</p>
+      <p class="bt-mobile-summary__meta">${metaText}</p>
       <dl class="bt-mobile-summary__metrics">
         ${metricsHtml}
       </dl>
@@ -909,8 +1803,49 @@ class SavingsCalculatorUI {
     buildSummaryLines(includeTableHint = false) {
         if (!this.resultSummary)
             return [];
-        const { totalContributions, totalInterest, finishDate, requiredMonthlyContribution, projection, mode, inflation } = this.resultSummary;
-        const lines = summariseProjection(projection, totalContributions, totalInterest, this.state.locale, this.state.currency, finishDate, requiredMonthlyContribution, mode, inflation);
+        const { totalContributions, totalInterest, totalTax, finishDate, requiredMonthlyContribution, projection, mode, inflation } = this.resultSummary;
+        const lines = summariseProjection(projection, totalContributions, totalInterest, this.state.locale, this.state.currency, finishDate, requiredMonthlyContribution, mode, inflation, totalTax);
+        if (isGoalsResult(this.resultSummary)) {
+            const dateFormatter = new Intl.DateTimeFormat(this.state.locale, { year: 'numeric', month: 'long' });
+            this.resultSummary.goals.forEach((goal) => {
+                const target = formatCurrency(goal.targetAmount, this.state.locale, this.state.currency);
+                const reached = goal.months && goal.finishDate ? `bereikt in ${dateFormatter.format(goal.finishDate)}` : 'al bereikt';
+                lines.push(`${goal.name.trim() || 'Doel'} (${target}): ${reached}`);
+            });
+        }
+        else if (isInvestmentResult(this.resultSummary)) {
+            const { probability, simulations, seed, projection: paths } = this.resultSummary;
+            const last = paths[paths.length - 1];
+            const format = (amount) => formatCurrency(amount, this.state.locale, this.state.currency);
+            lines.push(`Kans om het doel op de einddatum te halen: ${formatPercent(probability, this.state.locale)}`);
+            if (last) {
+                lines.push(`Saldo op de einddatum: 10e percentiel ${format(last.p10 ?? last.endingBalance)}, mediaan ${format(last.endingBalance)}, 90e percentiel ${format(last.p90 ?? last.endingBalance)}`);
+            }
+            lines.push(`Uitgangspunten: ${this.state.expectedReturn}% verwacht rendement, ${this.state.volatility}% beweeglijkheid, ${this.state.fundCosts}% fondskosten; ${simulations} simulaties (seed ${seed})`);
+        }
+        else if (hasSchedule(this.state.schedule)) {
+            const { steps, indexation, skipMonths, oneOffs } = this.state.schedule;
+            const monthName = new Intl.DateTimeFormat(this.state.locale, { month: 'short' });
+            const parts = [];
+            if (steps.length)
+                parts.push(`${steps.length} ${steps.length === 1 ? 'wijziging' : 'wijzigingen'}`);
+            if (indexation)
+                parts.push(`${indexation}% verhoging per jaar`);
+            if (skipMonths.length)
+                parts.push(`slaat ${skipMonths.map((month) => monthName.format(new Date(2000, month - 1, 1))).join(', ')} over`);
+            if (oneOffs.length)
+                parts.push(`${oneOffs.length} eenmalige ${oneOffs.length === 1 ? 'storting of opname' : 'stortingen of opnames'}`);
+            lines.push(`Inlegschema: ${parts.join(', ')}`);
+        }
+        const { changes, tiers } = this.state.rates;
+        if ((mode === 'time' || mode === 'monthly') && (changes.length || tiers.length)) {
+            const parts = [];
+            if (changes.length)
+                parts.push(`${changes.length} ${changes.length === 1 ? 'rentewijziging' : 'rentewijzigingen'}`);
+            if (tiers.length)
+                parts.push(`${tiers.length} ${tiers.length === 1 ? 'staffel' : 'staffels'}`);
+            lines.push(`Rente: ${parts.join(', ')}`);
+        }
         if (includeTableHint) {
             lines.push('');
             lines.push('De tool toont een korte vooruitblik. Bekijk het volledige schema of download de CSV voor alle maanden.');
@@ -925,7 +1860,7 @@ class SavingsCalculatorUI {
         this.resultSummary = null;
         this.setSummaryPlaceholder();
         this.updateMobileSummary();
-        if (!this.state.goalAmount || this.state.goalAmount <= 0) {
+        if (this.state.mode !== 'goals' && (!this.state.goalAmount || this.state.goalAmount <= 0)) {
             const message = 'Vul een doelbedrag in om te beginnen.';
             this.showMessage(message);
             this.setSummaryPlaceholder(message);
@@ -933,7 +1868,52 @@ class SavingsCalculatorUI {
             this.notify(null);
             return;
         }
-        if (this.state.mode === 'time') {
+        if (this.state.mode === 'goals') {
+            const result = allocateSavingsGoals({
+                goals: this.state.goals,
+                monthlyBudget: this.state.monthlyContribution ?? 0,
+                strategy: this.state.allocation,
+                apr: this.state.apr,
+                compounding: this.state.compounding,
+                inflationRate: this.state.inflationRate ?? undefined,
+                startDate: new Date(),
+            });
+            const unreached = result?.goals.filter((goal) => goal.months === null) ?? [];
+            if (!result || unreached.length > 0) {
+                const message = result
+                    ? `${unreached.map((goal) => goal.name.trim() || 'Een doel').join(', ')} wordt niet binnen 50 jaar bereikt. Verhoog je maandelijkse inleg of verlaag een doel.`
+                    : 'Vul voor minstens één doel een bedrag in om te beginnen.';
+                this.showMessage(message);
+                this.setSummaryPlaceholder(message);
+                this.updateMobileSummary();
+                this.notify(null);
+                return;
+            }
+            this.resultSummary = result;
+        }
+        else if (this.state.mode === 'invest') {
+            const result = simulateInvestment({
+                goalAmount: this.state.goalAmount ?? 0,
+                currentSavings: this.state.currentSavings ?? 0,
+                monthlyContribution: this.state.monthlyContribution ?? 0,
+                targetDate: this.state.targetDate ? parseTargetDate(this.state.targetDate) : null,
+                expectedReturn: this.state.expectedReturn,
+                volatility: this.state.volatility,
+                fundCosts: this.state.fundCosts,
+                inflationRate: this.state.inflationRate ?? undefined,
+                startDate: new Date(),
+            });
+            if (!result) {
+                const message = 'Kies een einddatum binnen de komende 50 jaar om de simulatie te starten.';
+                this.showMessage(message);
+                this.setSummaryPlaceholder(message);
+                this.updateMobileSummary();
+                this.notify(null);
+                return;
+            }
+            this.resultSummary = result;
+        }
+        else if (this.state.mode === 'time') {
             const result = calculateSavingsScenario({
                 mode: 'time',
                 goalAmount: (_a = this.state.goalAmount) !== null && _a !== void 0 ? _a : 0,
@@ -943,6 +1923,9 @@ class SavingsCalculatorUI {
                 compounding: this.state.compounding,
                 inflationRate: (_d = this.state.inflationRate) !== null && _d !== void 0 ? _d : undefined,
                 startDate: new Date(),
+                schedule: this.state.schedule,
+                rates: this.state.rates,
+                box3: this.state.box3 ? { fiscalPartner: this.state.fiscalPartner } : null,
             });
             if (!result) {
                 const message = 'Verhoog je maandelijkse inleg of pas je doelbedrag aan.';
@@ -965,6 +1948,9 @@ class SavingsCalculatorUI {
                 inflationRate: (_g = this.state.inflationRate) !== null && _g !== void 0 ? _g : undefined,
                 targetDate,
                 startDate: new Date(),
+                schedule: this.state.schedule,
+                rates: this.state.rates,
+                box3: this.state.box3 ? { fiscalPartner: this.state.fiscalPartner } : null,
             });
             if (!result) {
                 const message = 'Je doel is mogelijk al bereikt of de gekozen einddatum is te dichtbij.';
@@ -989,7 +1975,7 @@ class SavingsCalculatorUI {
         var _a, _b;
         if (!this.resultSummary)
             return;
-        const { mode, months, totalContributions, totalInterest, finishDate, requiredMonthlyContribution, inflation } = this.resultSummary;
+        const { mode, months, totalContributions, totalInterest, totalTax, finishDate, requiredMonthlyContribution, inflation } = this.resultSummary;
         const locale = this.state.locale;
         const currency = this.state.currency;
         const fragment = document.createDocumentFragment();
@@ -999,10 +1985,19 @@ class SavingsCalculatorUI {
         const contributionsText = formatCurrency(totalContributions, locale, currency);
         const interestText = formatCurrency(totalInterest, locale, currency);
         const highlightMonthly = mode === 'monthly' && requiredMonthlyContribution !== undefined;
-        const highlightLabel = highlightMonthly ? 'Benodigde maandelijkse inleg' : 'Geschatte looptijd';
-        const highlightValue = highlightMonthly && requiredMonthlyContribution !== undefined
+        const startLabel = hasSchedule(this.state.schedule) ? 'Benodigde maandelijkse inleg bij de start' : 'Benodigde maandelijkse inleg';
+        const investment = isInvestmentResult(this.resultSummary) ? this.resultSummary : null;
+        const lastRow = this.resultSummary.projection[this.resultSummary.projection.length - 1];
+        let highlightLabel = highlightMonthly ? startLabel : mode === 'goals' ? 'Alle doelen bereikt in' : 'Geschatte looptijd';
+        let highlightValue = highlightMonthly && requiredMonthlyContribution !== undefined
             ? formatCurrency(requiredMonthlyContribution, locale, currency)
             : durationText;
+        let metaText = finishDate ? `Verwachte einddatum: ${finishText}` : 'Je spaardoel is al bereikt.';
+        if (investment) {
+            highlightLabel = 'Kans om je doel te halen';
+            highlightValue = formatPercent(investment.probability, locale);
+            metaText = `Op ${finishText}, in ${investment.simulations.toLocaleString(locale)} gesimuleerde beurzen.`;
+        }
         const hero = document.createElement('div');
         hero.className = 'bt-summary__hero';
         const eyebrow = document.createElement('p');
@@ -1013,11 +2008,17 @@ class SavingsCalculatorUI {
         value.textContent = highlightValue;
         const meta = document.createElement('p');
         meta.className = 'bt-summary__meta';
-        meta.textContent = finishDate ? `Verwachte einddatum: ${finishText}` : 'Je spaardoel is al bereikt.';
+        meta.textContent = metaText;
         hero.append(eyebrow, value, meta);
         fragment.appendChild(hero);
-        const goalAmount = Math.max(0, (_a = this.state.goalAmount) !== null && _a !== void 0 ? _a : 0);
-        const currentSavings = Math.max(0, (_b = this.state.currentSavings) !== null && _b !== void 0 ? _b : 0);
+        const goalsSummary = isGoalsResult(this.resultSummary) ? this.resultSummary : null;
+        const countedGoals = goalsSummary ? this.state.goals.filter((goal) => (goal.targetAmount ?? 0) > 0) : [];
+        const goalAmount = goalsSummary
+            ? countedGoals.reduce((sum, goal) => sum + (goal.targetAmount ?? 0), 0)
+            : Math.max(0, (_a = this.state.goalAmount) !== null && _a !== void 0 ? _a : 0);
+        const currentSavings = goalsSummary
+            ? countedGoals.reduce((sum, goal) => sum + Math.min(Math.max(0, goal.currentSavings), goal.targetAmount ?? 0), 0)
+            : Math.max(0, (_b = this.state.currentSavings) !== null && _b !== void 0 ? _b : 0);
         if (goalAmount > 0) {
             const progressRatio = Math.min(Math.max(currentSavings / goalAmount, 0), 1);
             const percent = Math.round(progressRatio * 100);
@@ -1040,6 +2041,9 @@ class SavingsCalculatorUI {
             progress.append(label, bar);
             fragment.appendChild(progress);
         }
+        if (goalsSummary) {
+            fragment.appendChild(this.buildGoalTimeline(goalsSummary));
+        }
         const metrics = document.createElement('dl');
         metrics.className = 'bt-summary__metrics';
         const addMetric = (label, metricValue) => {
@@ -1055,16 +2059,25 @@ class SavingsCalculatorUI {
         if (highlightMonthly) {
             addMetric('Geschatte looptijd', durationText);
         }
-        if (finishDate) {
+        if (investment && lastRow) {
+            addMetric('Einddatum', finishText);
+            addMetric('10e percentiel', formatCurrency(lastRow.p10 ?? lastRow.endingBalance, locale, currency));
+            addMetric('Mediaan', formatCurrency(lastRow.endingBalance, locale, currency));
+            addMetric('90e percentiel', formatCurrency(lastRow.p90 ?? lastRow.endingBalance, locale, currency));
+        }
+        else if (finishDate) {
             addMetric('Verwachte einddatum', finishText);
         }
         addMetric('Totale inleg', contributionsText);
-        addMetric('Totale rente', interestText);
+        addMetric(investment ? 'Mediaan rendement' : 'Totale rente', interestText);
+        if (totalTax !== undefined) {
+            addMetric('Geschatte box 3-belasting', formatCurrency(totalTax, locale, currency));
+        }
         if (inflation) {
             addMetric('Doel in geld van nu', formatCurrency(inflation.realGoalValue, locale, currency));
             addMetric('Eindbedrag in geld van nu', formatCurrency(inflation.realEndingBalance, locale, currency));
             addMetric('Inleg in geld van nu', formatCurrency(inflation.realContributions, locale, currency));
-            addMetric('Rente in geld van nu', formatCurrency(inflation.realInterest, locale, currency));
+            addMetric(investment ? 'Mediaan rendement in geld van nu' : 'Rente in geld van nu', formatCurrency(inflation.realInterest, locale, currency));
         }
         fragment.appendChild(metrics);
         this.summaryRegion.setAttribute('data-has-results', 'true');
@@ -1077,6 +2090,41 @@ class SavingsCalculatorUI {
             this.resultsMount.removeAttribute('hidden');
         }
     }
+    // One line per goal in the order they are reached, with where its monthly share goes next.
+    buildGoalTimeline(summary) {
+        const locale = this.state.locale;
+        const formatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long' });
+        const list = document.createElement('ol');
+        list.className = 'bt-goal-timeline';
+        const ordered = summary.goals.slice().sort((a, b) => (a.months ?? 0) - (b.months ?? 0));
+        ordered.forEach((goal) => {
+            const item = document.createElement('li');
+            const name = document.createElement('strong');
+            name.textContent = goal.name.trim() || 'Doel';
+            const when = document.createElement('span');
+            when.textContent = goal.months
+                ? `${goal.finishDate ? formatter.format(goal.finishDate) : ''} · ${describeDuration(goal.months, locale)}`
+                : 'Al bereikt';
+            item.append(name, when);
+            const milestone = summary.milestones.find((entry) => entry.goalId === goal.id);
+            if (milestone) {
+                const release = document.createElement('small');
+                release.textContent = this.describeMilestone(summary, milestone);
+                item.appendChild(release);
+            }
+            list.appendChild(item);
+        });
+        return list;
+    }
+    describeMilestone(summary, milestone) {
+        const amount = formatCurrency(milestone.releasedMonthly, this.state.locale, this.state.currency);
+        const names = milestone.nextGoalIds
+            .map((id) => summary.goals.find((goal) => goal.id === id)?.name.trim() || 'het volgende doel');
+        if (names.length === 0) {
+            return 'Je maandelijkse inleg is daarna weer vrij.';
+        }
+        return `Daarna gaat ${amount} per maand naar ${names.join(' en ')}.`;
+    }
     renderProjection() {
         if (!this.resultSummary) {
             this.tableBody.innerHTML = '';
@@ -1087,9 +2135,24 @@ class SavingsCalculatorUI {
             return;
         }
         const projection = this.resultSummary.projection;
+        const showTax = this.resultSummary.totalTax !== undefined;
+        const taxHeader = this.resultsCard.querySelector('[data-column="tax"]');
+        if (taxHeader)
+            taxHeader.hidden = !showTax;
+        const showBands = isInvestmentResult(this.resultSummary);
+        this.resultsCard.querySelectorAll('[data-column="p10"], [data-column="p90"]').forEach((header) => {
+            header.hidden = !showBands;
+        });
+        const interestHeader = this.resultsCard.querySelector('[data-column="interest"]');
+        if (interestHeader)
+            interestHeader.textContent = showBands ? 'Mediaan rendement' : 'Rente';
+        const endingHeader = this.resultsCard.querySelector('[data-column="ending"]');
+        if (endingHeader)
+            endingHeader.textContent = showBands ? 'Mediaan' : 'Eindsaldo';
         const locale = this.state.locale;
         const currency = this.state.currency;
         const dateFormatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short' });
+        const rateFormatter = new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
         if (projection.length <= PREVIEW_ROW_COUNT) {
             this.showAllRows = false;
         }
@@ -1103,8 +2166,12 @@ class SavingsCalculatorUI {
                 dateFormatter.format(row.date),
                 formatCurrency(row.startingBalance, locale, currency),
                 formatCurrency(row.contribution, locale, currency),
+                rateFormatter.format(row.rate / 100),
                 formatCurrency(row.interestEarned, locale, currency),
+                ...(showTax ? [formatCurrency(row.tax, locale, currency)] : []),
+                ...(showBands ? [formatCurrency(row.p10 ?? row.endingBalance, locale, currency)] : []),
                 formatCurrency(row.endingBalance, locale, currency),
+                ...(showBands ? [formatCurrency(row.p90 ?? row.endingBalance, locale, currency)] : []),
             ];
             cells.forEach((value, index) => {
                 const td = document.createElement('td');
@@ -1115,6 +2182,21 @@ class SavingsCalculatorUI {
                 tr.appendChild(td);
             });
             fragment.appendChild(tr);
+            if (isGoalsResult(this.resultSummary)) {
+                const summary = this.resultSummary;
+                summary.milestones
+                    .filter((milestone) => milestone.monthIndex === row.monthIndex)
+                    .forEach((milestone) => {
+                    const goal = summary.goals.find((entry) => entry.id === milestone.goalId);
+                    const note = document.createElement('tr');
+                    note.className = 'bt-projection-table__milestone';
+                    const cell = document.createElement('td');
+                    cell.colSpan = cells.length;
+                    cell.textContent = `${goal?.name.trim() || 'Doel'} bereikt. ${this.describeMilestone(summary, milestone)}`;
+                    note.appendChild(cell);
+                    fragment.appendChild(note);
+                });
+            }
         }
         this.tableBody.replaceChildren(fragment);
         if (!this.showAllButton) {
@@ -3,17 +3,25 @@
  * All calculations happen on the client.
  */
 
-type CalculatorMode = 'time' | 'monthly';
+type CalculatorMode = 'time' | 'monthly' | 'goals' | 'invest';
 type CompoundingFrequency = 'monthly' | 'quarterly' | 'yearly';
 type SupportedCurrency = 'EUR' | 'USD' | 'GBP';
+type AllocationStrategy = 'sequential' | 'proportional';
 
 interface ProjectionRow {
   monthIndex: number;
   date: Date;
   startingBalance: number;
   contribution: number;
+  /** Effective annual rate in % over the starting balance, blended across tiers. */
+  rate: number;
   interestEarned: number;
+  /** Box 3 tax deducted this month; only January rows carry tax. */
+  tax: number;
   endingBalance: number;
+  /** Investing mode only: 10th and 90th percentile ending balance; `endingBalance` is then the median. */
+  p10?: number;
+  p90?: number;
 }
 
 interface InflationBreakdown {
@@ -30,6 +38,8 @@ export interface CalculatedSummary {
   requiredMonthlyContribution?: number;
   totalContributions: number;
   totalInterest: number;
+  /** Box 3 tax over the whole projection; only set when the scenario includes box 3. */
+  totalTax?: number;
   projection: ProjectionRow[];
   inflation?: InflationBreakdown;
 }
@@ -41,6 +51,80 @@ export interface SavingsCalculatorProps {
   onCalculated?(summary: CalculatedSummary | null): void;
 }
 
+export interface SavingsGoal {
+  id: string;
+  name: string;
+  targetAmount: number | null;
+  currentSavings: number;
+}
+
+/** A dated amount in a contribution schedule; `month` is a 'YYYY-MM' key like the target date field. */
+export interface ScheduleEntry {
+  id: string;
+  month: string;
+  amount: number;
+}
+
+export interface ContributionSchedule {
+  /** Changes to the monthly contribution from `month` onwards, added on top of it (negative lowers it). */
+  steps: ScheduleEntry[];
+  /** Yearly increase of the monthly contribution in %, applied every 12 months from the start. */
+  indexation: number;
+  /** Calendar months (1-12) without a monthly contribution, e.g. 12 to skip December. */
+  skipMonths: number[];
+  /** One-off deposits (positive) and withdrawals (negative) in `month`. */
+  oneOffs: ScheduleEntry[];
+}
+
+/** Annual rate in % for the part of the balance below the first tier, from `month` onwards. */
+export interface RateChange {
+  id: string;
+  month: string;
+  apr: number;
+}
+
+/** Annual rate in % for the part of the balance above `threshold`, up to the next tier. */
+export interface RateTier {
+  id: string;
+  threshold: number;
+  apr: number;
+}
+
+/**
+ * Interest beyond a single APR: rate changes over time (for example when a promotional rate ends) and balance
+ * tiers. Changes replace the base rate only; tier rates stay as entered.
+ */
+export interface RatePlan {
+  changes: RateChange[];
+  tiers: RateTier[];
+}
+
+export interface Box3Options {
+  /** Fiscal partners each have their own tax-free allowance. */
+  fiscalPartner: boolean;
+}
+
+interface Box3Parameters {
+  /** Heffingsvrij vermogen per person. */
+  exemption: number;
+  /** Deemed return on savings (forfaitair rendement) in %. */
+  deemedReturn: number;
+  /** Box 3 tax rate in %. */
+  rate: number;
+}
+
+interface InterestModel {
+  /** Monthly rate when one rate applies to every balance in every month; null with tiers or rate changes. */
+  flatMonthlyRate: number | null;
+  forMonth(balance: number, date: Date): { interest: number; rate: number };
+}
+
+interface ProjectionPlan {
+  interest: InterestModel;
+  schedule?: ContributionSchedule | null;
+  box3?: Box3Options | null;
+}
+
 interface CalculatorState {
   mode: CalculatorMode;
   goalAmount: number | null;
@@ -53,6 +137,16 @@ interface CalculatorState {
   currency: SupportedCurrency;
   locale: string;
   rememberInputs: boolean;
+  /** Goals sharing the monthly contribution in 'goals' mode, highest priority first. */
+  goals: SavingsGoal[];
+  allocation: AllocationStrategy;
+  schedule: ContributionSchedule;
+  rates: RatePlan;
+  box3: boolean;
+  fiscalPartner: boolean;
+  expectedReturn: number;
+  volatility: number;
+  fundCosts: number;
 }
 
 interface ModeAResult extends CalculatedSummary {
@@ -77,11 +171,83 @@ interface ScenarioInput {
   compounding: CompoundingFrequency;
   inflationRate?: number | null;
   startDate?: Date;
+  /** In 'monthly' mode the solved contribution is the amount at the start, before steps and indexation. */
+  schedule?: ContributionSchedule | null;
+  /** Rate changes and tiers on top of `apr`, which is the base rate at the start. */
+  rates?: RatePlan | null;
+  /** Deducts estimated box 3 tax every January; leave out to ignore tax. */
+  box3?: Box3Options | null;
+}
+
+interface GoalsInput {
+  /** Highest priority first; goals without a target amount are skipped. */
+  goals: SavingsGoal[];
+  monthlyBudget: number;
+  strategy: AllocationStrategy;
+  apr: number;
+  compounding: CompoundingFrequency;
+  inflationRate?: number | null;
+  startDate?: Date;
+}
+
+export interface GoalOutcome {
+  id: string;
+  name: string;
+  targetAmount: number;
+  /** Months until the goal is reached, or null when it is not reached within MAX_MONTHS. */
+  months: number | null;
+  finishDate: Date | null;
+  totalContributions: number;
+  totalInterest: number;
+}
+
+export interface GoalMilestone {
+  monthIndex: number;
+  goalId: string;
+  /** Monthly amount the goal was receiving, which goes to `nextGoalIds` from the following month. */
+  releasedMonthly: number;
+  nextGoalIds: string[];
+}
+
+export interface GoalsResult extends CalculatedSummary {
+  mode: 'goals';
+  goals: GoalOutcome[];
+  milestones: GoalMilestone[];
+}
+
+interface InvestmentInput {
+  goalAmount: number;
+  currentSavings: number;
+  monthlyContribution: number;
+  targetDate: Date | null;
+  /** Expected yearly return in % before fund costs. */
+  expectedReturn: number;
+  /** Yearly volatility (standard deviation of the return) in %. */
+  volatility: number;
+  /** Yearly fund costs in %, deducted from the expected return. */
+  fundCosts: number;
+  inflationRate?: number | null;
+  startDate?: Date;
+  /** The same seed and inputs always give the same outcomes. */
+  seed?: number;
+  simulations?: number;
+}
+
+export interface InvestmentResult extends CalculatedSummary {
+  mode: 'invest';
+  finishDate: Date;
+  /** Share of the simulations (0-1) at or above the goal amount on the target date. */
+  probability: number;
+  simulations: number;
+  seed: number;
 }
 
 const STORAGE_KEY = 'bt-savings-calculator';
+const STATE_SCHEMA_VERSION = 1;
 const MAX_MONTHS = 600; // 50 years
 const PREVIEW_ROW_COUNT = 6;
+const INVESTMENT_SIMULATIONS = 1_000;
+const INVESTMENT_SEED = 2_024;
 
 const DEFAULT_STATE: CalculatorState = {
   mode: 'time',
@@ -95,8 +261,95 @@ const DEFAULT_STATE: CalculatorState = {
   currency: 'EUR',
   locale: 'nl-NL',
   rememberInputs: false,
+  goals: [
+    { id: 'goal-1', name: 'Emergency fund', targetAmount: null, currentSavings: 0 },
+    { id: 'goal-2', name: 'Holiday', targetAmount: null, currentSavings: 0 },
+    { id: 'goal-3', name: 'Car', targetAmount: null, currentSavings: 0 },
+  ],
+  allocation: 'sequential',
+  schedule: { steps: [], indexation: 0, skipMonths: [], oneOffs: [] },
+  rates: { changes: [], tiers: [] },
+  box3: false,
+  fiscalPartner: false,
+  expectedReturn: 6,
+  volatility: 15,
+  fundCosts: 0.2,
+};
+
+const ALLOCATION_STRATEGIES: AllocationStrategy[] = ['sequential', 'proportional'];
+
+// Form fields that only apply to some modes.
+const FIELD_MODES: Record<string, CalculatorMode[]> = {
+  goalAmount: ['time', 'monthly', 'invest'],
+  currentSavings: ['time', 'monthly', 'invest'],
+  monthlyContribution: ['time', 'goals', 'invest'],
+  targetDate: ['monthly', 'invest'],
+  apr: ['time', 'monthly', 'goals'],
+  compounding: ['time', 'monthly', 'goals'],
+  investment: ['invest'],
+  goals: ['goals'],
+  allocation: ['goals'],
+  schedule: ['time', 'monthly'],
+  rates: ['time', 'monthly'],
+  box3: ['time', 'monthly'],
+};
+
+// Box 3 parameters by tax year. Later years reuse the most recent entry; the 2025 and 2026 deemed returns
+// are the provisional figures published before the year started.
+const BOX3_PARAMETERS: Record<number, Box3Parameters> = {
+  2023: { exemption: 57_000, deemedReturn: 0.92, rate: 32 },
+  2024: { exemption: 57_000, deemedReturn: 1.44, rate: 36 },
+  2025: { exemption: 57_684, deemedReturn: 1.44, rate: 36 },
+  2026: { exemption: 59_357, deemedReturn: 1.28, rate: 36 },
+};
+
+type EntryList = 'steps' | 'oneOffs' | 'changes' | 'tiers';
+
+interface EntryListConfig {
+  idPrefix: string;
+  blank: Record<string, string | number>;
+  /** Field key, caption and input type for each column of an entry. */
+  fields: Array<[string, string, 'month' | 'number']>;
+  removeLabel: string;
+}
+
+// Editable lists of dated or tiered amounts in the contribution schedule and the rate plan.
+const ENTRY_LISTS: Record<EntryList, EntryListConfig> = {
+  steps: {
+    idPrefix: 'step',
+    blank: { month: '', amount: 0 },
+    fields: [['month', 'From', 'month'], ['amount', 'Change per month', 'number']],
+    removeLabel: 'Remove this change',
+  },
+  oneOffs: {
+    idPrefix: 'oneoff',
+    blank: { month: '', amount: 0 },
+    fields: [['month', 'Month', 'month'], ['amount', 'Amount', 'number']],
+    removeLabel: 'Remove this deposit or withdrawal',
+  },
+  changes: {
+    idPrefix: 'rate',
+    blank: { month: '', apr: 0 },
+    fields: [['month', 'From', 'month'], ['apr', 'Annual rate (%)', 'number']],
+    removeLabel: 'Remove this rate change',
+  },
+  tiers: {
+    idPrefix: 'tier',
+    blank: { threshold: 0, apr: 0 },
+    fields: [['threshold', 'Above a balance of', 'number'], ['apr', 'Annual rate (%)', 'number']],
+    removeLabel: 'Remove this tier',
+  },
 };
 
+const isEntryList = (value: unknown): value is EntryList => typeof value === 'string' && value in ENTRY_LISTS;
+
+let idCounter = 0;
+
+function createId(prefix: string): string {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+}
+
 const LOCALES = [
   'nl-NL',
   'en-US',
@@ -112,6 +365,136 @@ function clampNumber(value: number, min: number, max: number): number {
   return Math.min(Math.max(value, min), max);
 }
 
+interface StoredRecord<T> {
+  status: 'empty' | 'ok' | 'migrated' | 'quarantined';
+  data: T | null;
+}
+
+interface PersistentStore<T> {
+  load(): StoredRecord<T>;
+  save(data: T): boolean;
+  remove(): void;
+}
+
+interface StorageModule {
+  createStore<T>(options: {
+    key: string;
+    version: number;
+    migrations: Array<(stored: any) => any>;
+    validate: (stored: unknown) => T;
+  }): PersistentStore<T>;
+}
+
+// migrations[i] upgrades stored state from schema i to i + 1.
+const STATE_MIGRATIONS: Array<(stored: any) => any> = [
+  // 0 -> 1: same shape, version 1 only introduced the schema envelope
+  (stored) => stored,
+];
+
+const isFiniteNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+const isOptionalNumber = (value: unknown): value is number | null => value === null || isFiniteNumber(value);
+
+/**
+ * Keeps only the stored fields that still have a valid type, so an outdated or hand-edited value falls back
+ * to its default instead of breaking the form. Throws when the stored value is not a state object at all.
+ */
+export function sanitiseStoredState(stored: unknown): Partial<CalculatorState> {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('Stored calculator state is not an object');
+  }
+  const source = stored as Record<string, unknown>;
+  const clean: Partial<CalculatorState> = {};
+  if (source.mode === 'time' || source.mode === 'monthly' || source.mode === 'goals' || source.mode === 'invest') {
+    clean.mode = source.mode;
+  }
+  if (isOptionalNumber(source.goalAmount)) clean.goalAmount = source.goalAmount;
+  if (isFiniteNumber(source.currentSavings)) clean.currentSavings = source.currentSavings;
+  if (isOptionalNumber(source.monthlyContribution)) clean.monthlyContribution = source.monthlyContribution;
+  if (typeof source.targetDate === 'string') clean.targetDate = source.targetDate;
+  if (isFiniteNumber(source.apr)) clean.apr = source.apr;
+  if (source.compounding === 'monthly' || source.compounding === 'quarterly' || source.compounding === 'yearly') {
+    clean.compounding = source.compounding;
+  }
+  if (isOptionalNumber(source.inflationRate)) clean.inflationRate = source.inflationRate;
+  if (CURRENCIES.includes(source.currency as SupportedCurrency)) clean.currency = source.currency as SupportedCurrency;
+  if (typeof source.locale === 'string' && LOCALES.includes(source.locale)) clean.locale = source.locale;
+  if (typeof source.rememberInputs === 'boolean') clean.rememberInputs = source.rememberInputs;
+  if (typeof source.box3 === 'boolean') clean.box3 = source.box3;
+  if (typeof source.fiscalPartner === 'boolean') clean.fiscalPartner = source.fiscalPartner;
+  if (isFiniteNumber(source.expectedReturn)) clean.expectedReturn = source.expectedReturn;
+  if (isFiniteNumber(source.volatility)) clean.volatility = source.volatility;
+  if (isFiniteNumber(source.fundCosts)) clean.fundCosts = source.fundCosts;
+  if (Array.isArray(source.goals)) {
+    clean.goals = records(source.goals)
+      .map((goal) => ({
+        id: storedId(goal, 'goal'),
+        name: typeof goal.name === 'string' ? goal.name : '',
+        targetAmount: isFiniteNumber(goal.targetAmount) ? goal.targetAmount : null,
+        currentSavings: isFiniteNumber(goal.currentSavings) ? goal.currentSavings : 0,
+      }));
+  }
+  if (ALLOCATION_STRATEGIES.includes(source.allocation as AllocationStrategy)) {
+    clean.allocation = source.allocation as AllocationStrategy;
+  }
+  if (isRecord(source.schedule)) {
+    clean.schedule = sanitiseSchedule(source.schedule);
+  }
+  if (isRecord(source.rates)) {
+    clean.rates = sanitiseRates(source.rates);
+  }
+  return clean;
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const records = (value: unknown): Array<Record<string, unknown>> => (Array.isArray(value) ? value.filter(isRecord) : []);
+
+const storedId = (entry: Record<string, unknown>, prefix: string): string => (typeof entry.id === 'string' && entry.id ? entry.id : createId(prefix));
+
+function sanitiseSchedule(source: Record<string, unknown>): ContributionSchedule {
+  const entries = (value: unknown, prefix: string): ScheduleEntry[] => records(value)
+    .map((entry) => ({
+      id: storedId(entry, prefix),
+      month: typeof entry.month === 'string' ? entry.month : '',
+      amount: isFiniteNumber(entry.amount) ? entry.amount : 0,
+    }));
+  const skipMonths = Array.isArray(source.skipMonths) ? source.skipMonths : [];
+  return {
+    steps: entries(source.steps, 'step'),
+    indexation: isFiniteNumber(source.indexation) ? source.indexation : 0,
+    skipMonths: skipMonths.filter((month): month is number => Number.isInteger(month) && month >= 1 && month <= 12),
+    oneOffs: entries(source.oneOffs, 'oneoff'),
+  };
+}
+
+function sanitiseRates(source: Record<string, unknown>): RatePlan {
+  const apr = (entry: Record<string, unknown>) => (isFiniteNumber(entry.apr) ? entry.apr : 0);
+  return {
+    changes: records(source.changes).map((entry) => ({
+      id: storedId(entry, 'rate'),
+      month: typeof entry.month === 'string' ? entry.month : '',
+      apr: apr(entry),
+    })),
+    tiers: records(source.tiers).map((entry) => ({
+      id: storedId(entry, 'tier'),
+      threshold: isFiniteNumber(entry.threshold) ? entry.threshold : 0,
+      apr: apr(entry),
+    })),
+  };
+}
+
+// Persistence goes through the shared /assets/js/storage.js module; without it inputs are simply not remembered.
+function createStateStore(): PersistentStore<Partial<CalculatorState>> | null {
+  const storage = typeof window !== 'undefined' ? window.NLrekentools?.storage : undefined;
+  if (!storage) return null;
+  return storage.createStore({
+    key: STORAGE_KEY,
+    version: STATE_SCHEMA_VERSION,
+    migrations: STATE_MIGRATIONS,
+    validate: sanitiseStoredState,
+  });
+}
+
 function safeParseNumber(value: string): number | null {
   if (value === '') {
     return null;
@@ -134,6 +517,10 @@ function addMonths(date: Date, count: number): Date {
   return copy;
 }
 
+function monthKey(date: Date): string {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
 function monthsBetween(start: Date, end: Date): number {
   const startMonth = new Date(start.getFullYear(), start.getMonth(), 1);
   const endMonth = new Date(end.getFullYear(), end.getMonth(), 1);
@@ -161,6 +548,53 @@ export function computeMonthlyInflation(ratePercent: number | null): number | nu
   return Math.pow(1 + decimal, 1 / 12) - 1;
 }
 
+/**
+ * Interest for one month from the base rate in effect on `date` and the balance tiers. Every part of the
+ * balance earns the rate of its own tier, like a marginal tax bracket.
+ */
+export function createInterestModel(apr: number, compounding: CompoundingFrequency, plan?: RatePlan | null): InterestModel {
+  const changes = (plan?.changes ?? [])
+    .filter((change) => change.month)
+    .sort((a, b) => a.month.localeCompare(b.month));
+  const tiers = (plan?.tiers ?? [])
+    .filter((tier) => tier.threshold > 0)
+    .sort((a, b) => a.threshold - b.threshold);
+  const isFlat = changes.length === 0 && tiers.length === 0;
+  return {
+    flatMonthlyRate: isFlat ? computeMonthlyRate(apr, compounding) : null,
+    forMonth(balance, date) {
+      const key = monthKey(date);
+      const baseApr = changes.filter((change) => change.month <= key).reduce((_, change) => change.apr, apr);
+      const bands = [{ from: 0, apr: baseApr }, ...tiers.map((tier) => ({ from: tier.threshold, apr: tier.apr }))];
+      let interest = 0;
+      let weightedApr = 0;
+      bands.forEach((band, index) => {
+        const upTo = index + 1 < bands.length ? bands[index + 1].from : Infinity;
+        const portion = Math.max(0, Math.min(balance, upTo) - band.from);
+        interest += portion * computeMonthlyRate(band.apr, compounding);
+        weightedApr += portion * band.apr;
+      });
+      return { interest, rate: balance > 0 ? weightedApr / balance : baseApr };
+    },
+  };
+}
+
+function box3ParametersFor(year: number): Box3Parameters {
+  const years = Object.keys(BOX3_PARAMETERS).map(Number).sort((a, b) => a - b);
+  const known = years.filter((entry) => entry <= year);
+  return BOX3_PARAMETERS[known.length ? known[known.length - 1] : years[0]];
+}
+
+/**
+ * Box 3 tax for one year on savings only: the deemed return on everything above the tax-free allowance,
+ * taxed at that year's rate. `balance` is the balance on 1 January of `year`.
+ */
+export function estimateBox3Tax(balance: number, year: number, options: Box3Options): number {
+  const { exemption, deemedReturn, rate } = box3ParametersFor(year);
+  const allowance = exemption * (options.fiscalPartner ? 2 : 1);
+  return Math.max(0, balance - allowance) * (deemedReturn / 100) * (rate / 100);
+}
+
 function escapePdfText(value: string): string {
   return value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
 }
@@ -204,22 +638,38 @@ function buildPdf(summaryLines: string[]): Blob {
   return new Blob([body], { type: 'application/pdf' });
 }
 
-function buildCsv(summaryLines: string[], projection: ProjectionRow[], locale: string): Blob {
+function buildCsv(summaryLines: string[], projection: ProjectionRow[], locale: string, includeTax = false): Blob {
   const dateFormatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short' });
   const rows: string[][] = [];
   summaryLines.forEach((line) => {
     rows.push([line]);
   });
   rows.push([]);
-  rows.push(['Month', 'Date', 'Starting Balance', 'Contribution', 'Interest', 'Ending Balance']);
+  const includeBands = projection.some((row) => row.p10 !== undefined);
+  rows.push([
+    'Month',
+    'Date',
+    'Starting Balance',
+    'Contribution',
+    'Rate (%)',
+    'Interest',
+    ...(includeTax ? ['Box 3 Tax'] : []),
+    ...(includeBands ? ['10th Percentile'] : []),
+    'Ending Balance',
+    ...(includeBands ? ['90th Percentile'] : []),
+  ]);
   projection.forEach((row) => {
     rows.push([
       (row.monthIndex + 1).toString(),
       dateFormatter.format(row.date),
       row.startingBalance.toFixed(2),
       row.contribution.toFixed(2),
+      row.rate.toFixed(2),
       row.interestEarned.toFixed(2),
+      ...(includeTax ? [row.tax.toFixed(2)] : []),
+      ...(includeBands ? [(row.p10 ?? row.endingBalance).toFixed(2)] : []),
       row.endingBalance.toFixed(2),
+      ...(includeBands ? [(row.p90 ?? row.endingBalance).toFixed(2)] : []),
     ]);
   });
   const csvContent = '\ufeff' + rows.map((cols) => cols.map((c) => `"${c.replace(/"/g, '""')}"`).join(',')).join('\n');
@@ -230,6 +680,10 @@ function formatCurrency(value: number, locale: string, currency: SupportedCurren
   return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
 }
 
+function formatPercent(share: number, locale: string): string {
+  return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(share);
+}
+
 function describeDuration(months: number, locale: string): string {
   const years = Math.floor(months / 12);
   const remainingMonths = months % 12;
@@ -255,19 +709,29 @@ function summariseProjection(
   finishDate?: Date,
   requiredMonthlyContribution?: number,
   mode: CalculatorMode = 'time',
-  inflation?: InflationBreakdown
+  inflation?: InflationBreakdown,
+  totalTax?: number
 ): string[] {
   const summaryLines: string[] = [];
-  summaryLines.push(`Mode: ${mode === 'time' ? 'Time to reach goal' : 'Monthly savings needed'}`);
+  const modeLabels: Record<CalculatorMode, string> = {
+    time: 'Time to reach goal',
+    monthly: 'Monthly savings needed',
+    goals: 'Multiple goals',
+    invest: 'Investing (Monte Carlo simulation)',
+  };
+  summaryLines.push(`Mode: ${modeLabels[mode]}`);
   if (finishDate) {
     const dateFormatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric' });
-    summaryLines.push(`Projected finish date: ${dateFormatter.format(finishDate)}`);
+    summaryLines.push(`${mode === 'invest' ? 'Target date' : 'Projected finish date'}: ${dateFormatter.format(finishDate)}`);
   }
   if (requiredMonthlyContribution !== undefined) {
     summaryLines.push(`Required monthly savings: ${formatCurrency(requiredMonthlyContribution, locale, currency)}`);
   }
   summaryLines.push(`Total contributions: ${formatCurrency(totalContributions, locale, currency)}`);
-  summaryLines.push(`Total interest: ${formatCurrency(totalInterest, locale, currency)}`);
+  summaryLines.push(`${mode === 'invest' ? 'Median return' : 'Total interest'}: ${formatCurrency(totalInterest, locale, currency)}`);
+  if (totalTax !== undefined) {
+    summaryLines.push(`Estimated box 3 tax: ${formatCurrency(totalTax, locale, currency)}`);
+  }
   if (inflation) {
     summaryLines.push(`Real (today's money) finish: ${formatCurrency(inflation.realEndingBalance, locale, currency)}`);
     summaryLines.push(`Real contributions: ${formatCurrency(inflation.realContributions, locale, currency)}`);
@@ -303,24 +767,56 @@ function resolveInflation(
   };
 }
 
-function accumulate(projection: ProjectionRow[]): { totalContributions: number; totalInterest: number } {
+function accumulate(projection: ProjectionRow[]): { totalContributions: number; totalInterest: number; totalTax: number } {
   let totalContributions = 0;
   let totalInterest = 0;
+  let totalTax = 0;
   projection.forEach((row) => {
     totalContributions += row.contribution;
     totalInterest += row.interestEarned;
+    totalTax += row.tax;
   });
   return {
     totalContributions,
     totalInterest,
+    totalTax,
   };
 }
 
+function hasSchedule(schedule?: ContributionSchedule | null): schedule is ContributionSchedule {
+  return Boolean(schedule && (schedule.steps.length || schedule.indexation || schedule.skipMonths.length || schedule.oneOffs.length));
+}
+
+/**
+ * Contribution for one projection month: the monthly amount after steps, indexation and skipped months,
+ * plus any one-off deposits or withdrawals in that month. `date` is the date of the projection row.
+ */
+export function scheduledContribution(
+  monthlyContribution: number,
+  schedule: ContributionSchedule | null | undefined,
+  monthIndex: number,
+  date: Date
+): number {
+  if (!schedule) {
+    return monthlyContribution;
+  }
+  const key = monthKey(date);
+  const stepped = schedule.steps
+    .filter((step) => step.month && step.month <= key)
+    .reduce((sum, step) => sum + step.amount, monthlyContribution);
+  const regular = schedule.skipMonths.includes(date.getMonth() + 1)
+    ? 0
+    : Math.max(0, stepped) * Math.pow(1 + schedule.indexation / 100, Math.floor(monthIndex / 12));
+  return schedule.oneOffs
+    .filter((entry) => entry.month === key)
+    .reduce((sum, entry) => sum + entry.amount, regular);
+}
+
 function generateProjection(
   months: number,
   startingBalance: number,
   monthlyContribution: number,
-  monthlyRate: number,
+  plan: ProjectionPlan,
   goal: number,
   startDate: Date,
   allowOverGoal = false
@@ -329,21 +825,28 @@ function generateProjection(
   let balance = startingBalance;
   for (let month = 0; month < months; month++) {
     const date = addMonths(startDate, month + 1);
-    const interest = balance * monthlyRate;
-    let contribution = monthlyContribution;
+    const { interest, rate } = plan.interest.forMonth(balance, date);
+    // The balance going into the January row stands in for the 1 January balance.
+    const tax = plan.box3 && date.getMonth() === 0
+      ? Math.min(estimateBox3Tax(balance, date.getFullYear(), plan.box3), balance + interest)
+      : 0;
+    // A withdrawal can empty the balance but not take it below zero.
+    let contribution = Math.max(scheduledContribution(monthlyContribution, plan.schedule, month, date), tax - (balance + interest));
     if (!allowOverGoal && goal > 0) {
-      const projected = balance + interest + contribution;
+      const projected = balance + interest + contribution - tax;
       if (projected > goal) {
-        contribution = Math.max(0, goal - (balance + interest));
+        contribution = Math.max(0, goal - (balance + interest - tax));
       }
     }
-    const endingBalance = balance + interest + contribution;
+    const endingBalance = balance + interest + contribution - tax;
     rows.push({
       monthIndex: month,
       date,
       startingBalance: balance,
       contribution,
+      rate,
       interestEarned: interest,
+      tax,
       endingBalance,
     });
     balance = endingBalance;
@@ -354,10 +857,23 @@ function generateProjection(
   return rows;
 }
 
-function solveMonths(goal: number, current: number, monthlyContribution: number, monthlyRate: number): number | null {
+function solveMonths(
+  goal: number,
+  current: number,
+  monthlyContribution: number,
+  plan: ProjectionPlan,
+  startDate = new Date()
+): number | null {
   if (goal <= current) {
     return 0;
   }
+  // No closed form once contributions, rates or tax vary: run the projection until the goal is reached.
+  if (hasSchedule(plan.schedule) || plan.box3 || plan.interest.flatMonthlyRate === null) {
+    const rows = generateProjection(MAX_MONTHS, current, monthlyContribution, plan, goal, startDate);
+    const last = rows[rows.length - 1];
+    return last && last.endingBalance >= goal - 0.005 ? rows.length : null;
+  }
+  const monthlyRate = plan.interest.flatMonthlyRate;
   if (monthlyRate === 0) {
     if (monthlyContribution <= 0) {
       return null;
@@ -390,13 +906,23 @@ function solveMonths(goal: number, current: number, monthlyContribution: number,
   return Math.ceil(months);
 }
 
-function solveContribution(goal: number, current: number, months: number, monthlyRate: number): number | null {
+function solveContribution(
+  goal: number,
+  current: number,
+  months: number,
+  plan: ProjectionPlan,
+  startDate = new Date()
+): number | null {
   if (months <= 0) {
     return null;
   }
   if (goal <= current) {
     return 0;
   }
+  if (hasSchedule(plan.schedule) || plan.box3 || plan.interest.flatMonthlyRate === null) {
+    return solveContributionNumerically(goal, current, months, plan, startDate);
+  }
+  const monthlyRate = plan.interest.flatMonthlyRate;
   if (monthlyRate === 0) {
     return Math.max(0, (goal - current) / months);
   }
@@ -413,6 +939,44 @@ function solveContribution(goal: number, current: number, months: number, monthl
   return result;
 }
 
+/**
+ * Bisection on the starting contribution. The final balance only grows with a higher contribution, so this
+ * finds the smallest amount (to within a tenth of a cent) that still reaches the goal.
+ */
+function solveContributionNumerically(
+  goal: number,
+  current: number,
+  months: number,
+  plan: ProjectionPlan,
+  startDate: Date
+): number | null {
+  const finalBalance = (contribution: number) => {
+    const rows = generateProjection(months, current, contribution, plan, goal, startDate, true);
+    return rows[rows.length - 1]?.endingBalance ?? current;
+  };
+  if (finalBalance(0) >= goal) {
+    return 0;
+  }
+  let low = 0;
+  let high = Math.max(1, (goal - current) / months);
+  while (finalBalance(high) < goal) {
+    high *= 2;
+    // No contribution is ever paid in, for example when every month is skipped.
+    if (high > Number.MAX_SAFE_INTEGER) {
+      return null;
+    }
+  }
+  while (high - low > 0.001) {
+    const middle = (low + high) / 2;
+    if (finalBalance(middle) >= goal) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+}
+
 function parseTargetDate(value: string): Date | null {
   if (!value) return null;
   const [yearStr, monthStr] = value.split('-');
@@ -428,7 +992,11 @@ export function calculateSavingsScenario(input: ScenarioInput): ModeAResult | Mo
   const today = input.startDate ?? new Date();
   const goal = input.goalAmount;
   const current = input.currentSavings;
-  const monthlyRate = computeMonthlyRate(input.apr, input.compounding);
+  const plan: ProjectionPlan = {
+    interest: createInterestModel(input.apr, input.compounding, input.rates),
+    schedule: input.schedule,
+    box3: input.box3,
+  };
   const inflationMonthlyRate = computeMonthlyInflation(input.inflationRate ?? null);
 
   if (goal <= current) {
@@ -457,14 +1025,14 @@ export function calculateSavingsScenario(input: ScenarioInput): ModeAResult | Mo
 
   if (input.mode === 'time') {
     const monthlyContribution = input.monthlyContribution ?? 0;
-    if (monthlyRate === 0 && monthlyContribution <= 0) {
+    if (plan.interest.flatMonthlyRate === 0 && monthlyContribution <= 0 && !hasSchedule(input.schedule)) {
       return null;
     }
-    const monthsNeeded = solveMonths(goal, current, monthlyContribution, monthlyRate);
+    const monthsNeeded = solveMonths(goal, current, monthlyContribution, plan, today);
     if (monthsNeeded === null || monthsNeeded > MAX_MONTHS) {
       return null;
     }
-    const projection = generateProjection(monthsNeeded, current, monthlyContribution, monthlyRate, goal, today);
+    const projection = generateProjection(monthsNeeded, current, monthlyContribution, plan, goal, today);
     const finishDate = addMonths(today, monthsNeeded);
     const totals = accumulate(projection);
     const inflation = resolveInflation(goal, projection[projection.length - 1]?.endingBalance ?? current, inflationMonthlyRate, monthsNeeded, totals.totalContributions, totals.totalInterest);
@@ -474,6 +1042,7 @@ export function calculateSavingsScenario(input: ScenarioInput): ModeAResult | Mo
       finishDate,
       totalContributions: totals.totalContributions,
       totalInterest: totals.totalInterest,
+      totalTax: input.box3 ? totals.totalTax : undefined,
       projection,
       inflation,
     };
@@ -487,11 +1056,11 @@ export function calculateSavingsScenario(input: ScenarioInput): ModeAResult | Mo
   if (monthsUntilTarget <= 0 || monthsUntilTarget > MAX_MONTHS) {
     return null;
   }
-  const monthlyContribution = solveContribution(goal, current, monthsUntilTarget, monthlyRate);
+  const monthlyContribution = solveContribution(goal, current, monthsUntilTarget, plan, today);
   if (monthlyContribution === null) {
     return null;
   }
-  const projection = generateProjection(monthsUntilTarget, current, monthlyContribution, monthlyRate, goal, today, true);
+  const projection = generateProjection(monthsUntilTarget, current, monthlyContribution, plan, goal, today, true);
   const totals = accumulate(projection);
   const inflation = resolveInflation(goal, projection[projection.length - 1]?.endingBalance ?? current, inflationMonthlyRate, monthsUntilTarget, totals.totalContributions, totals.totalInterest);
   return {
@@ -500,12 +1069,237 @@ export function calculateSavingsScenario(input: ScenarioInput): ModeAResult | Mo
     requiredMonthlyContribution: monthlyContribution,
     totalContributions: totals.totalContributions,
     totalInterest: totals.totalInterest,
+    totalTax: input.box3 ? totals.totalTax : undefined,
     projection,
     finishDate: targetDate,
     inflation,
   };
 }
 
+/**
+ * Splits one month's budget over what each goal still needs. 'sequential' fills the goals in priority order;
+ * 'proportional' gives every goal a share in proportion to what it still needs, so they finish close together.
+ */
+function splitBudget(budget: number, needs: number[], strategy: AllocationStrategy): number[] {
+  if (strategy === 'sequential') {
+    let remaining = budget;
+    return needs.map((need) => {
+      const share = Math.min(need, remaining);
+      remaining -= share;
+      return share;
+    });
+  }
+  const totalNeed = needs.reduce((sum, need) => sum + need, 0);
+  if (totalNeed <= budget) {
+    return needs.slice();
+  }
+  return needs.map((need) => (budget * need) / totalNeed);
+}
+
+/**
+ * Projects several goals that share one monthly budget. Every goal keeps its own balance and earns interest
+ * until it is reached; a reached goal is set aside and its share of the budget moves on to the open goals.
+ * The combined projection sums all goals per month.
+ */
+export function allocateSavingsGoals(input: GoalsInput): GoalsResult | null {
+  const today = input.startDate ?? new Date();
+  const monthlyRate = computeMonthlyRate(input.apr, input.compounding);
+  const inflationMonthlyRate = computeMonthlyInflation(input.inflationRate ?? null);
+  const goals = input.goals.filter((goal) => (goal.targetAmount ?? 0) > 0);
+  if (goals.length === 0) {
+    return null;
+  }
+
+  const targets = goals.map((goal) => goal.targetAmount as number);
+  const balances = goals.map((goal) => Math.max(0, goal.currentSavings));
+  const outcomes: GoalOutcome[] = goals.map((goal, index) => {
+    const reached = balances[index] >= targets[index];
+    return {
+      id: goal.id,
+      name: goal.name,
+      targetAmount: targets[index],
+      months: reached ? 0 : null,
+      finishDate: reached ? today : null,
+      totalContributions: 0,
+      totalInterest: 0,
+    };
+  });
+  const isOpen = (index: number) => outcomes[index].months === null;
+  const projection: ProjectionRow[] = [];
+  const milestones: GoalMilestone[] = [];
+  let previousShares = goals.map(() => 0);
+
+  for (let month = 0; month < MAX_MONTHS && outcomes.some((_, index) => isOpen(index)); month++) {
+    const startingBalance = balances.reduce((sum, balance) => sum + balance, 0);
+    const interest = balances.map((balance, index) => (isOpen(index) ? balance * monthlyRate : 0));
+    const needs = balances.map((balance, index) => (isOpen(index) ? Math.max(0, targets[index] - balance - interest[index]) : 0));
+    const shares = splitBudget(Math.max(0, input.monthlyBudget), needs, input.strategy);
+
+    let contribution = 0;
+    let interestEarned = 0;
+    goals.forEach((_, index) => {
+      if (!isOpen(index)) return;
+      balances[index] += interest[index] + shares[index];
+      outcomes[index].totalInterest += interest[index];
+      outcomes[index].totalContributions += shares[index];
+      contribution += shares[index];
+      interestEarned += interest[index];
+    });
+    projection.push({
+      monthIndex: month,
+      date: addMonths(today, month + 1),
+      startingBalance,
+      contribution,
+      rate: input.apr,
+      interestEarned,
+      tax: 0,
+      endingBalance: startingBalance + contribution + interestEarned,
+    });
+
+    const finished = goals
+      .map((_, index) => index)
+      .filter((index) => isOpen(index) && balances[index] >= targets[index] - 0.005);
+    finished.forEach((index) => {
+      outcomes[index].months = month + 1;
+      outcomes[index].finishDate = addMonths(today, month + 1);
+    });
+    const open = goals.map((_, index) => index).filter(isOpen);
+    finished.forEach((index) => {
+      milestones.push({
+        monthIndex: month,
+        goalId: goals[index].id,
+        // The final month is usually a top-up, so report the regular share from the month before.
+        releasedMonthly: Math.max(previousShares[index], shares[index]),
+        nextGoalIds: (input.strategy === 'sequential' ? open.slice(0, 1) : open).map((openIndex) => goals[openIndex].id),
+      });
+    });
+    previousShares = shares;
+
+    if (contribution === 0 && interestEarned === 0) {
+      break;
+    }
+  }
+
+  const allReached = outcomes.every((outcome) => outcome.months !== null);
+  const months = allReached ? Math.max(...outcomes.map((outcome) => outcome.months as number)) : projection.length;
+  const totals = accumulate(projection);
+  const endingBalance = projection[projection.length - 1]?.endingBalance ?? balances.reduce((sum, balance) => sum + balance, 0);
+  const totalTarget = targets.reduce((sum, target) => sum + target, 0);
+  return {
+    mode: 'goals',
+    months,
+    finishDate: allReached ? addMonths(today, months) : undefined,
+    totalContributions: totals.totalContributions,
+    totalInterest: totals.totalInterest,
+    projection,
+    inflation: resolveInflation(totalTarget, endingBalance, inflationMonthlyRate, months, totals.totalContributions, totals.totalInterest),
+    goals: outcomes,
+    milestones,
+  };
+}
+
+/**
+ * Mulberry32: a small seeded generator of numbers in [0, 1). The same seed always gives the same sequence,
+ * which keeps simulations reproducible.
+ */
+export function createSeededRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
+
+// Standard normal draw (Box-Muller); 1 - random() keeps the logarithm away from zero.
+function normalDraw(random: () => number): number {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function percentile(sorted: Float64Array, share: number): number {
+  return sorted[Math.round(share * (sorted.length - 1))];
+}
+
+/**
+ * Monte Carlo projection for invested savings up to the target date. Each month draws a lognormal return whose
+ * average matches the expected return after fund costs, with the yearly volatility spread over twelve months.
+ * The projection follows the median per month, with the 10th and 90th percentiles alongside.
+ */
+export function simulateInvestment(input: InvestmentInput): InvestmentResult | null {
+  const today = input.startDate ?? new Date();
+  if (!input.targetDate) {
+    return null;
+  }
+  const months = monthsBetween(today, input.targetDate);
+  if (months <= 0 || months > MAX_MONTHS) {
+    return null;
+  }
+  const simulations = Math.max(1, Math.round(input.simulations ?? INVESTMENT_SIMULATIONS));
+  const seed = input.seed ?? INVESTMENT_SEED;
+  const random = createSeededRandom(seed);
+  const netReturn = Math.max(-0.99, (input.expectedReturn - input.fundCosts) / 100);
+  const sigma = Math.max(0, input.volatility) / 100 / Math.sqrt(12);
+  const drift = Math.log(1 + netReturn) / 12 - (sigma * sigma) / 2;
+  const current = Math.max(0, input.currentSavings);
+  const contribution = Math.max(0, input.monthlyContribution);
+
+  // balances[month][run]; runs are drawn one after the other so the seed fixes every path.
+  const balances = Array.from({ length: months }, () => new Float64Array(simulations));
+  for (let run = 0; run < simulations; run++) {
+    let balance = current;
+    for (let month = 0; month < months; month++) {
+      balance = balance * Math.exp(drift + sigma * normalDraw(random)) + contribution;
+      balances[month][run] = balance;
+    }
+  }
+
+  const projection: ProjectionRow[] = [];
+  let startingBalance = current;
+  balances.forEach((runs, month) => {
+    const sorted = runs.slice().sort();
+    const median = percentile(sorted, 0.5);
+    projection.push({
+      monthIndex: month,
+      date: addMonths(today, month + 1),
+      startingBalance,
+      contribution,
+      rate: netReturn * 100,
+      interestEarned: median - startingBalance - contribution,
+      tax: 0,
+      endingBalance: median,
+      p10: percentile(sorted, 0.1),
+      p90: percentile(sorted, 0.9),
+    });
+    startingBalance = median;
+  });
+
+  const reached = balances[months - 1].filter((balance) => balance >= input.goalAmount).length;
+  const totals = accumulate(projection);
+  const inflationMonthlyRate = computeMonthlyInflation(input.inflationRate ?? null);
+  return {
+    mode: 'invest',
+    months,
+    finishDate: input.targetDate,
+    totalContributions: totals.totalContributions,
+    totalInterest: totals.totalInterest,
+    projection,
+    inflation: resolveInflation(input.goalAmount, startingBalance, inflationMonthlyRate, months, totals.totalContributions, totals.totalInterest),
+    probability: reached / simulations,
+    simulations,
+    seed,
+  };
+}
+
+function isGoalsResult(summary: CalculatedSummary | null): summary is GoalsResult {
+  return summary?.mode === 'goals';
+}
+
+function isInvestmentResult(summary: CalculatedSummary | null): summary is InvestmentResult {
+  return summary?.mode === 'invest';
+}
+
 class SavingsCalculatorUI {
   private container: HTMLElement;
   private props: SavingsCalculatorProps;
@@ -524,6 +1318,9 @@ class SavingsCalculatorUI {
   private resultsMount: HTMLElement | null = null;
   private mobileSummaryRegion!: HTMLElement;
   private mobileSummaryCard!: HTMLElement;
+  private goalList!: HTMLElement;
+  private store = createStateStore();
+  private storedStatus: StoredRecord<unknown>['status'] = 'empty';
 
   constructor(container: HTMLElement, props: SavingsCalculatorProps) {
     this.container = container;
@@ -532,6 +1329,9 @@ class SavingsCalculatorUI {
     this.buildUI();
     this.populateFields();
     this.calculate();
+    if (this.storedStatus === 'quarantined') {
+      this.showMessage('Your saved inputs could not be read and were set aside. The calculator starts with default values.');
+    }
   }
 
   private loadState(props: SavingsCalculatorProps): CalculatorState {
@@ -545,32 +1345,20 @@ class SavingsCalculatorUI {
     if (props.defaultLocale) {
       base.locale = props.defaultLocale;
     }
-    try {
-      const stored = localStorage.getItem(STORAGE_KEY);
-      if (stored) {
-        const parsed = JSON.parse(stored) as Partial<CalculatorState>;
-        Object.assign(base, parsed);
-      }
-    } catch (error) {
-      // Ignore storage errors
+    const stored = this.store?.load();
+    this.storedStatus = stored?.status ?? 'empty';
+    if (stored?.data) {
+      Object.assign(base, stored.data);
     }
     return base;
   }
 
   private persistState(): void {
     if (!this.state.rememberInputs) {
-      try {
-        localStorage.removeItem(STORAGE_KEY);
-      } catch (error) {
-        // ignore
-      }
+      this.store?.remove();
       return;
     }
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
-    } catch (error) {
-      // ignore persistence errors
-    }
+    this.store?.save(this.state);
   }
 
   private buildUI(): void {
@@ -581,11 +1369,13 @@ class SavingsCalculatorUI {
         <div class="bt-savings-header__intro">
           <div>
             <h2>Savings goal calculator</h2>
-            <p class="bt-demo__lede">Switch between finding out how long it may take to reach your goal or the monthly amount needed by a target date.</p>
+            <p class="bt-demo__lede">Switch between finding out how long it may take to reach your goal, the monthly amount needed by a target date, how one monthly budget covers several goals, or the range of outcomes when you invest.</p>
           </div>
           <div class="bt-mode-toggle" role="group" aria-label="Calculation mode">
             <button type="button" data-mode="time" aria-pressed="false">Time to reach goal</button>
             <button type="button" data-mode="monthly" aria-pressed="false">Monthly savings by date</button>
+            <button type="button" data-mode="goals" aria-pressed="false">Multiple goals</button>
+            <button type="button" data-mode="invest" aria-pressed="false">Investing</button>
           </div>
         </div>
       </header>
@@ -597,29 +1387,61 @@ class SavingsCalculatorUI {
             </div>
           </div>
           <form class="bt-grid" novalidate>
-            <div class="bt-field">
+            <div class="bt-field bt-goals" data-field="goals">
+              <span class="bt-goals__label" id="bt-goals-label">Your goals, most important first</span>
+              <ol class="bt-goal-list" aria-labelledby="bt-goals-label"></ol>
+              <button type="button" class="bt-button" data-goal-action="add">Add goal</button>
+            </div>
+            <div class="bt-field" data-field="allocation">
+              <label for="allocation">Split the monthly contribution</label>
+              <select id="allocation" name="allocation" class="bt-input">
+                <option value="sequential">One goal at a time, in order</option>
+                <option value="proportional">Over all goals, by what is still needed</option>
+              </select>
+            </div>
+            <div class="bt-field" data-field="goalAmount">
               <label for="goalAmount">Goal amount</label>
               <input id="goalAmount" name="goalAmount" type="number" inputmode="decimal" min="0" step="0.01" class="bt-input" placeholder="10000" />
             </div>
-            <div class="bt-field">
+            <div class="bt-field" data-field="currentSavings">
               <label for="currentSavings">Current savings</label>
               <input id="currentSavings" name="currentSavings" type="number" inputmode="decimal" min="0" step="0.01" class="bt-input" placeholder="0" />
             </div>
             <div class="bt-field" data-field="monthlyContribution">
               <label for="monthlyContribution">Monthly contribution</label>
               <input id="monthlyContribution" name="monthlyContribution" type="number" inputmode="decimal" min="0" step="0.01" class="bt-input" placeholder="250" />
-              <small>Required for time-to-goal calculations.</small>
+              <small>Required for time-to-goal, multiple-goal and investing calculations.</small>
             </div>
             <div class="bt-field" data-field="targetDate">
               <label for="targetDate">Target date</label>
               <input id="targetDate" name="targetDate" type="month" class="bt-input" />
-              <small>Required for target-date calculations.</small>
+              <small>Required for target-date and investing calculations.</small>
             </div>
-            <div class="bt-field">
+            <div class="bt-field bt-schedule" data-field="schedule">
+              <span class="bt-goals__label">Contribution schedule (optional)</span>
+              <label for="indexation">Yearly increase of the monthly contribution (%)</label>
+              <input id="indexation" name="indexation" type="number" inputmode="decimal" min="0" max="20" step="0.1" class="bt-input" placeholder="0" />
+              <div class="bt-schedule__group" role="group" aria-labelledby="bt-skip-label">
+                <span id="bt-skip-label">Skip these months</span>
+                <div class="bt-schedule__months"></div>
+              </div>
+              <div class="bt-schedule__group">
+                <span id="bt-steps-label">Changes to the monthly contribution</span>
+                <ol class="bt-schedule-list" data-entry-list="steps" aria-labelledby="bt-steps-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="steps">Add change</button>
+              </div>
+              <div class="bt-schedule__group">
+                <span id="bt-oneoffs-label">One-off deposits and withdrawals</span>
+                <ol class="bt-schedule-list" data-entry-list="oneOffs" aria-labelledby="bt-oneoffs-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="oneOffs">Add deposit or withdrawal</button>
+              </div>
+              <small>A change applies from its month onwards, on top of the monthly contribution. Enter withdrawals and lower contributions as negative amounts.</small>
+            </div>
+            <div class="bt-field" data-field="apr">
               <label for="apr">Annual interest rate (APR %)</label>
               <input id="apr" name="apr" type="number" inputmode="decimal" min="0" max="50" step="0.01" class="bt-input" placeholder="3" />
             </div>
-            <div class="bt-field">
+            <div class="bt-field" data-field="compounding">
               <label for="compounding">Compounding frequency</label>
               <select id="compounding" name="compounding" class="bt-input">
                 <option value="monthly">Monthly</option>
@@ -627,10 +1449,46 @@ class SavingsCalculatorUI {
                 <option value="yearly">Yearly</option>
               </select>
             </div>
+            <div class="bt-field bt-schedule" data-field="investment">
+              <span class="bt-goals__label">Investment assumptions</span>
+              <label for="expectedReturn">Expected yearly return (%)</label>
+              <input id="expectedReturn" name="expectedReturn" type="number" inputmode="decimal" min="-50" max="50" step="0.1" class="bt-input" placeholder="6" />
+              <label for="volatility">Volatility per year (%)</label>
+              <input id="volatility" name="volatility" type="number" inputmode="decimal" min="0" max="100" step="0.1" class="bt-input" placeholder="15" />
+              <label for="fundCosts">Fund costs per year (%)</label>
+              <input id="fundCosts" name="fundCosts" type="number" inputmode="decimal" min="0" max="10" step="0.01" class="bt-input" placeholder="0.2" />
+              <small>Simulates 1,000 possible markets with random yearly swings around the expected return, after costs. A broad equity fund has historically swung by about 15% a year; investing is best suited to goals more than five years away.</small>
+            </div>
+            <div class="bt-field bt-schedule" data-field="rates">
+              <span class="bt-goals__label">Rate changes and tiers (optional)</span>
+              <div class="bt-schedule__group">
+                <span id="bt-changes-label">Rate changes, for example when a promotional rate ends</span>
+                <ol class="bt-schedule-list" data-entry-list="changes" aria-labelledby="bt-changes-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="changes">Add rate change</button>
+              </div>
+              <div class="bt-schedule__group">
+                <span id="bt-tiers-label">A different rate above a balance</span>
+                <ol class="bt-schedule-list" data-entry-list="tiers" aria-labelledby="bt-tiers-label"></ol>
+                <button type="button" class="bt-button" data-entry-action="add" data-entry-list="tiers">Add tier</button>
+              </div>
+              <small>The annual interest rate applies to the balance below the first tier until a rate change replaces it. Each tier earns its own rate on the part of the balance above it.</small>
+            </div>
             <div class="bt-field">
               <label for="inflation">Inflation rate (optional %)</label>
               <input id="inflation" name="inflation" type="number" inputmode="decimal" min="0" max="20" step="0.01" class="bt-input" placeholder="2" />
             </div>
+            <div class="bt-field bt-schedule" data-field="box3">
+              <span class="bt-goals__label">Box 3 tax (optional)</span>
+              <div class="bt-remember">
+                <input type="checkbox" id="box3" name="box3" />
+                <label for="box3">Deduct estimated box 3 tax every January</label>
+              </div>
+              <div class="bt-remember">
+                <input type="checkbox" id="fiscalPartner" name="fiscalPartner" />
+                <label for="fiscalPartner">I have a fiscal partner (twice the tax-free allowance)</label>
+              </div>
+              <small>Uses each year's tax-free allowance, deemed return on savings and tax rate on the balance at 1 January; years without published figures use the latest ones. Only the savings in this calculator are counted.</small>
+            </div>
             <div class="bt-field">
               <label for="currency">Currency</label>
               <select id="currency" name="currency" class="bt-input"></select>
@@ -681,8 +1539,12 @@ class SavingsCalculatorUI {
                 <th scope="col">Date</th>
                 <th scope="col">Starting balance</th>
                 <th scope="col">Contribution</th>
-                <th scope="col">Interest</th>
-                <th scope="col">Ending balance</th>
+                <th scope="col">Rate</th>
+                <th scope="col" data-column="interest">Interest</th>
+                <th scope="col" data-column="tax" hidden>Box 3 tax</th>
+                <th scope="col" data-column="p10" hidden>10th percentile</th>
+                <th scope="col" data-column="ending">Ending balance</th>
+                <th scope="col" data-column="p90" hidden>90th percentile</th>
               </tr>
             </thead>
             <tbody id="bt-table-body"></tbody>
@@ -714,6 +1576,7 @@ class SavingsCalculatorUI {
     this.rememberToggle = this.root.querySelector('#rememberInputs') as HTMLInputElement;
     this.mobileSummaryRegion = this.root.querySelector('#bt-mobile-summary') as HTMLElement;
     this.mobileSummaryCard = this.mobileSummaryRegion.querySelector('.bt-mobile-summary__card') as HTMLElement;
+    this.goalList = this.root.querySelector('.bt-goal-list') as HTMLElement;
 
     const modeButtons = Array.from(this.root.querySelectorAll<HTMLButtonElement>('.bt-mode-toggle button'));
     modeButtons.forEach((btn) => {
@@ -745,7 +1608,21 @@ class SavingsCalculatorUI {
       localeSelect?.appendChild(option);
     });
 
+    this.root.querySelector('[data-field="goals"]')?.addEventListener('click', (event) => {
+      const button = (event.target as HTMLElement).closest<HTMLButtonElement>('[data-goal-action]');
+      if (button) {
+        this.handleGoalAction(button.dataset.goalAction ?? '', button.closest<HTMLElement>('[data-goal-id]')?.dataset.goalId);
+      }
+    });
+
     const form = this.root.querySelector('form');
+    form?.addEventListener('click', (event) => {
+      const button = (event.target as HTMLElement).closest<HTMLButtonElement>('[data-entry-action]');
+      const list = button?.closest<HTMLElement>('[data-entry-list]')?.dataset.entryList;
+      if (button && isEntryList(list)) {
+        this.handleEntryAction(list, button.dataset.entryAction ?? '', button.closest<HTMLElement>('[data-entry-id]')?.dataset.entryId);
+      }
+    });
     form?.addEventListener('input', (event) => this.handleInput(event));
     form?.addEventListener('change', (event) => this.handleInput(event));
     form?.addEventListener('submit', (event) => {
@@ -784,6 +1661,13 @@ class SavingsCalculatorUI {
     const compoundingField = this.root.querySelector<HTMLSelectElement>('#compounding');
     const currencyField = this.root.querySelector<HTMLSelectElement>('#currency');
     const localeField = this.root.querySelector<HTMLSelectElement>('#locale');
+    const allocationField = this.root.querySelector<HTMLSelectElement>('#allocation');
+    const indexationField = this.root.querySelector<HTMLInputElement>('#indexation');
+    const box3Field = this.root.querySelector<HTMLInputElement>('#box3');
+    const expectedReturnField = this.root.querySelector<HTMLInputElement>('#expectedReturn');
+    const volatilityField = this.root.querySelector<HTMLInputElement>('#volatility');
+    const fundCostsField = this.root.querySelector<HTMLInputElement>('#fundCosts');
+    const partnerField = this.root.querySelector<HTMLInputElement>('#fiscalPartner');
 
     if (goalField && this.state.goalAmount !== null) goalField.value = String(this.state.goalAmount);
     if (currentField) currentField.value = String(this.state.currentSavings ?? 0);
@@ -794,10 +1678,202 @@ class SavingsCalculatorUI {
     if (compoundingField) compoundingField.value = this.state.compounding;
     if (currencyField) currencyField.value = this.state.currency;
     if (localeField) localeField.value = this.state.locale;
+    if (allocationField) allocationField.value = this.state.allocation;
+    if (box3Field) box3Field.checked = this.state.box3;
+    if (expectedReturnField) expectedReturnField.value = String(this.state.expectedReturn);
+    if (volatilityField) volatilityField.value = String(this.state.volatility);
+    if (fundCostsField) fundCostsField.value = String(this.state.fundCosts);
+    if (partnerField) partnerField.checked = this.state.fiscalPartner;
+    if (indexationField) indexationField.value = this.state.schedule.indexation ? String(this.state.schedule.indexation) : '';
     this.rememberToggle.checked = this.state.rememberInputs;
+    this.renderGoals();
+    this.renderSkipMonths();
+    (Object.keys(ENTRY_LISTS) as EntryList[]).forEach((list) => this.renderEntryList(list));
     this.toggleFieldVisibility();
   }
 
+  private renderSkipMonths(): void {
+    const monthName = new Intl.DateTimeFormat(this.state.locale, { month: 'short' });
+    const months = this.root.querySelector('.bt-schedule__months') as HTMLElement;
+    months.replaceChildren(...Array.from({ length: 12 }, (_, index) => {
+      const wrapper = document.createElement('label');
+      wrapper.className = 'bt-schedule__month';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.skipMonth = String(index + 1);
+      input.checked = this.state.schedule.skipMonths.includes(index + 1);
+      wrapper.append(input, monthName.format(new Date(2000, index, 1)));
+      return wrapper;
+    }));
+  }
+
+  private getEntries(list: EntryList): Array<{ id: string }> {
+    return list === 'steps' || list === 'oneOffs' ? this.state.schedule[list] : this.state.rates[list];
+  }
+
+  private setEntries(list: EntryList, entries: Array<{ id: string }>): void {
+    if (list === 'steps' || list === 'oneOffs') {
+      this.state.schedule = { ...this.state.schedule, [list]: entries as ScheduleEntry[] };
+    } else if (list === 'changes') {
+      this.state.rates = { ...this.state.rates, changes: entries as RateChange[] };
+    } else {
+      this.state.rates = { ...this.state.rates, tiers: entries as RateTier[] };
+    }
+    this.persistState();
+    this.calculate();
+  }
+
+  private renderEntryList(list: EntryList): void {
+    const { fields, removeLabel } = ENTRY_LISTS[list];
+    const items = this.getEntries(list).map((entry) => {
+      const values = entry as Record<string, unknown>;
+      const item = document.createElement('li');
+      item.className = 'bt-schedule-entry';
+      item.dataset.entryId = entry.id;
+      fields.forEach(([field, text, type]) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'bt-goal__field';
+        const caption = document.createElement('span');
+        caption.textContent = text;
+        const input = document.createElement('input');
+        input.className = 'bt-input';
+        input.type = type;
+        input.dataset.entryField = field;
+        if (type === 'number') {
+          input.inputMode = 'decimal';
+          input.step = '0.01';
+          input.value = values[field] ? String(values[field]) : '';
+        } else {
+          input.value = String(values[field] ?? '');
+        }
+        wrapper.append(caption, input);
+        item.appendChild(wrapper);
+      });
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'bt-button';
+      remove.dataset.entryAction = 'remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', removeLabel);
+      item.appendChild(remove);
+      return item;
+    });
+    this.root.querySelector(`ol[data-entry-list="${list}"]`)?.replaceChildren(...items);
+  }
+
+  private handleEntryAction(list: EntryList, action: string, entryId?: string): void {
+    const entries = this.getEntries(list);
+    if (action === 'add') {
+      const entry = { id: createId(ENTRY_LISTS[list].idPrefix), ...ENTRY_LISTS[list].blank };
+      this.setEntries(list, [...entries, entry]);
+      this.renderEntryList(list);
+      this.root.querySelector<HTMLElement>(`[data-entry-id="${entry.id}"] input`)?.focus();
+    } else if (action === 'remove') {
+      this.setEntries(list, entries.filter((entry) => entry.id !== entryId));
+      this.renderEntryList(list);
+      this.root.querySelector<HTMLElement>(`button[data-entry-list="${list}"]`)?.focus();
+    }
+  }
+
+  private updateSchedule(changes: Partial<ContributionSchedule>): void {
+    this.state.schedule = { ...this.state.schedule, ...changes };
+    this.persistState();
+    this.calculate();
+  }
+
+  private renderGoals(): void {
+    const fragment = document.createDocumentFragment();
+    this.state.goals.forEach((goal, index) => {
+      const item = document.createElement('li');
+      item.className = 'bt-goal';
+      item.dataset.goalId = goal.id;
+      const label = goal.name.trim() || `Goal ${index + 1}`;
+
+      const fields = document.createElement('div');
+      fields.className = 'bt-goal__fields';
+      const addField = (text: string, field: keyof SavingsGoal, value: string, numeric: boolean) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'bt-goal__field';
+        const caption = document.createElement('span');
+        caption.textContent = text;
+        const input = document.createElement('input');
+        input.className = 'bt-input';
+        input.dataset.goalField = field;
+        input.value = value;
+        if (numeric) {
+          input.type = 'number';
+          input.inputMode = 'decimal';
+          input.min = '0';
+          input.step = '0.01';
+        } else {
+          input.type = 'text';
+        }
+        wrapper.append(caption, input);
+        fields.appendChild(wrapper);
+      };
+      addField('Name', 'name', goal.name, false);
+      addField('Goal amount', 'targetAmount', goal.targetAmount === null ? '' : String(goal.targetAmount), true);
+      addField('Saved so far', 'currentSavings', goal.currentSavings ? String(goal.currentSavings) : '', true);
+
+      const actions = document.createElement('div');
+      actions.className = 'bt-goal__actions';
+      const addAction = (action: string, text: string, disabled: boolean) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'bt-button';
+        button.dataset.goalAction = action;
+        button.textContent = text;
+        button.disabled = disabled;
+        actions.appendChild(button);
+      };
+      addAction('up', '↑', index === 0);
+      addAction('down', '↓', index === this.state.goals.length - 1);
+      addAction('remove', 'Remove', this.state.goals.length === 1);
+
+      item.append(fields, actions);
+      this.labelGoalActions(item, label);
+      fragment.appendChild(item);
+    });
+    this.goalList.replaceChildren(fragment);
+  }
+
+  private labelGoalActions(item: HTMLElement, label: string): void {
+    const labels: Record<string, string> = {
+      up: `Move ${label} up`,
+      down: `Move ${label} down`,
+      remove: `Remove ${label}`,
+    };
+    item.querySelectorAll<HTMLButtonElement>('[data-goal-action]').forEach((button) => {
+      button.setAttribute('aria-label', labels[button.dataset.goalAction ?? ''] ?? '');
+    });
+  }
+
+  private handleGoalAction(action: string, goalId?: string): void {
+    const goals = this.state.goals.slice();
+    const index = goals.findIndex((goal) => goal.id === goalId);
+    if (action === 'add') {
+      goals.push({ id: createId('goal'), name: '', targetAmount: null, currentSavings: 0 });
+    } else if (index === -1) {
+      return;
+    } else if (action === 'remove') {
+      goals.splice(index, 1);
+    } else if (action === 'up' || action === 'down') {
+      const target = action === 'up' ? index - 1 : index + 1;
+      if (target < 0 || target >= goals.length) return;
+      [goals[index], goals[target]] = [goals[target], goals[index]];
+    }
+    this.state.goals = goals;
+    this.renderGoals();
+    const focusId = action === 'add' ? goals[goals.length - 1].id : action === 'remove' ? null : goalId;
+    if (focusId) {
+      const selector = action === 'add' ? '[data-goal-field="name"]' : `[data-goal-action="${action}"]`;
+      const focusTarget = this.goalList.querySelector<HTMLElement>(`[data-goal-id="${focusId}"] ${selector}:not(:disabled)`);
+      (focusTarget ?? this.goalList.querySelector<HTMLElement>(`[data-goal-id="${focusId}"] [data-goal-field="name"]`))?.focus();
+    }
+    this.persistState();
+    this.calculate();
+  }
+
   private updateModeToggle(): void {
     const modeButtons = Array.from(this.root.querySelectorAll<HTMLButtonElement>('.bt-mode-toggle button'));
     modeButtons.forEach((btn) => {
@@ -808,20 +1884,53 @@ class SavingsCalculatorUI {
   }
 
   private toggleFieldVisibility(): void {
-    const monthlyField = this.root.querySelector('[data-field="monthlyContribution"]') as HTMLElement;
-    const targetField = this.root.querySelector('[data-field="targetDate"]') as HTMLElement;
-    if (monthlyField) {
-      monthlyField.style.display = this.state.mode === 'time' ? 'flex' : 'none';
-    }
-    if (targetField) {
-      targetField.style.display = this.state.mode === 'monthly' ? 'flex' : 'none';
-    }
+    Object.entries(FIELD_MODES).forEach(([field, modes]) => {
+      const element = this.root.querySelector<HTMLElement>(`[data-field="${field}"]`);
+      if (element) {
+        element.style.display = modes.includes(this.state.mode) ? 'flex' : 'none';
+      }
+    });
   }
 
   private handleInput(event: Event): void {
     const target = event.target as HTMLInputElement | HTMLSelectElement;
     if (!target) return;
     const { name, value } = target;
+    const goalField = target.dataset.goalField as keyof SavingsGoal | undefined;
+    if (goalField) {
+      const item = target.closest<HTMLElement>('[data-goal-id]');
+      const goalId = item?.dataset.goalId;
+      const parsed = goalField === 'name' ? value : clampNumber(safeParseNumber(value) ?? 0, 0, Number.MAX_SAFE_INTEGER);
+      const fieldValue = goalField === 'targetAmount' && value === '' ? null : parsed;
+      this.state.goals = this.state.goals.map((goal) => (goal.id === goalId ? { ...goal, [goalField]: fieldValue } : goal));
+      if (item && goalField === 'name') {
+        this.labelGoalActions(item, value.trim() || `Goal ${this.state.goals.findIndex((goal) => goal.id === goalId) + 1}`);
+      }
+      this.persistState();
+      this.calculate();
+      return;
+    }
+    const entryField = target.dataset.entryField;
+    const list = target.closest<HTMLElement>('[data-entry-list]')?.dataset.entryList;
+    if (entryField && isEntryList(list)) {
+      const entryId = target.closest<HTMLElement>('[data-entry-id]')?.dataset.entryId;
+      // Schedule amounts may be negative; rates and tier thresholds may not.
+      const min = entryField === 'amount' ? -Number.MAX_SAFE_INTEGER : 0;
+      const max = entryField === 'apr' ? 50 : Number.MAX_SAFE_INTEGER;
+      const fieldValue = entryField === 'month' ? value : clampNumber(safeParseNumber(value) ?? 0, min, max);
+      this.setEntries(list, this.getEntries(list).map((entry) => (entry.id === entryId ? { ...entry, [entryField]: fieldValue } : entry)));
+      return;
+    }
+    if (target.dataset.skipMonth) {
+      const month = Number(target.dataset.skipMonth);
+      const skipMonths = this.state.schedule.skipMonths.filter((skipped) => skipped !== month);
+      if ((target as HTMLInputElement).checked) {
+        skipMonths.push(month);
+        skipMonths.sort((a, b) => a - b);
+      }
+      this.updateSchedule({ skipMonths });
+      return;
+    }
     switch (name) {
       case 'goalAmount':
         this.state.goalAmount = clampNumber(safeParseNumber(value) ?? 0, 0, Number.MAX_SAFE_INTEGER);
@@ -852,6 +1961,28 @@ class SavingsCalculatorUI {
         break;
       case 'locale':
         this.state.locale = value || 'nl-NL';
+        this.renderSkipMonths();
+        break;
+      case 'box3':
+        this.state.box3 = (target as HTMLInputElement).checked;
+        break;
+      case 'fiscalPartner':
+        this.state.fiscalPartner = (target as HTMLInputElement).checked;
+        break;
+      case 'expectedReturn':
+        this.state.expectedReturn = clampNumber(safeParseNumber(value) ?? 0, -50, 50);
+        break;
+      case 'volatility':
+        this.state.volatility = clampNumber(safeParseNumber(value) ?? 0, 0, 100);
+        break;
+      case 'fundCosts':
+        this.state.fundCosts = clampNumber(safeParseNumber(value) ?? 0, 0, 10);
+        break;
+      case 'indexation':
+        this.state.schedule = { ...this.state.schedule, indexation: clampNumber(safeParseNumber(value) ?? 0, 0, 20) };
+        break;
+      case 'allocation':
+        this.state.allocation = (value as AllocationStrategy) || 'sequential';
         break;
       default:
         break;
@@ -938,7 +2069,7 @@ class SavingsCalculatorUI {
   private downloadCsv(): void {
     if (!this.resultSummary) return;
     const lines = this.buildSummaryLines(true);
-    const blob = buildCsv(lines, this.resultSummary.projection, this.state.locale);
+    const blob = buildCsv(lines, this.resultSummary.projection, this.state.locale, this.resultSummary.totalTax !== undefined);
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -1002,16 +2133,25 @@ class SavingsCalculatorUI {
     const interest = formatCurrency(totalInterest, locale, currency);
     const monthlyText = requiredMonthlyContribution !== undefined ? formatCurrency(requiredMonthlyContribution, locale, currency) : null;
 
-    const highlightLabel = monthlyText ? 'Monthly savings needed' : 'Estimated time';
-    const highlightValue = monthlyText ?? durationText;
+    const investment = isInvestmentResult(this.resultSummary) ? this.resultSummary : null;
+    const chanceText = investment ? formatPercent(investment.probability, locale) : null;
+
+    const highlightLabel = chanceText ? 'Chance of reaching your goal' : monthlyText ? 'Monthly savings needed' : 'Estimated time';
+    const highlightValue = chanceText ?? monthlyText ?? durationText;
+    const metaText = investment ? `Target date: ${finishText}` : `Projected finish: ${finishText}`;
 
     const metrics: Array<{ label: string; value: string }> = [];
     if (monthlyText) {
       metrics.push({ label: 'Monthly savings needed', value: monthlyText });
     }
-    metrics.push({ label: 'Estimated time', value: durationText });
+    if (investment) {
+      const median = investment.projection[investment.projection.length - 1]?.endingBalance ?? 0;
+      metrics.push({ label: 'Median at target date', value: formatCurrency(median, locale, currency) });
+    } else {
+      metrics.push({ label: 'Estimated time', value: durationText });
+    }
     metrics.push({ label: 'Total contributions', value: contributions });
-    metrics.push({ label: 'Total interest', value: interest });
+    metrics.push({ label: investment ? 'Median return' : 'Total interest', value: interest });
 
     this.mobileSummaryRegion.dataset.hasResults = 'true';
     const metricsHtml = metrics.map((metric) => `
@@ -1024,7 +2164,7 @@ class SavingsCalculatorUI {
     this.mobileSummaryCard.innerHTML = `
       <p class="bt-mobile-summary__eyebrow">${highlightLabel}</p>
       <p class="bt-mobile-summary__value">${highlightValue}</p>
-      <p class="bt-mobile-summary__meta">Projected finish: ${finishText}</p>
+      <p class="bt-mobile-summary__meta">${metaText}</p>
       <dl class="bt-mobile-summary__metrics">
         ${metricsHtml}
       </dl>
@@ -1057,7 +2197,7 @@ class SavingsCalculatorUI {
 
   private buildSummaryLines(includeTableHint = false): string[] {
     if (!this.resultSummary) return [];
-    const { totalContributions, totalInterest, finishDate, requiredMonthlyContribution, projection, mode, inflation } = this.resultSummary;
+    const { totalContributions, totalInterest, totalTax, finishDate, requiredMonthlyContribution, projection, mode, inflation } = this.resultSummary;
     const lines = summariseProjection(
       projection,
       totalContributions,
@@ -1067,8 +2207,42 @@ class SavingsCalculatorUI {
       finishDate,
       requiredMonthlyContribution,
       mode,
-      inflation
+      inflation,
+      totalTax
     );
+    if (isGoalsResult(this.resultSummary)) {
+      const dateFormatter = new Intl.DateTimeFormat(this.state.locale, { year: 'numeric', month: 'long' });
+      this.resultSummary.goals.forEach((goal) => {
+        const target = formatCurrency(goal.targetAmount, this.state.locale, this.state.currency);
+        const reached = goal.months && goal.finishDate ? `reached ${dateFormatter.format(goal.finishDate)}` : 'already reached';
+        lines.push(`${goal.name.trim() || 'Goal'} (${target}): ${reached}`);
+      });
+    } else if (isInvestmentResult(this.resultSummary)) {
+      const { probability, simulations, seed, projection: paths } = this.resultSummary;
+      const last = paths[paths.length - 1];
+      const format = (amount: number) => formatCurrency(amount, this.state.locale, this.state.currency);
+      lines.push(`Chance of reaching the goal by the target date: ${formatPercent(probability, this.state.locale)}`);
+      if (last) {
+        lines.push(`Balance at the target date: 10th percentile ${format(last.p10 ?? last.endingBalance)}, median ${format(last.endingBalance)}, 90th percentile ${format(last.p90 ?? last.endingBalance)}`);
+      }
+      lines.push(`Assumptions: ${this.state.expectedReturn}% expected return, ${this.state.volatility}% volatility, ${this.state.fundCosts}% fund costs; ${simulations} simulations (seed ${seed})`);
+    } else if (hasSchedule(this.state.schedule)) {
+      const { steps, indexation, skipMonths, oneOffs } = this.state.schedule;
+      const monthName = new Intl.DateTimeFormat(this.state.locale, { month: 'short' });
+      const parts: string[] = [];
+      if (steps.length) parts.push(`${steps.length} ${steps.length === 1 ? 'change' : 'changes'}`);
+      if (indexation) parts.push(`${indexation}% yearly increase`);
+      if (skipMonths.length) parts.push(`skips ${skipMonths.map((month) => monthName.format(new Date(2000, month - 1, 1))).join(', ')}`);
+      if (oneOffs.length) parts.push(`${oneOffs.length} one-off ${oneOffs.length === 1 ? 'transfer' : 'transfers'}`);
+      lines.push(`Contribution schedule: ${parts.join(', ')}`);
+    }
+    const { changes, tiers } = this.state.rates;
+    if ((mode === 'time' || mode === 'monthly') && (changes.length || tiers.length)) {
+      const parts: string[] = [];
+      if (changes.length) parts.push(`${changes.length} rate ${changes.length === 1 ? 'change' : 'changes'}`);
+      if (tiers.length) parts.push(`${tiers.length} balance ${tiers.length === 1 ? 'tier' : 'tiers'}`);
+      lines.push(`Interest: ${parts.join(', ')}`);
+    }
     if (includeTableHint) {
       lines.push('');
       lines.push('Projection preview shown in tool. Use "View full schedule" or download CSV for full history.');
@@ -1084,7 +2258,7 @@ class SavingsCalculatorUI {
     this.setSummaryPlaceholder();
     this.updateMobileSummary();
 
-    if (!this.state.goalAmount || this.state.goalAmount <= 0) {
+    if (this.state.mode !== 'goals' && (!this.state.goalAmount || this.state.goalAmount <= 0)) {
       const message = 'Enter a goal amount to begin.';
       this.showMessage(message);
       this.setSummaryPlaceholder(message);
@@ -1093,7 +2267,50 @@ class SavingsCalculatorUI {
       return;
     }
 
-    if (this.state.mode === 'time') {
+    if (this.state.mode === 'goals') {
+      const result = allocateSavingsGoals({
+        goals: this.state.goals,
+        monthlyBudget: this.state.monthlyContribution ?? 0,
+        strategy: this.state.allocation,
+        apr: this.state.apr,
+        compounding: this.state.compounding,
+        inflationRate: this.state.inflationRate ?? undefined,
+        startDate: new Date(),
+      });
+      const unreached = result?.goals.filter((goal) => goal.months === null) ?? [];
+      if (!result || unreached.length > 0) {
+        const message = result
+          ? `${unreached.map((goal) => goal.name.trim() || 'A goal').join(', ')} would not be reached within 50 years. Increase your monthly contribution or lower a goal.`
+          : 'Enter an amount for at least one goal to begin.';
+        this.showMessage(message);
+        this.setSummaryPlaceholder(message);
+        this.updateMobileSummary();
+        this.notify(null);
+        return;
+      }
+      this.resultSummary = result;
+    } else if (this.state.mode === 'invest') {
+      const result = simulateInvestment({
+        goalAmount: this.state.goalAmount ?? 0,
+        currentSavings: this.state.currentSavings ?? 0,
+        monthlyContribution: this.state.monthlyContribution ?? 0,
+        targetDate: this.state.targetDate ? parseTargetDate(this.state.targetDate) : null,
+        expectedReturn: this.state.expectedReturn,
+        volatility: this.state.volatility,
+        fundCosts: this.state.fundCosts,
+        inflationRate: this.state.inflationRate ?? undefined,
+        startDate: new Date(),
+      });
+      if (!result) {
+        const message = 'Choose a target date within the next 50 years to run the simulation.';
+        this.showMessage(message);
+        this.setSummaryPlaceholder(message);
+        this.updateMobileSummary();
+        this.notify(null);
+        return;
+      }
+      this.resultSummary = result;
+    } else if (this.state.mode === 'time') {
       const result = calculateSavingsScenario({
         mode: 'time',
         goalAmount: this.state.goalAmount ?? 0,
@@ -1103,6 +2320,9 @@ class SavingsCalculatorUI {
         compounding: this.state.compounding,
         inflationRate: this.state.inflationRate ?? undefined,
         startDate: new Date(),
+        schedule: this.state.schedule,
+        rates: this.state.rates,
+        box3: this.state.box3 ? { fiscalPartner: this.state.fiscalPartner } : null,
       }) as ModeAResult | null;
       if (!result) {
         const message = 'Increase monthly savings or adjust your goal to get a result.';
@@ -1124,6 +2344,9 @@ class SavingsCalculatorUI {
         inflationRate: this.state.inflationRate ?? undefined,
         targetDate,
         startDate: new Date(),
+        schedule: this.state.schedule,
+        rates: this.state.rates,
+        box3: this.state.box3 ? { fiscalPartner: this.state.fiscalPartner } : null,
       }) as ModeBResult | null;
       if (!result) {
         const message = 'Goal may already be met or the target date is too soon.';
@@ -1149,7 +2372,7 @@ class SavingsCalculatorUI {
 
   private renderSummary(): void {
     if (!this.resultSummary) return;
-    const { mode, months, totalContributions, totalInterest, finishDate, requiredMonthlyContribution, inflation } = this.resultSummary;
+    const { mode, months, totalContributions, totalInterest, totalTax, finishDate, requiredMonthlyContribution, inflation } = this.resultSummary;
     const locale = this.state.locale;
     const currency = this.state.currency;
 
@@ -1160,10 +2383,19 @@ class SavingsCalculatorUI {
     const contributionsText = formatCurrency(totalContributions, locale, currency);
     const interestText = formatCurrency(totalInterest, locale, currency);
     const highlightMonthly = mode === 'monthly' && requiredMonthlyContribution !== undefined;
-    const highlightLabel = highlightMonthly ? 'Monthly savings needed' : 'Estimated time';
-    const highlightValue = highlightMonthly && requiredMonthlyContribution !== undefined
+    const startLabel = hasSchedule(this.state.schedule) ? 'Monthly savings needed at the start' : 'Monthly savings needed';
+    const investment = isInvestmentResult(this.resultSummary) ? this.resultSummary : null;
+    const lastRow = this.resultSummary.projection[this.resultSummary.projection.length - 1];
+    let highlightLabel = highlightMonthly ? startLabel : mode === 'goals' ? 'All goals reached in' : 'Estimated time';
+    let highlightValue = highlightMonthly && requiredMonthlyContribution !== undefined
       ? formatCurrency(requiredMonthlyContribution, locale, currency)
       : durationText;
+    let metaText = finishDate ? `Projected finish: ${finishText}` : 'Goal already reached.';
+    if (investment) {
+      highlightLabel = 'Chance of reaching your goal';
+      highlightValue = formatPercent(investment.probability, locale);
+      metaText = `By ${finishText}, in ${investment.simulations.toLocaleString(locale)} simulated markets.`;
+    }
 
     const hero = document.createElement('div');
     hero.className = 'bt-summary__hero';
@@ -1175,12 +2407,18 @@ class SavingsCalculatorUI {
     value.textContent = highlightValue;
     const meta = document.createElement('p');
     meta.className = 'bt-summary__meta';
-    meta.textContent = finishDate ? `Projected finish: ${finishText}` : 'Goal already reached.';
+    meta.textContent = metaText;
     hero.append(eyebrow, value, meta);
     fragment.appendChild(hero);
 
-    const goalAmount = Math.max(0, this.state.goalAmount ?? 0);
-    const currentSavings = Math.max(0, this.state.currentSavings ?? 0);
+    const goalsSummary = isGoalsResult(this.resultSummary) ? this.resultSummary : null;
+    const countedGoals = goalsSummary ? this.state.goals.filter((goal) => (goal.targetAmount ?? 0) > 0) : [];
+    const goalAmount = goalsSummary
+      ? countedGoals.reduce((sum, goal) => sum + (goal.targetAmount ?? 0), 0)
+      : Math.max(0, this.state.goalAmount ?? 0);
+    const currentSavings = goalsSummary
+      ? countedGoals.reduce((sum, goal) => sum + Math.min(Math.max(0, goal.currentSavings), goal.targetAmount ?? 0), 0)
+      : Math.max(0, this.state.currentSavings ?? 0);
     if (goalAmount > 0) {
       const progressRatio = Math.min(Math.max(currentSavings / goalAmount, 0), 1);
       const percent = Math.round(progressRatio * 100);
@@ -1205,6 +2443,10 @@ class SavingsCalculatorUI {
       fragment.appendChild(progress);
     }
 
+    if (goalsSummary) {
+      fragment.appendChild(this.buildGoalTimeline(goalsSummary));
+    }
+
     const metrics = document.createElement('dl');
     metrics.className = 'bt-summary__metrics';
     const addMetric = (label: string, metricValue: string) => {
@@ -1221,17 +2463,25 @@ class SavingsCalculatorUI {
     if (highlightMonthly) {
       addMetric('Estimated time', durationText);
     }
-    if (finishDate) {
+    if (investment && lastRow) {
+      addMetric('Target date', finishText);
+      addMetric('10th percentile', formatCurrency(lastRow.p10 ?? lastRow.endingBalance, locale, currency));
+      addMetric('Median', formatCurrency(lastRow.endingBalance, locale, currency));
+      addMetric('90th percentile', formatCurrency(lastRow.p90 ?? lastRow.endingBalance, locale, currency));
+    } else if (finishDate) {
       addMetric('Projected finish date', finishText);
     }
     addMetric('Total contributions', contributionsText);
-    addMetric('Total interest', interestText);
+    addMetric(investment ? 'Median return' : 'Total interest', interestText);
+    if (totalTax !== undefined) {
+      addMetric('Estimated box 3 tax', formatCurrency(totalTax, locale, currency));
+    }
 
     if (inflation) {
       addMetric('Goal in today\'s money', formatCurrency(inflation.realGoalValue, locale, currency));
       addMetric('Projected finish (real)', formatCurrency(inflation.realEndingBalance, locale, currency));
       addMetric('Contributions (real)', formatCurrency(inflation.realContributions, locale, currency));
-      addMetric('Interest (real)', formatCurrency(inflation.realInterest, locale, currency));
+      addMetric(investment ? 'Median return (real)' : 'Interest (real)', formatCurrency(inflation.realInterest, locale, currency));
     }
 
     fragment.appendChild(metrics);
@@ -1246,6 +2496,43 @@ class SavingsCalculatorUI {
     }
   }
 
+  // One line per goal in the order they are reached, with where its monthly share goes next.
+  private buildGoalTimeline(summary: GoalsResult): HTMLElement {
+    const locale = this.state.locale;
+    const formatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long' });
+    const list = document.createElement('ol');
+    list.className = 'bt-goal-timeline';
+    const ordered = summary.goals.slice().sort((a, b) => (a.months ?? 0) - (b.months ?? 0));
+    ordered.forEach((goal) => {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = goal.name.trim() || 'Goal';
+      const when = document.createElement('span');
+      when.textContent = goal.months
+        ? `${goal.finishDate ? formatter.format(goal.finishDate) : ''} · ${describeDuration(goal.months, locale)}`
+        : 'Already reached';
+      item.append(name, when);
+      const milestone = summary.milestones.find((entry) => entry.goalId === goal.id);
+      if (milestone) {
+        const release = document.createElement('small');
+        release.textContent = this.describeMilestone(summary, milestone);
+        item.appendChild(release);
+      }
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  private describeMilestone(summary: GoalsResult, milestone: GoalMilestone): string {
+    const amount = formatCurrency(milestone.releasedMonthly, this.state.locale, this.state.currency);
+    const names = milestone.nextGoalIds
+      .map((id) => summary.goals.find((goal) => goal.id === id)?.name.trim() || 'the next goal');
+    if (names.length === 0) {
+      return 'Your monthly contribution is free again.';
+    }
+    return `Frees up ${amount} a month for ${names.join(' and ')}.`;
+  }
+
   private renderProjection(): void {
     if (!this.resultSummary) {
       this.tableBody.innerHTML = '';
@@ -1256,9 +2543,21 @@ class SavingsCalculatorUI {
       return;
     }
     const projection = this.resultSummary.projection;
+    const showTax = this.resultSummary.totalTax !== undefined;
+    const taxHeader = this.resultsCard.querySelector<HTMLElement>('[data-column="tax"]');
+    if (taxHeader) taxHeader.hidden = !showTax;
+    const showBands = isInvestmentResult(this.resultSummary);
+    this.resultsCard.querySelectorAll<HTMLElement>('[data-column="p10"], [data-column="p90"]').forEach((header) => {
+      header.hidden = !showBands;
+    });
+    const interestHeader = this.resultsCard.querySelector<HTMLElement>('[data-column="interest"]');
+    if (interestHeader) interestHeader.textContent = showBands ? 'Median return' : 'Interest';
+    const endingHeader = this.resultsCard.querySelector<HTMLElement>('[data-column="ending"]');
+    if (endingHeader) endingHeader.textContent = showBands ? 'Median' : 'Ending balance';
     const locale = this.state.locale;
     const currency = this.state.currency;
     const dateFormatter = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short' });
+    const rateFormatter = new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
     if (projection.length <= PREVIEW_ROW_COUNT) {
       this.showAllRows = false;
     }
@@ -1272,8 +2571,12 @@ class SavingsCalculatorUI {
         dateFormatter.format(row.date),
         formatCurrency(row.startingBalance, locale, currency),
         formatCurrency(row.contribution, locale, currency),
+        rateFormatter.format(row.rate / 100),
         formatCurrency(row.interestEarned, locale, currency),
+        ...(showTax ? [formatCurrency(row.tax, locale, currency)] : []),
+        ...(showBands ? [formatCurrency(row.p10 ?? row.endingBalance, locale, currency)] : []),
         formatCurrency(row.endingBalance, locale, currency),
+        ...(showBands ? [formatCurrency(row.p90 ?? row.endingBalance, locale, currency)] : []),
       ];
       cells.forEach((value, index) => {
         const td = document.createElement('td');
@@ -1284,6 +2587,21 @@ class SavingsCalculatorUI {
         tr.appendChild(td);
       });
       fragment.appendChild(tr);
+      if (isGoalsResult(this.resultSummary)) {
+        const summary = this.resultSummary;
+        summary.milestones
+          .filter((milestone) => milestone.monthIndex === row.monthIndex)
+          .forEach((milestone) => {
+            const goal = summary.goals.find((entry) => entry.id === milestone.goalId);
+            const note = document.createElement('tr');
+            note.className = 'bt-projection-table__milestone';
+            const cell = document.createElement('td');
+            cell.colSpan = cells.length;
+            cell.textContent = `${goal?.name.trim() || 'Goal'} reached. ${this.describeMilestone(summary, milestone)}`;
+            note.appendChild(cell);
+            fragment.appendChild(note);
+          });
+      }
     }
     this.tableBody.replaceChildren(fragment);
     if (!this.showAllButton) {
@@ -1317,6 +2635,7 @@ export function initSavingsCalculator(el: HTMLElement, props: SavingsCalculatorP
 declare global {
   interface Window {
     initSavingsCalculator?: typeof initSavingsCalculator;
+    NLrekentools?: { storage?: StorageModule };
   }
 }
 
@@ -35,6 +35,17 @@
     { name: 'Disney+', category: 'Streaming', frequency: 'monthly', price: 13.99 },
     { name: 'HBO Max', category: 'Streaming', frequency: 'monthly', price: 15.99 }
   ];
+  // Standaardregels voor de gedeelde indelingsregels uit /assets/js/categorizer.js
+  const RULES_KEY = 'bt_subscription_saver_rules_v1';
+  const DEFAULT_CATEGORY_RULES = [
+    { category: 'Streaming', pattern: 'netflix, disney, videoland, hbo, prime video, amazon prime, viaplay, npo plus, skyshowtime, apple tv, youtube premium' },
+    { category: 'Music', pattern: 'spotify, apple music, deezer, tidal, youtube music, soundcloud' },
+    { category: 'Gaming', pattern: 'game pass, xbox, playstation, ps plus, nintendo, steam, ea play, ubisoft' },
+    { category: 'Productivity', pattern: 'icloud, google one, dropbox, onedrive, microsoft 365, office 365, notion, adobe, canva, chatgpt, 1password, lastpass' },
+    { category: 'Phone', pattern: 'mobiel, sim only, telefoon, kpn mobiel, odido mobiel, vodafone, t-mobile, lebara, simyo' },
+    { category: 'Internet', pattern: 'internet, glasvezel, wifi, ziggo, kpn internet, odido thuis, delta fiber' },
+    { category: 'Fitness', pattern: 'basic-fit, basic fit, sportschool, fitness, gym, peloton, strava, trainmore' }
+  ];
   const SUGGESTION_LIMIT = 3;
   const OPTIMIZE_REASON_COPY = {
     expensive: 'Hoge maandkosten',
@@ -162,7 +173,19 @@
     shortcutsModal: document.getElementById('shortcutsModal')
   };
 
-  let state = loadState();
+  // Opslag via /assets/js/storage.js; versie 0 is alles van vóór het schemanummer.
+  // Zonder dat bestand werkt de tool gewoon, maar worden de abonnementen niet onthouden.
+  const store = window.NLrekentools && window.NLrekentools.storage
+    ? window.NLrekentools.storage.createStore({
+      key: STORAGE_KEY,
+      version: 1,
+      migrations: [migrateLegacyState],
+      validate: validateStoredState,
+      merge: mergeStoredState
+    })
+    : null;
+  const storedState = store ? store.load() : { status: 'empty', data: null };
+  let state = loadState(storedState.data);
   let editingId = null;
   let editDraft = null;
   let chartInstance = null;
@@ -175,6 +198,10 @@
   let quickAddPopover = null;
   let lastShortcutTrigger = null;
   let currentTotals = { monthlyUSD: 0, yearlyUSD: 0, savingsUSD: 0 };
+  let suggestedCategory = '';
+  const categoryRules = window.NLrekentools && window.NLrekentools.rules
+    ? window.NLrekentools.rules.createEngine({ storageKey: RULES_KEY, defaults: DEFAULT_CATEGORY_RULES })
+    : null;
 
   if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
     document.body.classList.add('prefers-reduced-motion');
@@ -188,34 +215,58 @@
     ensureToastRegion();
     bindEvents();
     render();
+    if (storedState.status === 'quarantined') {
+      toast('Je opgeslagen abonnementen konden niet worden gelezen. Er is een kopie bewaard en je begint opnieuw.');
+    }
   }
 
-  function loadState() {
-    try {
-      const stored = localStorage.getItem(STORAGE_KEY);
-      if (!stored) return clone(defaultState);
-      const parsed = JSON.parse(stored);
-      const rowsSource = Array.isArray(parsed.rows)
-        ? parsed.rows
-        : Array.isArray(parsed.items)
-          ? parsed.items
-          : [];
-      const rows = rowsSource.map(normaliseRow);
-      const sort = parsed.sort && typeof parsed.sort === 'object' ? {
-        key: ['name', 'category', 'monthly', 'yearly', 'nextBilling'].includes(parsed.sort.key) ? parsed.sort.key : 'name',
-        dir: parsed.sort.dir === 'desc' ? 'desc' : 'asc'
-      } : clone(defaultState.sort);
-      const filters = parsed.filters && typeof parsed.filters === 'object' ? {
-        query: typeof parsed.filters.query === 'string' ? parsed.filters.query : '',
-        categories: Array.isArray(parsed.filters.categories) ? parsed.filters.categories.filter(Boolean) : [],
-        frequency: ['monthly', 'yearly'].includes(parsed.filters.frequency) ? parsed.filters.frequency : 'all'
-      } : clone(defaultState.filters);
-      const currency = typeof parsed.currency === 'string' && FX[parsed.currency] ? parsed.currency : 'EUR';
-      return { rows, sort, filters, currency };
-    } catch (error) {
-      console.warn('Failed to load subscription saver state', error);
-      return clone(defaultState);
+  // 0 → 1: de eerste versie bewaarde de abonnementen onder `items`
+  function migrateLegacyState(stored) {
+    if (!window.NLrekentools.storage.isPlainObject(stored)) return stored;
+    const { items, ...rest } = stored;
+    return { ...rest, rows: Array.isArray(stored.rows) ? stored.rows : Array.isArray(items) ? items : [] };
+  }
+
+  function validateStoredState(stored) {
+    if (!window.NLrekentools.storage.isPlainObject(stored)) throw new Error('Opgeslagen gegevens zijn geen object');
+    if (!Array.isArray(stored.rows)) throw new Error('Opgeslagen gegevens hebben geen lijst met abonnementen');
+    if (!stored.rows.every((row) => window.NLrekentools.storage.isPlainObject(row))) {
+      throw new Error('Een opgeslagen abonnement is onleesbaar');
     }
+    return stored;
+  }
+
+  // Samenvoegen met een teruggezette back-up: een abonnement met dezelfde naam neemt de gegevens uit de back-up
+  // over, nieuwe abonnementen komen erbij. Sortering, filters en valuta blijven zoals ze waren.
+  function mergeStoredState(current, incoming) {
+    const rows = current.rows.map(normaliseRow);
+    incoming.rows.map(normaliseRow).forEach((imported) => {
+      const name = imported.name.trim().toLowerCase();
+      const existing = rows.find((row) => row.name.trim().toLowerCase() === name);
+      if (existing) {
+        Object.assign(existing, { ...imported, id: existing.id });
+      } else {
+        rows.push({ ...imported, id: rows.some((row) => row.id === imported.id) ? createId() : imported.id });
+      }
+    });
+    return { ...current, rows };
+  }
+
+  // Losse velden opschonen; de vorm is al gecontroleerd door validateStoredState()
+  function loadState(parsed) {
+    if (!parsed) return clone(defaultState);
+    const rows = parsed.rows.map(normaliseRow);
+    const sort = parsed.sort && typeof parsed.sort === 'object' ? {
+      key: ['name', 'category', 'monthly', 'yearly', 'nextBilling'].includes(parsed.sort.key) ? parsed.sort.key : 'name',
+      dir: parsed.sort.dir === 'desc' ? 'desc' : 'asc'
+    } : clone(defaultState.sort);
+    const filters = parsed.filters && typeof parsed.filters === 'object' ? {
+      query: typeof parsed.filters.query === 'string' ? parsed.filters.query : '',
+      categories: Array.isArray(parsed.filters.categories) ? parsed.filters.categories.filter(Boolean) : [],
+      frequency: ['monthly', 'yearly'].includes(parsed.filters.frequency) ? parsed.filters.frequency : 'all'
+    } : clone(defaultState.filters);
+    const currency = typeof parsed.currency === 'string' && FX[parsed.currency] ? parsed.currency : 'EUR';
+    return { rows, sort, filters, currency };
   }
 
   function normaliseRow(row) {
@@ -232,11 +283,7 @@
   }
 
   function persist() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (error) {
-      console.warn('Unable to persist subscription saver data', error);
-    }
+    if (store) store.save(state);
   }
 
   function syncCurrencyControls() {
@@ -313,6 +360,9 @@
     if (elements.form) {
       elements.form.addEventListener('submit', handleAdd);
     }
+    if (elements.name) {
+      elements.name.addEventListener('input', suggestCategory);
+    }
     if (elements.exportCsv) {
       elements.exportCsv.addEventListener('click', () => exportCsv());
     }
@@ -669,6 +719,25 @@
     }
   }
 
+  // Vult de categorie in op basis van de naam, zolang de gebruiker zelf nog niets anders koos
+  function suggestCategory() {
+    if (!categoryRules || !elements.category) return;
+    const current = elements.category.value;
+    if (current && current !== suggestedCategory) return;
+    const match = categoryRules.categorize({ description: elements.name.value });
+    const next = match && CATEGORY_LABELS[match.category] ? match.category : '';
+    elements.category.value = next;
+    suggestedCategory = next;
+  }
+
+  // Een andere categorie dan de regels voorstellen wordt onthouden voor de volgende keer
+  function learnCategory(name, category) {
+    if (!categoryRules) return;
+    const match = categoryRules.categorize({ description: name });
+    if (match ? match.category === category : category === 'Other') return;
+    categoryRules.learn({ description: name }, { category });
+  }
+
   function handleAdd(event) {
     event.preventDefault();
     const name = elements.name.value.trim();
@@ -695,6 +764,7 @@
     }
 
     const priceUSD = fromCurrency(priceValue, state.currency);
+    learnCategory(name, category);
 
     const newRow = {
       id: createId(),
@@ -710,6 +780,7 @@
     state.rows.push(newRow);
     persist();
     elements.form.reset();
+    suggestedCategory = '';
     elements.frequencyMonthly.checked = true;
     render();
     elements.name.focus();
@@ -1180,6 +1251,9 @@
     const target = state.rows.find((item) => item.id === row.id);
     if (!target) return;
 
+    if (editDraft.category !== target.category) {
+      learnCategory(trimmedName, editDraft.category);
+    }
     const nextBilling = editDraft.nextBilling ? editDraft.nextBilling : '';
     Object.assign(target, {
       name: trimmedName,
@@ -2058,11 +2132,12 @@
   function handleReset() {
     const confirmed = window.confirm('Wil je alle abonnementen en filters wissen?');
     if (!confirmed) return;
-    localStorage.removeItem(STORAGE_KEY);
+    if (store) store.remove();
     state = clone(defaultState);
     editingId = null;
     editDraft = null;
     elements.form.reset();
+    suggestedCategory = '';
     elements.frequencyMonthly.checked = true;
     elements.priceError.textContent = '';
     updateFilterControls();